@@ -4,18 +4,41 @@
  * Map-centric layout - optimized for fast loading
  */
 
-import React, { useState, useCallback, useEffect, useRef } from 'react';
+import React, { useState, useCallback, useEffect, useRef, useMemo } from 'react';
 import Header from '../Header/Header';
 import SearchBar from '../SearchBar/SearchBar';
 import Filters from '../Filters/Filters';
 import Map from '../Map/Map';
 import PlacesList from '../PlacesList/PlacesList';
 import PlaceDetails from '../PlaceDetails/PlaceDetails';
+import Collections from '../Collections/Collections';
+import Itinerary from '../Itinerary/Itinerary';
+import SearchHistory from '../SearchHistory/SearchHistory';
 import LoadingSpinner from '../LoadingSpinner/LoadingSpinner';
 import ErrorMessage from '../ErrorMessage/ErrorMessage';
+import CacheDebugPanel from '../CacheDebugPanel/CacheDebugPanel';
+import LocationPicker from '../LocationPicker/LocationPicker';
+import MoodEditor from '../MoodEditor/MoodEditor';
+import GroupPanel from '../GroupPanel/GroupPanel';
 import useGeolocation from '../../hooks/useGeolocation';
+import useLocationAnchor from '../../hooks/useLocationAnchor';
 import usePlaces from '../../hooks/usePlaces';
-import { loadGoogleMapsApi } from '../../services/mapsLoader';
+import useSavedPlaces from '../../hooks/useSavedPlaces';
+import useCollections from '../../hooks/useCollections';
+import useUrlState from '../../hooks/useUrlState';
+import useSearchHistory from '../../hooks/useSearchHistory';
+import useDirections from '../../hooks/useDirections';
+import useItinerary from '../../hooks/useItinerary';
+import useGroup from '../../hooks/useGroup';
+import useMeetingPoint from '../../hooks/useMeetingPoint';
+import { loadPlacesProvider } from '../../services/placesProvider';
+import { isCacheDebugEnabled } from '../../services/searchCache';
+import { describeLocation } from '../../services/savedLocations';
+import { normalizePlace } from '../../utils/placeSnapshot';
+import { buildUrlSearch } from '../../utils/urlState';
+import { parseQuery, removeQueryChip, isChipActive } from '../../utils/queryParser';
+import { calculateDistance, getSearchAreaForBounds, getPlaceLatLng } from '../../utils/distance';
+import { SEARCH_AREA, SORT_OPTIONS, TRAVEL_MODES, DEFAULT_FILTERS } from '../../utils/constants';
 import '../../styles/tokens.css';
 import './App.css';
 
@@ -26,48 +49,193 @@ const App = () => {
     const [mapsLoaded, setMapsLoaded] = useState(false);
     const [mapsError, setMapsError] = useState(null);
     const [isMobileMapView, setIsMobileMapView] = useState(false);
-
-    const mapRef = useRef(null);
+    const [listView, setListView] = useState('results'); // 'results' | 'saved' | 'lists' | 'plan' | 'history'
+    const [activeCollectionId, setActiveCollectionId] = useState(null);
+    const [searchArea, setSearchArea] = useState(null); // Map area offered by "Search this area"
+    const [isLocationPickerOpen, setIsLocationPickerOpen] = useState(false);
+    const [isMoodEditorOpen, setIsMoodEditorOpen] = useState(false);
+    const [pickingFor, setPickingFor] = useState(null); // Dropping a pin on the map: 'anchor' | 'participant'
+    const [directionsPlace, setDirectionsPlace] = useState(null); // Place the in-app route goes to
+    const [directionsMode, setDirectionsMode] = useState(TRAVEL_MODES.WALKING);
+    const [isGroupMode, setIsGroupMode] = useState(false); // Searching around a group's meeting point
+    const [queuedGroupSearch, setQueuedGroupSearch] = useState(null); // { query, radius } waiting for the meeting point
+    const [mapInstance, setMapInstance] = useState(null); // Renderer map, once it has mounted
 
     // Geolocation hook
+    const {
+        location: gpsLocation,
+        address: gpsAddress,
+        error: gpsError,
+        loading: gpsLoading,
+        refresh: refreshLocation
+    } = useGeolocation({ enableWatch: Boolean(directionsPlace) }); // Follow the user along a route
+
+    // Where searches are made from: live GPS or a chosen anchor
     const {
         location: userLocation,
         address: userAddress,
-        error: locationError,
-        loading: locationLoading,
-        refresh: refreshLocation
-    } = useGeolocation();
+        anchor: locationAnchor,
+        isLive: isLiveLocation,
+        savedLocations,
+        chooseAnchor,
+        selectLiveLocation,
+        saveLocation,
+        removeLocation
+    } = useLocationAnchor({ gpsLocation, gpsAddress });
+
+    // GPS state only matters while searching from the live position
+    const locationError = isLiveLocation ? gpsError : null;
+    const locationLoading = isLiveLocation && gpsLoading;
+
+    // Group search participants
+    const {
+        participants,
+        method: meetingMethod,
+        isFull: isGroupFull,
+        addParticipant,
+        removeParticipant,
+        replaceParticipants,
+        setMethod: setMeetingMethod
+    } = useGroup();
+    const groupParticipants = useMemo(() => (isGroupMode ? participants : []), [isGroupMode, participants]);
 
     // Places hook
     const {
         places,
         filteredPlaces,
+        visiblePlaces,
         selectedPlace,
         placeDetails,
         loading: placesLoading,
+        refreshing: placesRefreshing,
+        loadingMore,
+        loadMoreError,
+        hasMore,
+        loadMore,
         error: placesError,
         currentMood,
+        currentMoodMapping,
+        searchLocation,
+        searchRadius,
         filters,
         sortBy,
         searchByMood,
         selectPlace,
         clearSelection,
+        loadPlaceDetails,
         updateFilters,
         resetFilters,
         updateSort,
         clearResults,
         totalResults,
-        displayedResults
+        displayedResults,
+        travelTimesLoading,
+        isochrone,
+        isochroneLoading
     } = usePlaces({
-        map: mapRef.current,
-        userLocation
+        map: mapInstance?.native,
+        userLocation,
+        participants: groupParticipants
+    });
+
+    // Where the group meets, in the travel mode of the results
+    const {
+        meetingPoint,
+        loading: meetingPointLoading
+    } = useMeetingPoint({
+        participants,
+        method: meetingMethod,
+        mode: filters.travelMode,
+        enabled: isGroupMode
     });
 
-    // Load Google Maps API on mount
+    // Saved places hook
+    const {
+        savedPlaces,
+        savedPlaceIds,
+        savedCount,
+        getSavedRecord,
+        toggleSaved,
+        updateNote
+    } = useSavedPlaces({ userLocation });
+
+    // Collections hook
+    const {
+        collections,
+        createList,
+        editList,
+        deleteList,
+        moveList,
+        togglePlace,
+        removePlace,
+        movePlace,
+        getListPlaces,
+        getListsForPlace,
+        importFile,
+        exportAll,
+        exportList
+    } = useCollections({ userLocation });
+
+    // Itinerary hook (the route is drawn while the plan is open)
+    const {
+        stops: itineraryStops,
+        stopIds: itineraryStopIds,
+        isFull: isItineraryFull,
+        mode: itineraryMode,
+        startAt: itineraryStartAt,
+        plan: itineraryPlan,
+        planning: itineraryPlanning,
+        route: itineraryRoute,
+        routeLoading: itineraryRouteLoading,
+        optimizing: itineraryOptimizing,
+        toggleStop: toggleItineraryStop,
+        removeStop: removeItineraryStop,
+        moveStop: moveItineraryStop,
+        setDwell: setItineraryDwell,
+        setMode: setItineraryMode,
+        setStartAt: setItineraryStartAt,
+        clearStops: clearItinerary,
+        optimize: optimizeItinerary,
+        exportIcs: exportItineraryIcs,
+        exportGpx: exportItineraryGpx
+    } = useItinerary({ origin: userLocation, showRoute: listView === 'plan' });
+
+    // Search history hook
+    const {
+        history,
+        recordSearch,
+        removeEntry,
+        clearHistory,
+        getRecentSearches
+    } = useSearchHistory();
+
+    const isSavedView = listView === 'saved';
+    const isListsView = listView === 'lists';
+    const isPlanView = listView === 'plan';
+    const isHistoryView = listView === 'history';
+    const isPickingLocation = Boolean(pickingFor);
+    const userLocationLabel = userAddress
+        ? userAddress.medium || userAddress.short || userAddress.formatted
+        : null;
+    const collectionPlaces = getListPlaces(activeCollectionId);
+    const itineraryPlaces = useMemo(() => itineraryStops.map(stop => stop.place), [itineraryStops]);
+    const isResultsMap = !isSavedView && !isListsView && !isPlanView;
+    // The map shows directions to a place first, then the plan's route while the plan is open
+    const isItineraryRoute = isPlanView && !directionsPlace;
+
+    // Places shown on the map for the current list view
+    const getMapPlaces = () => {
+        if (isSavedView) return savedPlaces;
+        if (isListsView) return collectionPlaces;
+        if (isPlanView) return itineraryPlaces;
+        return visiblePlaces;
+    };
+
+    // Load the places provider on mount (Google Maps API for the google provider)
     useEffect(() => {
         const initMaps = async () => {
             try {
-                await loadGoogleMapsApi();
+                await loadPlacesProvider();
                 setMapsLoaded(true);
             } catch (err) {
                 setMapsError(err);
@@ -76,42 +244,307 @@ const App = () => {
         initMaps();
     }, []);
 
-    // Handle search
+    // Restore search, filters, sort and selection from a shared link or history entry
+    const handleRestoreUrlState = useCallback(async (urlState) => {
+        const { query, location, radius, placeId, details } = urlState;
+        const center = location || userLocation;
+
+        updateFilters(urlState.filters);
+        updateSort(urlState.sortBy);
+        setSearchQuery(query);
+
+        // Group searches list everyone's location; the search itself is at the meeting point
+        setIsGroupMode(urlState.participants.length > 0);
+        if (urlState.participants.length > 0) {
+            replaceParticipants(urlState.participants);
+            setMeetingMethod(urlState.meetingMethod);
+        }
+
+        // Re-run the search only if it differs from the one on screen
+        let results = places;
+        let searched = false;
+        if (!query) {
+            if (currentMood) clearResults();
+            results = [];
+        } else if (
+            center &&
+            buildUrlSearch({ query, location: center, radius }) !==
+                buildUrlSearch({ query: currentMood, location: searchLocation, radius: searchRadius })
+        ) {
+            setListView('results');
+            setSearchArea(null);
+            results = (await searchByMood(query, center, radius)) || [];
+            searched = true;
+        }
+
+        if (!placeId) {
+            clearSelection();
+            setShowDetails(false);
+            return;
+        }
+
+        // Shared places may not be in the results (filtered out or further away)
+        let place = results.find(p => p.place_id === placeId);
+        if (!place) {
+            const placeDetails = await loadPlaceDetails(placeId);
+            if (!placeDetails) {
+                setShowDetails(false);
+                return;
+            }
+            place = normalizePlace(placeDetails);
+        }
+
+        if (searched || selectedPlace?.place_id !== placeId) {
+            selectPlace(place);
+        }
+        setShowDetails(details);
+    }, [
+        userLocation, places, currentMood, searchLocation, searchRadius, selectedPlace,
+        updateFilters, updateSort, replaceParticipants, setMeetingMethod,
+        clearResults, searchByMood, clearSelection, loadPlaceDetails, selectPlace
+    ]);
+
+    // Keep shareable state in the URL
+    useUrlState({
+        state: {
+            query: currentMood || '',
+            location: searchLocation,
+            radius: searchRadius,
+            filters,
+            sortBy,
+            participants: groupParticipants.map(participant => participant.location),
+            meetingMethod,
+            placeId: selectedPlace?.place_id || null,
+            details: showDetails
+        },
+        ready: mapsLoaded && !locationLoading,
+        onRestore: handleRestoreUrlState
+    });
+
+    // Run a search and record it in the history
+    const runSearch = useCallback(async (query, location, locationLabel, radius) => {
+        setListView('results');
+        setSearchArea(null);
+        const results = await searchByMood(query, location, radius);
+        if (results) {
+            recordSearch({ query, location, locationLabel, resultCount: results.length });
+        }
+    }, [searchByMood, recordSearch]);
+
+    // Apply the filters and sort a compound search asks for ("cheap sushi open late within 1km")
+    const applyQuery = useCallback((query) => {
+        const intent = parseQuery(query);
+        if (Object.keys(intent.filters).length > 0) {
+            updateFilters(intent.filters);
+        }
+        if (intent.sortBy) {
+            updateSort(intent.sortBy);
+        }
+        return intent;
+    }, [updateFilters, updateSort]);
+
+    // Handle search (around the meeting point in a group search)
     const handleSearch = useCallback((query) => {
-        if (query.trim() && userLocation) {
-            searchByMood(query, userLocation);
+        if (!query.trim()) return;
+
+        const { radius } = applyQuery(query);
+        if (isGroupMode) {
+            // Without a meeting point yet, the search runs once it is found
+            if (meetingPoint) {
+                setQueuedGroupSearch(null);
+                runSearch(query, meetingPoint.location, 'Group meeting point', radius || undefined);
+            } else {
+                setQueuedGroupSearch({ query, radius });
+            }
+        } else if (userLocation) {
+            runSearch(query, userLocation, userLocationLabel, radius || undefined);
+        }
+    }, [applyQuery, runSearch, isGroupMode, meetingPoint, userLocation, userLocationLabel]);
+
+    // Latest group search, read when the meeting point moves (the search it starts updates the rest)
+    const groupSearchRef = useRef(null);
+    groupSearchRef.current = { isGroupMode, queuedGroupSearch, currentMood, searchLocation, searchByMood, runSearch };
+
+    // Follow the meeting point as people join, leave or change how they travel,
+    // running a search made before there was one
+    useEffect(() => {
+        const latest = groupSearchRef.current;
+        if (!latest.isGroupMode || !meetingPoint) return;
+
+        if (latest.queuedGroupSearch) {
+            const { query, radius } = latest.queuedGroupSearch;
+            setQueuedGroupSearch(null);
+            latest.runSearch(query, meetingPoint.location, 'Group meeting point', radius || undefined);
+            return;
+        }
+
+        if (!latest.currentMood) return;
+        if (latest.searchLocation &&
+            calculateDistance(latest.searchLocation, meetingPoint.location) <= SEARCH_AREA.SAME_LOCATION) return;
+
+        latest.searchByMood(latest.currentMood, meetingPoint.location);
+    }, [meetingPoint]);
+
+    // Start a group search, ranked by fairness
+    const handleStartGroup = useCallback(() => {
+        setIsGroupMode(true);
+        updateSort(SORT_OPTIONS.FAIREST);
+    }, [updateSort]);
+
+    // Back to searching from the user's location, moving the current search there
+    const handleEndGroup = useCallback(() => {
+        setIsGroupMode(false);
+        setQueuedGroupSearch(null);
+        if (sortBy === SORT_OPTIONS.FAIREST) {
+            updateSort(SORT_OPTIONS.BEST_MATCH);
+        }
+        if (currentMood && userLocation) {
+            searchByMood(currentMood, userLocation, searchRadius);
+        }
+    }, [sortBy, updateSort, currentMood, userLocation, searchRadius, searchByMood]);
+
+    // Re-run a past search at its original location or the current one
+    const handleRerunSearch = useCallback((entry, atOriginalLocation) => {
+        setSearchQuery(entry.query);
+        const { radius } = applyQuery(entry.query);
+        if (atOriginalLocation) {
+            runSearch(entry.query, entry.location, entry.locationLabel, radius || undefined);
+        } else if (userLocation) {
+            runSearch(entry.query, userLocation, userLocationLabel, radius || undefined);
         }
-    }, [searchByMood, userLocation]);
+    }, [applyQuery, runSearch, userLocation, userLocationLabel]);
+
+    // Offer "Search this area" once the user has moved the map away from the searched area
+    const handleViewportChange = useCallback(({ bounds }) => {
+        if (!searchLocation) return;
+
+        const area = getSearchAreaForBounds(bounds);
+        const moved = calculateDistance(area.center, searchLocation);
+        const resized = Math.abs(area.radius - searchRadius);
+        const threshold = searchRadius * SEARCH_AREA.MIN_CHANGE;
+
+        setSearchArea(moved > threshold || resized > threshold ? area : null);
+    }, [searchLocation, searchRadius]);
+
+    // Re-run the current search in the visible map area
+    const handleSearchArea = useCallback(() => {
+        if (currentMood && searchArea) {
+            runSearch(currentMood, searchArea.center, null, searchArea.radius);
+        }
+    }, [currentMood, searchArea, runSearch]);
+
+    // In-app directions from the user to a place
+    const directionsDestination = useMemo(
+        () => (directionsPlace ? getPlaceLatLng(directionsPlace) : null),
+        [directionsPlace]
+    );
+    const {
+        route,
+        loading: routeLoading,
+        error: routeError
+    } = useDirections({
+        origin: userLocation,
+        destination: directionsDestination,
+        mode: directionsMode
+    });
+
+    const handleStartDirections = useCallback((place) => {
+        if (place.place_id !== directionsPlace?.place_id) {
+            setDirectionsMode(filters.travelMode);
+        }
+        setDirectionsPlace(place);
+    }, [directionsPlace, filters.travelMode]);
+
+    const handleEndDirections = useCallback(() => {
+        setDirectionsPlace(null);
+    }, []);
+
+    // Close the details sheet to follow the route on the map
+    const handleShowRoute = useCallback(() => {
+        setShowDetails(false);
+        setIsMobileMapView(true);
+    }, []);
+
+    // Reopen the details sheet of the place the route goes to
+    const handleShowRouteSteps = useCallback(() => {
+        if (!directionsPlace) return;
+        if (selectedPlace?.place_id !== directionsPlace.place_id) {
+            selectPlace(directionsPlace);
+        }
+        setShowDetails(true);
+    }, [directionsPlace, selectedPlace, selectPlace]);
+
+    // Follow the plan's route on the map
+    const handleShowItineraryRoute = useCallback(() => {
+        setIsMobileMapView(true);
+    }, []);
+
+    // Back to the plan's stops from the map
+    const handleShowItineraryStops = useCallback(() => {
+        setListView('plan');
+        setIsMobileMapView(false);
+    }, []);
+
+    // Drop a pin on the map to choose the search location
+    const handleStartPin = useCallback(() => {
+        setPickingFor('anchor');
+        setIsMobileMapView(true);
+    }, []);
+
+    // Or to add someone to a group search
+    const handleStartParticipantPin = useCallback(() => {
+        setPickingFor('participant');
+        setIsMobileMapView(true);
+    }, []);
+
+    const handlePickLocation = useCallback(async (location) => {
+        setPickingFor(null);
+        const address = await describeLocation(location);
+        if (pickingFor === 'participant') {
+            addParticipant({ name: address?.medium || '', location, address });
+        } else {
+            chooseAnchor({ location, address });
+        }
+    }, [pickingFor, addParticipant, chooseAnchor]);
 
     // Handle clear search
     const handleClearSearch = useCallback(() => {
         setSearchQuery('');
+        setQueuedGroupSearch(null);
         clearResults();
     }, [clearResults]);
 
+    // How the current search was understood, as chips in the search bar
+    // (shown for compound searches, while the filters and sort they set are unchanged)
+    const queryIntent = useMemo(() => (currentMood ? parseQuery(currentMood) : null), [currentMood]);
+    const searchChips = useMemo(() => {
+        if (!queryIntent || queryIntent.chips.every(chip => chip.kind === 'mood')) return [];
+        return queryIntent.chips.filter(chip => isChipActive(chip, filters, sortBy));
+    }, [queryIntent, filters, sortBy]);
+
+    // Drop part of a compound search: undo what it set and search again without it
+    const handleRemoveSearchChip = useCallback((chip) => {
+        if (chip.filters) {
+            updateFilters(Object.fromEntries(Object.keys(chip.filters).map(key => [key, DEFAULT_FILTERS[key]])));
+        }
+        if (chip.sortBy) {
+            updateSort(isGroupMode ? SORT_OPTIONS.FAIREST : SORT_OPTIONS.BEST_MATCH);
+        }
+
+        const query = removeQueryChip(queryIntent, chip.id);
+        setSearchQuery(query);
+        if (query) {
+            handleSearch(query);
+        } else {
+            handleClearSearch();
+        }
+    }, [queryIntent, isGroupMode, updateFilters, updateSort, handleSearch, handleClearSearch]);
+
     // Handle direct place selection from autocomplete
     const handlePlaceSelectFromSearch = useCallback((placeDetails) => {
         if (placeDetails) {
             // Normalize the place object to match Google Places API format
-            const normalizedPlace = {
-                ...placeDetails,
-                place_id: placeDetails.placeId || placeDetails.place_id,
-                name: placeDetails.name,
-                formatted_address: placeDetails.address || placeDetails.formatted_address,
-                geometry: placeDetails.geometry || {
-                    location: {
-                        lat: () => placeDetails.location?.lat || 0,
-                        lng: () => placeDetails.location?.lng || 0
-                    }
-                },
-                rating: placeDetails.rating,
-                user_ratings_total: placeDetails.userRatingsTotal || placeDetails.user_ratings_total,
-                price_level: placeDetails.priceLevel || placeDetails.price_level,
-                types: placeDetails.types || [],
-                opening_hours: placeDetails.openingHours || placeDetails.opening_hours,
-                photos: placeDetails.photos || [],
-                distance: placeDetails.distance
-            };
+            const normalizedPlace = normalizePlace(placeDetails);
 
             // Select the place to show on map
             selectPlace(normalizedPlace);
@@ -146,7 +579,7 @@ const App = () => {
 
     // Handle map ready
     const handleMapReady = useCallback((map) => {
-        mapRef.current = map;
+        setMapInstance(map);
     }, []);
 
     // Toggle mobile view
@@ -183,6 +616,7 @@ const App = () => {
                             <li>Enable Maps JavaScript API and Places API in Google Cloud Console</li>
                             <li>Restart the development server</li>
                         </ol>
+                        <p>To try the app without a key, set <code>VITE_PLACES_PROVIDER=local</code> to search offline fixture data.</p>
                     </div>
                 </div>
             </div>
@@ -196,7 +630,32 @@ const App = () => {
                 location={userLocation}
                 address={userAddress}
                 locationError={locationError}
+                anchor={locationAnchor}
                 onRefreshLocation={refreshLocation}
+                onOpenLocationPicker={() => setIsLocationPickerOpen(true)}
+            />
+
+            {/* Search location picker */}
+            <LocationPicker
+                isOpen={isLocationPickerOpen}
+                onClose={() => setIsLocationPickerOpen(false)}
+                gpsLocation={gpsLocation}
+                gpsAddress={gpsAddress}
+                gpsError={gpsError}
+                anchor={locationAnchor}
+                savedLocations={savedLocations}
+                onSelectLive={selectLiveLocation}
+                onChooseAnchor={chooseAnchor}
+                onStartPin={handleStartPin}
+                onSaveLocation={saveLocation}
+                onRemoveLocation={removeLocation}
+                onRetryGps={refreshLocation}
+            />
+
+            {/* Custom moods */}
+            <MoodEditor
+                isOpen={isMoodEditorOpen}
+                onClose={() => setIsMoodEditorOpen(false)}
             />
 
             {/* Search Bar */}
@@ -207,6 +666,11 @@ const App = () => {
                 onClear={handleClearSearch}
                 onPlaceSelect={handlePlaceSelectFromSearch}
                 userLocation={userLocation}
+                recentSearches={getRecentSearches(searchQuery)}
+                onRecentRemove={removeEntry}
+                chips={searchChips}
+                onRemoveChip={handleRemoveSearchChip}
+                onEditMoods={() => setIsMoodEditorOpen(true)}
                 loading={placesLoading}
             />
 
@@ -234,8 +698,86 @@ const App = () => {
                 <section
                     className={`panel list-panel ${isMobileMapView ? 'hidden-mobile' : ''}`}
                 >
+                    {/* Results / Saved / Lists / History tabs */}
+                    <div className="list-tabs" role="tablist">
+                        <button
+                            className={`list-tab ${listView === 'results' ? 'active' : ''}`}
+                            onClick={() => setListView('results')}
+                            role="tab"
+                            aria-selected={listView === 'results'}
+                        >
+                            <span>🔍</span>
+                            Results
+                        </button>
+                        <button
+                            className={`list-tab ${isSavedView ? 'active' : ''}`}
+                            onClick={() => setListView('saved')}
+                            role="tab"
+                            aria-selected={isSavedView}
+                        >
+                            <span>♥</span>
+                            Saved
+                            {savedCount > 0 && <span className="list-tab-count">{savedCount}</span>}
+                        </button>
+                        <button
+                            className={`list-tab ${isListsView ? 'active' : ''}`}
+                            onClick={() => setListView('lists')}
+                            role="tab"
+                            aria-selected={isListsView}
+                        >
+                            <span>🗂️</span>
+                            Lists
+                            {collections.length > 0 && <span className="list-tab-count">{collections.length}</span>}
+                        </button>
+                        <button
+                            className={`list-tab ${isPlanView ? 'active' : ''}`}
+                            onClick={() => setListView('plan')}
+                            role="tab"
+                            aria-selected={isPlanView}
+                        >
+                            <span>🗓️</span>
+                            Plan
+                            {itineraryStops.length > 0 && <span className="list-tab-count">{itineraryStops.length}</span>}
+                        </button>
+                        <button
+                            className={`list-tab ${isHistoryView ? 'active' : ''}`}
+                            onClick={() => setListView('history')}
+                            role="tab"
+                            aria-selected={isHistoryView}
+                        >
+                            <span>🕘</span>
+                            History
+                        </button>
+                    </div>
+
+                    {/* Group search participants */}
+                    {listView === 'results' && (isGroupMode ? (
+                        <GroupPanel
+                            participants={participants}
+                            isFull={isGroupFull}
+                            method={meetingMethod}
+                            mode={filters.travelMode}
+                            meetingPoint={meetingPoint}
+                            meetingPointLoading={meetingPointLoading}
+                            queuedQuery={queuedGroupSearch?.query || null}
+                            currentLocation={gpsLocation ? { location: gpsLocation, address: gpsAddress } : null}
+                            savedLocations={savedLocations}
+                            onAddParticipant={addParticipant}
+                            onRemoveParticipant={removeParticipant}
+                            onStartPin={handleStartParticipantPin}
+                            onMethodChange={setMeetingMethod}
+                            onModeChange={(travelMode) => updateFilters({ travelMode })}
+                            onClose={handleEndGroup}
+                        />
+                    ) : (
+                        <button className="group-start-btn" onClick={handleStartGroup}>
+                            <span>👥</span>
+                            Meet in the middle
+                        </button>
+                    ))}
+
                     {/* Filters (only show when we have results) */}
-                    {(filteredPlaces.length > 0 || totalResults > 0) && (
+                    {listView === 'results' && (filteredPlaces.length > 0 || totalResults > 0) && (
                         <Filters
                             filters={filters}
                             sortBy={sortBy}
@@ -244,23 +786,108 @@ const App = () => {
                             onReset={resetFilters}
                             resultsCount={displayedResults}
                             totalCount={totalResults}
+                            travelTimesLoading={travelTimesLoading}
+                            isochroneLoading={isochroneLoading}
+                            isGroupSearch={isGroupMode}
                         />
                     )}
 
                     {/* Places List */}
-                    <PlacesList
-                        places={filteredPlaces}
-                        selectedPlace={selectedPlace}
-                        loading={placesLoading}
-                        error={placesError}
-                        onPlaceClick={handlePlaceClick}
-                        onViewDetails={handleViewDetails}
-                        emptyMessage={
-                            currentMood
-                                ? `No places found for "${currentMood}". Try adjusting your filters or search for something else.`
-                                : "Enter a mood or intent above to discover nearby places!"
-                        }
-                    />
+                    {isListsView && (
+                        <Collections
+                            collections={collections}
+                            activeCollectionId={activeCollectionId}
+                            activePlaces={collectionPlaces}
+                            selectedPlace={selectedPlace}
+                            savedPlaceIds={savedPlaceIds}
+                            onOpen={setActiveCollectionId}
+                            onCreate={createList}
+                            onEdit={editList}
+                            onDelete={deleteList}
+                            onMoveList={moveList}
+                            onMovePlace={movePlace}
+                            onRemovePlace={removePlace}
+                            onImport={importFile}
+                            onExportAll={exportAll}
+                            onExport={exportList}
+                            onPlaceClick={handlePlaceClick}
+                            onViewDetails={handleViewDetails}
+                            onToggleSave={toggleSaved}
+                        />
+                    )}
+                    {isPlanView && (
+                        <Itinerary
+                            stops={itineraryStops}
+                            plan={itineraryPlan}
+                            planning={itineraryPlanning}
+                            optimizing={itineraryOptimizing}
+                            mode={itineraryMode}
+                            startAt={itineraryStartAt}
+                            hasOrigin={Boolean(userLocation)}
+                            selectedPlace={selectedPlace}
+                            onModeChange={setItineraryMode}
+                            onStartAtChange={setItineraryStartAt}
+                            onDwellChange={setItineraryDwell}
+                            onMoveStop={moveItineraryStop}
+                            onRemoveStop={removeItineraryStop}
+                            onOptimize={optimizeItinerary}
+                            onClear={clearItinerary}
+                            onExportIcs={exportItineraryIcs}
+                            onExportGpx={exportItineraryGpx}
+                            onShowRoute={handleShowItineraryRoute}
+                            onPlaceClick={handlePlaceClick}
+                            onViewDetails={handleViewDetails}
+                        />
+                    )}
+                    {isHistoryView && (
+                        <SearchHistory
+                            history={history}
+                            currentLocationLabel={userLocationLabel}
+                            onRerun={handleRerunSearch}
+                            onRemove={removeEntry}
+                            onClear={clearHistory}
+                        />
+                    )}
+                    {isSavedView && (
+                        <PlacesList
+                            places={savedPlaces}
+                            selectedPlace={selectedPlace}
+                            savedPlaceIds={savedPlaceIds}
+                            onPlaceClick={handlePlaceClick}
+                            onViewDetails={handleViewDetails}
+                            onToggleSave={toggleSaved}
+                            emptyIcon="♡"
+                            emptyMessage="No saved places yet. Tap the heart on a place to keep it here."
+                            showSuggestions={false}
+                            headerText={`${savedCount} saved place${savedCount !== 1 ? 's' : ''}`}
+                        />
+                    )}
+                    {listView === 'results' && (
+                        <PlacesList
+                            places={visiblePlaces}
+                            totalCount={filteredPlaces.length}
+                            selectedPlace={selectedPlace}
+                            savedPlaceIds={savedPlaceIds}
+                            moodMapping={currentMoodMapping}
+                            loading={placesLoading}
+                            refreshing={placesRefreshing}
+                            error={placesError}
+                            hasMore={hasMore}
+                            loadingMore={loadingMore}
+                            loadMoreError={loadMoreError}
+                            onLoadMore={loadMore}
+                            onPlaceClick={handlePlaceClick}
+                            onViewDetails={handleViewDetails}
+                            onToggleSave={toggleSaved}
+                            emptyMessage={
+                                currentMood
+                                    ? `No places found for "${currentMood}". Try adjusting your filters or search for something else.`
+                                    : isGroupMode
+                                        ? "Add everyone's location, then enter a mood to find places that are fair for the whole group."
+                                        : "Enter a mood or intent above to discover nearby places!"
+                            }
+                        />
+                    )}
                 </section>
 
                 {/* Right Panel - Map */}
@@ -269,10 +896,30 @@ const App = () => {
                 >
                     <Map
                         userLocation={userLocation}
-                        places={filteredPlaces}
+                        places={getMapPlaces()}
+                        heatmapPlaces={isResultsMap ? filteredPlaces : undefined}
                         selectedPlace={selectedPlace}
+                        savedPlaceIds={savedPlaceIds}
+                        searchCenter={isResultsMap ? searchLocation : null}
+                        searchArea={isResultsMap ? isochrone?.polygon || null : null}
+                        participants={isResultsMap ? groupParticipants : []}
+                        meetingPoint={isResultsMap ? meetingPoint?.location || null : null}
                         onPlaceSelect={handlePlaceClick}
                         onMapReady={handleMapReady}
+                        onViewportChange={handleViewportChange}
+                        onSearchArea={currentMood && searchArea && isResultsMap ? handleSearchArea : null}
+                        userLocationLabel={locationAnchor ? 'Search location' : 'Your location'}
+                        isPickingLocation={isPickingLocation}
+                        pickPrompt={pickingFor === 'participant' ? 'Click the map to add someone there' : undefined}
+                        onPickLocation={handlePickLocation}
+                        onCancelPick={() => setPickingFor(null)}
+                        route={isItineraryRoute ? itineraryRoute : directionsPlace ? route : null}
+                        routeTitle={isItineraryRoute
+                            ? `${itineraryStops.length} stop${itineraryStops.length !== 1 ? 's' : ''}`
+                            : directionsPlace?.name}
+                        routeLoading={isItineraryRoute ? itineraryRouteLoading : Boolean(directionsPlace) && routeLoading}
+                        onShowRouteSteps={isItineraryRoute ? handleShowItineraryStops : handleShowRouteSteps}
+                        onEndRoute={isItineraryRoute ? null : handleEndDirections}
                     />
                 </section>
             </main>
@@ -282,11 +929,32 @@ const App = () => {
                 <PlaceDetails
                     place={selectedPlace}
                     details={placeDetails}
+                    moodMapping={currentMoodMapping}
                     onClose={handleCloseDetails}
                     isOpen={showDetails}
+                    savedRecord={getSavedRecord(selectedPlace.place_id)}
+                    onToggleSave={toggleSaved}
+                    onNoteChange={updateNote}
+                    collections={collections}
+                    listIds={getListsForPlace(selectedPlace.place_id)}
+                    onToggleList={togglePlace}
+                    travelOrigin={userLocation || searchLocation}
+                    directions={directionsPlace?.place_id === selectedPlace.place_id
+                        ? { mode: directionsMode, route, loading: routeLoading, error: routeError }
+                        : null}
+                    onStartDirections={userLocation ? handleStartDirections : undefined}
+                    onDirectionsModeChange={setDirectionsMode}
+                    onShowRoute={handleShowRoute}
+                    onEndDirections={handleEndDirections}
+                    inItinerary={itineraryStopIds.has(selectedPlace.place_id)}
+                    isItineraryFull={isItineraryFull}
+                    onToggleItinerary={toggleItineraryStop}
                 />
             )}
 
+            {/* Search cache stats (VITE_CACHE_DEBUG=true) */}
+            {isCacheDebugEnabled() && <CacheDebugPanel />}
+
             {/* Location Loading Overlay */}
             {locationLoading && (
                 <div className="location-overlay">
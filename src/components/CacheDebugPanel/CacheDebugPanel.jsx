@@ -0,0 +1,94 @@
+/**
+ * CacheDebugPanel Component
+ * Floating panel with search cache hits/misses, shown when VITE_CACHE_DEBUG=true
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+    getCacheStats,
+    subscribeCacheStats,
+    resetCacheStats,
+    clearSearchCache
+} from '../../services/searchCache';
+import './CacheDebugPanel.css';
+
+/**
+ * Format a hit rate
+ * @param {Object} counts - { hits, stale, misses }
+ * @returns {string} - Percentage of requests served from the cache
+ */
+const formatHitRate = ({ hits, stale, misses }) => {
+    const total = hits + stale + misses;
+    if (total === 0) return '–';
+    return `${Math.round(((hits + stale) / total) * 100)}%`;
+};
+
+const CacheDebugPanel = () => {
+    const [stats, setStats] = useState(getCacheStats);
+    const [isExpanded, setIsExpanded] = useState(false);
+
+    useEffect(() => subscribeCacheStats(setStats), []);
+
+    const totals = Object.values(stats.kinds).reduce((sum, counts) => ({
+        hits: sum.hits + counts.hits,
+        stale: sum.stale + counts.stale,
+        misses: sum.misses + counts.misses
+    }), { hits: 0, stale: 0, misses: 0 });
+
+    return (
+        <div className={`cache-debug-panel ${isExpanded ? 'expanded' : ''}`}>
+            <button
+                className="cache-debug-toggle"
+                onClick={() => setIsExpanded(prev => !prev)}
+                aria-expanded={isExpanded}
+            >
+                🗄️ Cache {formatHitRate(totals)}
+            </button>
+
+            {isExpanded && (
+                <div className="cache-debug-body">
+                    <table className="cache-debug-table">
+                        <thead>
+                            <tr>
+                                <th>Kind</th>
+                                <th>Hit</th>
+                                <th>Stale</th>
+                                <th>Miss</th>
+                                <th>Rate</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {Object.entries(stats.kinds).map(([kind, counts]) => (
+                                <tr key={kind}>
+                                    <td>{kind}</td>
+                                    <td>{counts.hits}</td>
+                                    <td>{counts.stale}</td>
+                                    <td>{counts.misses}</td>
+                                    <td>{formatHitRate(counts)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    <dl className="cache-debug-summary">
+                        <dt>Entries</dt>
+                        <dd>{stats.entries} / {stats.maxEntries}</dd>
+                        <dt>Refreshes</dt>
+                        <dd>{stats.revalidations}</dd>
+                        <dt>Evictions</dt>
+                        <dd>{stats.evictions}</dd>
+                        <dt>Errors</dt>
+                        <dd>{stats.errors}</dd>
+                    </dl>
+
+                    <div className="cache-debug-actions">
+                        <button onClick={resetCacheStats}>Reset stats</button>
+                        <button onClick={clearSearchCache}>Clear cache</button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CacheDebugPanel;
@@ -0,0 +1,317 @@
+/**
+ * Collections Component
+ * Named lists of places - create, edit, reorder, import and export
+ */
+
+import React, { useState, useRef } from 'react';
+import PlaceCard from '../PlaceCard/PlaceCard';
+import { DEFAULT_EMOJI } from '../../services/collections';
+import './Collections.css';
+
+/**
+ * Title / description / emoji form used to create and edit collections
+ */
+const CollectionForm = ({ initial = {}, submitLabel, onSubmit, onCancel }) => {
+    const [emoji, setEmoji] = useState(initial.emoji || DEFAULT_EMOJI);
+    const [title, setTitle] = useState(initial.title || '');
+    const [description, setDescription] = useState(initial.description || '');
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!title.trim()) return;
+        onSubmit({ emoji: emoji.trim(), title, description });
+    };
+
+    return (
+        <form className="collection-form" onSubmit={handleSubmit}>
+            <div className="collection-form-row">
+                <input
+                    className="collection-emoji-input"
+                    value={emoji}
+                    onChange={(e) => setEmoji(e.target.value)}
+                    aria-label="Emoji"
+                    maxLength={4}
+                />
+                <input
+                    className="collection-title-input"
+                    value={title}
+                    onChange={(e) => setTitle(e.target.value)}
+                    placeholder="List name, e.g. Client lunch spots"
+                    aria-label="List name"
+                    autoFocus
+                    required
+                />
+            </div>
+            <textarea
+                className="collection-description-input"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                placeholder="Description (optional)"
+                aria-label="Description"
+                rows={2}
+            />
+            <div className="collection-form-actions">
+                <button type="button" className="collection-btn" onClick={onCancel}>
+                    Cancel
+                </button>
+                <button type="submit" className="collection-btn primary" disabled={!title.trim()}>
+                    {submitLabel}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+/**
+ * Up / down buttons for reordering
+ */
+const MoveButtons = ({ index, count, label, onMove }) => (
+    <div className="move-buttons">
+        <button
+            className="move-btn"
+            onClick={(e) => {
+                e.stopPropagation();
+                onMove(index, index - 1);
+            }}
+            disabled={index === 0}
+            aria-label={`Move ${label} up`}
+        >
+            ▲
+        </button>
+        <button
+            className="move-btn"
+            onClick={(e) => {
+                e.stopPropagation();
+                onMove(index, index + 1);
+            }}
+            disabled={index === count - 1}
+            aria-label={`Move ${label} down`}
+        >
+            ▼
+        </button>
+    </div>
+);
+
+const Collections = ({
+    collections = [],
+    activeCollectionId = null,
+    activePlaces = [],
+    selectedPlace,
+    savedPlaceIds = null,
+    onOpen,
+    onCreate,
+    onEdit,
+    onDelete,
+    onMoveList,
+    onMovePlace,
+    onRemovePlace,
+    onImport,
+    onExportAll,
+    onExport,
+    onPlaceClick,
+    onViewDetails,
+    onToggleSave
+}) => {
+    const [isCreating, setIsCreating] = useState(false);
+    const [isEditing, setIsEditing] = useState(false);
+    const [importStatus, setImportStatus] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const activeCollection = collections.find(c => c.id === activeCollectionId);
+
+    const handleImportChange = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const count = await onImport(file);
+            setImportStatus({ type: 'success', message: `Imported ${count} list${count !== 1 ? 's' : ''} from ${file.name}` });
+        } catch (err) {
+            setImportStatus({ type: 'error', message: err.message || 'Import failed' });
+        }
+    };
+
+    // Single collection view
+    if (activeCollection) {
+        const handleDelete = () => {
+            if (window.confirm(`Delete "${activeCollection.title}"? This can't be undone.`)) {
+                onDelete(activeCollection.id);
+                onOpen(null);
+            }
+        };
+
+        return (
+            <div className="collections">
+                <div className="collection-header">
+                    <button className="collection-back-btn" onClick={() => onOpen(null)}>
+                        ← All lists
+                    </button>
+
+                    {isEditing ? (
+                        <CollectionForm
+                            initial={activeCollection}
+                            submitLabel="Save"
+                            onSubmit={(fields) => {
+                                onEdit(activeCollection.id, fields);
+                                setIsEditing(false);
+                            }}
+                            onCancel={() => setIsEditing(false)}
+                        />
+                    ) : (
+                        <div className="collection-summary">
+                            <span className="collection-emoji large">{activeCollection.emoji}</span>
+                            <div className="collection-text">
+                                <h2 className="collection-title">{activeCollection.title}</h2>
+                                {activeCollection.description && (
+                                    <p className="collection-description">{activeCollection.description}</p>
+                                )}
+                            </div>
+                        </div>
+                    )}
+
+                    {!isEditing && (
+                        <div className="collection-toolbar">
+                            <button className="collection-btn" onClick={() => setIsEditing(true)}>
+                                ✏️ Edit
+                            </button>
+                            <button className="collection-btn" onClick={() => onExport(activeCollection.id, 'json')}>
+                                ⬇️ JSON
+                            </button>
+                            <button className="collection-btn" onClick={() => onExport(activeCollection.id, 'geojson')}>
+                                ⬇️ GeoJSON
+                            </button>
+                            <button className="collection-btn danger" onClick={handleDelete}>
+                                🗑️ Delete
+                            </button>
+                        </div>
+                    )}
+                </div>
+
+                {activePlaces.length === 0 ? (
+                    <div className="collections-empty">
+                        <span className="state-icon">📭</span>
+                        <p className="state-message">
+                            This list is empty. Open a place's details and add it to "{activeCollection.title}".
+                        </p>
+                    </div>
+                ) : (
+                    <div className="collection-places">
+                        {activePlaces.map((place, index) => (
+                            <div key={place.place_id} className="collection-place">
+                                <div className="collection-place-controls">
+                                    <MoveButtons
+                                        index={index}
+                                        count={activePlaces.length}
+                                        label={place.name}
+                                        onMove={(from, to) => onMovePlace(activeCollection.id, from, to)}
+                                    />
+                                    <button
+                                        className="move-btn remove"
+                                        onClick={() => onRemovePlace(activeCollection.id, place.place_id)}
+                                        aria-label={`Remove ${place.name} from this list`}
+                                    >
+                                        ✕
+                                    </button>
+                                </div>
+                                <PlaceCard
+                                    place={place}
+                                    index={index}
+                                    isSelected={selectedPlace?.place_id === place.place_id}
+                                    isSaved={savedPlaceIds?.has(place.place_id) || false}
+                                    onClick={onPlaceClick}
+                                    onViewDetails={onViewDetails}
+                                    onToggleSave={onToggleSave}
+                                />
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        );
+    }
+
+    // All collections view
+    return (
+        <div className="collections">
+            <div className="collections-toolbar">
+                <button className="collection-btn primary" onClick={() => setIsCreating(true)}>
+                    ＋ New list
+                </button>
+                <button className="collection-btn" onClick={() => fileInputRef.current?.click()}>
+                    ⬆️ Import
+                </button>
+                {collections.length > 0 && (
+                    <button className="collection-btn" onClick={onExportAll}>
+                        ⬇️ Export all
+                    </button>
+                )}
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".json,.geojson,application/json,application/geo+json"
+                    onChange={handleImportChange}
+                    hidden
+                />
+            </div>
+
+            {importStatus && (
+                <p className={`import-status ${importStatus.type}`} role="status">
+                    {importStatus.message}
+                </p>
+            )}
+
+            {isCreating && (
+                <CollectionForm
+                    submitLabel="Create list"
+                    onSubmit={(fields) => {
+                        const record = onCreate(fields);
+                        setIsCreating(false);
+                        onOpen(record.id);
+                    }}
+                    onCancel={() => setIsCreating(false)}
+                />
+            )}
+
+            {collections.length === 0 && !isCreating ? (
+                <div className="collections-empty">
+                    <span className="state-icon">🗂️</span>
+                    <p className="state-message">
+                        Group places into lists like "Client lunch spots" or "Rainy day with kids", then share them as JSON or GeoJSON.
+                    </p>
+                </div>
+            ) : (
+                <ul className="collections-list">
+                    {collections.map((collection, index) => (
+                        <li key={collection.id}>
+                            <div
+                                className="collection-row"
+                                onClick={() => onOpen(collection.id)}
+                                role="button"
+                                tabIndex={0}
+                                onKeyPress={(e) => e.key === 'Enter' && onOpen(collection.id)}
+                            >
+                                <span className="collection-emoji">{collection.emoji}</span>
+                                <div className="collection-text">
+                                    <span className="collection-title">{collection.title}</span>
+                                    <span className="collection-meta">
+                                        {collection.places.length} place{collection.places.length !== 1 ? 's' : ''}
+                                        {collection.description && ` · ${collection.description}`}
+                                    </span>
+                                </div>
+                                <MoveButtons
+                                    index={index}
+                                    count={collections.length}
+                                    label={collection.title}
+                                    onMove={onMoveList}
+                                />
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default Collections;
@@ -4,9 +4,24 @@
  */
 
 import React, { useState } from 'react';
-import { SORT_OPTIONS, PRICE_LEVELS, SEARCH_RADIUS } from '../../utils/constants';
+import { SORT_OPTIONS, PRICE_LEVELS, SEARCH_RADIUS, TRAVEL_MODES, TRAVEL, RANKING } from '../../utils/constants';
+import { formatDayAndTime } from '../../utils/openingHours';
+import { formatTravelTime } from '../../utils/distance';
+import { RANKING_FACTORS } from '../../services/rankingProfiles';
+import useRankingProfiles from '../../hooks/useRankingProfiles';
 import './Filters.css';
 
+// Travel mode buttons
+const TRAVEL_MODE_OPTIONS = [
+    { mode: TRAVEL_MODES.WALKING, icon: '🚶', label: 'Walk' },
+    { mode: TRAVEL_MODES.DRIVING, icon: '🚗', label: 'Drive' },
+    { mode: TRAVEL_MODES.BICYCLING, icon: '🚲', label: 'Bike' },
+    { mode: TRAVEL_MODES.TRANSIT, icon: '🚆', label: 'Transit' }
+];
+
+// Sort dropdown values for Best Match with a ranking profile: "best_match:<profile id>"
+const PROFILE_PREFIX = `${SORT_OPTIONS.BEST_MATCH}:`;
+
 const Filters = ({
     filters,
     sortBy,
@@ -14,9 +29,51 @@ const Filters = ({
     onSortChange,
     onReset,
     resultsCount = 0,
-    totalCount = 0
+    totalCount = 0,
+    travelTimesLoading = false,
+    isochroneLoading = false,
+    isGroupSearch = false
 }) => {
     const [isExpanded, setIsExpanded] = useState(false);
+    const [isRankingOpen, setIsRankingOpen] = useState(false);
+    const [newProfileName, setNewProfileName] = useState('');
+    const [profileError, setProfileError] = useState(null);
+    const { profiles, activeProfile, selectProfile, saveProfile, deleteProfile } = useRankingProfiles();
+
+    const isBestMatch = sortBy === SORT_OPTIONS.BEST_MATCH;
+
+    // Best Match is offered once per ranking profile
+    const handleSortChange = (e) => {
+        const { value } = e.target;
+        if (value.startsWith(PROFILE_PREFIX)) {
+            selectProfile(value.slice(PROFILE_PREFIX.length));
+            onSortChange(SORT_OPTIONS.BEST_MATCH);
+        } else {
+            onSortChange(value);
+        }
+    };
+
+    // Sliders edit the profile in use, which re-ranks the results as they move
+    const handleWeightChange = (factorId, value) => {
+        saveProfile({ ...activeProfile, weights: { ...activeProfile.weights, [factorId]: Number(value) } }, activeProfile.id);
+    };
+
+    const handleSaveAsProfile = (e) => {
+        e.preventDefault();
+        try {
+            saveProfile({ label: newProfileName, icon: activeProfile.builtIn ? null : activeProfile.icon, weights: activeProfile.weights });
+            setNewProfileName('');
+            setProfileError(null);
+        } catch (err) {
+            setProfileError(err.message);
+        }
+    };
+
+    const handleDeleteProfile = () => {
+        if (activeProfile.builtIn || window.confirm(`Delete the "${activeProfile.label}" ranking profile?`)) {
+            deleteProfile(activeProfile.id);
+        }
+    };
 
     const handleRatingChange = (e) => {
         onFilterChange({ minRating: parseFloat(e.target.value) });
@@ -26,8 +83,24 @@ const Filters = ({
         onFilterChange({ maxDistance: parseInt(e.target.value) });
     };
 
+    const handleTravelMinutesChange = (e) => {
+        onFilterChange({ maxTravelMinutes: e.target.value ? parseInt(e.target.value) : null });
+    };
+
+    // "Open now" and "Open at" are mutually exclusive
     const handleOpenNowChange = (e) => {
-        onFilterChange({ openNow: e.target.checked });
+        onFilterChange({
+            openNow: e.target.checked,
+            ...(e.target.checked ? { openAt: null } : {})
+        });
+    };
+
+    const handleOpenAtChange = (e) => {
+        const openAt = e.target.value || null;
+        onFilterChange({
+            openAt,
+            ...(openAt ? { openNow: false } : {})
+        });
     };
 
     const handlePriceChange = (level) => {
@@ -60,11 +133,16 @@ const Filters = ({
         return currentPrice === level;
     };
 
+    // The reachable area replaces the distance limit
+    const isAreaFilter = filters.isochrone && Boolean(filters.maxTravelMinutes);
+
     const hasActiveFilters =
         filters.minRating > 0 ||
         filters.maxDistance < SEARCH_RADIUS.VERY_FAR ||
         filters.openNow ||
-        filters.priceLevel !== null;
+        Boolean(filters.openAt) ||
+        filters.priceLevel !== null ||
+        Boolean(filters.maxTravelMinutes);
 
     return (
         <div className="filters-container">
@@ -85,16 +163,35 @@ const Filters = ({
                         <label htmlFor="sort-select">Sort:</label>
                         <select
                             id="sort-select"
-                            value={sortBy}
-                            onChange={(e) => onSortChange(e.target.value)}
+                            value={isBestMatch ? `${PROFILE_PREFIX}${activeProfile.id}` : sortBy}
+                            onChange={handleSortChange}
                             className="sort-select"
                         >
-                            <option value={SORT_OPTIONS.BEST_MATCH}>Best Match</option>
+                            {isGroupSearch && <option value={SORT_OPTIONS.FAIREST}>Fairest for Group</option>}
+                            <optgroup label="Best Match">
+                                {profiles.map(profile => (
+                                    <option key={profile.id} value={`${PROFILE_PREFIX}${profile.id}`}>
+                                        {profile.icon} {profile.label}
+                                    </option>
+                                ))}
+                            </optgroup>
                             <option value={SORT_OPTIONS.NEAREST}>Nearest</option>
+                            <option value={SORT_OPTIONS.SHORTEST_TRAVEL}>Shortest Travel Time</option>
                             <option value={SORT_OPTIONS.HIGHEST_RATED}>Highest Rated</option>
                             <option value={SORT_OPTIONS.PRICE_LOW}>Price: Low to High</option>
                             <option value={SORT_OPTIONS.PRICE_HIGH}>Price: High to Low</option>
                         </select>
+                        {isBestMatch && (
+                            <button
+                                className={`ranking-toggle-btn ${isRankingOpen ? 'active' : ''}`}
+                                onClick={() => setIsRankingOpen(!isRankingOpen)}
+                                aria-expanded={isRankingOpen}
+                                aria-label="Adjust ranking"
+                                title="Adjust how Best Match ranks places"
+                            >
+                                🎚️
+                            </button>
+                        )}
                     </div>
 
                     {/* Filter Toggle */}
@@ -109,6 +206,58 @@ const Filters = ({
                 </div>
             </div>
 
+            {/* Ranking Profile Weights */}
+            {isBestMatch && isRankingOpen && (
+                <div className="filters-expanded ranking-panel">
+                    <div className="ranking-header">
+                        <span className="filter-label">
+                            {activeProfile.icon} {activeProfile.label}
+                            {activeProfile.edited && <span className="ranking-badge">Edited</span>}
+                        </span>
+                        {(!activeProfile.builtIn || activeProfile.edited) && (
+                            <button className="ranking-action-btn" onClick={handleDeleteProfile}>
+                                {activeProfile.builtIn ? 'Restore defaults' : 'Delete profile'}
+                            </button>
+                        )}
+                    </div>
+
+                    {RANKING_FACTORS.map(factor => (
+                        <div key={factor.id} className="filter-group">
+                            <label className="filter-label" htmlFor={`ranking-${factor.id}`}>
+                                {factor.label}: {activeProfile.weights[factor.id]}
+                            </label>
+                            <input
+                                id={`ranking-${factor.id}`}
+                                type="range"
+                                min={factor.min}
+                                max={RANKING.MAX_WEIGHT}
+                                step={RANKING.WEIGHT_STEP}
+                                value={activeProfile.weights[factor.id]}
+                                onChange={(e) => handleWeightChange(factor.id, e.target.value)}
+                                className="filter-slider"
+                            />
+                            <p className="ranking-hint">{factor.description}</p>
+                        </div>
+                    ))}
+
+                    <form className="ranking-save" onSubmit={handleSaveAsProfile}>
+                        <input
+                            type="text"
+                            value={newProfileName}
+                            onChange={(e) => setNewProfileName(e.target.value)}
+                            placeholder="Name these weights, e.g. Date spots"
+                            maxLength={30}
+                            className="ranking-name-input"
+                            aria-label="New profile name"
+                        />
+                        <button type="submit" className="ranking-action-btn" disabled={!newProfileName.trim()}>
+                            Save as profile
+                        </button>
+                        {profileError && <p className="ranking-error" role="alert">{profileError}</p>}
+                    </form>
+                </div>
+            )}
+
             {/* Expanded Filters */}
             {isExpanded && (
                 <div className="filters-expanded">
@@ -132,10 +281,12 @@ const Filters = ({
                         </div>
                     </div>
 
-                    {/* Distance Filter */}
+                    {/* Distance Filter (replaced by the reachable area in isochrone mode) */}
                     <div className="filter-group">
                         <label className="filter-label">
-                            Max Distance: {filters.maxDistance >= SEARCH_RADIUS.VERY_FAR ? 'Any' : `${(filters.maxDistance / 1000).toFixed(1)} km`}
+                            Max Distance: {isAreaFilter
+                                ? 'Reachable area'
+                                : filters.maxDistance >= SEARCH_RADIUS.VERY_FAR ? 'Any' : `${(filters.maxDistance / 1000).toFixed(1)} km`}
                         </label>
                         <input
                             type="range"
@@ -145,6 +296,7 @@ const Filters = ({
                             value={filters.maxDistance}
                             onChange={handleDistanceChange}
                             className="filter-slider"
+                            disabled={isAreaFilter}
                         />
                         <div className="filter-range-labels">
                             <span>1 km</span>
@@ -152,6 +304,56 @@ const Filters = ({
                         </div>
                     </div>
 
+                    {/* Travel Time Filter */}
+                    <div className="filter-group">
+                        <label className="filter-label" htmlFor="travel-minutes-select">
+                            Max Travel Time: {filters.maxTravelMinutes
+                                ? formatTravelTime(filters.maxTravelMinutes * 60, filters.travelMode)
+                                : 'Any'}
+                            {travelTimesLoading && ' (updating…)'}
+                        </label>
+                        <div className="travel-mode-buttons">
+                            {TRAVEL_MODE_OPTIONS.map(({ mode, icon, label }) => (
+                                <button
+                                    key={mode}
+                                    className={`travel-mode-btn ${filters.travelMode === mode ? 'selected' : ''}`}
+                                    onClick={() => onFilterChange({ travelMode: mode })}
+                                    aria-pressed={filters.travelMode === mode}
+                                >
+                                    {icon} {label}
+                                </button>
+                            ))}
+                        </div>
+                        <select
+                            id="travel-minutes-select"
+                            value={filters.maxTravelMinutes || ''}
+                            onChange={handleTravelMinutesChange}
+                            className="sort-select travel-minutes-select"
+                        >
+                            <option value="">Any travel time</option>
+                            {TRAVEL.MAX_MINUTES_OPTIONS.map(minutes => (
+                                <option key={minutes} value={minutes}>
+                                    Up to {minutes} min
+                                </option>
+                            ))}
+                        </select>
+                        <label className="toggle-label isochrone-toggle">
+                            <input
+                                type="checkbox"
+                                checked={filters.isochrone}
+                                onChange={(e) => onFilterChange({ isochrone: e.target.checked })}
+                                className="toggle-checkbox"
+                            />
+                            <span className="toggle-switch" />
+                            <span className="toggle-text">
+                                Show reachable area{isochroneLoading && ' (tracing…)'}
+                            </span>
+                        </label>
+                        {filters.isochrone && !filters.maxTravelMinutes && (
+                            <p className="isochrone-hint">Pick a travel time to draw the area.</p>
+                        )}
+                    </div>
+
                     {/* Price Filter */}
                     <div className="filter-group">
                         <label className="filter-label">Price Level</label>
@@ -168,6 +370,31 @@ const Filters = ({
                         </div>
                     </div>
 
+                    {/* Open At Picker */}
+                    <div className="filter-group">
+                        <label className="filter-label" htmlFor="open-at-input">
+                            Open At: {filters.openAt ? formatDayAndTime(new Date(filters.openAt)) : 'Any time'}
+                        </label>
+                        <div className="open-at-control">
+                            <input
+                                id="open-at-input"
+                                type="datetime-local"
+                                value={filters.openAt || ''}
+                                onChange={handleOpenAtChange}
+                                className="open-at-input"
+                            />
+                            {filters.openAt && (
+                                <button
+                                    className="open-at-clear"
+                                    onClick={() => onFilterChange({ openAt: null })}
+                                    aria-label="Clear open at time"
+                                >
+                                    ✕
+                                </button>
+                            )}
+                        </div>
+                    </div>
+
                     {/* Open Now Toggle */}
                     <div className="filter-group filter-toggle">
                         <label className="toggle-label">
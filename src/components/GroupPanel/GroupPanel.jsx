@@ -0,0 +1,220 @@
+/**
+ * GroupPanel Component
+ * Meet in the middle: the people in a group search, where they meet and how
+ * that point is chosen
+ */
+
+import React, { useState } from 'react';
+import { searchAddress } from '../../services/savedLocations';
+import { getParticipantLabel } from '../../services/meetingPoint';
+import { formatLocationLabel } from '../../services/searchHistory';
+import { MEETING, MEETING_POINTS, TRAVEL_MODES } from '../../utils/constants';
+import './GroupPanel.css';
+
+const MAX_RESULTS = 5;
+
+const MODE_OPTIONS = [
+    { mode: TRAVEL_MODES.WALKING, icon: '🚶', label: 'Walk' },
+    { mode: TRAVEL_MODES.DRIVING, icon: '🚗', label: 'Drive' },
+    { mode: TRAVEL_MODES.BICYCLING, icon: '🚲', label: 'Bike' },
+    { mode: TRAVEL_MODES.TRANSIT, icon: '🚆', label: 'Transit' }
+];
+
+const METHOD_OPTIONS = [
+    { method: MEETING_POINTS.MIDPOINT, label: 'Midpoint', title: 'Meet at the center of everyone\'s locations' },
+    { method: MEETING_POINTS.FAIREST, label: 'Fairest travel', title: 'Meet where the longest trip is shortest' }
+];
+
+/**
+ * Get a short name for an address
+ * @param {Object|null} address - Geocoder address information
+ * @param {Object} location - { lat, lng }
+ * @returns {string} - Name
+ */
+const getAddressName = (address, location) => {
+    return address?.medium || address?.short || formatLocationLabel(location);
+};
+
+const GroupPanel = ({
+    participants = [],
+    isFull = false,
+    method,
+    mode,
+    meetingPoint = null,
+    meetingPointLoading = false,
+    queuedQuery = null,
+    currentLocation = null,
+    savedLocations = [],
+    onAddParticipant,
+    onRemoveParticipant,
+    onStartPin,
+    onMethodChange,
+    onModeChange,
+    onClose
+}) => {
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState(null);
+    const [searching, setSearching] = useState(false);
+    const [searchError, setSearchError] = useState(null);
+
+    const handleSearch = async (e) => {
+        e.preventDefault();
+        if (!query.trim()) return;
+
+        setSearching(true);
+        setSearchError(null);
+        try {
+            const matches = await searchAddress(query.trim());
+            setResults(matches.slice(0, MAX_RESULTS));
+        } catch (err) {
+            console.warn('Address search failed:', err);
+            setResults(null);
+            setSearchError('Address search is unavailable. Try "lat, lng" coordinates or drop a pin instead.');
+        } finally {
+            setSearching(false);
+        }
+    };
+
+    const handleAddResult = (result) => {
+        onAddParticipant({
+            name: getAddressName(result.address, result.location),
+            location: result.location,
+            address: result.address
+        });
+        setQuery('');
+        setResults(null);
+    };
+
+    const missing = MEETING.MIN_PARTICIPANTS - participants.length;
+
+    return (
+        <div className="group-panel">
+            <div className="group-panel-header">
+                <h2>👥 Meet in the middle</h2>
+                <button className="group-panel-close" onClick={onClose} aria-label="Leave group search">
+                    ✕
+                </button>
+            </div>
+
+            {/* Participants */}
+            {participants.length > 0 && (
+                <ul className="group-participants">
+                    {participants.map((participant, index) => (
+                        <li key={participant.id} className="group-participant">
+                            <span className="group-participant-label">{getParticipantLabel(index)}</span>
+                            <span className="group-participant-text">
+                                <span className="group-participant-name">{participant.name}</span>
+                                <span className="group-participant-detail">
+                                    {participant.address?.formatted || formatLocationLabel(participant.location)}
+                                </span>
+                            </span>
+                            <button
+                                className="group-participant-remove"
+                                onClick={() => onRemoveParticipant(participant.id)}
+                                aria-label={`Remove ${participant.name}`}
+                                title="Remove"
+                            >
+                                ✕
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {/* Add someone */}
+            {!isFull && (
+                <div className="group-add">
+                    <form className="group-search" onSubmit={handleSearch}>
+                        <input
+                            type="text"
+                            value={query}
+                            onChange={(e) => setQuery(e.target.value)}
+                            placeholder="Add someone: address or lat, lng"
+                            aria-label="Participant address"
+                        />
+                        <button type="submit" disabled={searching || !query.trim()}>
+                            {searching ? 'Searching...' : 'Find'}
+                        </button>
+                    </form>
+
+                    {searchError && <p className="group-error">{searchError}</p>}
+
+                    {results && (
+                        <ul className="group-results">
+                            {results.length === 0 ? (
+                                <li className="group-results-empty">No matching addresses</li>
+                            ) : results.map((result) => (
+                                <li key={result.address?.formatted || formatLocationLabel(result.location)}>
+                                    <button onClick={() => handleAddResult(result)}>
+                                        {result.address?.formatted || formatLocationLabel(result.location)}
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    <div className="group-quick-add">
+                        {currentLocation && (
+                            <button onClick={() => onAddParticipant({ name: 'You', ...currentLocation })}>
+                                📡 My location
+                            </button>
+                        )}
+                        <button onClick={onStartPin}>🗺️ Drop a pin</button>
+                        {savedLocations.map(saved => (
+                            <button
+                                key={saved.id}
+                                onClick={() => onAddParticipant({ name: saved.name, location: saved.location, address: saved.address })}
+                            >
+                                {saved.icon} {saved.name}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {/* How to meet */}
+            <div className="group-settings">
+                <div className="group-chips" role="group" aria-label="Meeting point">
+                    {METHOD_OPTIONS.map(option => (
+                        <button
+                            key={option.method}
+                            className={`group-chip ${method === option.method ? 'active' : ''}`}
+                            onClick={() => onMethodChange(option.method)}
+                            aria-pressed={method === option.method}
+                            title={option.title}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+                <div className="group-chips" role="group" aria-label="Travel mode">
+                    {MODE_OPTIONS.map(option => (
+                        <button
+                            key={option.mode}
+                            className={`group-chip ${mode === option.mode ? 'active' : ''}`}
+                            onClick={() => onModeChange(option.mode)}
+                            aria-pressed={mode === option.mode}
+                            aria-label={option.label}
+                            title={option.label}
+                        >
+                            {option.icon}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <p className="group-status" role="status">
+                {missing > 0
+                    ? `Add ${missing === 1 ? 'one more person' : `at least ${missing} people`} to find where to meet.`
+                    : meetingPointLoading
+                        ? 'Finding a fair meeting point…'
+                        : meetingPoint
+                            ? `Searches run around the ★ meeting point${meetingPoint.estimated ? ' (estimated)' : ''}, ranked by how fair the trip is for everyone.`
+                            : 'No meeting point found.'}
+                {queuedQuery && ` Your search for "${queuedQuery}" runs once there is a meeting point.`}
+            </p>
+        </div>
+    );
+};
+
+export default GroupPanel;
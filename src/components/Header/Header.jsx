@@ -1,12 +1,14 @@
 /**
  * Header Component
- * Application header with branding, location info, and theme toggle
+ * Application header with branding, location info, API quota and theme toggle
+ * The location shows live GPS or the chosen anchor and opens the location picker
  */
 
 import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import PlacePulseLogo from '../Logo/Logo';
 import ThemeToggle from '../ThemeToggle/ThemeToggle';
+import QuotaIndicator from '../QuotaIndicator/QuotaIndicator';
 import { SPRING, EASING, DURATION, buttonHover } from '../../utils/animations';
 import './Header.css';
 
@@ -65,7 +67,14 @@ const logoIconVariants = {
     }
 };
 
-const Header = ({ location, address, locationError, onRefreshLocation }) => {
+const Header = ({
+    location,
+    address,
+    locationError,
+    anchor = null,
+    onRefreshLocation,
+    onOpenLocationPicker
+}) => {
     // Format display text based on available data
     const getLocationDisplay = () => {
         if (address) {
@@ -138,6 +147,17 @@ const Header = ({ location, address, locationError, onRefreshLocation }) => {
                                 >
                                     Retry
                                 </motion.button>
+                                <motion.button
+                                    className="location-retry-btn"
+                                    onClick={onOpenLocationPicker}
+                                    title="Search from an address, a pin or a saved location"
+                                    variants={buttonHover}
+                                    initial="rest"
+                                    whileHover="hover"
+                                    whileTap="tap"
+                                >
+                                    Choose location
+                                </motion.button>
                             </motion.div>
                         ) : location ? (
                             <motion.div
@@ -159,32 +179,41 @@ const Header = ({ location, address, locationError, onRefreshLocation }) => {
                                         ease: 'easeInOut'
                                     }}
                                 >
-                                    📍
+                                    {anchor ? anchor.icon || '📌' : '📍'}
                                 </motion.span>
-                                <span className="location-text" title={address?.formatted || `${location.lat}, ${location.lng}`}>
+                                <button
+                                    className="location-text location-picker-btn"
+                                    onClick={onOpenLocationPicker}
+                                    title={`${address?.formatted || `${location.lat}, ${location.lng}`} – change search location`}
+                                >
                                     {getLocationDisplay()}
+                                </button>
+                                <span className={`location-mode ${anchor ? 'anchor' : 'live'}`}>
+                                    {anchor ? 'Chosen' : 'Live GPS'}
                                 </span>
-                                <motion.button
-                                    className="location-refresh-btn"
-                                    onClick={onRefreshLocation}
-                                    title="Refresh location"
-                                    variants={buttonHover}
-                                    initial="rest"
-                                    whileHover="hover"
-                                    whileTap="tap"
-                                    whileHoverTransition={SPRING.snappy}
-                                >
-                                    <motion.svg
-                                        viewBox="0 0 24 24"
-                                        width="16"
-                                        height="16"
-                                        fill="currentColor"
-                                        whileHover={{ rotate: 180 }}
-                                        transition={SPRING.gentle}
+                                {!anchor && (
+                                    <motion.button
+                                        className="location-refresh-btn"
+                                        onClick={onRefreshLocation}
+                                        title="Refresh location"
+                                        variants={buttonHover}
+                                        initial="rest"
+                                        whileHover="hover"
+                                        whileTap="tap"
+                                        whileHoverTransition={SPRING.snappy}
                                     >
-                                        <path d="M17.65 6.35A7.958 7.958 0 0012 4c-4.42 0-7.99 3.58-7.99 8s3.57 8 7.99 8c3.73 0 6.84-2.55 7.73-6h-2.08A5.99 5.99 0 0112 18c-3.31 0-6-2.69-6-6s2.69-6 6-6c1.66 0 3.14.69 4.22 1.78L13 11h7V4l-2.35 2.35z" />
-                                    </motion.svg>
-                                </motion.button>
+                                        <motion.svg
+                                            viewBox="0 0 24 24"
+                                            width="16"
+                                            height="16"
+                                            fill="currentColor"
+                                            whileHover={{ rotate: 180 }}
+                                            transition={SPRING.gentle}
+                                        >
+                                            <path d="M17.65 6.35A7.958 7.958 0 0012 4c-4.42 0-7.99 3.58-7.99 8s3.57 8 7.99 8c3.73 0 6.84-2.55 7.73-6h-2.08A5.99 5.99 0 0112 18c-3.31 0-6-2.69-6-6s2.69-6 6-6c1.66 0 3.14.69 4.22 1.78L13 11h7V4l-2.35 2.35z" />
+                                        </motion.svg>
+                                    </motion.button>
+                                )}
                             </motion.div>
                         ) : (
                             <motion.div
@@ -214,6 +243,7 @@ const Header = ({ location, address, locationError, onRefreshLocation }) => {
 
                 {/* Theme Toggle */}
                 <div className="header-actions">
+                    <QuotaIndicator />
                     <ThemeToggle />
                 </div>
             </div>
@@ -0,0 +1,247 @@
+/**
+ * Itinerary Component
+ * The multi-stop plan - stops in order with arrival times, travel between
+ * them, opening hours checks, ordering and export
+ */
+
+import React from 'react';
+import { formatDistance, formatTravelTime } from '../../utils/distance';
+import { formatDayAndTime, formatTimeOfDay } from '../../utils/openingHours';
+import { ITINERARY, TRAVEL_MODES } from '../../utils/constants';
+import './Itinerary.css';
+
+const MODE_OPTIONS = [
+    { mode: TRAVEL_MODES.WALKING, icon: '🚶', label: 'Walk' },
+    { mode: TRAVEL_MODES.DRIVING, icon: '🚗', label: 'Drive' },
+    { mode: TRAVEL_MODES.BICYCLING, icon: '🚲', label: 'Bike' },
+    { mode: TRAVEL_MODES.TRANSIT, icon: '🚆', label: 'Transit' }
+];
+
+// Badges for stops whose visit clashes with their opening hours
+const VISIT_BADGES = {
+    closed: '⚠️',
+    closes: '⏰'
+};
+
+/**
+ * Format a date's time of day (e.g. '9:30 AM')
+ * @param {Date} date - Date
+ * @returns {string} - Display time
+ */
+const formatTime = (date) => formatTimeOfDay(date.getHours() * 60 + date.getMinutes());
+
+/**
+ * Format minutes as hours and minutes (e.g. '1 h 30 min')
+ * @param {number} minutes - Minutes
+ * @returns {string} - Display text
+ */
+const formatDwell = (minutes) => {
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+};
+
+const Itinerary = ({
+    stops = [],
+    plan = null,
+    planning = false,
+    optimizing = false,
+    mode,
+    startAt,
+    hasOrigin = false,
+    selectedPlace,
+    onModeChange,
+    onStartAtChange,
+    onDwellChange,
+    onMoveStop,
+    onRemoveStop,
+    onOptimize,
+    onClear,
+    onExportIcs,
+    onExportGpx,
+    onShowRoute,
+    onPlaceClick,
+    onViewDetails
+}) => {
+    if (stops.length === 0) {
+        return (
+            <div className="itinerary">
+                <div className="itinerary-empty">
+                    <span className="state-icon">🗓️</span>
+                    <p className="state-message">
+                        Plan a day out like "coffee, then lunch, then a museum". Open a place from your results or saved places and tap "Add to plan".
+                    </p>
+                </div>
+            </div>
+        );
+    }
+
+    // Schedule for each stop, once the plan has caught up with edits
+    const schedule = new Map((plan?.stops || []).map(stop => [stop.place.place_id, stop]));
+
+    // Without a starting point the first stop stays first
+    const canOptimize = stops.length > (hasOrigin ? 1 : 2);
+
+    const handleClear = () => {
+        if (window.confirm('Remove every stop from the plan?')) {
+            onClear();
+        }
+    };
+
+    return (
+        <div className="itinerary">
+            <div className="itinerary-settings">
+                <div className="itinerary-modes" role="group" aria-label="Travel mode">
+                    {MODE_OPTIONS.map(option => (
+                        <button
+                            key={option.mode}
+                            className={`itinerary-mode-btn ${mode === option.mode ? 'active' : ''}`}
+                            onClick={() => onModeChange(option.mode)}
+                            aria-pressed={mode === option.mode}
+                        >
+                            <span>{option.icon}</span>
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+                <label className="itinerary-start">
+                    <span>Start</span>
+                    <input
+                        type="datetime-local"
+                        value={startAt}
+                        onChange={(e) => onStartAtChange(e.target.value)}
+                    />
+                </label>
+            </div>
+
+            <div className="itinerary-summary" role="status">
+                {plan ? (
+                    <>
+                        <strong>
+                            {stops.length} stop{stops.length !== 1 ? 's' : ''} · done {formatDayAndTime(plan.endAt)}
+                        </strong>
+                        <span>
+                            {formatTravelTime(plan.duration, mode, plan.estimated)} travel · {formatDistance(plan.distance)}
+                            {!hasOrigin && ' · from the first stop'}
+                        </span>
+                    </>
+                ) : (
+                    <span>{planning ? 'Planning…' : 'Travel times are unavailable right now.'}</span>
+                )}
+            </div>
+
+            <div className="itinerary-toolbar">
+                <button
+                    className="itinerary-btn primary"
+                    onClick={onOptimize}
+                    disabled={!canOptimize || optimizing}
+                    title="Reorder stops for the shortest total travel time"
+                >
+                    {optimizing ? 'Ordering…' : '✨ Best order'}
+                </button>
+                <button className="itinerary-btn" onClick={onShowRoute}>
+                    🗺️ Route
+                </button>
+                <button className="itinerary-btn" onClick={onExportIcs} disabled={!plan}>
+                    ⬇️ Calendar
+                </button>
+                <button className="itinerary-btn" onClick={onExportGpx} disabled={!plan}>
+                    ⬇️ GPX
+                </button>
+                <button className="itinerary-btn danger" onClick={handleClear}>
+                    🗑️ Clear
+                </button>
+            </div>
+
+            <ol className="itinerary-stops">
+                {stops.map(({ place, dwell }, index) => {
+                    const scheduled = schedule.get(place.place_id);
+                    const visit = scheduled?.visit;
+
+                    return (
+                        <li key={place.place_id} className="itinerary-stop">
+                            {scheduled?.leg && (
+                                <div className="itinerary-leg">
+                                    ↓ {formatTravelTime(scheduled.leg.duration, mode, scheduled.leg.estimated)}
+                                    {' · '}{formatDistance(scheduled.leg.distance)}
+                                </div>
+                            )}
+                            <div className={`itinerary-stop-card ${selectedPlace?.place_id === place.place_id ? 'selected' : ''}`}>
+                                <span className="itinerary-stop-number">{index + 1}</span>
+                                <div
+                                    className="itinerary-stop-main"
+                                    onClick={() => onPlaceClick(place)}
+                                    role="button"
+                                    tabIndex={0}
+                                    onKeyPress={(e) => e.key === 'Enter' && onPlaceClick(place)}
+                                >
+                                    <span className="itinerary-stop-name">{place.name}</span>
+                                    {scheduled && (
+                                        <span className="itinerary-stop-time">
+                                            {formatTime(scheduled.arriveAt)} – {formatTime(scheduled.leaveAt)}
+                                        </span>
+                                    )}
+                                    {visit?.detail && (
+                                        <span className={`itinerary-visit ${visit.status}`}>
+                                            {VISIT_BADGES[visit.status]} {visit.detail}
+                                        </span>
+                                    )}
+                                    <button
+                                        className="itinerary-details-btn"
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            onViewDetails(place);
+                                        }}
+                                    >
+                                        Details
+                                    </button>
+                                </div>
+                                <div className="itinerary-stop-controls">
+                                    <select
+                                        className="itinerary-dwell"
+                                        value={dwell}
+                                        onChange={(e) => onDwellChange(place.place_id, Number(e.target.value))}
+                                        aria-label={`Time at ${place.name}`}
+                                    >
+                                        {ITINERARY.DWELL_OPTIONS.map(minutes => (
+                                            <option key={minutes} value={minutes}>
+                                                {formatDwell(minutes)}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <div className="itinerary-move">
+                                        <button
+                                            className="itinerary-move-btn"
+                                            onClick={() => onMoveStop(index, index - 1)}
+                                            disabled={index === 0}
+                                            aria-label={`Move ${place.name} earlier`}
+                                        >
+                                            ▲
+                                        </button>
+                                        <button
+                                            className="itinerary-move-btn"
+                                            onClick={() => onMoveStop(index, index + 1)}
+                                            disabled={index === stops.length - 1}
+                                            aria-label={`Move ${place.name} later`}
+                                        >
+                                            ▼
+                                        </button>
+                                        <button
+                                            className="itinerary-move-btn remove"
+                                            onClick={() => onRemoveStop(place.place_id)}
+                                            aria-label={`Remove ${place.name} from the plan`}
+                                        >
+                                            ✕
+                                        </button>
+                                    </div>
+                                </div>
+                            </div>
+                        </li>
+                    );
+                })}
+            </ol>
+        </div>
+    );
+};
+
+export default Itinerary;
@@ -0,0 +1,275 @@
+/**
+ * LocationPicker Component
+ * Dialog for choosing where to search from: live GPS, an address, a pin on
+ * the map or a saved location, plus saving the current location by name
+ */
+
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { searchAddress, LOCATION_PRESETS, DEFAULT_ICON } from '../../services/savedLocations';
+import { formatLocationLabel } from '../../services/searchHistory';
+import { modalVariants } from '../../utils/animations';
+import './LocationPicker.css';
+
+const MAX_RESULTS = 5;
+
+/**
+ * Get a one-line label for an address
+ * @param {Object|null} address - Geocoder address information
+ * @param {Object} location - { lat, lng }
+ * @returns {string} - Label
+ */
+const getAddressLabel = (address, location) => {
+    return address?.formatted || formatLocationLabel(location);
+};
+
+const LocationPicker = ({
+    isOpen,
+    onClose,
+    gpsLocation,
+    gpsAddress,
+    gpsError,
+    anchor,
+    savedLocations = [],
+    onSelectLive,
+    onChooseAnchor,
+    onStartPin,
+    onSaveLocation,
+    onRemoveLocation,
+    onRetryGps
+}) => {
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState(null);
+    const [searching, setSearching] = useState(false);
+    const [searchError, setSearchError] = useState(null);
+    const [saveName, setSaveName] = useState('');
+
+    // Start fresh each time the picker opens
+    useEffect(() => {
+        if (isOpen) {
+            setQuery('');
+            setResults(null);
+            setSearchError(null);
+            setSaveName('');
+        }
+    }, [isOpen]);
+
+    // Close on Escape
+    useEffect(() => {
+        if (!isOpen) return undefined;
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [isOpen, onClose]);
+
+    // The location the save form applies to: an unsaved anchor, or live GPS
+    const savable = anchor
+        ? (anchor.id ? null : anchor)
+        : (gpsLocation && !gpsError ? { location: gpsLocation, address: gpsAddress } : null);
+
+    const handleSearch = async (e) => {
+        e.preventDefault();
+        if (!query.trim()) return;
+
+        setSearching(true);
+        setSearchError(null);
+        try {
+            const matches = await searchAddress(query.trim());
+            setResults(matches.slice(0, MAX_RESULTS));
+        } catch (err) {
+            console.warn('Address search failed:', err);
+            setResults(null);
+            setSearchError('Address search is unavailable. Try "lat, lng" coordinates or drop a pin instead.');
+        } finally {
+            setSearching(false);
+        }
+    };
+
+    // Choose an anchor, or live GPS for null
+    const handleChoose = (choice) => {
+        if (choice) {
+            onChooseAnchor(choice);
+        } else {
+            onSelectLive();
+        }
+        onClose();
+    };
+
+    const handleSave = (name) => {
+        if (!savable || !name.trim()) return;
+        onSaveLocation({ name, location: savable.location, address: savable.address });
+        setSaveName('');
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <motion.div
+                    className="location-picker-overlay"
+                    onClick={onClose}
+                    variants={modalVariants.overlay}
+                    initial="hidden"
+                    animate="visible"
+                    exit="exit"
+                >
+                    <motion.div
+                        className="location-picker"
+                        role="dialog"
+                        aria-modal="true"
+                        aria-label="Choose search location"
+                        onClick={(e) => e.stopPropagation()}
+                        variants={modalVariants.content}
+                        initial="hidden"
+                        animate="visible"
+                        exit="exit"
+                    >
+                        <div className="location-picker-header">
+                            <h2>Search from</h2>
+                            <button className="location-picker-close" onClick={onClose} aria-label="Close">
+                                ✕
+                            </button>
+                        </div>
+
+                        {/* Live GPS */}
+                        <div className={`location-option ${!anchor ? 'active' : ''}`}>
+                            <button className="location-option-main" onClick={() => handleChoose(null)}>
+                                <span className="location-option-icon">📡</span>
+                                <span className="location-option-text">
+                                    <span className="location-option-name">Live GPS</span>
+                                    <span className="location-option-detail">
+                                        {gpsError
+                                            ? 'Unavailable – using the default map location'
+                                            : gpsAddress?.formatted || (gpsLocation ? formatLocationLabel(gpsLocation) : 'Getting location...')}
+                                    </span>
+                                </span>
+                            </button>
+                            {gpsError && (
+                                <button className="location-option-action" onClick={onRetryGps}>
+                                    Retry
+                                </button>
+                            )}
+                        </div>
+
+                        {/* Address search */}
+                        <form className="location-search" onSubmit={handleSearch}>
+                            <input
+                                type="text"
+                                value={query}
+                                onChange={(e) => setQuery(e.target.value)}
+                                placeholder="Search an address or enter lat, lng"
+                                aria-label="Address"
+                            />
+                            <button type="submit" disabled={searching || !query.trim()}>
+                                {searching ? 'Searching...' : 'Find'}
+                            </button>
+                        </form>
+
+                        {searchError && <p className="location-picker-error">{searchError}</p>}
+
+                        {results && (
+                            <ul className="location-results">
+                                {results.length === 0 ? (
+                                    <li className="location-results-empty">No matching addresses</li>
+                                ) : results.map((result) => (
+                                    <li key={getAddressLabel(result.address, result.location)}>
+                                        <button
+                                            className="location-option-main"
+                                            onClick={() => handleChoose({ location: result.location, address: result.address })}
+                                        >
+                                            <span className="location-option-icon">{DEFAULT_ICON}</span>
+                                            <span className="location-option-text">
+                                                <span className="location-option-name">
+                                                    {result.address?.medium || formatLocationLabel(result.location)}
+                                                </span>
+                                                <span className="location-option-detail">
+                                                    {getAddressLabel(result.address, result.location)}
+                                                </span>
+                                            </span>
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+
+                        <button className="location-pin-btn" onClick={() => { onStartPin(); onClose(); }}>
+                            <span>🗺️</span>
+                            Drop a pin on the map
+                        </button>
+
+                        {/* Saved locations */}
+                        {savedLocations.length > 0 && (
+                            <div className="location-saved">
+                                <h3>Saved locations</h3>
+                                <ul>
+                                    {savedLocations.map((saved) => (
+                                        <li
+                                            key={saved.id}
+                                            className={`location-option ${anchor?.id === saved.id ? 'active' : ''}`}
+                                        >
+                                            <button className="location-option-main" onClick={() => handleChoose(saved)}>
+                                                <span className="location-option-icon">{saved.icon}</span>
+                                                <span className="location-option-text">
+                                                    <span className="location-option-name">{saved.name}</span>
+                                                    <span className="location-option-detail">
+                                                        {getAddressLabel(saved.address, saved.location)}
+                                                    </span>
+                                                </span>
+                                            </button>
+                                            <button
+                                                className="location-option-action remove"
+                                                onClick={() => onRemoveLocation(saved.id)}
+                                                aria-label={`Remove ${saved.name}`}
+                                                title="Remove"
+                                            >
+                                                ✕
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+
+                        {/* Save the current location */}
+                        {savable && (
+                            <div className="location-save">
+                                <h3>Save current location</h3>
+                                <p className="location-option-detail">{getAddressLabel(savable.address, savable.location)}</p>
+                                <div className="location-save-presets">
+                                    {LOCATION_PRESETS.map(preset => (
+                                        <button key={preset.name} onClick={() => handleSave(preset.name)}>
+                                            {preset.icon} {preset.name}
+                                        </button>
+                                    ))}
+                                </div>
+                                <form
+                                    className="location-search"
+                                    onSubmit={(e) => {
+                                        e.preventDefault();
+                                        handleSave(saveName);
+                                    }}
+                                >
+                                    <input
+                                        type="text"
+                                        value={saveName}
+                                        onChange={(e) => setSaveName(e.target.value)}
+                                        placeholder="Or name it, e.g. Gym"
+                                        aria-label="Location name"
+                                        maxLength={40}
+                                    />
+                                    <button type="submit" disabled={!saveName.trim()}>
+                                        Save
+                                    </button>
+                                </form>
+                            </div>
+                        )}
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default LocationPicker;
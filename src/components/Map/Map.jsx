@@ -1,24 +1,65 @@
 /**
  * Map Component
- * Google Maps integration component
+ * Interactive map of places - renderer chosen by VITE_MAP_RENDERER
  */
 
-import React, { useRef, useEffect, useCallback } from 'react';
-import useGoogleMaps from '../../hooks/useGoogleMaps';
-import { getBoundsForPlaces } from '../../utils/distance';
-import { MAP_CONFIG } from '../../utils/constants';
+import React, { useRef, useState, useEffect, useCallback } from 'react';
+import useMap from '../../hooks/useMap';
+import { getMapRendererName } from '../../services/mapRenderer';
+import { getBoundsForPlaces, getPlaceLatLng, formatDistance, formatTravelTime } from '../../utils/distance';
+import { getHeatmapPoints } from '../../utils/heatmap';
+import { MAP_CONFIG, HEATMAP_WEIGHTS } from '../../utils/constants';
 import LoadingSpinner from '../LoadingSpinner/LoadingSpinner';
 import './Map.css';
 
+// Shared default, so maps without heatmap places don't redraw on every render
+const NO_PLACES = [];
+
+const HEATMAP_OPTIONS = [
+    { weighting: HEATMAP_WEIGHTS.MOOD, label: 'Mood match' },
+    { weighting: HEATMAP_WEIGHTS.RATING, label: 'Rating' }
+];
+
 const Map = ({
     userLocation,
     places = [],
+    heatmapPlaces = NO_PLACES,
     selectedPlace,
+    savedPlaceIds = null,
+    searchCenter = null,
+    searchArea = null,
+    participants = [],
+    meetingPoint = null,
+    route = null,
+    routeTitle = '',
+    routeLoading = false,
+    onShowRouteSteps = null,
+    onEndRoute = null,
     onPlaceSelect,
-    onMapReady
+    onMapReady,
+    onViewportChange = null,
+    onSearchArea = null,
+    userLocationLabel = 'Your location',
+    isPickingLocation = false,
+    pickPrompt = 'Click the map to search from there',
+    onPickLocation = null,
+    onCancelPick = null
 }) => {
     const containerRef = useRef(null);
 
+    // Latest saved and selected IDs, read when markers are rebuilt
+    // (selecting a place only restyles markers, see the highlight effect)
+    const savedPlaceIdsRef = useRef(savedPlaceIds);
+    savedPlaceIdsRef.current = savedPlaceIds;
+    const selectedPlaceIdRef = useRef(selectedPlace?.place_id);
+    selectedPlaceIdRef.current = selectedPlace?.place_id;
+
+    // IDs of the places that currently have markers, in order
+    const markedIdsRef = useRef([]);
+
+    // What the heatmap is weighted by, or null when it is off
+    const [heatmapWeighting, setHeatmapWeighting] = useState(null);
+
     const {
         isLoaded,
         error,
@@ -28,15 +69,24 @@ const Map = ({
         setZoom,
         fitBounds,
         setUserMarker,
+        setHeatmap,
+        setArea,
+        setRoute,
+        setParticipantMarkers,
         setPlaceMarkers,
-        highlightMarker
-    } = useGoogleMaps({
+        addPlaceMarkers,
+        setSavedMarkers,
+        highlightMarker,
+        clearMarkers
+    } = useMap({
         containerRef,
         initialCenter: userLocation || MAP_CONFIG.DEFAULT_CENTER,
         initialZoom: MAP_CONFIG.DEFAULT_ZOOM,
         onMarkerClick: (place) => {
             onPlaceSelect?.(place);
-        }
+        },
+        onMapClick: isPickingLocation ? onPickLocation : null,
+        onViewportChange
     });
 
     // Initialize map when container is ready
@@ -57,20 +107,100 @@ const Map = ({
         }
     }, [map, userLocation, setUserMarker, setCenter]);
 
+    // Shade where the best matches are, following the filtered results
+    const isHeatmapShown = Boolean(heatmapWeighting) && heatmapPlaces.length > 0;
+    useEffect(() => {
+        if (!map) return;
+        setHeatmap(isHeatmapShown ? getHeatmapPoints(heatmapPlaces, heatmapWeighting) : null);
+    }, [map, heatmapPlaces, heatmapWeighting, isHeatmapShown, setHeatmap]);
+
+    // Outline the reachable area and bring it into view
+    useEffect(() => {
+        if (!map) return;
+
+        setArea(searchArea);
+        if (searchArea) {
+            fitBounds(searchArea);
+        }
+    }, [map, searchArea, setArea, fitBounds]);
+
+    // Mark a group search's participants and meeting point, fitting everyone
+    // into view when someone joins, leaves or moves
+    const groupKey = participants
+        .map(({ location }) => `${location.lat},${location.lng}`)
+        .join('|');
+    const participantsRef = useRef(participants);
+    participantsRef.current = participants;
+
+    useEffect(() => {
+        if (!map) return;
+
+        setParticipantMarkers(participantsRef.current, meetingPoint);
+    }, [map, groupKey, meetingPoint, setParticipantMarkers]);
+
+    useEffect(() => {
+        const group = participantsRef.current;
+        if (map && group.length > 0) {
+            fitBounds(group.map(participant => participant.location));
+        }
+    }, [map, groupKey, fitBounds]);
+
+    // Draw the route, fitting it into view when it goes somewhere new
+    // (reroutes as the user moves keep the view following the user)
+    const routeKeyRef = useRef(null);
+    useEffect(() => {
+        if (!map) return;
+
+        setRoute(route?.path || null);
+
+        const destination = route?.path[route.path.length - 1];
+        const routeKey = destination ? `${route.mode}:${destination.lat},${destination.lng}` : null;
+        if (routeKey && routeKey !== routeKeyRef.current) {
+            fitBounds(route.path);
+        }
+        routeKeyRef.current = routeKey;
+    }, [map, route, setRoute, fitBounds]);
+
     // Update place markers when places change
     useEffect(() => {
-        if (map && places.length > 0) {
-            setPlaceMarkers(places, selectedPlace?.place_id);
+        if (!map) return;
+
+        if (places.length === 0) {
+            clearMarkers();
+        }
 
-            // Fit bounds to show all places
-            if (userLocation) {
-                const bounds = getBoundsForPlaces(places, userLocation);
+        const markedIds = markedIdsRef.current;
+        const isMarked = markedIds.length > 0 &&
+            places.length >= markedIds.length &&
+            markedIds.every((id, index) => places[index].place_id === id);
+
+        if (isMarked && places.length > markedIds.length) {
+            // More results were loaded: add their markers and keep the current view
+            addPlaceMarkers(places.slice(markedIds.length), markedIds.length, selectedPlaceIdRef.current, savedPlaceIdsRef.current);
+        } else if (places.length > 0) {
+            // Markers are diffed, so this only updates the ones that changed
+            setPlaceMarkers(places, selectedPlaceIdRef.current, savedPlaceIdsRef.current);
+
+            // Fit bounds to show all places around where they were searched,
+            // unless the same places were only updated (e.g. travel times arrived)
+            const center = searchCenter || userLocation;
+            if (center && !isMarked) {
+                const bounds = getBoundsForPlaces(places, center);
                 if (bounds) {
                     fitBounds(bounds);
                 }
             }
         }
-    }, [map, places, selectedPlace, userLocation, setPlaceMarkers, fitBounds]);
+
+        markedIdsRef.current = places.map(place => place.place_id);
+    }, [map, places, userLocation, searchCenter, setPlaceMarkers, addPlaceMarkers, clearMarkers, fitBounds]);
+
+    // Restyle markers when places are saved or unsaved
+    useEffect(() => {
+        if (map && savedPlaceIds) {
+            setSavedMarkers(savedPlaceIds);
+        }
+    }, [map, savedPlaceIds, setSavedMarkers]);
 
     // Highlight selected marker
     useEffect(() => {
@@ -78,12 +208,10 @@ const Map = ({
             highlightMarker(selectedPlace.place_id);
 
             // Pan to selected place
-            const location = {
-                lat: selectedPlace.geometry?.location?.lat() || selectedPlace.geometry?.location?.lat || selectedPlace.lat,
-                lng: selectedPlace.geometry?.location?.lng() || selectedPlace.geometry?.location?.lng || selectedPlace.lng
-            };
-            setCenter(location);
+            setCenter(getPlaceLatLng(selectedPlace));
             setZoom(MAP_CONFIG.SELECTED_ZOOM);
+        } else if (map) {
+            highlightMarker(null);
         }
     }, [map, selectedPlace, highlightMarker, setCenter, setZoom]);
 
@@ -95,50 +223,97 @@ const Map = ({
         }
     }, [map, userLocation, setCenter, setZoom]);
 
-    // Loading state
-    if (!isLoaded) {
+    // Error state
+    if (error) {
         return (
             <div className="map-container">
-                <div className="map-loading">
-                    <LoadingSpinner size="large" />
-                    <p>Loading map...</p>
+                <div className="map-error">
+                    <span className="error-icon">🗺️</span>
+                    <h3>Map unavailable</h3>
+                    <p>{error.message || 'Unable to load the map'}</p>
+                    {getMapRendererName() === 'google' ? (
+                        <div className="error-help">
+                            <p><strong>To fix this:</strong></p>
+                            <ol>
+                                <li>Go to <a href="https://console.cloud.google.com/apis/credentials" target="_blank" rel="noopener noreferrer">Google Cloud Console</a></li>
+                                <li>Enable "Maps JavaScript API" and "Places API"</li>
+                                <li>Create or update your API key</li>
+                                <li>Add it to your .env file as VITE_GOOGLE_MAPS_API_KEY</li>
+                                <li>Or set VITE_MAP_RENDERER=maplibre to use a vector-tile map instead</li>
+                            </ol>
+                        </div>
+                    ) : (
+                        <div className="error-help">
+                            <p><strong>To fix this:</strong> check that VITE_MAP_STYLE_URL points to a reachable MapLibre style.</p>
+                        </div>
+                    )}
                 </div>
             </div>
         );
     }
 
-    // Error state
-    if (error) {
+    // Loading state
+    if (!isLoaded) {
         return (
             <div className="map-container">
-                <div className="map-error">
-                    <span className="error-icon">🗺️</span>
-                    <h3>Map unavailable</h3>
-                    <p>{error.message || 'Unable to load Google Maps'}</p>
-                    <div className="error-help">
-                        <p><strong>To fix this:</strong></p>
-                        <ol>
-                            <li>Go to <a href="https://console.cloud.google.com/apis/credentials" target="_blank" rel="noopener noreferrer">Google Cloud Console</a></li>
-                            <li>Enable "Maps JavaScript API" and "Places API"</li>
-                            <li>Create or update your API key</li>
-                            <li>Add it to your .env file as VITE_GOOGLE_MAPS_API_KEY</li>
-                        </ol>
-                    </div>
+                <div className="map-loading">
+                    <LoadingSpinner size="large" />
+                    <p>Loading map...</p>
                 </div>
             </div>
         );
     }
 
     return (
-        <div className="map-container">
+        <div className={`map-container ${isPickingLocation ? 'picking' : ''}`}>
             <div ref={containerRef} className="map-canvas" />
 
+            {/* Pin drop mode for choosing the search location */}
+            {isPickingLocation && (
+                <div className="map-pick-banner" role="status">
+                    <span>📍 {pickPrompt}</span>
+                    <button onClick={onCancelPick}>Cancel</button>
+                </div>
+            )}
+
+            {/* Active route summary */}
+            {(route || routeLoading) && !isPickingLocation && (
+                <div className="map-route-banner" role="status">
+                    <span className="map-route-summary">
+                        🧭 {route
+                            ? `${formatTravelTime(route.duration, route.mode, route.estimated)} · ${formatDistance(route.distance)}`
+                            : 'Finding route…'}
+                        {routeTitle && <span className="map-route-title"> to {routeTitle}</span>}
+                    </span>
+                    {onShowRouteSteps && <button onClick={onShowRouteSteps}>Steps</button>}
+                    {onEndRoute && <button onClick={onEndRoute}>End</button>}
+                </div>
+            )}
+
+            {/* Search this area (offered after the user moves the map) */}
+            {onSearchArea && !isPickingLocation && !route && !routeLoading && (
+                <button className="map-search-area-btn" onClick={onSearchArea}>
+                    <span>🔍</span>
+                    Search this area
+                </button>
+            )}
+
             {/* Map Controls */}
             <div className="map-controls">
+                {heatmapPlaces.length > 0 && (
+                    <button
+                        className={`map-control-btn heatmap ${heatmapWeighting ? 'active' : ''}`}
+                        onClick={() => setHeatmapWeighting(heatmapWeighting ? null : HEATMAP_WEIGHTS.MOOD)}
+                        aria-pressed={Boolean(heatmapWeighting)}
+                        title={heatmapWeighting ? 'Hide heatmap' : 'Show where the best matches are'}
+                    >
+                        🔥
+                    </button>
+                )}
                 <button
                     className="map-control-btn recenter"
                     onClick={handleRecenter}
-                    title="Center on my location"
+                    title={`Center on ${userLocationLabel.toLowerCase()}`}
                 >
                     <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
                         <path d="M12 8c-2.21 0-4 1.79-4 4s1.79 4 4 4 4-1.79 4-4-1.79-4-4-4zm8.94 3A8.994 8.994 0 0013 3.06V1h-2v2.06A8.994 8.994 0 003.06 11H1v2h2.06A8.994 8.994 0 0011 20.94V23h2v-2.06A8.994 8.994 0 0020.94 13H23v-2h-2.06zM12 19c-3.87 0-7-3.13-7-7s3.13-7 7-7 7 3.13 7 7-3.13 7-7 7z" />
@@ -150,16 +325,62 @@ const Map = ({
             <div className="map-legend">
                 <div className="legend-item">
                     <span className="legend-marker user" />
-                    <span className="legend-label">Your location</span>
+                    <span className="legend-label">{userLocationLabel}</span>
                 </div>
                 <div className="legend-item">
                     <span className="legend-marker place" />
                     <span className="legend-label">Places</span>
                 </div>
+                <div className="legend-item">
+                    <span className="legend-marker saved" />
+                    <span className="legend-label">Saved</span>
+                </div>
+                <div className="legend-item">
+                    <span className="legend-marker cluster" />
+                    <span className="legend-label">Several places (tap to zoom)</span>
+                </div>
                 <div className="legend-item">
                     <span className="legend-marker selected" />
                     <span className="legend-label">Selected</span>
                 </div>
+                {searchArea && (
+                    <div className="legend-item">
+                        <span className="legend-marker area" />
+                        <span className="legend-label">Reachable area</span>
+                    </div>
+                )}
+                {participants.length > 0 && (
+                    <div className="legend-item">
+                        <span className="legend-marker participant" />
+                        <span className="legend-label">Group</span>
+                    </div>
+                )}
+                {meetingPoint && (
+                    <div className="legend-item">
+                        <span className="legend-marker meeting" />
+                        <span className="legend-label">Meeting point</span>
+                    </div>
+                )}
+                {isHeatmapShown && (
+                    <div className="legend-heatmap">
+                        <div className="legend-item">
+                            <span className="legend-heatmap-scale" />
+                            <span className="legend-label">Best matches</span>
+                        </div>
+                        <div className="legend-heatmap-options" role="group" aria-label="Heatmap weighting">
+                            {HEATMAP_OPTIONS.map(option => (
+                                <button
+                                    key={option.weighting}
+                                    className={`legend-heatmap-option ${heatmapWeighting === option.weighting ? 'active' : ''}`}
+                                    onClick={() => setHeatmapWeighting(option.weighting)}
+                                    aria-pressed={heatmapWeighting === option.weighting}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
             </div>
         </div>
     );
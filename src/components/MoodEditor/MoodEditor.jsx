@@ -0,0 +1,372 @@
+/**
+ * MoodEditor Component
+ * Dialog for creating, editing and deleting the moods searches use, and for
+ * importing or exporting the user's moods as JSON
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import useMoods from '../../hooks/useMoods';
+import { getKnownPlaceTypes, DEFAULT_ICON, DEFAULT_COLOR } from '../../services/moodRegistry';
+import { getPlaceTypeLabel } from '../../services/placesApi';
+import { PRICE_LEVELS } from '../../utils/constants';
+import { modalVariants } from '../../utils/animations';
+import './MoodEditor.css';
+
+const NEW_MOOD = {
+    label: '',
+    icon: DEFAULT_ICON,
+    color: DEFAULT_COLOR,
+    description: '',
+    types: [],
+    keywords: '',
+    preferredPrice: [],
+    prioritizeRating: true,
+    quickPick: true
+};
+
+/**
+ * Turn a mood into form fields
+ * @param {Object} mood - Mood record
+ * @returns {Object} - Draft with keywords as comma-separated text
+ */
+const toDraft = (mood) => ({
+    ...mood,
+    keywords: mood.keywords.join(', '),
+    preferredPrice: mood.preferredPrice || []
+});
+
+/**
+ * Toggle a value in a list
+ * @param {Array} list - Current values
+ * @param {*} value - Value to add or remove
+ * @returns {Array} - New list
+ */
+const toggle = (list, value) => {
+    return list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+};
+
+const MoodForm = ({ mood, isBuiltIn, error, onSave, onCancel }) => {
+    const [draft, setDraft] = useState(() => (mood ? toDraft(mood) : NEW_MOOD));
+    const update = (fields) => setDraft(prev => ({ ...prev, ...fields }));
+
+    // Offer the usual place types, plus any this mood already uses
+    const placeTypes = useMemo(() => {
+        return [...new Set([...getKnownPlaceTypes(), ...(mood?.types || [])])];
+    }, [mood]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        onSave({
+            ...draft,
+            keywords: draft.keywords.split(',')
+        });
+    };
+
+    return (
+        <form className="mood-form" onSubmit={handleSubmit}>
+            <div className="mood-form-row">
+                <label className="mood-form-field mood-form-icon">
+                    <span>Icon</span>
+                    <input
+                        type="text"
+                        value={draft.icon}
+                        onChange={(e) => update({ icon: e.target.value })}
+                        aria-label="Icon"
+                    />
+                </label>
+                <label className="mood-form-field mood-form-name">
+                    <span>Name</span>
+                    <input
+                        type="text"
+                        value={draft.label}
+                        onChange={(e) => update({ label: e.target.value })}
+                        placeholder="e.g. Rainy day"
+                        maxLength={30}
+                        autoFocus
+                    />
+                </label>
+                <label className="mood-form-field mood-form-color">
+                    <span>Color</span>
+                    <input
+                        type="color"
+                        value={draft.color}
+                        onChange={(e) => update({ color: e.target.value })}
+                    />
+                </label>
+            </div>
+            {isBuiltIn && (
+                <p className="mood-form-hint">Searches for "{mood.id}" keep using this mood when you rename it.</p>
+            )}
+
+            <label className="mood-form-field">
+                <span>Description</span>
+                <input
+                    type="text"
+                    value={draft.description}
+                    onChange={(e) => update({ description: e.target.value })}
+                    placeholder="Shown with search suggestions"
+                    maxLength={80}
+                />
+            </label>
+
+            <fieldset className="mood-form-field">
+                <legend>Place types</legend>
+                <div className="mood-form-options">
+                    {placeTypes.map(type => (
+                        <button
+                            key={type}
+                            type="button"
+                            className={`mood-form-option ${draft.types.includes(type) ? 'active' : ''}`}
+                            onClick={() => update({ types: toggle(draft.types, type) })}
+                            aria-pressed={draft.types.includes(type)}
+                        >
+                            {getPlaceTypeLabel([type])}
+                        </button>
+                    ))}
+                </div>
+            </fieldset>
+
+            <label className="mood-form-field">
+                <span>Keywords</span>
+                <input
+                    type="text"
+                    value={draft.keywords}
+                    onChange={(e) => update({ keywords: e.target.value })}
+                    placeholder="Comma separated, e.g. board games, cozy"
+                />
+            </label>
+
+            <fieldset className="mood-form-field">
+                <legend>Preferred prices</legend>
+                <div className="mood-form-options">
+                    {Object.entries(PRICE_LEVELS).map(([level, label]) => (
+                        <button
+                            key={level}
+                            type="button"
+                            className={`mood-form-option ${draft.preferredPrice.includes(Number(level)) ? 'active' : ''}`}
+                            onClick={() => update({ preferredPrice: toggle(draft.preferredPrice, Number(level)) })}
+                            aria-pressed={draft.preferredPrice.includes(Number(level))}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </fieldset>
+
+            <label className="mood-form-check">
+                <input
+                    type="checkbox"
+                    checked={draft.prioritizeRating}
+                    onChange={(e) => update({ prioritizeRating: e.target.checked })}
+                />
+                Rank well-rated places higher
+            </label>
+            <label className="mood-form-check">
+                <input
+                    type="checkbox"
+                    checked={draft.quickPick}
+                    onChange={(e) => update({ quickPick: e.target.checked })}
+                />
+                Show in quick picks
+            </label>
+
+            {error && <p className="mood-editor-status error" role="alert">{error}</p>}
+
+            <div className="mood-form-actions">
+                <button type="button" className="mood-editor-btn" onClick={onCancel}>
+                    Cancel
+                </button>
+                <button type="submit" className="mood-editor-btn primary">
+                    Save mood
+                </button>
+            </div>
+        </form>
+    );
+};
+
+const MoodEditor = ({ isOpen, onClose }) => {
+    const { moods, saveMood, deleteMood, resetMoods, exportMoods, importMoods } = useMoods();
+    const [editing, setEditing] = useState(null); // null, or { mood } (mood is null for a new one)
+    const [formError, setFormError] = useState(null);
+    const [status, setStatus] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const hasChanges = moods.some(mood => !mood.builtIn || mood.edited);
+
+    // Start on the list each time the editor opens
+    useEffect(() => {
+        if (isOpen) {
+            setEditing(null);
+            setFormError(null);
+            setStatus(null);
+        }
+    }, [isOpen]);
+
+    // Close on Escape
+    useEffect(() => {
+        if (!isOpen) return undefined;
+
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [isOpen, onClose]);
+
+    const startEditing = (mood) => {
+        setEditing({ mood });
+        setFormError(null);
+        setStatus(null);
+    };
+
+    const handleSave = (fields) => {
+        try {
+            const saved = saveMood(fields, editing.mood?.id || null);
+            setEditing(null);
+            setStatus({ type: 'success', message: `Saved ${saved.icon} ${saved.label}` });
+        } catch (err) {
+            setFormError(err.message);
+        }
+    };
+
+    const handleDelete = (mood) => {
+        const message = mood.builtIn
+            ? `Delete "${mood.label}"? "Reset" brings back the built-in moods.`
+            : `Delete "${mood.label}"? This can't be undone.`;
+        if (window.confirm(message)) {
+            deleteMood(mood.id);
+            setStatus(null);
+        }
+    };
+
+    const handleReset = () => {
+        if (window.confirm('Restore the built-in moods? Your own moods and edits will be deleted.')) {
+            resetMoods();
+            setStatus({ type: 'success', message: 'Built-in moods restored' });
+        }
+    };
+
+    const handleImportChange = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const count = await importMoods(file);
+            setStatus({ type: 'success', message: `Imported ${count} mood${count !== 1 ? 's' : ''} from ${file.name}` });
+        } catch (err) {
+            setStatus({ type: 'error', message: err.message || 'Import failed' });
+        }
+    };
+
+    return (
+        <AnimatePresence>
+            {isOpen && (
+                <motion.div
+                    className="mood-editor-overlay"
+                    onClick={onClose}
+                    variants={modalVariants.overlay}
+                    initial="hidden"
+                    animate="visible"
+                    exit="exit"
+                >
+                    <motion.div
+                        className="mood-editor"
+                        role="dialog"
+                        aria-modal="true"
+                        aria-label="Edit moods"
+                        onClick={(e) => e.stopPropagation()}
+                        variants={modalVariants.content}
+                    >
+                        <div className="mood-editor-header">
+                            <h2>{editing ? (editing.mood ? `Edit ${editing.mood.label}` : 'New mood') : 'Moods'}</h2>
+                            <button className="mood-editor-close" onClick={onClose} aria-label="Close">
+                                ✕
+                            </button>
+                        </div>
+
+                        {editing ? (
+                            <MoodForm
+                                mood={editing.mood}
+                                isBuiltIn={Boolean(editing.mood?.builtIn)}
+                                error={formError}
+                                onSave={handleSave}
+                                onCancel={() => setEditing(null)}
+                            />
+                        ) : (
+                            <>
+                                <div className="mood-editor-toolbar">
+                                    <button className="mood-editor-btn primary" onClick={() => startEditing(null)}>
+                                        ＋ New mood
+                                    </button>
+                                    <button className="mood-editor-btn" onClick={() => fileInputRef.current?.click()}>
+                                        ⬆️ Import
+                                    </button>
+                                    <button
+                                        className="mood-editor-btn"
+                                        onClick={exportMoods}
+                                        disabled={!hasChanges}
+                                        title={hasChanges ? 'Download your moods and edits as JSON' : 'Create or edit a mood first'}
+                                    >
+                                        ⬇️ Export
+                                    </button>
+                                    <button className="mood-editor-btn" onClick={handleReset}>
+                                        Reset
+                                    </button>
+                                    <input
+                                        ref={fileInputRef}
+                                        type="file"
+                                        accept=".json,application/json"
+                                        onChange={handleImportChange}
+                                        hidden
+                                    />
+                                </div>
+
+                                {status && (
+                                    <p className={`mood-editor-status ${status.type}`} role="status">
+                                        {status.message}
+                                    </p>
+                                )}
+
+                                <ul className="mood-editor-list">
+                                    {moods.map(mood => (
+                                        <li key={mood.id} className="mood-editor-item" style={{ '--mood-color': mood.color }}>
+                                            <span className="mood-editor-icon">{mood.icon}</span>
+                                            <span className="mood-editor-text">
+                                                <span className="mood-editor-name">
+                                                    {mood.label}
+                                                    {!mood.builtIn && <span className="mood-editor-badge">Custom</span>}
+                                                    {mood.edited && <span className="mood-editor-badge">Edited</span>}
+                                                    {mood.quickPick && <span className="mood-editor-badge">Quick pick</span>}
+                                                </span>
+                                                <span className="mood-editor-detail">{mood.description}</span>
+                                            </span>
+                                            <button
+                                                className="mood-editor-action"
+                                                onClick={() => startEditing(mood)}
+                                                aria-label={`Edit ${mood.label}`}
+                                            >
+                                                Edit
+                                            </button>
+                                            <button
+                                                className="mood-editor-action remove"
+                                                onClick={() => handleDelete(mood)}
+                                                aria-label={`Delete ${mood.label}`}
+                                                title="Delete"
+                                            >
+                                                ✕
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </>
+                        )}
+                    </motion.div>
+                </motion.div>
+            )}
+        </AnimatePresence>
+    );
+};
+
+export default MoodEditor;
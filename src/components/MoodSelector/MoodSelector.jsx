@@ -3,23 +3,12 @@
  * Interactive mood chips for place filtering - optimized
  */
 import { useState } from 'react';
+import useMoods from '../../hooks/useMoods';
+import { DEFAULT_ICON, DEFAULT_COLOR } from '../../services/moodRegistry';
 import './MoodSelector.css';
 
-const MOODS = [
-    { id: 'all', label: 'All', icon: '✨', color: '#6366f1' },
-    { id: 'work', label: 'Work', icon: '💼', color: '#3b82f6' },
-    { id: 'date', label: 'Date Night', icon: '💕', color: '#ec4899' },
-    { id: 'quick-bite', label: 'Quick Bite', icon: '🍔', color: '#f97316' },
-    { id: 'budget', label: 'Budget', icon: '💰', color: '#22c55e' },
-    { id: 'chill', label: 'Chill', icon: '😌', color: '#8b5cf6' },
-    { id: 'family', label: 'Family', icon: '👨‍👩‍👧‍👦', color: '#06b6d4' },
-    { id: 'drinks', label: 'Drinks', icon: '🍻', color: '#eab308' },
-    { id: 'coffee', label: 'Coffee', icon: '☕', color: '#78716c' },
-    { id: 'outdoors', label: 'Outdoors', icon: '🌲', color: '#22c55e' },
-    { id: 'shopping', label: 'Shopping', icon: '🛒', color: '#f43f5e' },
-    { id: 'fitness', label: 'Fitness', icon: '🏋️', color: '#ef4444' },
-    { id: 'entertainment', label: 'Entertainment', icon: '🎭', color: '#a855f7' },
-];
+// Chip for not filtering by mood; the rest come from the mood registry
+const ALL_MOODS = { id: 'all', label: 'All', icon: DEFAULT_ICON, color: DEFAULT_COLOR };
 
 const MoodChip = ({ mood, isSelected, onClick }) => {
     return (
@@ -40,6 +29,9 @@ const MoodChip = ({ mood, isSelected, onClick }) => {
 
 const MoodSelector = ({ selectedMood, onMoodChange, className = '' }) => {
     const [localMood, setLocalMood] = useState(selectedMood || 'all');
+    const { quickPicks } = useMoods();
+    const moods = [ALL_MOODS, ...quickPicks];
+    const activeMood = moods.find(m => m.id === localMood);
 
     const handleMoodSelect = (moodId) => {
         setLocalMood(moodId);
@@ -56,7 +48,7 @@ const MoodSelector = ({ selectedMood, onMoodChange, className = '' }) => {
             </div>
 
             <div className="mood-selector__chips">
-                {MOODS.map((mood) => (
+                {moods.map((mood) => (
                     <MoodChip
                         key={mood.id}
                         mood={mood}
@@ -66,11 +58,11 @@ const MoodSelector = ({ selectedMood, onMoodChange, className = '' }) => {
                 ))}
             </div>
 
-            {localMood !== 'all' && (
+            {localMood !== 'all' && activeMood && (
                 <div className="mood-selector__active-label">
                     <span>Showing</span>
-                    <span className="mood-selector__active-mood" style={{ color: MOODS.find(m => m.id === localMood)?.color }}>
-                        {MOODS.find(m => m.id === localMood)?.icon} {MOODS.find(m => m.id === localMood)?.label}
+                    <span className="mood-selector__active-mood" style={{ color: activeMood.color }}>
+                        {activeMood.icon} {activeMood.label}
                     </span>
                     <span>places</span>
                 </div>
@@ -82,6 +74,7 @@ const MoodSelector = ({ selectedMood, onMoodChange, className = '' }) => {
 // Compact version for sidebar
 export const MoodSelectorCompact = ({ selectedMood, onMoodChange }) => {
     const [localMood, setLocalMood] = useState(selectedMood || 'all');
+    const { quickPicks } = useMoods();
 
     const handleMoodSelect = (moodId) => {
         setLocalMood(moodId);
@@ -93,7 +86,7 @@ export const MoodSelectorCompact = ({ selectedMood, onMoodChange }) => {
     return (
         <div className="mood-selector mood-selector--compact">
             <div className="mood-selector__chips mood-selector__chips--compact">
-                {MOODS.slice(0, 5).map((mood) => (
+                {[ALL_MOODS, ...quickPicks].slice(0, 5).map((mood) => (
                     <button
                         key={mood.id}
                         className={`mood-chip mood-chip--compact ${localMood === mood.id ? 'mood-chip--selected' : ''}`}
@@ -108,5 +101,4 @@ export const MoodSelectorCompact = ({ selectedMood, onMoodChange }) => {
     );
 };
 
-export default MoodSelector;
-export { MOODS };
\ No newline at end of file
+export default MoodSelector;
\ No newline at end of file
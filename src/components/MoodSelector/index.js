@@ -1 +1 @@
-export { default, MoodSelectorCompact, MOODS } from './MoodSelector';
+export { default, MoodSelectorCompact } from './MoodSelector';
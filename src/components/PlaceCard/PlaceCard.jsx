@@ -3,19 +3,28 @@
  * Individual place card display - optimized
  */
 
-import React, { useMemo } from 'react';
-import { formatDistance, getWalkingTime } from '../../utils/distance';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { formatDistance, getWalkingTime, formatTravelTime } from '../../utils/distance';
 import { PRICE_LEVELS, CATEGORY_ICONS } from '../../utils/constants';
-import { getPlaceTypeLabel, getPlacePhotoUrl } from '../../services/placesApi';
+import { getPlaceTypeLabel, getPlacePhotoUrl, formatOpeningHours } from '../../services/placesApi';
+import { findMood, DEFAULT_ICON } from '../../services/moodRegistry';
+import { getMatchBreakdown } from '../../utils/filterSort';
+import ScoreBreakdown from '../ScoreBreakdown/ScoreBreakdown';
 import './PlaceCard.css';
 
 const PlaceCard = ({
     place,
     index,
     isSelected = false,
+    isSaved = false,
+    moodMapping = null,
     onClick,
-    onViewDetails
+    onViewDetails,
+    onToggleSave
 }) => {
+    const [isWhyOpen, setIsWhyOpen] = useState(false);
+    const whyRef = useRef(null);
+
     // Get photo URL
     const photoUrl = useMemo(() => {
         return getPlacePhotoUrl(place, 300);
@@ -37,9 +46,52 @@ const PlaceCard = ({
         return getPlaceTypeLabel(place.types);
     }, [place.types]);
 
-    // Check if open
-    const isOpen = place.opening_hours?.open_now;
-    const hasOpeningHours = place.opening_hours !== undefined;
+    // Check if open, and when that changes next
+    const { isOpen, detail: openingDetail } = formatOpeningHours(place.opening_hours);
+    const hasOpeningHours = isOpen !== null;
+
+    // Routed travel time for the selected mode, once it has loaded
+    const travelTime = place.travelTime
+        ? formatTravelTime(place.travelTime.duration, place.travelTime.mode, place.travelTime.estimated)
+        : null;
+
+    // Group searches: everyone's longest trip and how evenly the trips are spread
+    const groupTravel = place.groupTravel && place.groupTravel.max !== null ? place.groupTravel : null;
+
+    // Blended searches: which of the moods this place suits
+    const matchedMoods = useMemo(() => {
+        return (place.matchedMoods || []).map(mood => {
+            const registered = findMood(mood);
+            return {
+                mood,
+                icon: registered?.icon || DEFAULT_ICON,
+                label: registered?.label || mood.charAt(0).toUpperCase() + mood.slice(1)
+            };
+        });
+    }, [place.matchedMoods]);
+
+    // "Why this match": worked out only once it is opened
+    const breakdown = useMemo(() => {
+        return isWhyOpen ? getMatchBreakdown(place, moodMapping) : null;
+    }, [isWhyOpen, place, moodMapping]);
+
+    // Close the popover on an outside click or Escape
+    useEffect(() => {
+        if (!isWhyOpen) return undefined;
+
+        const handlePointerDown = (e) => {
+            if (!whyRef.current?.contains(e.target)) setIsWhyOpen(false);
+        };
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') setIsWhyOpen(false);
+        };
+        document.addEventListener('mousedown', handlePointerDown);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('mousedown', handlePointerDown);
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [isWhyOpen]);
 
     return (
         <div
@@ -67,6 +119,21 @@ const PlaceCard = ({
                         <span>{categoryIcon}</span>
                     </div>
                 )}
+                {/* Save Button */}
+                {onToggleSave && (
+                    <button
+                        className={`save-btn ${isSaved ? 'saved' : ''}`}
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            onToggleSave(place);
+                        }}
+                        aria-label={isSaved ? 'Remove from saved places' : 'Save place'}
+                        aria-pressed={isSaved}
+                        title={isSaved ? 'Remove from saved' : 'Save'}
+                    >
+                        {isSaved ? '♥' : '♡'}
+                    </button>
+                )}
                 {/* Price Badge */}
                 {place.price_level !== undefined && (
                     <div className="price-badge">
@@ -115,8 +182,48 @@ const PlaceCard = ({
                     {place.distance && (
                         <div className="place-distance">
                             <span className="info-icon">📍</span>
-                            <span>{formatDistance(place.distance)}</span>
-                            <span className="walking-time">• {getWalkingTime(place.distance)}</span>
+                            {place.userDistance !== undefined ? (
+                                // Searched elsewhere: distance from the user, then from the search center
+                                <>
+                                    <span>{formatDistance(place.userDistance)} away</span>
+                                    {travelTime && <span className="walking-time">• {travelTime}</span>}
+                                    <span className="walking-time">• {formatDistance(place.distance)} from area center</span>
+                                </>
+                            ) : (
+                                <>
+                                    <span>{formatDistance(place.distance)}</span>
+                                    <span className="walking-time">• {travelTime || getWalkingTime(place.distance)}</span>
+                                </>
+                            )}
+                        </div>
+                    )}
+
+                    {groupTravel && (
+                        <div
+                            className="place-group-travel"
+                            title={groupTravel.times
+                                .map(time => `${time.name}: ${formatTravelTime(time.duration, time.mode, time.estimated)}`)
+                                .join('\n')}
+                        >
+                            <span className="info-icon">👥</span>
+                            <span>
+                                longest {formatTravelTime(
+                                    groupTravel.max,
+                                    groupTravel.times[0].mode,
+                                    groupTravel.times.some(time => time.estimated)
+                                )}
+                            </span>
+                            <span className="walking-time">• ±{Math.round(groupTravel.spread / 60)} min</span>
+                        </div>
+                    )}
+
+                    {matchedMoods.length > 0 && (
+                        <div className="place-matched-moods" title="Moods of your blend this place suits">
+                            {matchedMoods.map(({ mood, icon, label }) => (
+                                <span key={mood} className="matched-mood">
+                                    {icon} {label}
+                                </span>
+                            ))}
                         </div>
                     )}
 
@@ -124,6 +231,9 @@ const PlaceCard = ({
                         <div className={`place-status ${isOpen ? 'open' : 'closed'}`}>
                             <span className="status-dot" />
                             <span>{isOpen ? 'Open now' : 'Closed'}</span>
+                            {openingDetail && (
+                                <span className="status-detail">· {openingDetail}</span>
+                            )}
                         </div>
                     )}
                 </div>
@@ -135,6 +245,42 @@ const PlaceCard = ({
                     </p>
                 )}
 
+                {/* Saved Info */}
+                {place.savedAt && (
+                    <div className="place-saved-info">
+                        <span className="saved-date">
+                            Saved {new Date(place.savedAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}
+                        </span>
+                        {place.note && (
+                            <p className="saved-note" title={place.note}>{place.note}</p>
+                        )}
+                    </div>
+                )}
+
+                {/* Why this match */}
+                <div className="place-why" ref={whyRef}>
+                    <button
+                        className="place-why-btn"
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            setIsWhyOpen(open => !open);
+                        }}
+                        aria-expanded={isWhyOpen}
+                    >
+                        💡 Why this match
+                    </button>
+                    {isWhyOpen && (
+                        <div
+                            className="place-why-popover"
+                            role="dialog"
+                            aria-label={`Why ${place.name} matches`}
+                            onClick={(e) => e.stopPropagation()}
+                        >
+                            <ScoreBreakdown breakdown={breakdown} title="Best match score" />
+                        </div>
+                    )}
+                </div>
+
                 {/* Actions */}
                 <div className="place-actions">
                     <button
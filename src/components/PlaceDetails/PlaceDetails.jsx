@@ -4,14 +4,27 @@
  * Enhanced with Framer Motion animations
  */
 
-import React from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { formatDistance, getWalkingTime, getDrivingTime } from '../../utils/distance';
-import { PRICE_LEVELS, CATEGORY_ICONS } from '../../utils/constants';
+import { formatDistance, formatTravelTime, estimateTravelDuration } from '../../utils/distance';
+import { PRICE_LEVELS, CATEGORY_ICONS, TRAVEL_MODES } from '../../utils/constants';
+import useTravelTimes from '../../hooks/useTravelTimes';
 import { getPlaceTypeLabel, getPlacePhotoUrl, formatOpeningHours } from '../../services/placesApi';
+import { getExternalDirectionsUrl } from '../../services/directions';
+import { getMatchBreakdown } from '../../utils/filterSort';
+import ScoreBreakdown from '../ScoreBreakdown/ScoreBreakdown';
 import { SPRING, DURATION, EASING, modalVariants, buttonHover } from '../../utils/animations';
 import './PlaceDetails.css';
 
+// Travel times shown in the distance row, and the directions modes
+const TRAVEL_ITEMS = [
+    { icon: '🚶', mode: TRAVEL_MODES.WALKING, label: 'Walk' },
+    { icon: '🚗', mode: TRAVEL_MODES.DRIVING, label: 'Drive' },
+    { icon: '🚲', mode: TRAVEL_MODES.BICYCLING, label: 'Bike' },
+    { icon: '🚆', mode: TRAVEL_MODES.TRANSIT, label: 'Transit' }
+];
+const ALL_TRAVEL_MODES = TRAVEL_ITEMS.map(item => item.mode);
+
 // Animation variants
 const overlayVariants = {
     hidden: { opacity: 0 },
@@ -125,19 +138,172 @@ const starVariants = {
     }
 };
 
-const PlaceDetails = ({ place, details, onClose, isOpen }) => {
+/**
+ * Personal note editor for a saved place
+ * Saves when the textarea loses focus
+ */
+const SavedNote = ({ placeId, savedAt, note, onNoteChange }) => {
+    const [draft, setDraft] = useState(note || '');
+
+    // Reset the draft when switching places
+    useEffect(() => {
+        setDraft(note || '');
+    }, [placeId, note]);
+
+    return (
+        <motion.div
+            className="details-note"
+            variants={contentItemVariants}
+        >
+            <h3 className="section-title">Your Note</h3>
+            <textarea
+                className="note-input"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={() => draft !== (note || '') && onNoteChange?.(placeId, draft)}
+                placeholder="Add a note, like what to order or who to bring..."
+                rows={3}
+            />
+            <p className="note-meta">
+                Saved on {new Date(savedAt).toLocaleDateString(undefined, { month: 'long', day: 'numeric', year: 'numeric' })}
+            </p>
+        </motion.div>
+    );
+};
+
+/**
+ * In-app directions: mode switcher, route summary and step list
+ */
+const DirectionsPanel = ({ place, directions, onModeChange, onShowRoute, onEnd }) => {
+    const { mode, route, loading, error } = directions;
+
+    let status = null;
+    if (error) {
+        status = error.message || 'Directions are unavailable right now.';
+    } else if (!route) {
+        status = loading ? 'Finding a route…' : 'No route found for this mode.';
+    }
+
+    return (
+        <motion.div
+            className="details-directions"
+            variants={contentItemVariants}
+        >
+            <div className="directions-header">
+                <h3 className="section-title">Directions</h3>
+                <button className="directions-end" onClick={onEnd}>
+                    End
+                </button>
+            </div>
+
+            <div className="directions-modes">
+                {TRAVEL_ITEMS.map(item => (
+                    <button
+                        key={item.mode}
+                        className={`list-chip ${mode === item.mode ? 'active' : ''}`}
+                        onClick={() => onModeChange?.(item.mode)}
+                        aria-pressed={mode === item.mode}
+                    >
+                        <span>{item.icon}</span>
+                        {item.label}
+                    </button>
+                ))}
+            </div>
+
+            {status ? (
+                <p className={`directions-status ${error ? 'error' : ''}`}>{status}</p>
+            ) : (
+                <>
+                    <div className="directions-summary">
+                        <strong>{formatTravelTime(route.duration, route.mode, route.estimated)}</strong>
+                        <span>{formatDistance(route.distance)}</span>
+                        {onShowRoute && (
+                            <button className="directions-map-btn" onClick={onShowRoute}>
+                                Show on map
+                            </button>
+                        )}
+                    </div>
+                    <ol className="directions-steps">
+                        {route.steps.map((step, index) => (
+                            <li key={index} className="directions-step">
+                                <span>{step.instruction}</span>
+                                {step.distance > 0 && (
+                                    <span className="directions-step-distance">{formatDistance(step.distance)}</span>
+                                )}
+                            </li>
+                        ))}
+                    </ol>
+                </>
+            )}
+
+            <a
+                className="info-link directions-external"
+                href={getExternalDirectionsUrl(place, mode)}
+                target="_blank"
+                rel="noopener noreferrer"
+            >
+                Open in Google Maps
+            </a>
+        </motion.div>
+    );
+};
+
+const PlaceDetails = ({
+    place,
+    details,
+    moodMapping = null,
+    onClose,
+    isOpen,
+    savedRecord = null,
+    onToggleSave,
+    onNoteChange,
+    collections = [],
+    listIds = [],
+    onToggleList,
+    travelOrigin = null,
+    directions = null,
+    onStartDirections,
+    onDirectionsModeChange,
+    onShowRoute,
+    onEndDirections,
+    inItinerary = false,
+    isItineraryFull = false,
+    onToggleItinerary
+}) => {
+    // Routed times for every mode; falls back to estimates until they arrive
+    const travelPlaces = useMemo(() => (place ? [place] : []), [place]);
+    const { travelTimes } = useTravelTimes({
+        places: travelPlaces,
+        origin: travelOrigin,
+        modes: ALL_TRAVEL_MODES
+    });
+
     if (!place) return null;
 
     // Merge place and details data
     const data = { ...place, ...details };
 
-    // Get photos
-    const photos = data.photos || [];
-    const mainPhoto = photos.length > 0 ? getPlacePhotoUrl(data, 600) : null;
+    // Travel times are from the user, also for places found by searching another area
+    const travelDistance = data.userDistance ?? data.distance;
+
+    // Routed time for a mode, or a straight-line estimate
+    const getTravelLabel = (mode) => {
+        const routed = travelTimes[mode]?.[data.place_id];
+        if (routed) {
+            return formatTravelTime(routed.duration, mode, routed.estimated);
+        }
+        return formatTravelTime(estimateTravelDuration(travelDistance, mode), mode, true);
+    };
+
+    // Get photo (cached and saved places keep a resolved photo_url instead of photos)
+    const mainPhoto = getPlacePhotoUrl(data, 600);
 
     // Get opening hours
     const openingHours = formatOpeningHours(data.opening_hours);
 
+    // How the place was ranked; scored as listed, so it matches its place in the results
+    const breakdown = getMatchBreakdown(place, moodMapping);
+
     // Get category icon
     const getCategoryIcon = () => {
         const types = data.types || [];
@@ -155,10 +321,13 @@ const PlaceDetails = ({ place, details, onClose, isOpen }) => {
         window.open(url, '_blank');
     };
 
-    // Open directions
+    // Show directions in the app, or in Google Maps without a handler
     const openDirections = () => {
-        const url = `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(data.name)}&destination_place_id=${data.place_id}`;
-        window.open(url, '_blank');
+        if (onStartDirections) {
+            onStartDirections(data);
+            return;
+        }
+        window.open(getExternalDirectionsUrl(data, TRAVEL_MODES.DRIVING), '_blank');
     };
 
     return (
@@ -193,6 +362,22 @@ const PlaceDetails = ({ place, details, onClose, isOpen }) => {
                             ✕
                         </motion.button>
 
+                        {/* Save Button */}
+                        {onToggleSave && (
+                            <motion.button
+                                className={`details-save-btn ${savedRecord ? 'saved' : ''}`}
+                                onClick={() => onToggleSave(data)}
+                                aria-label={savedRecord ? 'Remove from saved places' : 'Save place'}
+                                aria-pressed={Boolean(savedRecord)}
+                                variants={closeButtonVariants}
+                                initial="rest"
+                                whileHover="hover"
+                                whileTap="tap"
+                            >
+                                {savedRecord ? '♥' : '♡'}
+                            </motion.button>
+                        )}
+
                         {/* Hero Photo */}
                         <motion.div
                             className="details-hero"
@@ -340,15 +525,14 @@ const PlaceDetails = ({ place, details, onClose, isOpen }) => {
                             )}
 
                             {/* Distance Info */}
-                            {data.distance && (
+                            {travelDistance && (
                                 <motion.div
                                     className="details-distance"
                                     variants={contentItemVariants}
                                 >
                                     {[
-                                        { icon: '📍', value: formatDistance(data.distance) },
-                                        { icon: '🚶', value: getWalkingTime(data.distance) },
-                                        { icon: '🚗', value: getDrivingTime(data.distance) }
+                                        { icon: '📍', value: formatDistance(travelDistance) },
+                                        ...TRAVEL_ITEMS.map(({ icon, mode }) => ({ icon, value: getTravelLabel(mode) }))
                                     ].map((item, i) => (
                                         <motion.div
                                             key={i}
@@ -422,6 +606,52 @@ const PlaceDetails = ({ place, details, onClose, isOpen }) => {
                                 )}
                             </motion.div>
 
+                            {/* Saved Note */}
+                            {savedRecord && (
+                                <SavedNote
+                                    placeId={data.place_id}
+                                    savedAt={savedRecord.savedAt}
+                                    note={savedRecord.note}
+                                    onNoteChange={onNoteChange}
+                                />
+                            )}
+
+                            {/* Why this match */}
+                            <motion.div
+                                className="details-why"
+                                variants={contentItemVariants}
+                            >
+                                <h3 className="section-title">Why this match</h3>
+                                <ScoreBreakdown breakdown={breakdown} title="Best match score" />
+                            </motion.div>
+
+                            {/* Collections */}
+                            {onToggleList && collections.length > 0 && (
+                                <motion.div
+                                    className="details-lists"
+                                    variants={contentItemVariants}
+                                >
+                                    <h3 className="section-title">Lists</h3>
+                                    <div className="list-chips">
+                                        {collections.map(collection => {
+                                            const inList = listIds.includes(collection.id);
+                                            return (
+                                                <button
+                                                    key={collection.id}
+                                                    className={`list-chip ${inList ? 'active' : ''}`}
+                                                    onClick={() => onToggleList(collection.id, data)}
+                                                    aria-pressed={inList}
+                                                >
+                                                    <span>{collection.emoji}</span>
+                                                    {collection.title}
+                                                    {inList && <span className="list-chip-check">✓</span>}
+                                                </button>
+                                            );
+                                        })}
+                                    </div>
+                                </motion.div>
+                            )}
+
                             {/* Opening Hours */}
                             {openingHours.periods.length > 0 && (
                                 <motion.div
@@ -429,6 +659,9 @@ const PlaceDetails = ({ place, details, onClose, isOpen }) => {
                                     variants={contentItemVariants}
                                 >
                                     <h3 className="section-title">Hours</h3>
+                                    {openingHours.isHoliday && (
+                                        <p className="hours-note">Holiday hours apply today</p>
+                                    )}
                                     <motion.ul
                                         className="hours-list"
                                         initial="hidden"
@@ -462,6 +695,17 @@ const PlaceDetails = ({ place, details, onClose, isOpen }) => {
                                 </motion.div>
                             )}
 
+                            {/* Directions */}
+                            {directions && (
+                                <DirectionsPanel
+                                    place={data}
+                                    directions={directions}
+                                    onModeChange={onDirectionsModeChange}
+                                    onShowRoute={onShowRoute}
+                                    onEnd={onEndDirections}
+                                />
+                            )}
+
                             {/* Action Buttons */}
                             <motion.div
                                 className="details-actions"
@@ -499,6 +743,27 @@ const PlaceDetails = ({ place, details, onClose, isOpen }) => {
                                     </motion.span>
                                     Open in Maps
                                 </motion.button>
+                                {onToggleItinerary && (
+                                    <motion.button
+                                        className="action-btn secondary"
+                                        onClick={() => onToggleItinerary(data)}
+                                        disabled={!inItinerary && isItineraryFull}
+                                        title={!inItinerary && isItineraryFull ? 'Your plan is full' : undefined}
+                                        aria-pressed={inItinerary}
+                                        variants={buttonHover}
+                                        initial="rest"
+                                        whileHover="hover"
+                                        whileTap="tap"
+                                    >
+                                        <motion.span
+                                            className="btn-icon"
+                                            whileHover={{ scale: 1.2 }}
+                                        >
+                                            {inItinerary ? '✓' : '🗓️'}
+                                        </motion.span>
+                                        {inItinerary ? 'In Plan' : 'Add to Plan'}
+                                    </motion.button>
+                                )}
                                 {data.website && (
                                     <motion.a
                                         href={data.website}
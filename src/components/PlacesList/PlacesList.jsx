@@ -1,9 +1,10 @@
 /**
  * PlacesList Component
  * Scrollable list of place cards - optimized for fast rendering
+ * Pass onLoadMore to page through results with a "Load more" button and infinite scroll
  */
 
-import React from 'react';
+import React, { useEffect, useRef } from 'react';
 import PlaceCard from '../PlaceCard/PlaceCard';
 import { PlaceCardsSkeletonList } from '../Skeleton/Skeleton';
 import './PlacesList.css';
@@ -11,13 +12,48 @@ import './PlacesList.css';
 const PlacesList = ({
     places = [],
     selectedPlace,
+    savedPlaceIds = null,
+    moodMapping = null,
     loading = false,
     error = null,
     onPlaceClick,
     onViewDetails,
+    onToggleSave,
     onRetry,
-    emptyMessage = "No places found. Try a different search or adjust your filters."
+    emptyIcon = '🔍',
+    emptyMessage = "No places found. Try a different search or adjust your filters.",
+    showSuggestions = true,
+    headerText = null,
+    refreshing = false,
+    totalCount = null,
+    hasMore = false,
+    loadingMore = false,
+    loadMoreError = null,
+    onLoadMore = null
 }) => {
+    const footerRef = useRef(null);
+    const onLoadMoreRef = useRef(onLoadMore);
+    onLoadMoreRef.current = onLoadMore;
+
+    const canAutoLoad = Boolean(onLoadMore) && hasMore && !loadingMore && !loadMoreError;
+
+    // Infinite scroll: load more once the footer scrolls into view.
+    // Re-observing after every page keeps loading while the footer stays visible.
+    useEffect(() => {
+        const footer = footerRef.current;
+        if (!canAutoLoad || !footer || typeof IntersectionObserver === 'undefined') return;
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                onLoadMoreRef.current?.();
+            }
+        }, { rootMargin: '200px' });
+
+        observer.observe(footer);
+        return () => observer.disconnect();
+    }, [canAutoLoad, places.length]);
+
+
     // Loading state with skeleton
     if (loading) {
         return (
@@ -51,29 +87,36 @@ const PlacesList = ({
     if (places.length === 0) {
         return (
             <div className="places-list-state empty">
-                <span className="state-icon">🔍</span>
+                <span className="state-icon">{emptyIcon}</span>
                 <p className="state-message">{emptyMessage}</p>
-                <div className="empty-suggestions">
-                    <p className="suggestion-text">Try searching for:</p>
-                    <div className="suggestion-tags">
-                        {['coffee', 'lunch', 'chill', 'work'].map((tag) => (
-                            <span key={tag} className="suggestion-tag">
-                                {tag}
-                            </span>
-                        ))}
+                {showSuggestions && (
+                    <div className="empty-suggestions">
+                        <p className="suggestion-text">Try searching for:</p>
+                        <div className="suggestion-tags">
+                            {['coffee', 'lunch', 'chill', 'work'].map((tag) => (
+                                <span key={tag} className="suggestion-tag">
+                                    {tag}
+                                </span>
+                            ))}
+                        </div>
                     </div>
-                </div>
+                )}
             </div>
         );
     }
 
+    const count = totalCount ?? places.length;
+
     return (
         <div className="places-list">
             {/* Results header */}
             <div className="places-list-header">
                 <span className="results-count">
-                    {places.length} place{places.length !== 1 ? 's' : ''} found
+                    {headerText || `${count} place${count !== 1 ? 's' : ''} found`}
                 </span>
+                {refreshing && (
+                    <span className="results-refreshing" role="status">Updating…</span>
+                )}
             </div>
 
             {/* Places grid */}
@@ -84,11 +127,33 @@ const PlacesList = ({
                         place={place}
                         index={index}
                         isSelected={selectedPlace?.place_id === place.place_id}
+                        isSaved={savedPlaceIds?.has(place.place_id) || false}
+                        moodMapping={moodMapping}
                         onClick={onPlaceClick}
                         onViewDetails={onViewDetails}
+                        onToggleSave={onToggleSave}
                     />
                 ))}
             </div>
+
+            {/* Load more */}
+            {onLoadMore && (hasMore || loadMoreError) && (
+                <div className="places-list-footer" ref={footerRef}>
+                    {loadMoreError && (
+                        <p className="load-more-error" role="alert">
+                            {loadMoreError.message || "Couldn't load more places"}
+                        </p>
+                    )}
+                    <button
+                        className="load-more-btn"
+                        onClick={onLoadMore}
+                        disabled={loadingMore}
+                        aria-busy={loadingMore}
+                    >
+                        {loadingMore ? 'Loading more places…' : loadMoreError ? 'Try again' : 'Load more'}
+                    </button>
+                </div>
+            )}
         </div>
     );
 };
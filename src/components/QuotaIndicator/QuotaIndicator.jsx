@@ -0,0 +1,64 @@
+/**
+ * QuotaIndicator Component
+ * Shows how much of the Places API request budget has been used
+ * Hidden for providers without a quota (e.g. local fixtures)
+ */
+
+import React, { useState, useEffect } from 'react';
+import { getRequestStats, subscribeRequestStats } from '../../services/requestScheduler';
+import { REQUEST_LIMITS } from '../../utils/constants';
+import './QuotaIndicator.css';
+
+/**
+ * Get the indicator level for a budget
+ * @param {Object} budget - { used, limit }
+ * @returns {string} - 'ok', 'warning' or 'exhausted'
+ */
+const getLevel = ({ used, limit }) => {
+    if (used >= limit) return 'exhausted';
+    if (used >= limit * REQUEST_LIMITS.WARN_THRESHOLD) return 'warning';
+    return 'ok';
+};
+
+const LEVEL_ORDER = ['ok', 'warning', 'exhausted'];
+
+const QuotaIndicator = () => {
+    const [stats, setStats] = useState(getRequestStats);
+
+    useEffect(() => subscribeRequestStats(setStats), []);
+
+    if (!stats.metered) return null;
+
+    const { session, daily } = stats;
+    const level = LEVEL_ORDER[Math.max(
+        LEVEL_ORDER.indexOf(getLevel(session)),
+        LEVEL_ORDER.indexOf(getLevel(daily))
+    )];
+    const dailyPercent = Math.min(100, Math.round((daily.used / daily.limit) * 100));
+    const pending = stats.active + stats.queued + stats.retrying;
+
+    const details = [
+        `Today: ${daily.used} / ${daily.limit} calls`,
+        `This session: ${session.used} / ${session.limit} calls`,
+        pending > 0 ? `In progress: ${stats.active} running, ${stats.queued} queued, ${stats.retrying} retrying` : null,
+        stats.throttled > 0 ? `Rate limited ${stats.throttled} time${stats.throttled !== 1 ? 's' : ''} (${stats.retries} retries)` : null,
+        stats.rejected > 0 ? `${stats.rejected} call${stats.rejected !== 1 ? 's' : ''} blocked by the budget` : null
+    ].filter(Boolean).join('\n');
+
+    return (
+        <div
+            className={`quota-indicator ${level}`}
+            title={details}
+            role="status"
+            aria-label={`API quota: ${daily.used} of ${daily.limit} daily calls used`}
+        >
+            <span className="quota-icon">{pending > 0 ? '⏳' : '📡'}</span>
+            <span className="quota-bar">
+                <span className="quota-bar-fill" style={{ width: `${dailyPercent}%` }} />
+            </span>
+            <span className="quota-text">{daily.used}/{daily.limit}</span>
+        </div>
+    );
+};
+
+export default QuotaIndicator;
@@ -0,0 +1,55 @@
+/**
+ * ScoreBreakdown Component
+ * Lists the factors that make up a place's score, each with the points it
+ * added or took away
+ */
+
+import React from 'react';
+import './ScoreBreakdown.css';
+
+/**
+ * Format points with a sign
+ * @param {number} points - Points a factor adds
+ * @returns {string} - e.g. "+12", "−5", "0"
+ */
+const formatPoints = (points) => {
+    const rounded = Math.round(points * 10) / 10;
+    if (rounded > 0) return `+${rounded}`;
+    if (rounded < 0) return `−${Math.abs(rounded)}`;
+    return '0';
+};
+
+const FactorList = ({ factors, nested = false }) => (
+    <ul className={`score-factors ${nested ? 'nested' : ''}`}>
+        {factors.map(factor => (
+            <li key={factor.id} className="score-factor">
+                <div className="score-factor-row">
+                    <span className="score-factor-label">{factor.label}</span>
+                    <span
+                        className={`score-factor-points ${factor.points > 0 ? 'positive' : ''} ${factor.points < 0 ? 'negative' : ''}`}
+                    >
+                        {formatPoints(factor.points)}
+                    </span>
+                </div>
+                {factor.detail && <span className="score-factor-detail">{factor.detail}</span>}
+                {!nested && factor.factors && <FactorList factors={factor.factors} nested />}
+            </li>
+        ))}
+    </ul>
+);
+
+const ScoreBreakdown = ({ breakdown, title = 'Match score' }) => {
+    if (!breakdown) return null;
+
+    return (
+        <div className="score-breakdown">
+            <div className="score-breakdown-total">
+                <span>{title}</span>
+                <strong>{Math.round(breakdown.score)}</strong>
+            </div>
+            <FactorList factors={breakdown.factors} />
+        </div>
+    );
+};
+
+export default ScoreBreakdown;
@@ -1,21 +1,31 @@
 /**
  * SearchBar Component
- * Enhanced search with Google Places Autocomplete and mood suggestions
+ * Enhanced search with places autocomplete and mood suggestions
  * Fast-loading, no heavy animations
  */
 
 import React, { useState, useRef, useEffect, useCallback } from 'react';
-import { MOOD_SUGGESTIONS } from '../../utils/constants';
-import { getMoodSuggestions } from '../../utils/moodMapping';
+import { MOOD_BLEND } from '../../utils/constants';
+import { getMoodSuggestions, parseMoodBlend, formatMoodBlend } from '../../utils/moodMapping';
+import useMoods from '../../hooks/useMoods';
 import {
-    createAutocompleteService,
     getPlacePredictions,
     createPlacesService,
     getPlaceByIdWithDetails
 } from '../../services/placesApi';
-import { isGoogleMapsLoaded } from '../../services/mapsLoader';
 import './SearchBar.css';
 
+// Icons for the parts of a compound search (see utils/queryParser)
+const CHIP_ICONS = {
+    mood: '🔎',
+    price: '💰',
+    time: '🕘',
+    travel: '🚶',
+    distance: '📏',
+    rating: '⭐',
+    sort: '↕️'
+};
+
 const SearchBar = ({
     value,
     onChange,
@@ -23,6 +33,12 @@ const SearchBar = ({
     onClear,
     onPlaceSelect,
     userLocation,
+    recentSearches = [],
+    onRecentSelect,
+    onRecentRemove,
+    chips = [],
+    onRemoveChip,
+    onEditMoods,
     loading = false,
     placeholder = "Search places or moods (coffee, restaurants, date night...)"
 }) => {
@@ -31,27 +47,21 @@ const SearchBar = ({
     const [placePredictions, setPlacePredictions] = useState([]);
     const [activeTab, setActiveTab] = useState('all'); // 'all', 'moods', 'places'
     const [isSearching, setIsSearching] = useState(false);
+    const [blend, setBlend] = useState(null); // null, or { mood, weight } picks while blending
+    const { quickPicks } = useMoods();
 
     const inputRef = useRef(null);
     const suggestionsRef = useRef(null);
-    const autocompleteServiceRef = useRef(null);
     const placesServiceRef = useRef(null);
     const debounceRef = useRef(null);
 
-    // Initialize services when Google Maps is loaded
+    // Initialize the places provider (loaded by App before the search bar renders)
     useEffect(() => {
-        const initServices = () => {
-            if (isGoogleMapsLoaded()) {
-                autocompleteServiceRef.current = createAutocompleteService();
-                placesServiceRef.current = createPlacesService();
-            }
-        };
-
-        initServices();
-
-        // Check again after a short delay in case Maps loads later
-        const timer = setTimeout(initServices, 1000);
-        return () => clearTimeout(timer);
+        try {
+            placesServiceRef.current = createPlacesService();
+        } catch (err) {
+            console.warn('Places provider unavailable:', err);
+        }
     }, []);
 
     // Update suggestions based on input
@@ -67,11 +77,11 @@ const SearchBar = ({
             }
 
             debounceRef.current = setTimeout(async () => {
-                if (autocompleteServiceRef.current && value.trim().length >= 2) {
+                if (placesServiceRef.current && value.trim().length >= 2) {
                     setIsSearching(true);
                     try {
                         const predictions = await getPlacePredictions(
-                            autocompleteServiceRef.current,
+                            placesServiceRef.current,
                             {
                                 input: value,
                                 location: userLocation,
@@ -171,13 +181,54 @@ const SearchBar = ({
         }
     }, [onChange, onSearch, onPlaceSelect, userLocation]);
 
+    const handleRecentClick = useCallback((entry) => {
+        setIsFocused(false);
+        inputRef.current?.blur();
+        onChange(entry.query);
+        if (onRecentSelect) {
+            onRecentSelect(entry);
+        } else {
+            onSearch(entry.query);
+        }
+    }, [onChange, onSearch, onRecentSelect]);
+
     const handleQuickMoodClick = useCallback((mood) => {
         setIsFocused(false);
         inputRef.current?.blur();
-        onChange(mood.value);
-        onSearch(mood.value);
+        onChange(mood.id);
+        onSearch(mood.id);
     }, [onChange, onSearch]);
 
+    const handleBlendToggle = useCallback(() => {
+        setBlend(prev => {
+            if (prev) return null;
+            // Start from the current search when it is made of quick picks
+            const picks = parseMoodBlend(value);
+            return picks.every(pick => quickPicks.some(mood => mood.id === pick.mood)) ? picks : [];
+        });
+    }, [value, quickPicks]);
+
+    // Picking a mood adds it; picking it again weighs it more, then drops it
+    const handleBlendMoodClick = useCallback((mood) => {
+        setBlend(prev => {
+            const pick = prev.find(item => item.mood === mood.id);
+            if (!pick) {
+                return prev.length < MOOD_BLEND.MAX_MOODS ? [...prev, { mood: mood.id, weight: 1 }] : prev;
+            }
+            if (pick.weight >= MOOD_BLEND.MAX_WEIGHT) {
+                return prev.filter(item => item !== pick);
+            }
+            return prev.map(item => (item === pick ? { ...item, weight: item.weight + 1 } : item));
+        });
+    }, []);
+
+    const handleBlendSearch = useCallback(() => {
+        const query = formatMoodBlend(blend);
+        setBlend(null);
+        onChange(query);
+        onSearch(query);
+    }, [blend, onChange, onSearch]);
+
     const handleClear = useCallback(() => {
         onChange('');
         onClear?.();
@@ -194,8 +245,9 @@ const SearchBar = ({
     }, []);
 
     const hasSuggestions = moodSuggestions.length > 0 || placePredictions.length > 0;
+    const hasRecent = recentSearches.length > 0 && activeTab === 'all';
     // Only show dropdown if focused AND not loading AND has suggestions
-    const showDropdown = isFocused && !loading && (hasSuggestions || isSearching);
+    const showDropdown = isFocused && !loading && (hasSuggestions || isSearching || hasRecent);
 
     // Filter suggestions based on active tab
     const getFilteredSuggestions = () => {
@@ -277,6 +329,43 @@ const SearchBar = ({
                             </div>
                         )}
 
+                        {/* Recent Searches */}
+                        {hasRecent && (
+                            <div className="suggestions-section">
+                                <div className="suggestions-section-header">
+                                    <span className="section-icon">🕘</span>
+                                    <span className="section-title">Recent</span>
+                                </div>
+                                {recentSearches.map((entry) => (
+                                    <div key={entry.id} className="recent-suggestion">
+                                        <button
+                                            type="button"
+                                            className="suggestion-item"
+                                            onClick={() => handleRecentClick(entry)}
+                                        >
+                                            <span className="suggestion-icon">🕘</span>
+                                            <div className="suggestion-content">
+                                                <span className="suggestion-main">{entry.query}</span>
+                                                <span className="suggestion-secondary">
+                                                    {entry.mood.description} · {entry.resultCount} result{entry.resultCount !== 1 ? 's' : ''}
+                                                </span>
+                                            </div>
+                                        </button>
+                                        {onRecentRemove && (
+                                            <button
+                                                type="button"
+                                                className="suggestion-remove"
+                                                onClick={() => onRecentRemove(entry.id)}
+                                                aria-label={`Remove "${entry.query}" from history`}
+                                            >
+                                                ✕
+                                            </button>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
                         {/* Loading State */}
                         {isSearching && placePredictions.length === 0 && (
                             <div className="suggestions-loading">
@@ -337,7 +426,7 @@ const SearchBar = ({
                         )}
 
                         {/* No Results */}
-                        {!isSearching && !hasSuggestions && value.trim().length >= 2 && (
+                        {!isSearching && !hasSuggestions && !hasRecent && value.trim().length >= 2 && (
                             <div className="suggestions-empty">
                                 <span>No suggestions found. Press Enter to search.</span>
                             </div>
@@ -346,26 +435,84 @@ const SearchBar = ({
                 )}
             </form>
 
+            {/* How the current search was understood; each part can be dropped */}
+            {chips.length > 0 && (
+                <div className="search-chips" role="group" aria-label="Search understood as">
+                    <span className="search-chips-label">Searching for:</span>
+                    {chips.map((chip) => (
+                        <span key={chip.id} className={`search-chip search-chip--${chip.kind}`}>
+                            <span className="search-chip-icon">{CHIP_ICONS[chip.kind]}</span>
+                            {chip.label}
+                            <button
+                                type="button"
+                                className="search-chip-remove"
+                                onClick={() => onRemoveChip(chip)}
+                                disabled={loading}
+                                aria-label={`Remove "${chip.label}" from the search`}
+                            >
+                                ✕
+                            </button>
+                        </span>
+                    ))}
+                </div>
+            )}
+
             {/* Quick Mood Buttons */}
-            <div className="quick-moods">
-                <span className="quick-moods-label">Quick picks:</span>
+            <div className={`quick-moods ${blend ? 'blending' : ''}`}>
+                <span className="quick-moods-label">{blend ? 'Blend moods:' : 'Quick picks:'}</span>
+                <button
+                    type="button"
+                    className={`quick-mood-action-btn ${blend ? 'active' : ''}`}
+                    onClick={handleBlendToggle}
+                    disabled={loading}
+                    aria-pressed={Boolean(blend)}
+                    title="Combine moods, e.g. Work + Coffee"
+                >
+                    {blend ? 'Cancel' : '➕ Blend'}
+                </button>
+                {blend && (
+                    <button
+                        type="button"
+                        className="quick-mood-action-btn search"
+                        onClick={handleBlendSearch}
+                        disabled={loading || blend.length < 2}
+                        title={blend.length < 2 ? 'Pick at least two moods' : `Search ${formatMoodBlend(blend)}`}
+                    >
+                        Search blend
+                    </button>
+                )}
                 <div className="quick-moods-list">
-                    {MOOD_SUGGESTIONS.map((mood) => (
+                    {quickPicks.map((mood) => {
+                        const pick = blend?.find(item => item.mood === mood.id);
+                        return (
+                            <button
+                                key={mood.id}
+                                type="button"
+                                className={`quick-mood-btn ${pick ? 'selected' : ''}`}
+                                style={{ '--mood-color': mood.color }}
+                                onClick={() => (blend ? handleBlendMoodClick(mood) : handleQuickMoodClick(mood))}
+                                disabled={loading}
+                                aria-pressed={blend ? Boolean(pick) : undefined}
+                                title={pick ? 'Tap again to weigh it more' : undefined}
+                            >
+                                <span className="mood-icon">{mood.icon}</span>
+                                <span className="mood-label">{mood.label}</span>
+                                {pick && pick.weight > 1 && (
+                                    <span className="mood-weight">×{pick.weight}</span>
+                                )}
+                            </button>
+                        );
+                    })}
+                    {onEditMoods && (
                         <button
-                            key={mood.value}
                             type="button"
-                            className="quick-mood-btn"
-                            style={{
-                                '--mood-color': mood.color,
-                                '--mood-gradient': mood.gradient
-                            }}
-                            onClick={() => handleQuickMoodClick(mood)}
-                            disabled={loading}
+                            className="quick-mood-action-btn"
+                            onClick={onEditMoods}
+                            title="Create, edit or delete moods"
                         >
-                            <span className="mood-icon">{mood.icon}</span>
-                            <span className="mood-label">{mood.label}</span>
+                            ✏️ Edit moods
                         </button>
-                    ))}
+                    )}
                 </div>
             </div>
         </div>
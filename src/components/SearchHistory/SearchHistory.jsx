@@ -0,0 +1,103 @@
+/**
+ * SearchHistory Component
+ * Past searches with delete, clear and re-run at the original or current location
+ */
+
+import React from 'react';
+import './SearchHistory.css';
+
+/**
+ * Format when a search ran, e.g. "Today 3:15 PM" or "Mar 4, 3:15 PM"
+ * @param {string} isoDate - ISO timestamp
+ * @returns {string} - Label
+ */
+const formatSearchedAt = (isoDate) => {
+    const date = new Date(isoDate);
+    const time = date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+
+    if (date.toDateString() === new Date().toDateString()) {
+        return `Today ${time}`;
+    }
+    return `${date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}, ${time}`;
+};
+
+const SearchHistory = ({
+    history = [],
+    currentLocationLabel = null,
+    onRerun,
+    onRemove,
+    onClear
+}) => {
+    const handleClear = () => {
+        if (window.confirm('Clear all search history?')) {
+            onClear();
+        }
+    };
+
+    if (history.length === 0) {
+        return (
+            <div className="search-history">
+                <div className="search-history-empty">
+                    <span className="state-icon">🕘</span>
+                    <p className="state-message">
+                        Your searches will show up here so you can run them again.
+                    </p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="search-history">
+            <div className="search-history-header">
+                <span className="results-count">
+                    {history.length} recent search{history.length !== 1 ? 'es' : ''}
+                </span>
+                <button className="history-clear-btn" onClick={handleClear}>
+                    Clear all
+                </button>
+            </div>
+
+            <ul className="search-history-list">
+                {history.map(entry => (
+                    <li key={entry.id} className="history-entry">
+                        <div className="history-entry-main">
+                            <span className="history-query">{entry.query}</span>
+                            <span className="history-meta">
+                                {entry.mood.description} · {entry.resultCount} result{entry.resultCount !== 1 ? 's' : ''}
+                            </span>
+                            <span className="history-meta">
+                                📍 {entry.locationLabel} · {formatSearchedAt(entry.searchedAt)}
+                            </span>
+                        </div>
+                        <div className="history-actions">
+                            <button
+                                className="history-btn"
+                                onClick={() => onRerun(entry, true)}
+                                title={`Search again near ${entry.locationLabel}`}
+                            >
+                                ↻ Original location
+                            </button>
+                            <button
+                                className="history-btn"
+                                onClick={() => onRerun(entry, false)}
+                                title={currentLocationLabel ? `Search near ${currentLocationLabel}` : 'Search near your current location'}
+                            >
+                                ↻ Here
+                            </button>
+                            <button
+                                className="history-btn remove"
+                                onClick={() => onRemove(entry.id)}
+                                aria-label={`Remove "${entry.query}" from history`}
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default SearchHistory;
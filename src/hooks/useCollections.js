@@ -0,0 +1,236 @@
+/**
+ * useCollections Hook
+ * Custom hook for named place collections, persisted in IndexedDB
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+    getCollections,
+    createCollection,
+    putCollection,
+    deleteCollection,
+    moveItem,
+    exportCollectionsJson,
+    exportCollectionGeoJson,
+    parseCollectionsImport
+} from '../services/collections';
+import { toPlaceSnapshot, fromPlaceSnapshot } from '../utils/placeSnapshot';
+import { calculateDistance } from '../utils/distance';
+import { downloadTextFile, readTextFile, toFileSlug } from '../utils/fileTransfer';
+
+/**
+ * Custom hook for collections
+ * @param {Object} options - Hook options
+ * @returns {Object} - Collections state and methods
+ */
+const useCollections = (options = {}) => {
+    const { userLocation = null } = options;
+
+    const [collections, setCollections] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Load collections on mount
+    useEffect(() => {
+        let cancelled = false;
+
+        getCollections()
+            .then(records => {
+                if (!cancelled) setCollections(records);
+            })
+            .catch(err => {
+                console.warn('Failed to load collections:', err);
+                if (!cancelled) setError(err);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    /**
+     * Persist records, keeping local state as the source of truth
+     */
+    const persist = useCallback((records) => {
+        Promise.all(records.map(putCollection)).catch(err => {
+            console.warn('Failed to save collection:', err);
+            setError(err);
+        });
+    }, []);
+
+    /**
+     * Apply a change to one collection and persist it
+     */
+    const updateCollection = useCallback((id, update) => {
+        const collection = collections.find(c => c.id === id);
+        if (!collection) return;
+
+        const updated = {
+            ...collection,
+            ...update(collection),
+            updatedAt: new Date().toISOString()
+        };
+
+        setCollections(prev => prev.map(c => (c.id === id ? updated : c)));
+        persist([updated]);
+    }, [collections, persist]);
+
+    // Position after the last collection (positions may have gaps after deletes)
+    const nextPosition = collections.reduce((max, c) => Math.max(max, c.position + 1), 0);
+
+    /**
+     * Create a new collection
+     */
+    const createList = useCallback((fields) => {
+        const record = createCollection(fields, nextPosition);
+        setCollections(prev => [...prev, record]);
+        persist([record]);
+        return record;
+    }, [nextPosition, persist]);
+
+    /**
+     * Edit title, description or emoji
+     */
+    const editList = useCallback((id, { title, description, emoji }) => {
+        updateCollection(id, collection => ({
+            title: title?.trim() || collection.title,
+            description: description !== undefined ? description.trim() : collection.description,
+            emoji: emoji || collection.emoji
+        }));
+    }, [updateCollection]);
+
+    /**
+     * Delete a collection
+     */
+    const deleteList = useCallback((id) => {
+        setCollections(prev => prev.filter(c => c.id !== id));
+        deleteCollection(id).catch(err => {
+            console.warn('Failed to delete collection:', err);
+            setError(err);
+        });
+    }, []);
+
+    /**
+     * Move a collection within the list
+     */
+    const moveList = useCallback((from, to) => {
+        const reordered = moveItem(collections, from, to)
+            .map((collection, position) => ({ ...collection, position }));
+
+        setCollections(reordered);
+        persist(reordered.filter((collection, index) => collection !== collections[index]));
+    }, [collections, persist]);
+
+    /**
+     * Add or remove a place from a collection
+     */
+    const togglePlace = useCallback((id, place) => {
+        updateCollection(id, collection => ({
+            places: collection.places.some(p => p.place_id === place.place_id)
+                ? collection.places.filter(p => p.place_id !== place.place_id)
+                : [...collection.places, toPlaceSnapshot(place)]
+        }));
+    }, [updateCollection]);
+
+    /**
+     * Remove a place from a collection
+     */
+    const removePlace = useCallback((id, placeId) => {
+        updateCollection(id, collection => ({
+            places: collection.places.filter(p => p.place_id !== placeId)
+        }));
+    }, [updateCollection]);
+
+    /**
+     * Move a place within a collection
+     */
+    const movePlace = useCallback((id, from, to) => {
+        updateCollection(id, collection => ({
+            places: moveItem(collection.places, from, to)
+        }));
+    }, [updateCollection]);
+
+    /**
+     * Get a collection's places, restored and with distance from the user
+     */
+    const getListPlaces = useCallback((id) => {
+        const collection = collections.find(c => c.id === id);
+        if (!collection) return [];
+
+        return collection.places.map(snapshot => ({
+            ...fromPlaceSnapshot(snapshot),
+            ...(userLocation
+                ? { distance: calculateDistance(userLocation, snapshot.location) }
+                : {})
+        }));
+    }, [collections, userLocation]);
+
+    /**
+     * IDs of the collections that contain a place
+     */
+    const getListsForPlace = useCallback((placeId) => {
+        return collections
+            .filter(collection => collection.places.some(p => p.place_id === placeId))
+            .map(collection => collection.id);
+    }, [collections]);
+
+    /**
+     * Import collections from a JSON or GeoJSON file
+     * @returns {Promise<number>} - Number of collections imported
+     */
+    const importFile = useCallback(async (file) => {
+        const text = await readTextFile(file);
+        const fallbackTitle = file.name.replace(/\.(geo)?json$/i, '');
+        const imported = parseCollectionsImport(text, fallbackTitle)
+            .map((fields, index) => createCollection(fields, nextPosition + index));
+
+        setCollections(prev => [...prev, ...imported]);
+        persist(imported);
+        return imported.length;
+    }, [nextPosition, persist]);
+
+    /**
+     * Download all collections as JSON
+     */
+    const exportAll = useCallback(() => {
+        downloadTextFile('placepulse-collections.json', exportCollectionsJson(collections));
+    }, [collections]);
+
+    /**
+     * Download one collection as JSON or GeoJSON
+     */
+    const exportList = useCallback((id, format = 'json') => {
+        const collection = collections.find(c => c.id === id);
+        if (!collection) return;
+
+        const slug = toFileSlug(collection.title);
+        if (format === 'geojson') {
+            downloadTextFile(`${slug}.geojson`, exportCollectionGeoJson(collection), 'application/geo+json');
+        } else {
+            downloadTextFile(`${slug}.json`, exportCollectionsJson([collection]));
+        }
+    }, [collections]);
+
+    return {
+        collections,
+        loading,
+        error,
+        createList,
+        editList,
+        deleteList,
+        moveList,
+        togglePlace,
+        removePlace,
+        movePlace,
+        getListPlaces,
+        getListsForPlace,
+        importFile,
+        exportAll,
+        exportList
+    };
+};
+
+export default useCollections;
@@ -0,0 +1,99 @@
+/**
+ * useDirections Hook
+ * Custom hook for a route from the user to a destination
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { getRoute } from '../services/directions';
+import { calculateDistance, getDistanceToPath } from '../utils/distance';
+import { DIRECTIONS } from '../utils/constants';
+
+/**
+ * Custom hook for directions
+ * The route is requested again when the user strays from it
+ * @param {Object} options - Hook options
+ * @returns {Object} - { route, loading, error }
+ */
+const useDirections = (options = {}) => {
+    const {
+        origin = null,
+        destination = null,
+        mode
+    } = options;
+
+    const [route, setRoute] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [rerouteCount, setRerouteCount] = useState(0);
+
+    // Latest origin and destination, read when a route is requested
+    const originRef = useRef(origin);
+    originRef.current = origin;
+    const destinationRef = useRef(destination);
+    destinationRef.current = destination;
+
+    // Where the current route was requested from, and for which destination and mode
+    const routedFromRef = useRef(null);
+    const requestKeyRef = useRef(null);
+
+    const hasOrigin = origin !== null;
+    const destinationKey = destination ? `${destination.lat},${destination.lng}` : null;
+
+    useEffect(() => {
+        if (!hasOrigin || !destinationKey) {
+            setRoute(null);
+            setError(null);
+            setLoading(false);
+            return;
+        }
+
+        // Reroutes keep showing the old route until the new one arrives
+        const requestKey = `${destinationKey}|${mode}`;
+        if (requestKeyRef.current !== requestKey) {
+            requestKeyRef.current = requestKey;
+            setRoute(null);
+        }
+
+        let cancelled = false;
+        setLoading(true);
+        setError(null);
+        routedFromRef.current = originRef.current;
+
+        getRoute(originRef.current, destinationRef.current, mode)
+            .then(result => {
+                if (!cancelled) setRoute(result);
+            })
+            .catch(err => {
+                if (cancelled) return;
+                setRoute(null);
+                setError(err);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [hasOrigin, destinationKey, mode, rerouteCount]);
+
+    // Reroute once the user is off the route
+    // Routes can start on the nearest road, away from the origin, so only
+    // moving off the route counts
+    useEffect(() => {
+        if (!origin || !route || loading || !routedFromRef.current) return;
+
+        const hasMoved = calculateDistance(origin, routedFromRef.current) > DIRECTIONS.REROUTE_DISTANCE;
+        if (hasMoved && getDistanceToPath(origin, route.path) > DIRECTIONS.REROUTE_DISTANCE) {
+            setRerouteCount(count => count + 1);
+        }
+    }, [origin, route, loading]);
+
+    return {
+        route,
+        loading,
+        error
+    };
+};
+
+export default useDirections;
@@ -139,16 +139,28 @@ const useGeolocation = (options = {}) => {
         fetchLocation();
     }, [checkPermission, fetchLocation]);
 
-    // Handle watching
+    // Handle watching, once the first fix is in
+    // (keyed on having a location, so updates don't restart the watch)
+    const hasLocation = location !== null;
     useEffect(() => {
-        if (enableWatch && location) {
-            startWatching();
-        }
+        if (!enableWatch || !hasLocation || !isGeolocationSupported()) return;
+
+        const id = watchPosition(
+            (coords) => {
+                setLocation(coords);
+                setError(null);
+            },
+            (err) => {
+                setError(err);
+            }
+        );
+        setWatchId(id);
 
         return () => {
-            stopWatching();
+            clearWatch(id);
+            setWatchId(null);
         };
-    }, [enableWatch, location, startWatching, stopWatching]);
+    }, [enableWatch, hasLocation]);
 
     return {
         location,
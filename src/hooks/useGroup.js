@@ -0,0 +1,75 @@
+/**
+ * useGroup Hook
+ * Custom hook for the people in a group search and how their meeting point
+ * is chosen
+ */
+
+import { useState, useCallback } from 'react';
+import { createParticipant } from '../services/meetingPoint';
+import { MEETING, MEETING_POINTS } from '../utils/constants';
+
+/**
+ * Custom hook for group participants
+ * @returns {Object} - Participants, meeting point method and methods
+ */
+const useGroup = () => {
+    const [participants, setParticipants] = useState([]);
+    const [method, setMethod] = useState(MEETING_POINTS.MIDPOINT);
+
+    const isFull = participants.length >= MEETING.MAX_PARTICIPANTS;
+
+    /**
+     * Add someone: { name, location, address }
+     */
+    const addParticipant = useCallback((fields) => {
+        setParticipants(prev => (prev.length >= MEETING.MAX_PARTICIPANTS
+            ? prev
+            : [...prev, createParticipant(fields, prev.length)]));
+    }, []);
+
+    /**
+     * Remove someone
+     */
+    const removeParticipant = useCallback((id) => {
+        setParticipants(prev => prev.filter(participant => participant.id !== id));
+    }, []);
+
+    /**
+     * Replace the group with people at locations, e.g. from a shared link
+     * The current participants are kept when they are already at those locations
+     */
+    const replaceParticipants = useCallback((locations) => {
+        setParticipants(prev => {
+            const isSame = prev.length === locations.length && prev.every((participant, index) => (
+                participant.location.lat === locations[index].lat &&
+                participant.location.lng === locations[index].lng
+            ));
+            if (isSame) return prev;
+
+            return locations
+                .slice(0, MEETING.MAX_PARTICIPANTS)
+                .map((location, index) => createParticipant({ location }, index));
+        });
+    }, []);
+
+    /**
+     * Remove everyone
+     */
+    const clearParticipants = useCallback(() => {
+        setParticipants([]);
+    }, []);
+
+    return {
+        participants,
+        method,
+        isFull,
+        isReady: participants.length >= MEETING.MIN_PARTICIPANTS,
+        addParticipant,
+        removeParticipant,
+        replaceParticipants,
+        clearParticipants,
+        setMethod
+    };
+};
+
+export default useGroup;
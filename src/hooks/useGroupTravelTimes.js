@@ -0,0 +1,84 @@
+/**
+ * useGroupTravelTimes Hook
+ * Custom hook for routed travel times from every participant in a group
+ * search to a set of places
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { getTravelTimes } from '../services/travelTime';
+
+/**
+ * Custom hook for group travel times
+ * Like useTravelTimes, only places without a time from a participant are
+ * looked up, so appending results (load more) fetches just the new ones
+ * @param {Object} options - Hook options
+ * @returns {Object} - { travelTimes: { [participantId]: { [placeId]: travelTime } }, loading }
+ */
+const useGroupTravelTimes = (options = {}) => {
+    const {
+        places = [],
+        participants = [],
+        mode
+    } = options;
+
+    const [travelTimes, setTravelTimes] = useState({});
+    const [pending, setPending] = useState(0);
+
+    // Place IDs already requested per participant for the current group and mode
+    const requestedRef = useRef({});
+    const groupKeyRef = useRef(null);
+
+    const groupKey = `${mode}|${participants
+        .map(({ id, location }) => `${id}@${location.lat.toFixed(4)},${location.lng.toFixed(4)}`)
+        .join('|')}`;
+
+    // Latest participants; requests follow groupKey so GPS jitter doesn't refetch
+    const participantsRef = useRef(participants);
+    participantsRef.current = participants;
+
+    // Start over when someone joins, leaves or moves, or the mode changes
+    useEffect(() => {
+        groupKeyRef.current = groupKey;
+        requestedRef.current = {};
+        setTravelTimes({});
+    }, [groupKey]);
+
+    useEffect(() => {
+        const group = participantsRef.current;
+        if (group.length === 0 || places.length === 0) return;
+
+        // Times for a group that has since changed are dropped
+        const requestGroupKey = groupKey;
+
+        group.forEach(participant => {
+            const requested = requestedRef.current[participant.id] || new Set();
+            requestedRef.current[participant.id] = requested;
+
+            const missing = places.filter(place => place.place_id && !requested.has(place.place_id));
+            if (missing.length === 0) return;
+
+            missing.forEach(place => requested.add(place.place_id));
+            setPending(count => count + 1);
+
+            getTravelTimes(missing, participant.location, mode)
+                .then(times => {
+                    if (groupKeyRef.current !== requestGroupKey) return;
+                    setTravelTimes(prev => ({ ...prev, [participant.id]: { ...prev[participant.id], ...times } }));
+                })
+                .catch(err => {
+                    console.warn('Failed to load group travel times:', err);
+                    missing.forEach(place => requested.delete(place.place_id));
+                })
+                .finally(() => {
+                    setPending(count => count - 1);
+                });
+        });
+    }, [places, groupKey, mode]);
+
+    return {
+        travelTimes,
+        loading: pending > 0
+    };
+};
+
+export default useGroupTravelTimes;
@@ -0,0 +1,61 @@
+/**
+ * useIsochrone Hook
+ * Custom hook for the area reachable from an origin within a travel time
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { getIsochrone } from '../services/isochrone';
+
+/**
+ * Custom hook for a reachable area
+ * The previous area is kept while a new one is traced
+ * @param {Object} options - Hook options
+ * @returns {Object} - { isochrone, loading }
+ */
+const useIsochrone = (options = {}) => {
+    const {
+        origin = null,
+        mode,
+        minutes = null,
+        enabled = false
+    } = options;
+
+    const [isochrone, setIsochrone] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    // ~10 m; smaller GPS jitter keeps the current area
+    const originKey = origin ? `${origin.lat.toFixed(4)},${origin.lng.toFixed(4)}` : null;
+    const originRef = useRef(origin);
+    originRef.current = origin;
+
+    useEffect(() => {
+        const requestOrigin = originRef.current;
+        if (!enabled || !requestOrigin || !minutes) {
+            setIsochrone(null);
+            setLoading(false);
+            return;
+        }
+
+        let cancelled = false;
+        setLoading(true);
+
+        getIsochrone(requestOrigin, mode, minutes)
+            .then(result => {
+                if (!cancelled) setIsochrone(result);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [enabled, originKey, mode, minutes]);
+
+    return {
+        isochrone,
+        loading
+    };
+};
+
+export default useIsochrone;
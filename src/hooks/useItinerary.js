@@ -0,0 +1,318 @@
+/**
+ * useItinerary Hook
+ * Custom hook for the multi-stop plan, persisted in IndexedDB
+ */
+
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import {
+    createItinerary,
+    createStop,
+    getItinerary,
+    putItinerary,
+    optimizeStops,
+    planItinerary,
+    getItineraryRoute,
+    exportItineraryIcs,
+    exportItineraryGpx
+} from '../services/itinerary';
+import { moveItem } from '../services/collections';
+import { fromPlaceSnapshot } from '../utils/placeSnapshot';
+import { downloadTextFile } from '../utils/fileTransfer';
+import { ITINERARY } from '../utils/constants';
+
+/**
+ * Custom hook for the itinerary
+ * The schedule is recalculated whenever the stops, mode, start time or origin
+ * change; the route only while showRoute is set
+ * @param {Object} options - Hook options
+ * @returns {Object} - Itinerary state and methods
+ */
+const useItinerary = (options = {}) => {
+    const {
+        origin = null,
+        showRoute = false
+    } = options;
+
+    const [itinerary, setItinerary] = useState(createItinerary);
+    const [plan, setPlan] = useState(null);
+    const [planning, setPlanning] = useState(false);
+    const [route, setRoute] = useState(null);
+    const [routeLoading, setRouteLoading] = useState(false);
+    const [optimizing, setOptimizing] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Latest record, so updates made after an await apply to the current plan
+    const itineraryRef = useRef(itinerary);
+    itineraryRef.current = itinerary;
+
+    // Latest origin, read when the plan is recalculated
+    const originRef = useRef(origin);
+    originRef.current = origin;
+
+    // ~10 m; smaller GPS jitter keeps the current schedule and route
+    const originKey = origin ? `${origin.lat.toFixed(4)},${origin.lng.toFixed(4)}` : null;
+
+    // Load the plan on mount
+    useEffect(() => {
+        let cancelled = false;
+
+        getItinerary()
+            .then(record => {
+                if (!cancelled && record) setItinerary(record);
+            })
+            .catch(err => {
+                console.warn('Failed to load itinerary:', err);
+                if (!cancelled) setError(err);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    /**
+     * Apply a change to the plan and persist it
+     */
+    const updateItinerary = useCallback((update) => {
+        const current = itineraryRef.current;
+        const updated = {
+            ...current,
+            ...update(current),
+            updatedAt: new Date().toISOString()
+        };
+
+        itineraryRef.current = updated;
+        setItinerary(updated);
+        putItinerary(updated).catch(err => {
+            console.warn('Failed to save itinerary:', err);
+            setError(err);
+        });
+    }, []);
+
+    // Stops with their places restored
+    const stops = useMemo(() => itinerary.stops.map(stop => ({
+        ...stop,
+        place: fromPlaceSnapshot(stop.place)
+    })), [itinerary.stops]);
+
+    const stopIds = useMemo(
+        () => new Set(itinerary.stops.map(stop => stop.place.place_id)),
+        [itinerary.stops]
+    );
+
+    const isFull = itinerary.stops.length >= ITINERARY.MAX_STOPS;
+
+    // Schedule the stops
+    useEffect(() => {
+        if (stops.length === 0) {
+            setPlan(null);
+            setPlanning(false);
+            return;
+        }
+
+        let cancelled = false;
+        setPlanning(true);
+
+        planItinerary(originRef.current, stops, itinerary.mode, itinerary.startAt)
+            .then(result => {
+                if (!cancelled) setPlan(result);
+            })
+            .catch(err => {
+                if (cancelled) return;
+                console.warn('Failed to plan itinerary:', err);
+                setPlan(null);
+                setError(err);
+            })
+            .finally(() => {
+                if (!cancelled) setPlanning(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [stops, itinerary.mode, itinerary.startAt, originKey]);
+
+    // Route through the stops, while it is on the map
+    useEffect(() => {
+        if (!showRoute || stops.length === 0) {
+            setRoute(null);
+            setRouteLoading(false);
+            return;
+        }
+
+        let cancelled = false;
+        setRouteLoading(true);
+
+        getItineraryRoute(originRef.current, stops, itinerary.mode)
+            .then(result => {
+                if (!cancelled) setRoute(result);
+            })
+            .catch(err => {
+                if (cancelled) return;
+                console.warn('Failed to route itinerary:', err);
+                setRoute(null);
+            })
+            .finally(() => {
+                if (!cancelled) setRouteLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [showRoute, stops, itinerary.mode, originKey]);
+
+    /**
+     * Add a place as the last stop
+     */
+    const addStop = useCallback((place) => {
+        updateItinerary(current => {
+            if (current.stops.length >= ITINERARY.MAX_STOPS ||
+                current.stops.some(stop => stop.place.place_id === place.place_id)) {
+                return {};
+            }
+            return { stops: [...current.stops, createStop(place)] };
+        });
+    }, [updateItinerary]);
+
+    /**
+     * Remove a stop
+     */
+    const removeStop = useCallback((placeId) => {
+        updateItinerary(current => ({
+            stops: current.stops.filter(stop => stop.place.place_id !== placeId)
+        }));
+    }, [updateItinerary]);
+
+    /**
+     * Add or remove a place
+     */
+    const toggleStop = useCallback((place) => {
+        if (itineraryRef.current.stops.some(stop => stop.place.place_id === place.place_id)) {
+            removeStop(place.place_id);
+        } else {
+            addStop(place);
+        }
+    }, [addStop, removeStop]);
+
+    /**
+     * Move a stop within the plan
+     */
+    const moveStop = useCallback((from, to) => {
+        updateItinerary(current => ({
+            stops: moveItem(current.stops, from, to)
+        }));
+    }, [updateItinerary]);
+
+    /**
+     * Change the minutes spent at a stop
+     */
+    const setDwell = useCallback((placeId, dwell) => {
+        updateItinerary(current => ({
+            stops: current.stops.map(stop => (stop.place.place_id === placeId ? { ...stop, dwell } : stop))
+        }));
+    }, [updateItinerary]);
+
+    /**
+     * Change the travel mode
+     */
+    const setMode = useCallback((mode) => {
+        updateItinerary(() => ({ mode }));
+    }, [updateItinerary]);
+
+    /**
+     * Change the start time ('YYYY-MM-DDTHH:mm')
+     */
+    const setStartAt = useCallback((startAt) => {
+        if (startAt) {
+            updateItinerary(() => ({ startAt }));
+        }
+    }, [updateItinerary]);
+
+    /**
+     * Remove every stop
+     */
+    const clearStops = useCallback(() => {
+        updateItinerary(() => ({ stops: [] }));
+    }, [updateItinerary]);
+
+    /**
+     * Reorder the stops for the shortest total travel time
+     */
+    const optimize = useCallback(async () => {
+        setOptimizing(true);
+        try {
+            const ordered = await optimizeStops(origin, stops, itinerary.mode);
+            const order = ordered.map(stop => stop.place.place_id);
+
+            updateItinerary(current => {
+                // Stops changed while ordering: keep the user's edits
+                if (current.stops.length !== order.length ||
+                    !current.stops.every(stop => order.includes(stop.place.place_id))) {
+                    return {};
+                }
+                return {
+                    stops: order.map(placeId => current.stops.find(stop => stop.place.place_id === placeId))
+                };
+            });
+        } catch (err) {
+            console.warn('Failed to optimize itinerary:', err);
+            setError(err);
+        } finally {
+            setOptimizing(false);
+        }
+    }, [origin, stops, itinerary.mode, updateItinerary]);
+
+    const fileName = `placepulse-plan-${itinerary.startAt.slice(0, 10)}`;
+
+    /**
+     * Download the schedule as an iCalendar file
+     */
+    const exportIcs = useCallback(() => {
+        if (!plan) return;
+        downloadTextFile(`${fileName}.ics`, exportItineraryIcs(plan), 'text/calendar');
+    }, [plan, fileName]);
+
+    /**
+     * Download the stops and route as a GPX file
+     */
+    const exportGpx = useCallback(async () => {
+        if (!plan) return;
+
+        let path = route;
+        if (!path) {
+            try {
+                path = await getItineraryRoute(origin, stops, itinerary.mode);
+            } catch (err) {
+                console.warn('Failed to route itinerary for GPX export:', err);
+            }
+        }
+        downloadTextFile(`${fileName}.gpx`, exportItineraryGpx(plan, undefined, path), 'application/gpx+xml');
+    }, [plan, route, origin, stops, itinerary.mode, fileName]);
+
+    return {
+        stops,
+        stopIds,
+        isFull,
+        mode: itinerary.mode,
+        startAt: itinerary.startAt,
+        plan,
+        planning,
+        route,
+        routeLoading,
+        optimizing,
+        error,
+        addStop,
+        removeStop,
+        toggleStop,
+        moveStop,
+        setDwell,
+        setMode,
+        setStartAt,
+        clearStops,
+        optimize,
+        exportIcs,
+        exportGpx
+    };
+};
+
+export default useItinerary;
@@ -0,0 +1,161 @@
+/**
+ * useLocationAnchor Hook
+ * Chooses where searches are made from: the live GPS position or an anchor
+ * (a geocoded address, a dropped pin or a saved location like "Home")
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+    getSavedLocations,
+    createSavedLocation,
+    putSavedLocation,
+    deleteSavedLocation,
+    getActiveAnchor,
+    setActiveAnchor
+} from '../services/savedLocations';
+import { formatLocationLabel } from '../services/searchHistory';
+
+/**
+ * Check whether two locations are the same point
+ * @param {Object} a - { lat, lng }
+ * @param {Object} b - { lat, lng }
+ * @returns {boolean} - True if equal
+ */
+const isSameLocation = (a, b) => {
+    return Boolean(a && b) && a.lat === b.lat && a.lng === b.lng;
+};
+
+/**
+ * Get the address to display for an anchor, in the geolocation address shape
+ * @param {Object} anchor - Active anchor
+ * @returns {Object} - { formatted, short, medium, ... }
+ */
+const getAnchorAddress = (anchor) => {
+    return {
+        ...anchor.address,
+        formatted: anchor.address?.formatted || formatLocationLabel(anchor.location),
+        short: anchor.name,
+        medium: anchor.name
+    };
+};
+
+/**
+ * Custom hook for the search location anchor
+ * @param {Object} options - Hook options
+ * @returns {Object} - Effective location, anchor state and methods
+ */
+const useLocationAnchor = (options = {}) => {
+    const { gpsLocation = null, gpsAddress = null } = options;
+
+    const [anchor, setAnchor] = useState(getActiveAnchor);
+    const [savedLocations, setSavedLocations] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Load saved locations on mount
+    useEffect(() => {
+        let cancelled = false;
+
+        getSavedLocations()
+            .then(records => {
+                if (!cancelled) setSavedLocations(records);
+            })
+            .catch(err => {
+                console.warn('Failed to load saved locations:', err);
+                if (!cancelled) setError(err);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    /**
+     * Search from an anchor: { id, name, icon, location, address }
+     */
+    const chooseAnchor = useCallback((next) => {
+        const chosen = {
+            id: next.id || null,
+            name: next.name || next.address?.medium || formatLocationLabel(next.location),
+            icon: next.icon || null,
+            location: { lat: next.location.lat, lng: next.location.lng },
+            address: next.address || null
+        };
+
+        setAnchor(chosen);
+        setActiveAnchor(chosen);
+    }, []);
+
+    /**
+     * Go back to searching from the live GPS position
+     */
+    const selectLiveLocation = useCallback(() => {
+        setAnchor(null);
+        setActiveAnchor(null);
+    }, []);
+
+    /**
+     * Save a location under a name, replacing any saved location with that name
+     * @param {Object} fields - { name, icon, location, address }
+     * @returns {Object} - Saved location record
+     */
+    const saveLocation = useCallback((fields) => {
+        const existing = savedLocations.find(
+            l => l.name.toLowerCase() === fields.name.trim().toLowerCase()
+        );
+        const nextPosition = savedLocations.reduce((max, l) => Math.max(max, l.position + 1), 0);
+        const created = createSavedLocation(fields, existing ? existing.position : nextPosition);
+        const record = existing ? { ...created, id: existing.id, createdAt: existing.createdAt } : created;
+
+        setSavedLocations(prev => (existing
+            ? prev.map(l => (l.id === existing.id ? record : l))
+            : [...prev, record]));
+        putSavedLocation(record).catch(err => {
+            console.warn('Failed to save location:', err);
+            setError(err);
+        });
+
+        // Saving the location being searched from names the active anchor
+        if (anchor && (anchor.id === record.id || isSameLocation(anchor.location, record.location))) {
+            chooseAnchor(record);
+        }
+
+        return record;
+    }, [savedLocations, anchor, chooseAnchor]);
+
+    /**
+     * Delete a saved location (an active anchor stays active, unsaved)
+     */
+    const removeLocation = useCallback((id) => {
+        setSavedLocations(prev => prev.filter(l => l.id !== id));
+        deleteSavedLocation(id).catch(err => {
+            console.warn('Failed to delete saved location:', err);
+            setError(err);
+        });
+
+        if (anchor?.id === id) {
+            chooseAnchor({ ...anchor, id: null });
+        }
+    }, [anchor, chooseAnchor]);
+
+    const anchorAddress = useMemo(() => (anchor ? getAnchorAddress(anchor) : null), [anchor]);
+
+    return {
+        location: anchor ? anchor.location : gpsLocation,
+        address: anchor ? anchorAddress : gpsAddress,
+        anchor,
+        isLive: !anchor,
+        savedLocations,
+        loading,
+        error,
+        chooseAnchor,
+        selectLiveLocation,
+        saveLocation,
+        removeLocation
+    };
+};
+
+export default useLocationAnchor;
@@ -0,0 +1,265 @@
+/**
+ * useMap Hook
+ * Custom hook for map initialization and management
+ * Renderer-agnostic - works with any renderer from services/mapRenderer
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+    loadMapRenderer,
+    isMapRendererLoaded,
+    createRendererMap
+} from '../services/mapRenderer';
+import { MAP_CONFIG } from '../utils/constants';
+
+/**
+ * Custom hook for map functionality
+ * @param {Object} options - Hook options
+ * @returns {Object} - Map state and methods
+ */
+const useMap = (options = {}) => {
+    const {
+        containerRef = null,
+        initialCenter = MAP_CONFIG.DEFAULT_CENTER,
+        initialZoom = MAP_CONFIG.DEFAULT_ZOOM,
+        onMapClick = null,
+        onMarkerClick = null,
+        onViewportChange = null
+    } = options;
+
+    const [isLoaded, setIsLoaded] = useState(isMapRendererLoaded());
+    const [error, setError] = useState(null);
+    const [map, setMap] = useState(null);
+    const mapRef = useRef(null);
+
+    // Keep the latest marker click handler without recreating markers
+    const onMarkerClickRef = useRef(onMarkerClick);
+    onMarkerClickRef.current = onMarkerClick;
+
+    // Same for the click and viewport handlers, which are bound when the map is created
+    const onMapClickRef = useRef(onMapClick);
+    onMapClickRef.current = onMapClick;
+    const onViewportChangeRef = useRef(onViewportChange);
+    onViewportChangeRef.current = onViewportChange;
+
+    /**
+     * Load the map renderer
+     */
+    const loadMaps = useCallback(async () => {
+        if (isMapRendererLoaded()) {
+            setIsLoaded(true);
+            return;
+        }
+
+        try {
+            await loadMapRenderer();
+            setIsLoaded(true);
+            setError(null);
+        } catch (err) {
+            setError(err);
+            setIsLoaded(false);
+        }
+    }, []);
+
+    /**
+     * Initialize map on container
+     */
+    const initializeMap = useCallback((container) => {
+        if (!isLoaded || !container) {
+            return null;
+        }
+
+        // Only ever create one map per hook
+        if (mapRef.current) {
+            return mapRef.current;
+        }
+
+        const mapInstance = createRendererMap(container, {
+            center: initialCenter,
+            zoom: initialZoom,
+            onClick: (location) => onMapClickRef.current?.(location),
+            onViewportChange: (viewport) => onViewportChangeRef.current?.(viewport)
+        });
+
+        mapRef.current = mapInstance;
+        setMap(mapInstance);
+        return mapInstance;
+    }, [isLoaded, initialCenter, initialZoom]);
+
+    /**
+     * Set map center
+     */
+    const setCenter = useCallback((location, animate = true) => {
+        if (!map) return;
+        map.setCenter(location, animate);
+    }, [map]);
+
+    /**
+     * Set map zoom
+     */
+    const setZoom = useCallback((zoom) => {
+        if (!map) return;
+        map.setZoom(zoom);
+    }, [map]);
+
+    /**
+     * Fit map to bounds
+     */
+    const fitBounds = useCallback((bounds, padding = 50) => {
+        if (!map || !bounds) return;
+
+        if (bounds.north && bounds.south) {
+            // It's a bounds object
+            map.fitBounds(bounds, padding);
+        } else if (Array.isArray(bounds) && bounds.length > 0) {
+            // It's an array of locations
+            map.fitBounds({
+                north: Math.max(...bounds.map(loc => loc.lat)),
+                south: Math.min(...bounds.map(loc => loc.lat)),
+                east: Math.max(...bounds.map(loc => loc.lng)),
+                west: Math.min(...bounds.map(loc => loc.lng))
+            }, padding);
+        }
+    }, [map]);
+
+    /**
+     * Add user location marker
+     */
+    const setUserMarker = useCallback((location) => {
+        if (!map || !isLoaded) return;
+        map.setUserMarker(location);
+    }, [map, isLoaded]);
+
+    /**
+     * Shade weighted points as a heatmap, or clear it with null
+     */
+    const setHeatmap = useCallback((points) => {
+        if (!map || !isLoaded) return;
+        map.setHeatmap(points);
+    }, [map, isLoaded]);
+
+    /**
+     * Outline an area, or clear it with null
+     */
+    const setArea = useCallback((polygon) => {
+        if (!map || !isLoaded) return;
+        map.setArea(polygon);
+    }, [map, isLoaded]);
+
+    /**
+     * Draw a route line, or clear it with null
+     */
+    const setRoute = useCallback((path) => {
+        if (!map || !isLoaded) return;
+        map.setRoute(path);
+    }, [map, isLoaded]);
+
+    /**
+     * Mark a group's participants and their meeting point, or clear them with []
+     */
+    const setParticipantMarkers = useCallback((participants, meetingPoint = null) => {
+        if (!map || !isLoaded) return;
+        map.setParticipantMarkers(participants, meetingPoint);
+    }, [map, isLoaded]);
+
+    /**
+     * Add place markers to map
+     */
+    const setPlaceMarkers = useCallback((places, selectedPlaceId = null, savedPlaceIds = null) => {
+        if (!map || !isLoaded) return;
+
+        map.setPlaceMarkers(places, {
+            selectedPlaceId,
+            savedPlaceIds,
+            onMarkerClick: (place) => onMarkerClickRef.current?.(place)
+        });
+    }, [map, isLoaded]);
+
+    /**
+     * Append markers for more places, numbered after the existing ones
+     */
+    const addPlaceMarkers = useCallback((places, startIndex, selectedPlaceId = null, savedPlaceIds = null) => {
+        if (!map || !isLoaded) return;
+
+        map.addPlaceMarkers(places, {
+            startIndex,
+            selectedPlaceId,
+            savedPlaceIds,
+            onMarkerClick: (place) => onMarkerClickRef.current?.(place)
+        });
+    }, [map, isLoaded]);
+
+    /**
+     * Restyle existing markers after saved places change
+     */
+    const setSavedMarkers = useCallback((savedPlaceIds) => {
+        if (!map) return;
+        map.setSavedMarkers(savedPlaceIds);
+    }, [map]);
+
+    /**
+     * Show info window for a place
+     */
+    const showInfoWindow = useCallback((place) => {
+        if (!map) return;
+        map.showInfoWindow(place);
+    }, [map]);
+
+    /**
+     * Highlight a specific marker
+     */
+    const highlightMarker = useCallback((placeId) => {
+        if (!map) return;
+        map.highlightMarker(placeId);
+    }, [map]);
+
+    /**
+     * Clear all markers
+     */
+    const clearMarkers = useCallback(() => {
+        if (!map) return;
+        map.clearMarkers();
+    }, [map]);
+
+    // Load the map renderer on mount
+    useEffect(() => {
+        loadMaps();
+    }, [loadMaps]);
+
+    // Initialize map when container is available
+    useEffect(() => {
+        if (isLoaded && containerRef?.current && !map) {
+            initializeMap(containerRef.current);
+        }
+    }, [isLoaded, containerRef, map, initializeMap]);
+
+    // Cleanup on unmount
+    useEffect(() => {
+        return () => {
+            map?.clearMarkers();
+        };
+    }, [map]);
+
+    return {
+        isLoaded,
+        error,
+        map,
+        initializeMap,
+        setCenter,
+        setZoom,
+        fitBounds,
+        setUserMarker,
+        setHeatmap,
+        setArea,
+        setRoute,
+        setParticipantMarkers,
+        setPlaceMarkers,
+        addPlaceMarkers,
+        setSavedMarkers,
+        highlightMarker,
+        clearMarkers,
+        showInfoWindow
+    };
+};
+
+export default useMap;
@@ -0,0 +1,64 @@
+/**
+ * useMeetingPoint Hook
+ * Custom hook for where a group should meet
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { getMeetingPoint } from '../services/meetingPoint';
+import { MEETING } from '../utils/constants';
+
+/**
+ * Custom hook for a group's meeting point
+ * The previous point is kept while a new one is found
+ * @param {Object} options - Hook options
+ * @returns {Object} - { meetingPoint, loading }
+ */
+const useMeetingPoint = (options = {}) => {
+    const {
+        participants = [],
+        method,
+        mode,
+        enabled = false
+    } = options;
+
+    const [meetingPoint, setMeetingPoint] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    // ~10 m; smaller moves keep the current point
+    const groupKey = participants
+        .map(({ location }) => `${location.lat.toFixed(4)},${location.lng.toFixed(4)}`)
+        .join('|');
+    const participantsRef = useRef(participants);
+    participantsRef.current = participants;
+
+    useEffect(() => {
+        const locations = participantsRef.current.map(participant => participant.location);
+        if (!enabled || locations.length < MEETING.MIN_PARTICIPANTS) {
+            setMeetingPoint(null);
+            setLoading(false);
+            return;
+        }
+
+        let cancelled = false;
+        setLoading(true);
+
+        getMeetingPoint(locations, method, mode)
+            .then(result => {
+                if (!cancelled) setMeetingPoint(result);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [enabled, groupKey, method, mode]);
+
+    return {
+        meetingPoint,
+        loading
+    };
+};
+
+export default useMeetingPoint;
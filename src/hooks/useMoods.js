@@ -0,0 +1,61 @@
+/**
+ * useMoods Hook
+ * Custom hook for the mood registry: the moods to pick from, and editing,
+ * importing and exporting the user's own moods
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+    getMoods,
+    subscribeMoods,
+    saveMood,
+    deleteMood,
+    resetMoods,
+    exportMoodsJson,
+    importMoodsJson
+} from '../services/moodRegistry';
+import { downloadTextFile, readTextFile } from '../utils/fileTransfer';
+
+/**
+ * Custom hook for moods
+ * @returns {Object} - Moods and methods
+ */
+const useMoods = () => {
+    const [moods, setMoods] = useState(getMoods);
+
+    // Follow edits made anywhere in the app
+    useEffect(() => {
+        setMoods(getMoods());
+        return subscribeMoods(setMoods);
+    }, []);
+
+    const quickPicks = useMemo(() => moods.filter(mood => mood.quickPick), [moods]);
+
+    /**
+     * Download the user's moods as JSON
+     */
+    const exportMoods = useCallback(() => {
+        downloadTextFile('placepulse-moods.json', exportMoodsJson());
+    }, []);
+
+    /**
+     * Import moods from a JSON file
+     * @returns {Promise<number>} - Number of moods imported
+     */
+    const importMoods = useCallback(async (file) => {
+        const text = await readTextFile(file);
+        return importMoodsJson(text);
+    }, []);
+
+    return {
+        moods,
+        quickPicks,
+        saveMood,
+        deleteMood,
+        resetMoods,
+        exportMoods,
+        importMoods
+    };
+};
+
+export default useMoods;
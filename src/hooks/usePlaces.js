@@ -3,16 +3,108 @@
  * Custom hook for searching and managing places data
  */
 
-import { useState, useCallback, useRef, useEffect } from 'react';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import {
     createPlacesService,
     searchNearbyPlaces,
     searchMultipleTypes,
+    searchNextPages,
     getPlaceDetails
 } from '../services/placesApi';
-import { getMoodMapping, calculateRelevanceScore } from '../utils/moodMapping';
+import { calculateRelevanceScore, getMatchedMoods } from '../utils/moodMapping';
+import { getQueryMapping } from '../utils/queryParser';
 import { filterAndSortPlaces } from '../utils/filterSort';
-import { SEARCH_RADIUS, SORT_OPTIONS, DEFAULT_FILTERS, UI } from '../utils/constants';
+import { getFairness } from '../services/meetingPoint';
+import { calculateDistance, getPlaceLatLng } from '../utils/distance';
+import { SEARCH_RADIUS, SEARCH_AREA, SORT_OPTIONS, DEFAULT_FILTERS, UI } from '../utils/constants';
+import useTravelTimes from './useTravelTimes';
+import useIsochrone from './useIsochrone';
+import useGroupTravelTimes from './useGroupTravelTimes';
+import useRankingProfiles from './useRankingProfiles';
+
+// Shared default, so searches without a group don't re-filter on every render
+const NO_PARTICIPANTS = [];
+
+/**
+ * Add relevance scores for a mood to places
+ * @param {Array} places - Places
+ * @param {Object|null} moodMapping - Mood mapping (places are returned as-is without one)
+ * @returns {Array} - Places with relevanceScore, and matchedMoods for blended moods
+ */
+const scorePlaces = (places, moodMapping) => {
+    if (!moodMapping) return places;
+
+    return places.map(place => ({
+        ...place,
+        relevanceScore: calculateRelevanceScore(place, moodMapping),
+        ...(moodMapping.moods && { matchedMoods: getMatchedMoods(place, moodMapping) })
+    }));
+};
+
+/**
+ * Add the distance from the user when the search ran somewhere else
+ * `distance` stays relative to the search center, which filters and sorting use
+ * @param {Array} places - Places
+ * @param {Object} searchLocation - Search center { lat, lng }
+ * @param {Object|null} userLocation - User location { lat, lng }
+ * @returns {Array} - Places with userDistance (removed for searches around the user)
+ */
+const withUserDistance = (places, searchLocation, userLocation) => {
+    const isElsewhere = Boolean(userLocation && searchLocation) &&
+        calculateDistance(userLocation, searchLocation) > SEARCH_AREA.SAME_LOCATION;
+
+    return places.map(({ userDistance, ...place }) => (isElsewhere
+        ? { ...place, userDistance: calculateDistance(userLocation, getPlaceLatLng(place)) }
+        : place));
+};
+
+/**
+ * Attach travel times to places
+ * @param {Array} places - Places
+ * @param {Object} travelTimes - Travel times by place_id for one mode
+ * @returns {Array} - Places with travelTime (when loaded)
+ */
+const withTravelTimes = (places, travelTimes = {}) => {
+    return places.map(({ travelTime, ...place }) => (travelTimes[place.place_id]
+        ? { ...place, travelTime: travelTimes[place.place_id] }
+        : place));
+};
+
+/**
+ * Attach every participant's travel time and the fairness they add up to
+ * Places are left without groupTravel until everyone's time has loaded
+ * @param {Array} places - Places
+ * @param {Array} participants - Group participants (none outside group searches)
+ * @param {Object} groupTravelTimes - Travel times by participant ID, then place_id
+ * @returns {Array} - Places with groupTravel: { times, max, mean, spread, cost }
+ */
+const withGroupTravel = (places, participants, groupTravelTimes = {}) => {
+    return places.map(({ groupTravel, ...place }) => {
+        if (participants.length === 0) return place;
+
+        const times = participants.map(participant => groupTravelTimes[participant.id]?.[place.place_id]);
+        if (times.some(time => !time)) return place;
+
+        return {
+            ...place,
+            groupTravel: {
+                times: times.map((time, index) => ({ ...time, name: participants[index].name })),
+                ...getFairness(times.map(time => time.duration))
+            }
+        };
+    });
+};
+
+/**
+ * Append places that aren't in the list yet
+ * @param {Array} places - Current places
+ * @param {Array} more - Places from further pages
+ * @returns {Array} - Merged places
+ */
+const mergePlaces = (places, more) => {
+    const ids = new Set(places.map(place => place.place_id));
+    return [...places, ...more.filter(place => !ids.has(place.place_id))];
+};
 
 /**
  * Custom hook for places search and management
@@ -22,7 +114,8 @@ import { SEARCH_RADIUS, SORT_OPTIONS, DEFAULT_FILTERS, UI } from '../utils/const
 const usePlaces = (options = {}) => {
     const {
         map = null,
-        userLocation = null
+        userLocation = null,
+        participants = NO_PARTICIPANTS
     } = options;
 
     const [places, setPlaces] = useState([]);
@@ -30,24 +123,70 @@ const usePlaces = (options = {}) => {
     const [selectedPlace, setSelectedPlace] = useState(null);
     const [placeDetails, setPlaceDetails] = useState(null);
     const [loading, setLoading] = useState(false);
+    const [refreshing, setRefreshing] = useState(false);
     const [error, setError] = useState(null);
+    const [nextPageTokens, setNextPageTokens] = useState([]);
+    const [visibleCount, setVisibleCount] = useState(UI.PLACES_PER_PAGE);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [loadMoreError, setLoadMoreError] = useState(null);
     const [currentMood, setCurrentMood] = useState(null);
     const [currentMoodMapping, setCurrentMoodMapping] = useState(null);
+    const [searchLocation, setSearchLocation] = useState(null);
+    const [searchRadius, setSearchRadius] = useState(SEARCH_RADIUS.DEFAULT);
     const [filters, setFilters] = useState(DEFAULT_FILTERS);
     const [sortBy, setSortBy] = useState(SORT_OPTIONS.BEST_MATCH);
 
+    // Places service and the map it was built for
     const serviceRef = useRef(null);
     const searchAbortRef = useRef(null);
 
+    // Search center read when the user moves; new searches bring their own distances
+    const searchLocationRef = useRef(searchLocation);
+    searchLocationRef.current = searchLocation;
+
+    // Best Match weights of the chosen ranking profile
+    const { activeProfile } = useRankingProfiles();
+    const rankingWeights = activeProfile.weights;
+
+    // Travel times are from the user, also for places found by searching another area
+    const { travelTimes, loading: travelTimesLoading } = useTravelTimes({
+        places,
+        origin: userLocation || searchLocation,
+        modes: [filters.travelMode]
+    });
+
+    // Everyone's travel times in a group search, for the fairness ranking
+    const { travelTimes: groupTravelTimes, loading: groupTravelTimesLoading } = useGroupTravelTimes({
+        places,
+        participants,
+        mode: filters.travelMode
+    });
+
+    // Reachable area in isochrone mode, from the same origin as travel times
+    const { isochrone, loading: isochroneLoading } = useIsochrone({
+        origin: userLocation || searchLocation,
+        mode: filters.travelMode,
+        minutes: filters.maxTravelMinutes,
+        enabled: filters.isochrone
+    });
+
+    // Filters with the reachable area, which replaces the distance limit
+    const activeFilters = useMemo(
+        () => (isochrone ? { ...filters, area: isochrone.polygon } : filters),
+        [filters, isochrone]
+    );
+
     /**
      * Initialize places service
+     * The service is rebuilt when the map changes (e.g. once it has mounted)
      */
     const initService = useCallback(() => {
-        if (serviceRef.current) return serviceRef.current;
+        if (serviceRef.current && serviceRef.current.map === map) return serviceRef.current.service;
 
         try {
-            serviceRef.current = createPlacesService(map);
-            return serviceRef.current;
+            const service = createPlacesService(map);
+            serviceRef.current = { map, service };
+            return service;
         } catch (err) {
             setError(err);
             return null;
@@ -56,11 +195,17 @@ const usePlaces = (options = {}) => {
 
     /**
      * Search places by mood/intent
+     * @returns {Promise<Array|null>} - The results (before filtering), or null if the search failed or was superseded
      */
-    const searchByMood = useCallback(async (mood, location = userLocation) => {
+    const searchByMood = useCallback(async (mood, location = userLocation, radius = SEARCH_RADIUS.DEFAULT) => {
         if (!location) {
             setError(new Error('Location is required for search'));
-            return;
+            return null;
+        }
+
+        // Searches from the reachable area's origin cover the whole area
+        if (isochrone && calculateDistance(location, isochrone.origin) <= SEARCH_AREA.SAME_LOCATION) {
+            radius = Math.max(radius, Math.min(isochrone.radius, SEARCH_AREA.MAX_RADIUS));
         }
 
         // Cancel any ongoing search
@@ -73,8 +218,13 @@ const usePlaces = (options = {}) => {
         setLoading(true);
         setError(null);
         setCurrentMood(mood);
+        setSearchLocation(location);
+        setSearchRadius(radius);
         setSelectedPlace(null);
         setPlaceDetails(null);
+        setVisibleCount(UI.PLACES_PER_PAGE);
+        setLoadingMore(false);
+        setLoadMoreError(null);
 
         try {
             const service = initService();
@@ -82,48 +232,59 @@ const usePlaces = (options = {}) => {
                 throw new Error('Places service not initialized');
             }
 
-            // Get mood mapping
-            const moodMapping = getMoodMapping(mood);
+            // Get mood mapping (compound searches are searched by their mood and price words)
+            const moodMapping = getQueryMapping(mood);
             setCurrentMoodMapping(moodMapping);
 
             // Search for places
+            setRefreshing(false);
             const results = await searchMultipleTypes(service, {
                 types: moodMapping.types,
                 keywords: moodMapping.keywords,
                 location,
-                radius: SEARCH_RADIUS.DEFAULT
+                radius,
+                // Cached results were stale: show them now, swap in fresh ones when they arrive
+                onRevalidate: (freshResults) => {
+                    setRefreshing(true);
+                    freshResults
+                        .then(fresh => {
+                            if (currentSearch.abort) return;
+                            setPlaces(withUserDistance(scorePlaces(fresh.places, moodMapping), location, userLocation));
+                            setNextPageTokens(fresh.nextPageTokens);
+                        })
+                        .finally(() => {
+                            if (!currentSearch.abort) setRefreshing(false);
+                        });
+                }
             });
 
             // Check if search was aborted
-            if (currentSearch.abort) return;
+            if (currentSearch.abort) return null;
 
-            // Calculate relevance scores
-            const placesWithScores = results.map(place => ({
-                ...place,
-                relevanceScore: calculateRelevanceScore(place, moodMapping)
-            }));
+            const scoredResults = withUserDistance(scorePlaces(results.places, moodMapping), location, userLocation);
 
-            // Limit results
-            const limitedResults = placesWithScores.slice(0, UI.MAX_RESULTS);
-
-            setPlaces(limitedResults);
+            setPlaces(scoredResults);
+            setNextPageTokens(results.nextPageTokens);
 
             // Apply filters and sorting
-            const processed = filterAndSortPlaces(limitedResults, filters, sortBy, moodMapping);
+            const processed = filterAndSortPlaces(scoredResults, activeFilters, sortBy, moodMapping, rankingWeights);
             setFilteredPlaces(processed);
 
+            return scoredResults;
         } catch (err) {
             if (!currentSearch.abort) {
                 setError(err);
                 setPlaces([]);
                 setFilteredPlaces([]);
+                setNextPageTokens([]);
             }
+            return null;
         } finally {
             if (!currentSearch.abort) {
                 setLoading(false);
             }
         }
-    }, [userLocation, initService, filters, sortBy]);
+    }, [userLocation, initService, activeFilters, sortBy, rankingWeights, isochrone]);
 
     /**
      * Search places by type
@@ -138,8 +299,13 @@ const usePlaces = (options = {}) => {
         setError(null);
         setCurrentMood(null);
         setCurrentMoodMapping(null);
+        setSearchLocation(location);
+        setSearchRadius(SEARCH_RADIUS.DEFAULT);
         setSelectedPlace(null);
         setPlaceDetails(null);
+        setVisibleCount(UI.PLACES_PER_PAGE);
+        setLoadingMore(false);
+        setLoadMoreError(null);
 
         try {
             const service = initService();
@@ -153,20 +319,71 @@ const usePlaces = (options = {}) => {
                 type
             });
 
-            const limitedResults = results.slice(0, UI.MAX_RESULTS);
-            setPlaces(limitedResults);
+            const typeResults = withUserDistance(results.places, location, userLocation);
+            setPlaces(typeResults);
+            setNextPageTokens(results.nextPageToken ? [results.nextPageToken] : []);
 
-            const processed = filterAndSortPlaces(limitedResults, filters, sortBy);
+            const processed = filterAndSortPlaces(typeResults, activeFilters, sortBy, null, rankingWeights);
             setFilteredPlaces(processed);
 
         } catch (err) {
             setError(err);
             setPlaces([]);
             setFilteredPlaces([]);
+            setNextPageTokens([]);
         } finally {
             setLoading(false);
         }
-    }, [userLocation, initService, filters, sortBy]);
+    }, [userLocation, initService, activeFilters, sortBy, rankingWeights]);
+
+    /**
+     * Show the next page of results
+     * Reveals more of the fetched results, and fetches the next page of every
+     * search that has one once those run out
+     */
+    const loadMore = useCallback(async () => {
+        if (loadingMore) return;
+
+        const nextCount = visibleCount + UI.PLACES_PER_PAGE;
+        setVisibleCount(nextCount);
+
+        if (nextCount < filteredPlaces.length || nextPageTokens.length === 0 || !searchLocation) {
+            return;
+        }
+
+        const currentSearch = searchAbortRef.current;
+        setLoadingMore(true);
+        setLoadMoreError(null);
+
+        try {
+            const service = initService();
+            if (!service) {
+                throw new Error('Places service not initialized');
+            }
+
+            const results = await searchNextPages(service, {
+                pageTokens: nextPageTokens,
+                location: searchLocation
+            });
+
+            if (currentSearch?.abort) return;
+
+            setPlaces(prev => withUserDistance(
+                scorePlaces(mergePlaces(prev, results.places), currentMoodMapping),
+                searchLocation,
+                userLocation
+            ));
+            setNextPageTokens(results.nextPageTokens);
+        } catch (err) {
+            if (!currentSearch?.abort) {
+                setLoadMoreError(err);
+            }
+        } finally {
+            if (!currentSearch?.abort) {
+                setLoadingMore(false);
+            }
+        }
+    }, [loadingMore, visibleCount, filteredPlaces.length, nextPageTokens, searchLocation, userLocation, initService, currentMoodMapping]);
 
     /**
      * Load details for a place
@@ -234,34 +451,85 @@ const usePlaces = (options = {}) => {
      * Clear all results
      */
     const clearResults = useCallback(() => {
+        // Drop any search (or background refresh) still in flight
+        if (searchAbortRef.current) {
+            searchAbortRef.current.abort = true;
+        }
+        setLoading(false);
+        setRefreshing(false);
         setPlaces([]);
         setFilteredPlaces([]);
         setSelectedPlace(null);
         setPlaceDetails(null);
         setCurrentMood(null);
         setCurrentMoodMapping(null);
+        setSearchLocation(null);
         setError(null);
+        setNextPageTokens([]);
+        setVisibleCount(UI.PLACES_PER_PAGE);
+        setLoadingMore(false);
+        setLoadMoreError(null);
     }, []);
 
-    // Re-filter and sort when filters or sortBy change
+    // Keep distances from the user current as their location updates
+    useEffect(() => {
+        setPlaces(prev => (prev.length > 0 ? withUserDistance(prev, searchLocationRef.current, userLocation) : prev));
+    }, [userLocation]);
+
+    // Re-filter and sort when filters, sortBy, the ranking profile or travel times change
     useEffect(() => {
         if (places.length > 0) {
-            const processed = filterAndSortPlaces(places, filters, sortBy, currentMoodMapping);
+            const timedPlaces = withGroupTravel(
+                withTravelTimes(places, travelTimes[filters.travelMode]),
+                participants,
+                groupTravelTimes
+            );
+            const processed = filterAndSortPlaces(timedPlaces, activeFilters, sortBy, currentMoodMapping, rankingWeights);
             setFilteredPlaces(processed);
         }
-    }, [places, filters, sortBy, currentMoodMapping]);
+    }, [places, travelTimes, filters.travelMode, participants, groupTravelTimes, activeFilters, sortBy, currentMoodMapping, rankingWeights]);
+
+    // Latest search, read when a new area arrives (searches it starts update the rest)
+    const areaSearchRef = useRef(null);
+    areaSearchRef.current = { currentMood, searchLocation, searchRadius, searchByMood };
+
+    // Search again when the reachable area outgrows the searched circle
+    useEffect(() => {
+        const latest = areaSearchRef.current;
+        if (!isochrone || !latest.currentMood || !latest.searchLocation) return;
+
+        const reach = calculateDistance(latest.searchLocation, isochrone.origin) + isochrone.radius;
+        if (reach > latest.searchRadius && latest.searchRadius < SEARCH_AREA.MAX_RADIUS) {
+            latest.searchByMood(latest.currentMood, isochrone.origin, latest.searchRadius);
+        }
+    }, [isochrone]);
+
+    // Results shown so far; the rest are revealed by loadMore
+    const visiblePlaces = useMemo(
+        () => filteredPlaces.slice(0, visibleCount),
+        [filteredPlaces, visibleCount]
+    );
 
     return {
         // Data
         places,
         filteredPlaces,
+        visiblePlaces,
         selectedPlace,
         placeDetails,
         currentMood,
         currentMoodMapping,
+        searchLocation,
+        searchRadius,
+        isochrone,
 
         // State
         loading,
+        refreshing,
+        loadingMore,
+        loadMoreError,
+        travelTimesLoading: travelTimesLoading || groupTravelTimesLoading,
+        isochroneLoading,
         error,
         filters,
         sortBy,
@@ -269,6 +537,7 @@ const usePlaces = (options = {}) => {
         // Methods
         searchByMood,
         searchByType,
+        loadMore,
         selectPlace,
         clearSelection,
         loadPlaceDetails,
@@ -279,6 +548,7 @@ const usePlaces = (options = {}) => {
 
         // Computed
         hasResults: filteredPlaces.length > 0,
+        hasMore: visibleCount < filteredPlaces.length || nextPageTokens.length > 0,
         totalResults: places.length,
         displayedResults: filteredPlaces.length
     };
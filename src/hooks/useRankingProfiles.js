@@ -0,0 +1,48 @@
+/**
+ * useRankingProfiles Hook
+ * Custom hook for Best Match ranking profiles: the profiles to pick from, the
+ * one in use, and editing their weights
+ */
+
+import { useState, useEffect } from 'react';
+import {
+    getProfiles,
+    getActiveProfile,
+    subscribeProfiles,
+    setActiveProfile,
+    saveProfile,
+    deleteProfile
+} from '../services/rankingProfiles';
+
+/**
+ * Read the profiles and the one in use
+ * @returns {Object} - { profiles, activeProfile }
+ */
+const readProfiles = () => ({
+    profiles: getProfiles(),
+    activeProfile: getActiveProfile()
+});
+
+/**
+ * Custom hook for ranking profiles
+ * @returns {Object} - Profiles and methods
+ */
+const useRankingProfiles = () => {
+    const [{ profiles, activeProfile }, setState] = useState(readProfiles);
+
+    // Follow changes made anywhere in the app
+    useEffect(() => {
+        setState(readProfiles());
+        return subscribeProfiles(() => setState(readProfiles()));
+    }, []);
+
+    return {
+        profiles,
+        activeProfile,
+        selectProfile: setActiveProfile,
+        saveProfile,
+        deleteProfile
+    };
+};
+
+export default useRankingProfiles;
@@ -0,0 +1,145 @@
+/**
+ * useSavedPlaces Hook
+ * Custom hook for bookmarking places, persisted in IndexedDB
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+    getSavedPlaces,
+    createSavedPlace,
+    putSavedPlace,
+    removeSavedPlace
+} from '../services/savedPlaces';
+import { fromPlaceSnapshot } from '../utils/placeSnapshot';
+import { calculateDistance } from '../utils/distance';
+
+/**
+ * Custom hook for saved places
+ * @param {Object} options - Hook options
+ * @returns {Object} - Saved places state and methods
+ */
+const useSavedPlaces = (options = {}) => {
+    const { userLocation = null } = options;
+
+    const [records, setRecords] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Load saved places on mount
+    useEffect(() => {
+        let cancelled = false;
+
+        getSavedPlaces()
+            .then(saved => {
+                if (!cancelled) setRecords(saved);
+            })
+            .catch(err => {
+                // Saving still works for this session, it just won't persist
+                console.warn('Failed to load saved places:', err);
+                if (!cancelled) setError(err);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    /**
+     * Persist a record, keeping local state as the source of truth
+     */
+    const persist = useCallback((record) => {
+        putSavedPlace(record).catch(err => {
+            console.warn('Failed to save place:', err);
+            setError(err);
+        });
+    }, []);
+
+    /**
+     * Save a place
+     */
+    const savePlace = useCallback((place, note = '') => {
+        const record = createSavedPlace(place, note);
+        setRecords(prev => [record, ...prev.filter(r => r.place_id !== record.place_id)]);
+        persist(record);
+    }, [persist]);
+
+    /**
+     * Remove a saved place
+     */
+    const unsavePlace = useCallback((placeId) => {
+        setRecords(prev => prev.filter(r => r.place_id !== placeId));
+        removeSavedPlace(placeId).catch(err => {
+            console.warn('Failed to remove saved place:', err);
+            setError(err);
+        });
+    }, []);
+
+    /**
+     * Toggle saved state for a place
+     */
+    const toggleSaved = useCallback((place) => {
+        if (records.some(r => r.place_id === place.place_id)) {
+            unsavePlace(place.place_id);
+        } else {
+            savePlace(place);
+        }
+    }, [records, savePlace, unsavePlace]);
+
+    /**
+     * Update the personal note on a saved place
+     */
+    const updateNote = useCallback((placeId, note) => {
+        const record = records.find(r => r.place_id === placeId);
+        if (!record) return;
+
+        const updated = { ...record, note };
+        setRecords(prev => prev.map(r => (r.place_id === placeId ? updated : r)));
+        persist(updated);
+    }, [records, persist]);
+
+    // Restored places with saved metadata and distance from the user
+    const savedPlaces = useMemo(() => {
+        return records.map(record => ({
+            ...fromPlaceSnapshot(record.place),
+            savedAt: record.savedAt,
+            note: record.note,
+            ...(userLocation
+                ? { distance: calculateDistance(userLocation, record.place.location) }
+                : {})
+        }));
+    }, [records, userLocation]);
+
+    const savedPlaceIds = useMemo(() => {
+        return new Set(records.map(r => r.place_id));
+    }, [records]);
+
+    const isSaved = useCallback((placeId) => {
+        return savedPlaceIds.has(placeId);
+    }, [savedPlaceIds]);
+
+    /**
+     * Get the saved record for a place
+     */
+    const getSavedRecord = useCallback((placeId) => {
+        return records.find(r => r.place_id === placeId) || null;
+    }, [records]);
+
+    return {
+        savedPlaces,
+        savedPlaceIds,
+        loading,
+        error,
+        isSaved,
+        getSavedRecord,
+        savePlace,
+        unsavePlace,
+        toggleSaved,
+        updateNote,
+        savedCount: records.length
+    };
+};
+
+export default useSavedPlaces;
@@ -0,0 +1,128 @@
+/**
+ * useSearchHistory Hook
+ * Custom hook for recent searches, persisted in IndexedDB
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+    getSearchHistory,
+    createHistoryEntry,
+    putHistoryEntry,
+    deleteHistoryEntry,
+    clearSearchHistory
+} from '../services/searchHistory';
+import { UI } from '../utils/constants';
+
+/**
+ * Custom hook for search history
+ * @returns {Object} - History state and methods
+ */
+const useSearchHistory = () => {
+    const [history, setHistory] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Load history on mount
+    useEffect(() => {
+        let cancelled = false;
+
+        getSearchHistory()
+            .then(entries => {
+                if (cancelled) return;
+                // Keep searches recorded while loading in front of the stored ones
+                setHistory(prev => {
+                    const recorded = new Set(prev.map(e => e.id));
+                    return [...prev, ...entries.filter(e => !recorded.has(e.id))];
+                });
+            })
+            .catch(err => {
+                console.warn('Failed to load search history:', err);
+                if (!cancelled) setError(err);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    /**
+     * Record a search, dropping the oldest entries past the limit
+     * @param {Object} search - { query, location, locationLabel, resultCount }
+     */
+    const recordSearch = useCallback((search) => {
+        if (!search.query?.trim() || !search.location) return;
+
+        const entry = createHistoryEntry(search);
+        const handleError = (err) => {
+            console.warn('Failed to save search history:', err);
+            setError(err);
+        };
+
+        setHistory(prev => {
+            const kept = [entry, ...prev.filter(e => e.id !== entry.id)];
+            const dropped = kept.splice(UI.MAX_HISTORY_ENTRIES);
+
+            // Deleting is idempotent, so a repeated updater call is harmless
+            dropped.forEach(e => deleteHistoryEntry(e.id).catch(handleError));
+            return kept;
+        });
+        putHistoryEntry(entry).catch(handleError);
+    }, []);
+
+    /**
+     * Remove one entry
+     */
+    const removeEntry = useCallback((id) => {
+        setHistory(prev => prev.filter(e => e.id !== id));
+        deleteHistoryEntry(id).catch(err => {
+            console.warn('Failed to delete search history entry:', err);
+            setError(err);
+        });
+    }, []);
+
+    /**
+     * Remove all entries
+     */
+    const clearHistory = useCallback(() => {
+        setHistory([]);
+        clearSearchHistory().catch(err => {
+            console.warn('Failed to clear search history:', err);
+            setError(err);
+        });
+    }, []);
+
+    /**
+     * Most recent distinct queries, optionally matching the search input
+     * @param {string} input - Current search input
+     * @returns {Array} - History entries
+     */
+    const getRecentSearches = useCallback((input = '') => {
+        const term = input.toLowerCase().trim();
+        const seen = new Set();
+
+        return history
+            .filter(entry => {
+                const query = entry.query.toLowerCase();
+                if (seen.has(query) || (term && !query.includes(term))) return false;
+                seen.add(query);
+                return true;
+            })
+            .slice(0, UI.RECENT_SEARCHES);
+    }, [history]);
+
+    return {
+        history,
+        loading,
+        error,
+        recordSearch,
+        removeEntry,
+        clearHistory,
+        getRecentSearches,
+        historyCount: history.length
+    };
+};
+
+export default useSearchHistory;
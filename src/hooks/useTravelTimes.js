@@ -0,0 +1,83 @@
+/**
+ * useTravelTimes Hook
+ * Custom hook for routed travel times from an origin to a set of places
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { getTravelTimes } from '../services/travelTime';
+
+/**
+ * Custom hook for travel times
+ * Only places without a time for the current origin and mode are looked up,
+ * so appending results (load more) fetches just the new ones
+ * @param {Object} options - Hook options
+ * @returns {Object} - { travelTimes: { [mode]: { [placeId]: travelTime } }, loading }
+ */
+const useTravelTimes = (options = {}) => {
+    const {
+        places = [],
+        origin = null,
+        modes = []
+    } = options;
+
+    const [travelTimes, setTravelTimes] = useState({});
+    const [pending, setPending] = useState(0);
+
+    // Place IDs already requested per mode for the current origin
+    const requestedRef = useRef({});
+    const originKeyRef = useRef(null);
+
+    // Latest origin; requests follow originKey so GPS jitter doesn't refetch
+    const originRef = useRef(origin);
+    originRef.current = origin;
+
+    // ~10 m; smaller GPS jitter keeps the current times
+    const originKey = origin ? `${origin.lat.toFixed(4)},${origin.lng.toFixed(4)}` : null;
+    const modesKey = modes.join(',');
+
+    // Start over when the origin moves
+    useEffect(() => {
+        originKeyRef.current = originKey;
+        requestedRef.current = {};
+        setTravelTimes({});
+    }, [originKey]);
+
+    useEffect(() => {
+        const requestOrigin = originRef.current;
+        if (!requestOrigin || places.length === 0 || !modesKey) return;
+
+        // Times for an origin the user has since moved away from are dropped
+        const requestOriginKey = originKey;
+
+        modesKey.split(',').forEach(mode => {
+            const requested = requestedRef.current[mode] || new Set();
+            requestedRef.current[mode] = requested;
+
+            const missing = places.filter(place => place.place_id && !requested.has(place.place_id));
+            if (missing.length === 0) return;
+
+            missing.forEach(place => requested.add(place.place_id));
+            setPending(count => count + 1);
+
+            getTravelTimes(missing, requestOrigin, mode)
+                .then(times => {
+                    if (originKeyRef.current !== requestOriginKey) return;
+                    setTravelTimes(prev => ({ ...prev, [mode]: { ...prev[mode], ...times } }));
+                })
+                .catch(err => {
+                    console.warn('Failed to load travel times:', err);
+                    missing.forEach(place => requested.delete(place.place_id));
+                })
+                .finally(() => {
+                    setPending(count => count - 1);
+                });
+        });
+    }, [places, originKey, modesKey]);
+
+    return {
+        travelTimes,
+        loading: pending > 0
+    };
+};
+
+export default useTravelTimes;
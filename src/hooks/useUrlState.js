@@ -0,0 +1,91 @@
+/**
+ * useUrlState Hook
+ * Keeps shareable app state in sync with the URL query string
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { parseUrlState, buildUrlSearch, isNavigation } from '../utils/urlState';
+
+/**
+ * Custom hook for URL state sync
+ * Restores state from the URL once `ready` is true, then writes state changes
+ * back with history.pushState/replaceState. Back/forward restores the entry's
+ * state through `onRestore`.
+ * @param {Object} options - Hook options
+ * @param {Object} options.state - Current state ({ query, location, radius, filters, sortBy, participants, meetingMethod, placeId, details })
+ * @param {boolean} options.ready - Whether the app can restore state (provider loaded, location known)
+ * @param {Function} options.onRestore - Applies parsed URL state; may return a promise
+ */
+const useUrlState = ({ state, ready, onRestore }) => {
+    const [restored, setRestored] = useState(false);
+    const restoringRef = useRef(false);
+    const lastStateRef = useRef(null);
+    const onRestoreRef = useRef(onRestore);
+
+    // `state` is a new object every render; only its serialized form triggers a write
+    const stateRef = useRef(state);
+    stateRef.current = state;
+
+    useEffect(() => {
+        onRestoreRef.current = onRestore;
+    }, [onRestore]);
+
+    /**
+     * Apply the state in the current URL, pausing sync until it has settled
+     */
+    const restoreRef = useRef(async () => {
+        const urlState = parseUrlState(window.location.search);
+        restoringRef.current = true;
+        try {
+            await onRestoreRef.current(urlState);
+        } catch (err) {
+            console.warn('Failed to restore state from URL:', err);
+        } finally {
+            restoringRef.current = false;
+            lastStateRef.current = urlState;
+        }
+    });
+
+    // Restore from the URL on load
+    useEffect(() => {
+        if (!ready || restored) return;
+
+        restoreRef.current().then(() => {
+            // Tidy the landing URL (e.g. add the resolved location) without a new entry
+            lastStateRef.current = null;
+            setRestored(true);
+        });
+    }, [ready, restored]);
+
+    // Restore on back/forward
+    useEffect(() => {
+        if (!restored) return;
+
+        const handlePopState = () => restoreRef.current();
+
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, [restored]);
+
+    // Write state changes to the URL
+    const search = buildUrlSearch(state);
+
+    useEffect(() => {
+        if (!restored || restoringRef.current) return;
+
+        const nextState = stateRef.current;
+        const prevState = lastStateRef.current;
+        lastStateRef.current = nextState;
+
+        if (search === window.location.search) return;
+
+        const url = `${window.location.pathname}${search}${window.location.hash}`;
+        if (isNavigation(prevState, nextState)) {
+            window.history.pushState(null, '', url);
+        } else {
+            window.history.replaceState(null, '', url);
+        }
+    }, [search, restored]);
+};
+
+export default useUrlState;
@@ -0,0 +1,262 @@
+/**
+ * Collections Service
+ * Named, ordered lists of places persisted in IndexedDB, with JSON and GeoJSON
+ * import/export
+ *
+ * Collection records:
+ *   { id, title, description, emoji, position, places: [snapshot], createdAt, updatedAt }
+ * Places are stored as snapshots (see utils/placeSnapshot) in display order.
+ */
+
+import { STORES, getAllRecords, putRecord, deleteRecord } from './database';
+import { normalizePlace, toPlaceSnapshot } from '../utils/placeSnapshot';
+
+export const EXPORT_FORMAT = 'placepulse-collections';
+const EXPORT_VERSION = 1;
+
+export const DEFAULT_EMOJI = '📍';
+
+/**
+ * Create a unique ID
+ * @returns {string} - ID
+ */
+const createId = () => {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Get all collections in display order
+ * @returns {Promise<Array>} - Collection records
+ */
+export const getCollections = async () => {
+    const records = await getAllRecords(STORES.COLLECTIONS);
+    return records.sort((a, b) => a.position - b.position);
+};
+
+/**
+ * Create a collection record
+ * @param {Object} fields - { title, description, emoji, places }
+ * @param {number} position - Position in the collections list
+ * @returns {Object} - Collection record
+ */
+export const createCollection = ({ title, description = '', emoji = DEFAULT_EMOJI, places = [] }, position = 0) => {
+    const now = new Date().toISOString();
+
+    return {
+        id: createId(),
+        title: title.trim(),
+        description: description.trim(),
+        emoji: emoji || DEFAULT_EMOJI,
+        position,
+        places,
+        createdAt: now,
+        updatedAt: now
+    };
+};
+
+/**
+ * Save (or update) a collection record
+ * @param {Object} collection - Collection record
+ * @returns {Promise<Object>} - The stored record
+ */
+export const putCollection = async (collection) => {
+    await putRecord(STORES.COLLECTIONS, collection);
+    return collection;
+};
+
+/**
+ * Delete a collection
+ * @param {string} id - Collection ID
+ * @returns {Promise<void>}
+ */
+export const deleteCollection = (id) => {
+    return deleteRecord(STORES.COLLECTIONS, id);
+};
+
+/**
+ * Move an item within an array
+ * @param {Array} items - Items
+ * @param {number} from - Current index
+ * @param {number} to - Target index
+ * @returns {Array} - New array
+ */
+export const moveItem = (items, from, to) => {
+    if (to < 0 || to >= items.length || from === to) {
+        return items;
+    }
+    const result = [...items];
+    const [item] = result.splice(from, 1);
+    result.splice(to, 0, item);
+    return result;
+};
+
+/**
+ * Serialize collections to the PlacePulse JSON export format
+ * @param {Array} collections - Collection records
+ * @returns {string} - JSON text
+ */
+export const exportCollectionsJson = (collections) => {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        collections: collections.map(({ title, description, emoji, places }) => ({
+            title,
+            description,
+            emoji,
+            places
+        }))
+    }, null, 2);
+};
+
+/**
+ * Serialize a collection to a GeoJSON FeatureCollection
+ * Each place becomes a Point feature; the collection's title, description and
+ * emoji are kept in the top-level properties member.
+ * @param {Object} collection - Collection record
+ * @returns {string} - GeoJSON text
+ */
+export const exportCollectionGeoJson = (collection) => {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        properties: {
+            title: collection.title,
+            description: collection.description,
+            emoji: collection.emoji
+        },
+        features: collection.places.map(({ location, ...properties }, index) => ({
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: [location.lng, location.lat]
+            },
+            properties: { ...properties, position: index + 1 }
+        }))
+    }, null, 2);
+};
+
+/**
+ * Convert an imported place into a snapshot
+ * @param {Object} place - Place-like object
+ * @returns {Object|null} - Snapshot or null if it has no usable location
+ */
+const toImportedSnapshot = (place) => {
+    const normalized = normalizePlace(place);
+    const snapshot = toPlaceSnapshot(normalized);
+    const { lat, lng } = snapshot.location;
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || !snapshot.name) {
+        return null;
+    }
+
+    // Places from other tools may not have an ID; derive a stable one
+    if (!snapshot.place_id) {
+        snapshot.place_id = `import-${lat.toFixed(5)},${lng.toFixed(5)}`;
+    }
+
+    return snapshot;
+};
+
+/**
+ * Drop repeated places, keeping the first occurrence
+ * @param {Array} places - Place snapshots
+ * @returns {Array} - Unique snapshots
+ */
+const dedupePlaces = (places) => {
+    const seen = new Set();
+    return places.filter(place => {
+        if (seen.has(place.place_id)) return false;
+        seen.add(place.place_id);
+        return true;
+    });
+};
+
+/**
+ * Read collections from a GeoJSON FeatureCollection
+ * @param {Object} data - Parsed GeoJSON
+ * @param {string} fallbackTitle - Title used when the file doesn't name the collection
+ * @returns {Array} - Collection fields
+ */
+const readGeoJson = (data, fallbackTitle) => {
+    const places = (data.features || [])
+        .filter(feature => feature?.geometry?.type === 'Point')
+        .sort((a, b) => (a.properties?.position ?? 0) - (b.properties?.position ?? 0))
+        .map(feature => {
+            const [lng, lat] = feature.geometry.coordinates;
+            const properties = { ...feature.properties };
+            delete properties.position;
+
+            return toImportedSnapshot({
+                ...properties,
+                name: properties.name || properties.title,
+                location: { lat, lng }
+            });
+        })
+        .filter(Boolean);
+
+    return [{
+        title: data.properties?.title || data.name || fallbackTitle,
+        description: data.properties?.description || '',
+        emoji: data.properties?.emoji || DEFAULT_EMOJI,
+        places: dedupePlaces(places)
+    }];
+};
+
+/**
+ * Read collections from the PlacePulse JSON export format
+ * @param {Object} data - Parsed export
+ * @returns {Array} - Collection fields
+ */
+const readExport = (data) => {
+    if (!Array.isArray(data.collections)) {
+        throw new Error('This collections file is missing its collections list.');
+    }
+
+    return data.collections.map(collection => ({
+        title: collection.title || 'Untitled list',
+        description: collection.description || '',
+        emoji: collection.emoji || DEFAULT_EMOJI,
+        places: dedupePlaces((collection.places || []).map(toImportedSnapshot).filter(Boolean))
+    }));
+};
+
+/**
+ * Parse an imported JSON or GeoJSON file into collection fields
+ * @param {string} text - File contents
+ * @param {string} fallbackTitle - Title for GeoJSON files without one
+ * @returns {Array} - Collection fields ({ title, description, emoji, places })
+ */
+export const parseCollectionsImport = (text, fallbackTitle = 'Imported list') => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error('This file is not valid JSON.');
+    }
+
+    if (data?.type === 'FeatureCollection') {
+        return readGeoJson(data, fallbackTitle);
+    }
+
+    if (data?.format === EXPORT_FORMAT) {
+        return readExport(data);
+    }
+
+    throw new Error('Unrecognized file. Import a PlacePulse collections export or a GeoJSON FeatureCollection.');
+};
+
+export default {
+    EXPORT_FORMAT,
+    DEFAULT_EMOJI,
+    getCollections,
+    createCollection,
+    putCollection,
+    deleteCollection,
+    moveItem,
+    exportCollectionsJson,
+    exportCollectionGeoJson,
+    parseCollectionsImport
+};
@@ -0,0 +1,169 @@
+/**
+ * Database Service
+ * Promise wrapper around the app's IndexedDB database
+ *
+ * Object stores are declared in STORES. Adding a store means adding it there
+ * and bumping DB_VERSION so existing databases get upgraded.
+ */
+
+const DB_NAME = 'placepulse';
+const DB_VERSION = 6;
+
+// Object stores and their key paths
+export const STORES = {
+    SAVED_PLACES: 'savedPlaces',
+    COLLECTIONS: 'collections',
+    SEARCH_HISTORY: 'searchHistory',
+    SEARCH_CACHE: 'searchCache',
+    SAVED_LOCATIONS: 'savedLocations',
+    ITINERARY: 'itinerary'
+};
+
+const STORE_KEYS = {
+    [STORES.SAVED_PLACES]: 'place_id',
+    [STORES.COLLECTIONS]: 'id',
+    [STORES.SEARCH_HISTORY]: 'id',
+    [STORES.SEARCH_CACHE]: 'key',
+    [STORES.SAVED_LOCATIONS]: 'id',
+    [STORES.ITINERARY]: 'id'
+};
+
+// Open database connection (singleton)
+let dbPromise = null;
+
+/**
+ * Check if IndexedDB is available
+ * @returns {boolean} - True if IndexedDB is supported
+ */
+export const isDatabaseSupported = () => {
+    return typeof indexedDB !== 'undefined';
+};
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} - Request result
+ */
+const promisifyRequest = (request) => {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Open the database, creating or upgrading stores as needed
+ * Returns the cached connection if already open
+ * @returns {Promise<IDBDatabase>} - Database connection
+ */
+export const openDatabase = () => {
+    if (dbPromise) {
+        return dbPromise;
+    }
+
+    if (!isDatabaseSupported()) {
+        return Promise.reject(new Error('IndexedDB is not supported by your browser.'));
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.values(STORES).forEach(store => {
+                if (!db.objectStoreNames.contains(store)) {
+                    db.createObjectStore(store, { keyPath: STORE_KEYS[store] });
+                }
+            });
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+            // Let newer tabs upgrade the schema
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+            resolve(db);
+        };
+
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+};
+
+/**
+ * Run a request against an object store
+ * @param {string} store - Store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} - Request result
+ */
+const withStore = async (store, mode, callback) => {
+    const db = await openDatabase();
+    const transaction = db.transaction(store, mode);
+    return promisifyRequest(callback(transaction.objectStore(store)));
+};
+
+/**
+ * Get all records in a store
+ * @param {string} store - Store name
+ * @returns {Promise<Array>} - Records
+ */
+export const getAllRecords = (store) => {
+    return withStore(store, 'readonly', objectStore => objectStore.getAll());
+};
+
+/**
+ * Get a record by key
+ * @param {string} store - Store name
+ * @param {*} key - Record key
+ * @returns {Promise<Object|undefined>} - Record or undefined
+ */
+export const getRecord = (store, key) => {
+    return withStore(store, 'readonly', objectStore => objectStore.get(key));
+};
+
+/**
+ * Insert or replace a record
+ * @param {string} store - Store name
+ * @param {Object} record - Record (must contain the store's key path)
+ * @returns {Promise<*>} - Record key
+ */
+export const putRecord = (store, record) => {
+    return withStore(store, 'readwrite', objectStore => objectStore.put(record));
+};
+
+/**
+ * Delete a record by key
+ * @param {string} store - Store name
+ * @param {*} key - Record key
+ * @returns {Promise<void>}
+ */
+export const deleteRecord = (store, key) => {
+    return withStore(store, 'readwrite', objectStore => objectStore.delete(key));
+};
+
+/**
+ * Delete all records in a store
+ * @param {string} store - Store name
+ * @returns {Promise<void>}
+ */
+export const clearStore = (store) => {
+    return withStore(store, 'readwrite', objectStore => objectStore.clear());
+};
+
+export default {
+    STORES,
+    isDatabaseSupported,
+    openDatabase,
+    getAllRecords,
+    getRecord,
+    putRecord,
+    deleteRecord,
+    clearStore
+};
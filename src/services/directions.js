@@ -0,0 +1,56 @@
+/**
+ * Directions Service
+ * Routes from the user to a place for in-app directions
+ *
+ * Routes come from the configured router (see routingProvider) through the
+ * request scheduler. They aren't cached: they are requested one at a time and
+ * again whenever the user strays from the route.
+ *
+ * Routes are { mode, duration, distance, path, steps, estimated }: duration in
+ * seconds, distance in meters, path a line of { lat, lng } points and steps
+ * { instruction, distance, duration }.
+ */
+
+import { getRouter, isEstimatedRouting } from './routingProvider';
+import { scheduleRequest } from './requestScheduler';
+
+/**
+ * Get a route between two points
+ * @param {Object} origin - { lat, lng }
+ * @param {Object} destination - { lat, lng }
+ * @param {string} mode - Travel mode from TRAVEL_MODES
+ * @returns {Promise<Object|null>} - Route, or null when there is none in this mode
+ */
+export const getRoute = async (origin, destination, mode) => {
+    const router = await getRouter();
+
+    if (!router.modes.includes(mode)) {
+        const error = new Error(`Directions aren't available for ${mode} here.`);
+        error.status = 'INVALID_REQUEST';
+        throw error;
+    }
+
+    const route = await scheduleRequest(() => router.getRoute(origin, destination, mode));
+    return route ? { ...route, mode, estimated: isEstimatedRouting() } : null;
+};
+
+/**
+ * Get a Google Maps directions link, for turn-by-turn navigation outside the app
+ * @param {Object} place - Place with name and place_id
+ * @param {string} mode - Travel mode from TRAVEL_MODES
+ * @returns {string} - URL
+ */
+export const getExternalDirectionsUrl = (place, mode) => {
+    const params = new URLSearchParams({
+        api: '1',
+        destination: place.name,
+        destination_place_id: place.place_id,
+        travelmode: mode
+    });
+    return `https://www.google.com/maps/dir/?${params}`;
+};
+
+export default {
+    getRoute,
+    getExternalDirectionsUrl
+};
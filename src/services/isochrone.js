@@ -0,0 +1,213 @@
+/**
+ * Isochrone Service
+ * Reachable areas: the polygon of places within a travel time of an origin
+ *
+ * Routers only give point-to-point times, so the area is traced: times to
+ * points on ISOCHRONE.BEARINGS rays around the origin are looked up together,
+ * and along each ray the reach is interpolated where the time passes the
+ * budget. Traced reaches go through the search cache and request scheduler.
+ * When the router can't route the mode, or all its requests fail, the area is a
+ * circle from the straight-line speed instead; directions whose requests fail
+ * use that estimate, and directions with no route at all take their
+ * neighbours' reach.
+ *
+ * Isochrones are { origin, mode, minutes, polygon, radius, estimated }:
+ * polygon is a ring of { lat, lng } points and radius the distance in meters
+ * from the origin to its furthest point.
+ */
+
+import { getRouter, getRoutingProviderName, isEstimatedRouting } from './routingProvider';
+import { cachedRequest } from './searchCache';
+import { scheduleRequest } from './requestScheduler';
+import { estimateTravelDistance, getDestinationPoint } from '../utils/distance';
+import { ISOCHRONE } from '../utils/constants';
+
+/**
+ * Get the sampled directions
+ * @returns {Array<number>} - Bearings in degrees
+ */
+const getBearings = () => {
+    return Array.from({ length: ISOCHRONE.BEARINGS }, (_, index) => index * 360 / ISOCHRONE.BEARINGS);
+};
+
+/**
+ * Build an isochrone from the reach in each direction
+ * @param {Object} origin - { lat, lng }
+ * @param {string} mode - Travel mode
+ * @param {number} minutes - Time budget
+ * @param {Array<number>} reaches - Reach in meters for each bearing
+ * @param {boolean} estimated - True for straight-line estimates
+ * @returns {Object} - Isochrone
+ */
+const buildIsochrone = (origin, mode, minutes, reaches, estimated) => {
+    const bearings = getBearings();
+
+    return {
+        origin,
+        mode,
+        minutes,
+        polygon: reaches.map((reach, index) => getDestinationPoint(origin, bearings[index], reach)),
+        radius: Math.round(Math.max(...reaches)),
+        estimated
+    };
+};
+
+/**
+ * Estimate an isochrone as a circle from the straight-line speed
+ * @param {Object} origin - { lat, lng }
+ * @param {string} mode - Travel mode
+ * @param {number} minutes - Time budget
+ * @returns {Object} - Isochrone with estimated: true
+ */
+const estimateIsochrone = (origin, mode, minutes) => {
+    const reach = estimateTravelDistance(minutes * 60, mode);
+    return buildIsochrone(origin, mode, minutes, getBearings().map(() => reach), true);
+};
+
+/**
+ * Find how far along a ray the time budget reaches
+ * Stops at the first sample without a route or over the budget
+ * @param {Array} samples - { distance, duration } outward along the ray; duration null when unreachable
+ * @param {number} budget - Time budget in seconds
+ * @returns {number|null} - Reach in meters, or null when the first sample has no route
+ */
+export const getReach = (samples, budget) => {
+    let previous = { distance: 0, duration: 0 };
+
+    for (const sample of samples) {
+        if (sample.duration === null) {
+            return previous.distance > 0 ? previous.distance : null;
+        }
+        if (sample.duration > budget) {
+            const share = (budget - previous.duration) / (sample.duration - previous.duration);
+            return previous.distance + share * (sample.distance - previous.distance);
+        }
+        previous = sample;
+    }
+
+    return previous.distance;
+};
+
+/**
+ * Find the nearest traced reach around the bearings from an index
+ * @param {Array<number|null>} reaches - Reach for each bearing
+ * @param {number} index - Bearing index to start from
+ * @param {number} step - 1 to go clockwise, -1 counterclockwise
+ * @returns {number|null} - Reach, or null if no bearing was traced
+ */
+const findTracedReach = (reaches, index, step) => {
+    for (let offset = 1; offset < reaches.length; offset++) {
+        const reach = reaches[(index + step * offset + reaches.length) % reaches.length];
+        if (reach !== null) return reach;
+    }
+    return null;
+};
+
+/**
+ * Fill bearings without a route from their nearest traced neighbours
+ * A reach of 0 would pull the polygon in to a spike at the origin
+ * @param {Array<number|null>} reaches - Reach for each bearing
+ * @param {number} fallback - Reach used when no bearing was traced
+ * @returns {Array<number>} - Reach in meters for each bearing
+ */
+const fillReaches = (reaches, fallback) => {
+    return reaches.map((reach, index) => {
+        if (reach !== null) return reach;
+
+        const before = findTracedReach(reaches, index, -1);
+        const after = findTracedReach(reaches, index, 1);
+        return before === null ? fallback : (before + after) / 2;
+    });
+};
+
+/**
+ * Trace the reach in each direction with the router
+ * @param {Object} router - Router from getRouter
+ * @param {Object} origin - { lat, lng }
+ * @param {string} mode - Travel mode
+ * @param {number} minutes - Time budget
+ * @returns {Promise<Array<number>>} - Reach in meters for each bearing; rejects if every request fails
+ */
+export const traceReaches = async (router, origin, mode, minutes) => {
+    const estimate = estimateTravelDistance(minutes * 60, mode);
+    const maxReach = estimate * ISOCHRONE.REACH;
+    const bearings = getBearings();
+    const destinations = bearings.flatMap(bearing => ISOCHRONE.RINGS.map(
+        share => getDestinationPoint(origin, bearing, share * maxReach)
+    ));
+
+    const chunks = [];
+    for (let start = 0; start < destinations.length; start += router.maxDestinations) {
+        chunks.push(destinations.slice(start, start + router.maxDestinations));
+    }
+    const settled = await Promise.allSettled(
+        chunks.map(chunk => scheduleRequest(() => router.getTravelTimes(origin, chunk, mode)))
+    );
+
+    const failures = settled.filter(result => result.status === 'rejected');
+    if (failures.length === settled.length) {
+        throw failures[0].reason;
+    }
+    if (failures.length > 0) {
+        console.warn(`Failed to trace ${failures.length} of ${settled.length} parts of the reachable area, estimating them:`, failures[0].reason);
+    }
+
+    // Times by destination; undefined where the request failed
+    const results = settled.flatMap((result, index) => (
+        result.status === 'fulfilled' ? result.value : new Array(chunks[index].length).fill(undefined)
+    ));
+
+    const reaches = bearings.map((_, index) => {
+        const samples = results.slice(index * ISOCHRONE.RINGS.length, (index + 1) * ISOCHRONE.RINGS.length);
+        if (samples.some(result => result === undefined)) {
+            return estimate;
+        }
+
+        return getReach(
+            ISOCHRONE.RINGS.map((share, ring) => ({
+                distance: share * maxReach,
+                duration: samples[ring]?.duration ?? null
+            })),
+            minutes * 60
+        );
+    });
+
+    return fillReaches(reaches, estimate);
+};
+
+/**
+ * Get the area reachable from an origin within a travel time
+ * @param {Object} origin - { lat, lng }
+ * @param {string} mode - Travel mode from TRAVEL_MODES
+ * @param {number} minutes - Time budget
+ * @returns {Promise<Object>} - Isochrone
+ */
+export const getIsochrone = async (origin, mode, minutes) => {
+    let router;
+    try {
+        router = await getRouter();
+    } catch (err) {
+        console.warn('Routing unavailable, using an estimated reachable area:', err);
+        return estimateIsochrone(origin, mode, minutes);
+    }
+
+    if (!router.modes.includes(mode)) {
+        return estimateIsochrone(origin, mode, minutes);
+    }
+
+    try {
+        const { value: reaches } = await cachedRequest(
+            'isochrone',
+            { router: getRoutingProviderName(), mode, minutes, location: origin },
+            () => traceReaches(router, origin, mode, minutes)
+        );
+        return buildIsochrone(origin, mode, minutes, reaches, isEstimatedRouting());
+    } catch (err) {
+        console.warn('Failed to trace the reachable area, using an estimate:', err);
+        return estimateIsochrone(origin, mode, minutes);
+    }
+};
+
+export default {
+    getIsochrone
+};
@@ -0,0 +1,122 @@
+import { describe, it, expect, vi } from 'vitest';
+import { getReach, traceReaches } from './isochrone';
+import { calculateDistance, estimateTravelDistance } from '../utils/distance';
+import { ISOCHRONE, TRAVEL_MODES } from '../utils/constants';
+
+const ORIGIN = { lat: 40.7128, lng: -74.006 };
+const MODE = TRAVEL_MODES.WALKING;
+const MINUTES = 10;
+const ESTIMATE = estimateTravelDistance(MINUTES * 60, MODE);
+const MAX_REACH = ESTIMATE * ISOCHRONE.REACH;
+const RING_COUNT = ISOCHRONE.RINGS.length;
+
+/**
+ * Index of the sampled bearing a destination lies on
+ */
+const getBearingIndex = (destination) => {
+    const north = destination.lat - ORIGIN.lat;
+    const east = (destination.lng - ORIGIN.lng) * Math.cos(ORIGIN.lat * Math.PI / 180);
+    const bearing = (Math.atan2(east, north) * 180 / Math.PI + 360) % 360;
+    return Math.round(bearing / (360 / ISOCHRONE.BEARINGS)) % ISOCHRONE.BEARINGS;
+};
+
+/**
+ * Router stand-in twice as fast as the straight-line estimate, so every
+ * traced ray reaches its furthest sample
+ * @param {Object} options - { blocked: bearing index → distance beyond which there is no route, failing: chunk indexes that reject }
+ */
+const createRouter = ({ blocked = {}, failing = [] } = {}) => {
+    let calls = 0;
+    return {
+        maxDestinations: 16,
+        getTravelTimes: vi.fn(async (origin, destinations) => {
+            const call = calls++;
+            if (failing.includes(call)) {
+                throw Object.assign(new Error('Router down'), { status: 'REQUEST_DENIED' });
+            }
+            return destinations.map(destination => {
+                const distance = calculateDistance(origin, destination);
+                const limit = blocked[getBearingIndex(destination)];
+                if (limit !== undefined && distance > limit) return null;
+                return { distance, duration: distance / (2 * ESTIMATE / (MINUTES * 60)) };
+            });
+        })
+    };
+};
+
+describe('getReach', () => {
+    const samples = (...durations) => durations.map((duration, index) => ({ distance: (index + 1) * 100, duration }));
+
+    it('interpolates where the time passes the budget', () => {
+        expect(getReach(samples(60, 120, 240), 180)).toBe(250);
+    });
+
+    it('stops at the last routed sample', () => {
+        expect(getReach(samples(60, null, 90), 600)).toBe(100);
+    });
+
+    it('reaches the furthest sample within the budget', () => {
+        expect(getReach(samples(60, 120, 180), 600)).toBe(300);
+    });
+
+    it('has no reach for a ray unreachable from the start', () => {
+        expect(getReach(samples(null, 60), 600)).toBeNull();
+    });
+
+    it('interpolates from the origin when even the first sample is over budget', () => {
+        expect(getReach(samples(200), 100)).toBe(50);
+    });
+});
+
+describe('traceReaches', () => {
+    it('traces every bearing with the router', async () => {
+        const router = createRouter();
+
+        const reaches = await traceReaches(router, ORIGIN, MODE, MINUTES);
+
+        expect(reaches).toHaveLength(ISOCHRONE.BEARINGS);
+        reaches.forEach(reach => expect(reach).toBeCloseTo(MAX_REACH, 6));
+        expect(router.getTravelTimes).toHaveBeenCalledTimes(ISOCHRONE.BEARINGS * RING_COUNT / 16);
+    });
+
+    it('stops partly unreachable rays and fills rays with no route from their neighbours', async () => {
+        // North and north-northeast have no route at all; east-northeast stops after the second ring
+        const secondRing = ISOCHRONE.RINGS[1] * MAX_REACH;
+        const router = createRouter({ blocked: { 0: 0, 1: 0, 2: secondRing + 1 } });
+
+        const reaches = await traceReaches(router, ORIGIN, MODE, MINUTES);
+
+        expect(reaches[2]).toBeCloseTo(secondRing, 6);
+        // Halfway between the nearest traced bearings on either side, never 0
+        expect(reaches[0]).toBeCloseTo((MAX_REACH + secondRing) / 2, 6);
+        expect(reaches[1]).toBeCloseTo((MAX_REACH + secondRing) / 2, 6);
+        expect(reaches[3]).toBeCloseTo(MAX_REACH, 6);
+    });
+
+    it('estimates the bearings of a failed request and keeps the rest', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        // The first request covers the first 16 samples: bearings 0 to 2 and the first ring of bearing 3
+        const router = createRouter({ failing: [0] });
+
+        const reaches = await traceReaches(router, ORIGIN, MODE, MINUTES);
+
+        expect(reaches.slice(0, 4)).toEqual([ESTIMATE, ESTIMATE, ESTIMATE, ESTIMATE]);
+        reaches.slice(4).forEach(reach => expect(reach).toBeCloseTo(MAX_REACH, 6));
+        expect(console.warn).toHaveBeenCalledTimes(1);
+        console.warn.mockRestore();
+    });
+
+    it('rejects when every request fails', async () => {
+        const router = createRouter({ failing: [0, 1, 2, 3, 4] });
+
+        await expect(traceReaches(router, ORIGIN, MODE, MINUTES)).rejects.toThrow('Router down');
+    });
+
+    it('estimates every bearing when nothing can be routed', async () => {
+        const blocked = Object.fromEntries(Array.from({ length: ISOCHRONE.BEARINGS }, (_, index) => [index, 0]));
+
+        const reaches = await traceReaches(createRouter({ blocked }), ORIGIN, MODE, MINUTES);
+
+        expect(reaches).toEqual(new Array(ISOCHRONE.BEARINGS).fill(ESTIMATE));
+    });
+});
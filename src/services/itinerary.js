@@ -0,0 +1,473 @@
+/**
+ * Itinerary Service
+ * A multi-stop plan ("coffee, then lunch, then a museum") persisted in
+ * IndexedDB: stop ordering, a schedule checked against opening hours, the
+ * route between stops and ICS/GPX export
+ *
+ * The plan record:
+ *   { id, mode, startAt, stops: [{ place: snapshot, dwell }], updatedAt }
+ * startAt is 'YYYY-MM-DDTHH:mm' local time, like the "Open at" filter, and
+ * dwell the minutes spent at a stop. The functions below take stops with the
+ * place restored (see utils/placeSnapshot).
+ *
+ * Times between stops come from the travel time service, so they are cached,
+ * batched and fall back to estimates like result travel times. Plans start
+ * from the user's location, or at the first stop without one, and don't
+ * return to the start.
+ */
+
+import { STORES, getRecord, putRecord } from './database';
+import { getTravelTimes } from './travelTime';
+import { getRoute } from './directions';
+import { toPlaceSnapshot } from '../utils/placeSnapshot';
+import {
+    calculateDistance,
+    estimateTravelDuration,
+    formatTravelTime,
+    getPlaceLatLng
+} from '../utils/distance';
+import { getOpeningStatus, formatDayAndTime, formatTimeOfDay } from '../utils/openingHours';
+import { ITINERARY, TRAVEL_MODES } from '../utils/constants';
+
+// There is a single plan
+const ITINERARY_ID = 'current';
+
+/**
+ * Format a date as a local 'YYYY-MM-DDTHH:mm' value
+ * @param {Date} date - Date
+ * @returns {string} - Value for <input type="datetime-local">
+ */
+export const toDateTimeValue = (date) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Get the default start of a new plan: the next ITINERARY.START_STEP minutes
+ * @param {Date} date - Reference date
+ * @returns {string} - 'YYYY-MM-DDTHH:mm'
+ */
+export const getDefaultStartAt = (date = new Date()) => {
+    const step = ITINERARY.START_STEP * 60000;
+    return toDateTimeValue(new Date(Math.ceil(date.getTime() / step) * step));
+};
+
+/**
+ * Create an empty plan record
+ * @returns {Object} - Plan record
+ */
+export const createItinerary = () => ({
+    id: ITINERARY_ID,
+    mode: TRAVEL_MODES.WALKING,
+    startAt: getDefaultStartAt(),
+    stops: [],
+    updatedAt: new Date().toISOString()
+});
+
+/**
+ * Create a stop record for a place
+ * @param {Object} place - Place object
+ * @param {number} dwell - Minutes to spend there
+ * @returns {Object} - { place: snapshot, dwell }
+ */
+export const createStop = (place, dwell = ITINERARY.DEFAULT_DWELL) => ({
+    place: toPlaceSnapshot(place),
+    dwell
+});
+
+/**
+ * Get the stored plan
+ * @returns {Promise<Object|null>} - Plan record or null if there is none yet
+ */
+export const getItinerary = async () => {
+    return (await getRecord(STORES.ITINERARY, ITINERARY_ID)) || null;
+};
+
+/**
+ * Save the plan
+ * @param {Object} itinerary - Plan record
+ * @returns {Promise<Object>} - The stored record
+ */
+export const putItinerary = async (itinerary) => {
+    await putRecord(STORES.ITINERARY, itinerary);
+    return itinerary;
+};
+
+/**
+ * Get travel times from a point to places
+ * Places without a route in the mode get an estimate, so the plan still adds up
+ * @param {Object} from - { lat, lng }
+ * @param {Array} places - Place objects
+ * @param {string} mode - Travel mode
+ * @returns {Promise<Array>} - { duration, distance, estimated } in place order
+ */
+const getLegs = async (from, places, mode) => {
+    const times = await getTravelTimes(places, from, mode);
+
+    return places.map(place => {
+        const { duration, distance, estimated } = times[place.place_id];
+        if (duration !== null) {
+            return { duration, distance, estimated };
+        }
+
+        const straightLine = Math.round(calculateDistance(from, getPlaceLatLng(place)));
+        return { duration: estimateTravelDuration(straightLine, mode), distance: straightLine, estimated: true };
+    });
+};
+
+/**
+ * Get the total travel time of an order
+ * @param {Array<Array<number>>} durations - durations[from][to]; row 0 is the start, row i + 1 stop i
+ * @param {Array<number>} order - Stop indexes in visiting order
+ * @returns {number} - Seconds
+ */
+const getOrderDuration = (durations, order) => {
+    return order.reduce((total, stop, index) => {
+        const from = index === 0 ? 0 : order[index - 1] + 1;
+        return total + durations[from][stop];
+    }, 0);
+};
+
+/**
+ * Find a short visiting order (a travelling salesman heuristic)
+ * Nearest neighbour from the start, then 2-opt: any stretch of the order is
+ * reversed when that makes the plan shorter, until none does. Times can differ
+ * by direction, so candidates are compared by their full duration.
+ * @param {Array<Array<number>>} durations - durations[from][to]; row 0 is the start, row i + 1 stop i
+ * @returns {Array<number>} - Stop indexes in visiting order
+ */
+export const getShortestOrder = (durations) => {
+    const remaining = new Set(durations[0].map((_, index) => index));
+    let order = [];
+    let from = 0;
+
+    while (remaining.size > 0) {
+        let next = null;
+        remaining.forEach(stop => {
+            if (next === null || durations[from][stop] < durations[from][next]) {
+                next = stop;
+            }
+        });
+        order.push(next);
+        remaining.delete(next);
+        from = next + 1;
+    }
+
+    let best = getOrderDuration(durations, order);
+    let improved = true;
+    while (improved) {
+        improved = false;
+        for (let start = 0; start < order.length - 1; start++) {
+            for (let end = start + 1; end < order.length; end++) {
+                const candidate = [
+                    ...order.slice(0, start),
+                    ...order.slice(start, end + 1).reverse(),
+                    ...order.slice(end + 1)
+                ];
+                const duration = getOrderDuration(durations, candidate);
+                if (duration < best) {
+                    order = candidate;
+                    best = duration;
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    return order;
+};
+
+/**
+ * Reorder stops to keep the total travel time short
+ * Without an origin the first stop stays first
+ * @param {Object|null} origin - { lat, lng } the plan starts from
+ * @param {Array} stops - { place, dwell } with restored places
+ * @param {string} mode - Travel mode
+ * @returns {Promise<Array>} - The same stops in visiting order
+ */
+export const optimizeStops = async (origin, stops, mode) => {
+    const fixed = origin ? [] : stops.slice(0, 1);
+    const movable = origin ? stops : stops.slice(1);
+    if (movable.length < 2) {
+        return stops;
+    }
+
+    const places = movable.map(stop => stop.place);
+    const start = origin || getPlaceLatLng(stops[0].place);
+    const rows = await Promise.all(
+        [start, ...places.map(getPlaceLatLng)].map(from => getLegs(from, places, mode))
+    );
+    const durations = rows.map(row => row.map(leg => leg.duration));
+
+    return [...fixed, ...getShortestOrder(durations).map(index => movable[index])];
+};
+
+/**
+ * Check a visit against the place's opening hours
+ * @param {Object} place - Place object
+ * @param {Date} arriveAt - Arrival
+ * @param {Date} leaveAt - Departure
+ * @returns {Object} - { status: 'open' | 'closes' | 'closed' | 'unknown', detail }
+ */
+const checkVisit = (place, arriveAt, leaveAt) => {
+    if (!place.opening_hours?.periods?.length) {
+        return { status: 'unknown', detail: null };
+    }
+
+    const { isOpen, alwaysOpen, opensAt, closesAt } = getOpeningStatus(place.opening_hours, arriveAt);
+    if (!isOpen) {
+        return { status: 'closed', detail: opensAt ? `Closed, opens ${formatDayAndTime(opensAt)}` : 'Closed' };
+    }
+    if (!alwaysOpen && closesAt && closesAt < leaveAt) {
+        return { status: 'closes', detail: `Closes at ${formatTimeOfDay(closesAt.getHours() * 60 + closesAt.getMinutes())}` };
+    }
+    return { status: 'open', detail: null };
+};
+
+/**
+ * Schedule the plan: travel to, arrival at and departure from each stop
+ * @param {Object|null} origin - { lat, lng } the plan starts from
+ * @param {Array} stops - { place, dwell } in visiting order, with restored places
+ * @param {string} mode - Travel mode
+ * @param {string} startAt - 'YYYY-MM-DDTHH:mm' local time
+ * @returns {Promise<Object>} - { mode, startAt, endAt, duration, distance, estimated, stops }
+ *   where each stop adds leg ({ duration, distance, estimated } or null for a
+ *   first stop without an origin), arriveAt, leaveAt and visit (see checkVisit)
+ */
+export const planItinerary = async (origin, stops, mode, startAt) => {
+    const legs = await Promise.all(stops.map(async (stop, index) => {
+        const from = index === 0 ? origin : getPlaceLatLng(stops[index - 1].place);
+        if (!from) return null;
+
+        const [leg] = await getLegs(from, [stop.place], mode);
+        return leg;
+    }));
+
+    const start = new Date(startAt);
+    let time = start;
+
+    const scheduled = stops.map((stop, index) => {
+        const leg = legs[index];
+        // Arrivals are rounded up to the minute, like the times shown
+        const arriveAt = new Date(Math.ceil((time.getTime() + (leg ? leg.duration * 1000 : 0)) / 60000) * 60000);
+        const leaveAt = new Date(arriveAt.getTime() + stop.dwell * 60000);
+        time = leaveAt;
+
+        return { ...stop, leg, arriveAt, leaveAt, visit: checkVisit(stop.place, arriveAt, leaveAt) };
+    });
+
+    const travelled = legs.filter(Boolean);
+
+    return {
+        mode,
+        startAt: start,
+        endAt: time,
+        duration: travelled.reduce((total, leg) => total + leg.duration, 0),
+        distance: travelled.reduce((total, leg) => total + leg.distance, 0),
+        estimated: travelled.some(leg => leg.estimated),
+        stops: scheduled
+    };
+};
+
+/**
+ * Get the route through the plan, leg by leg
+ * Legs without a route are drawn as straight lines
+ * @param {Object|null} origin - { lat, lng } the plan starts from
+ * @param {Array} stops - { place, dwell } in visiting order, with restored places
+ * @param {string} mode - Travel mode
+ * @returns {Promise<Object|null>} - { mode, duration, distance, path, estimated }, null with nothing to connect
+ */
+export const getItineraryRoute = async (origin, stops, mode) => {
+    const points = [...(origin ? [origin] : []), ...stops.map(stop => getPlaceLatLng(stop.place))];
+    if (points.length < 2) {
+        return null;
+    }
+
+    const legs = await Promise.all(points.slice(1).map((to, index) => {
+        return getRoute(points[index], to, mode).catch(err => {
+            console.warn('Failed to route itinerary leg, drawing a straight line:', err);
+            return null;
+        });
+    }));
+
+    return legs.reduce((route, leg, index) => {
+        const from = points[index];
+        const to = points[index + 1];
+        const distance = leg ? leg.distance : Math.round(calculateDistance(from, to));
+        const path = leg ? leg.path : [from, to];
+
+        return {
+            ...route,
+            duration: route.duration + (leg ? leg.duration : estimateTravelDuration(distance, mode)),
+            distance: route.distance + distance,
+            // Each leg starts where the previous one ended
+            path: [...route.path, ...(index > 0 ? path.slice(1) : path)],
+            estimated: route.estimated || !leg || leg.estimated
+        };
+    }, { mode, duration: 0, distance: 0, path: [], estimated: false });
+};
+
+/**
+ * Format a date as an iCalendar UTC date-time
+ * @param {Date} date - Date
+ * @returns {string} - e.g. '20240315T093000Z'
+ */
+const toIcsDate = (date) => {
+    return date.toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+};
+
+/**
+ * Escape iCalendar text values
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+const escapeIcsText = (text) => {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/([,;])/g, '\\$1');
+};
+
+/**
+ * Fold an iCalendar content line at 75 characters
+ * @param {string} line - Content line
+ * @returns {string} - Folded line
+ */
+const foldIcsLine = (line) => {
+    const parts = [];
+    let rest = line;
+    while (rest.length > 75) {
+        parts.push(rest.slice(0, 75));
+        rest = ` ${rest.slice(75)}`;
+    }
+    parts.push(rest);
+    return parts.join('\r\n');
+};
+
+/**
+ * Serialize a scheduled plan to iCalendar, one event per stop
+ * @param {Object} plan - Result of planItinerary
+ * @param {string} title - Calendar name
+ * @returns {string} - ICS text
+ */
+export const exportItineraryIcs = (plan, title = 'PlacePulse plan') => {
+    const stamp = toIcsDate(new Date());
+
+    const events = plan.stops.flatMap(({ place, leg, arriveAt, leaveAt, visit }, index) => {
+        const { lat, lng } = getPlaceLatLng(place);
+        const notes = [
+            leg && `${formatTravelTime(leg.duration, plan.mode, leg.estimated)} from the previous stop`,
+            visit.detail
+        ].filter(Boolean);
+
+        return [
+            'BEGIN:VEVENT',
+            `UID:${place.place_id}-${toIcsDate(arriveAt)}@placepulse`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${toIcsDate(arriveAt)}`,
+            `DTEND:${toIcsDate(leaveAt)}`,
+            `SUMMARY:${escapeIcsText(`${index + 1}. ${place.name}`)}`,
+            `LOCATION:${escapeIcsText(place.formatted_address || place.vicinity || place.name)}`,
+            `GEO:${lat};${lng}`,
+            ...(notes.length > 0 ? [`DESCRIPTION:${escapeIcsText(notes.join('\n'))}`] : []),
+            ...(place.website ? [`URL:${place.website}`] : []),
+            'END:VEVENT'
+        ];
+    });
+
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//PlacePulse//Itinerary//EN',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${escapeIcsText(title)}`,
+        ...events,
+        'END:VCALENDAR'
+    ].map(foldIcsLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Escape XML text and attribute values
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (text) => {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+};
+
+/**
+ * Serialize a scheduled plan to GPX 1.1
+ * Stops become waypoints and a route; the route path, when given, a track
+ * @param {Object} plan - Result of planItinerary
+ * @param {string} title - Plan name
+ * @param {Object|null} route - Result of getItineraryRoute
+ * @returns {string} - GPX text
+ */
+export const exportItineraryGpx = (plan, title = 'PlacePulse plan', route = null) => {
+    const name = escapeXml(title);
+
+    const waypoints = plan.stops.map(({ place, arriveAt }, index) => {
+        const { lat, lng } = getPlaceLatLng(place);
+        const address = place.formatted_address || place.vicinity;
+        return [
+            `  <wpt lat="${lat}" lon="${lng}">`,
+            `    <time>${arriveAt.toISOString()}</time>`,
+            `    <name>${escapeXml(`${index + 1}. ${place.name}`)}</name>`,
+            ...(address ? [`    <desc>${escapeXml(address)}</desc>`] : []),
+            '  </wpt>'
+        ].join('\n');
+    });
+
+    const routePoints = plan.stops.map(({ place }) => {
+        const { lat, lng } = getPlaceLatLng(place);
+        return `    <rtept lat="${lat}" lon="${lng}"><name>${escapeXml(place.name)}</name></rtept>`;
+    });
+
+    const track = route?.path.length > 0
+        ? [
+            '  <trk>',
+            `    <name>${name}</name>`,
+            '    <trkseg>',
+            ...route.path.map(({ lat, lng }) => `      <trkpt lat="${lat}" lon="${lng}" />`),
+            '    </trkseg>',
+            '  </trk>'
+        ]
+        : [];
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="PlacePulse" xmlns="http://www.topografix.com/GPX/1/1">',
+        '  <metadata>',
+        `    <name>${name}</name>`,
+        `    <time>${new Date().toISOString()}</time>`,
+        '  </metadata>',
+        ...waypoints,
+        '  <rte>',
+        `    <name>${name}</name>`,
+        ...routePoints,
+        '  </rte>',
+        ...track,
+        '</gpx>'
+    ].join('\n') + '\n';
+};
+
+export default {
+    toDateTimeValue,
+    getDefaultStartAt,
+    createItinerary,
+    createStop,
+    getItinerary,
+    putItinerary,
+    getShortestOrder,
+    optimizeStops,
+    planItinerary,
+    getItineraryRoute,
+    exportItineraryIcs,
+    exportItineraryGpx
+};
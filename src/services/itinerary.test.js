@@ -0,0 +1,186 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { getTravelTimes } from './travelTime';
+import {
+    getShortestOrder,
+    optimizeStops,
+    planItinerary,
+    exportItineraryIcs,
+    exportItineraryGpx
+} from './itinerary';
+import { TRAVEL_MODES } from '../utils/constants';
+
+vi.mock('./travelTime', () => ({ getTravelTimes: vi.fn() }));
+vi.mock('./directions', () => ({ getRoute: vi.fn() }));
+
+const WALKING = TRAVEL_MODES.WALKING;
+const ORIGIN = { lat: 40.7, lng: -74 };
+
+const createPlace = (id, lat, lng, extra = {}) => ({
+    place_id: id,
+    name: id,
+    geometry: { location: { lat, lng } },
+    ...extra
+});
+
+const stop = (place, dwell = 30) => ({ place, dwell });
+
+// Manhattan distance on a grid, in minutes
+const gridDurations = (points) => points.map(a => points.slice(1).map(b => (
+    Math.abs(a[0] - b[0]) + Math.abs(a[1] - b[1])
+)));
+
+const orderDuration = (durations, order) => order.reduce(
+    (total, to, index) => total + durations[index === 0 ? 0 : order[index - 1] + 1][to],
+    0
+);
+
+describe('getShortestOrder', () => {
+    it('improves on the nearest neighbour order', () => {
+        // From (3,9) the nearest stop is (5,9) to the east, but heading west to (1,9) first is shorter
+        const durations = gridDurations([[3, 9], [8, 2], [5, 9], [7, 9], [1, 9]]);
+
+        const order = getShortestOrder(durations);
+
+        expect(order).toEqual([3, 1, 2, 0]);
+        expect(orderDuration(durations, order)).toBe(16);
+        expect(orderDuration(durations, [1, 2, 3, 0])).toBe(24);
+    });
+
+    it('compares orders by their duration in the direction travelled', () => {
+        // Stop 0 is nearest, but 0 → 1 is uphill and 1 → 0 quick
+        const durations = [
+            [1, 2],
+            [0, 10],
+            [1, 0]
+        ];
+
+        expect(getShortestOrder(durations)).toEqual([1, 0]);
+    });
+
+    it('keeps a single stop', () => {
+        expect(getShortestOrder([[7]])).toEqual([0]);
+    });
+});
+
+describe('itinerary planning', () => {
+    beforeEach(() => {
+        getTravelTimes.mockReset();
+    });
+
+    /**
+     * Travel times by straight "minutes" along the longitude, with some places unroutable
+     */
+    const mockTimes = (unroutable = []) => {
+        getTravelTimes.mockImplementation(async (places, from) => Object.fromEntries(places.map(place => {
+            const minutes = Math.round(Math.abs(place.geometry.location.lng - from.lng) * 1000);
+            return [place.place_id, unroutable.includes(place.place_id)
+                ? { duration: null, distance: null, estimated: false }
+                : { duration: minutes * 60, distance: minutes * 80, estimated: false }];
+        })));
+    };
+
+    it('keeps the first stop first without an origin', async () => {
+        mockTimes();
+        const stops = [
+            stop(createPlace('first', 40.7, -74)),
+            stop(createPlace('far', 40.7, -73.97)),
+            stop(createPlace('near', 40.7, -73.99))
+        ];
+
+        const ordered = await optimizeStops(null, stops, WALKING);
+
+        expect(ordered.map(item => item.place.place_id)).toEqual(['first', 'near', 'far']);
+    });
+
+    it('schedules arrivals rounded up to the minute, with dwell times', async () => {
+        getTravelTimes.mockResolvedValueOnce({ cafe: { duration: 90, distance: 120, estimated: false } })
+            .mockResolvedValueOnce({ museum: { duration: 600, distance: 800, estimated: true } });
+        const stops = [
+            stop(createPlace('cafe', 40.7, -74.001), 30),
+            stop(createPlace('museum', 40.7, -74.011), 60)
+        ];
+
+        const plan = await planItinerary(ORIGIN, stops, WALKING, '2026-01-05T09:00');
+
+        expect(plan.stops[0].arriveAt).toEqual(new Date(2026, 0, 5, 9, 2));
+        expect(plan.stops[0].leaveAt).toEqual(new Date(2026, 0, 5, 9, 32));
+        expect(plan.stops[1].arriveAt).toEqual(new Date(2026, 0, 5, 9, 42));
+        expect(plan.endAt).toEqual(new Date(2026, 0, 5, 10, 42));
+        expect(plan).toMatchObject({ duration: 690, distance: 920, estimated: true });
+    });
+
+    it('estimates legs without a route and flags closed stops', async () => {
+        mockTimes(['island']);
+        const closedMorning = {
+            periods: [1, 2, 3, 4, 5].map(day => ({ open: { day, time: '1200' }, close: { day, time: '1800' } }))
+        };
+        const stops = [
+            stop(createPlace('start', 40.7, -74)),
+            stop(createPlace('island', 40.71, -74.01, { opening_hours: closedMorning }))
+        ];
+
+        const plan = await planItinerary(null, stops, WALKING, '2026-01-05T09:00');
+
+        expect(plan.stops[0].leg).toBeNull();
+        expect(plan.stops[1].leg.estimated).toBe(true);
+        expect(plan.stops[1].leg.duration).toBeGreaterThan(0);
+        expect(plan.stops[1].visit).toEqual({ status: 'closed', detail: 'Closed, opens Mon 12:00 PM' });
+        expect(plan.estimated).toBe(true);
+    });
+});
+
+describe('itinerary export', () => {
+    const arriveAt = new Date(Date.UTC(2026, 0, 5, 14, 0));
+    const leaveAt = new Date(Date.UTC(2026, 0, 5, 14, 45));
+    const plan = {
+        mode: WALKING,
+        stops: [{
+            place: createPlace('p1', 40.7, -74, {
+                name: 'Salt, Pepper & Co; "Kitchen"',
+                formatted_address: '1 Main St, New York, NY',
+                website: 'https://example.com'
+            }),
+            leg: { duration: 600, distance: 800, estimated: true },
+            arriveAt,
+            leaveAt,
+            visit: { status: 'closes', detail: 'Closes at 2:30 PM' }
+        }]
+    };
+
+    it('writes one escaped iCalendar event per stop with CRLF line endings', () => {
+        const ics = exportItineraryIcs(plan, 'Sunday, fun');
+        const lines = ics.split('\r\n');
+
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(lines).toContain('X-WR-CALNAME:Sunday\\, fun');
+        expect(lines).toContain('DTSTART:20260105T140000Z');
+        expect(lines).toContain('DTEND:20260105T144500Z');
+        expect(lines).toContain('SUMMARY:1. Salt\\, Pepper & Co\\; "Kitchen"');
+        expect(lines).toContain('GEO:40.7;-74');
+        expect(lines).toContain('DESCRIPTION:~10 min walk from the previous stop\\nCloses at 2:30 PM');
+    });
+
+    it('folds lines longer than 75 characters', () => {
+        const long = { ...plan, stops: [{ ...plan.stops[0], place: { ...plan.stops[0].place, name: 'x'.repeat(120) } }] };
+        const lines = exportItineraryIcs(long).split('\r\n');
+        const summary = lines.findIndex(line => line.startsWith('SUMMARY:'));
+
+        expect(lines.every(line => line.length <= 75)).toBe(true);
+        expect(lines[summary + 1].startsWith(' ')).toBe(true);
+        expect(lines[summary] + lines[summary + 1].slice(1)).toBe(`SUMMARY:1. ${'x'.repeat(120)}`);
+    });
+
+    it('writes escaped GPX waypoints and a track only with a route', () => {
+        const gpx = exportItineraryGpx(plan, 'Tom & Jerry');
+
+        expect(gpx).toContain('<name>Tom &amp; Jerry</name>');
+        expect(gpx).toContain('<wpt lat="40.7" lon="-74">');
+        expect(gpx).toContain('<name>1. Salt, Pepper &amp; Co; &quot;Kitchen&quot;</name>');
+        expect(gpx).toContain(`<time>${arriveAt.toISOString()}</time>`);
+        expect(gpx).not.toContain('<trk>');
+
+        const route = { path: [{ lat: 40.7, lng: -74 }, { lat: 40.71, lng: -74.01 }] };
+        const withTrack = exportItineraryGpx(plan, 'Plan', route);
+        expect(withTrack.match(/<trkpt /g)).toHaveLength(2);
+    });
+});
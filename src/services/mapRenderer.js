@@ -0,0 +1,113 @@
+/**
+ * Map Renderer Registry
+ * Selects the library used to draw the map, markers and info windows
+ *
+ * Renderers are created with { center, zoom, onClick, onViewportChange }.
+ * onViewportChange({ center, bounds }) is called when the user (not the app)
+ * has moved or zoomed the map and it has settled.
+ *
+ * Every renderer creates a map adapter with the same interface:
+ *
+ *   renderer                                        → renderer name
+ *   native                                          → underlying map instance
+ *   setCenter(location, animate)
+ *   setZoom(zoom)
+ *   fitBounds({ north, south, east, west }, padding)
+ *   setUserMarker(location)
+ *   setHeatmap(points)                              → shade weighted { location, weight } points, or clear them with null
+ *   setArea(polygon)                                → outline a ring of { lat, lng }, or clear it with null
+ *   setRoute(path)                                  → draw a line of { lat, lng }, or clear it with null
+ *   setParticipantMarkers(participants, meetingPoint) → mark a group's people and where they meet, or clear them with []
+ *   setPlaceMarkers(places, { selectedPlaceId, savedPlaceIds, onMarkerClick }) → keeps markers of places still listed
+ *   addPlaceMarkers(places, { startIndex, selectedPlaceId, savedPlaceIds, onMarkerClick })
+ *   setSavedMarkers(savedPlaceIds)
+ *   highlightMarker(placeId)                        → select a place, or clear the selection with null
+ *   showInfoWindow(place)
+ *   clearMarkers()
+ *
+ * Place markers are clustered into count bubbles and culled to the view with
+ * renderers/markerClusters, and redrawn as the map moves. Bubbles zoom in on
+ * click. Markers are diffed by key, so selecting a place or updating the
+ * results restyles only the markers that changed.
+ */
+
+import { loadGoogleRenderer, createGoogleRenderer } from './renderers/googleRenderer';
+import { loadMaplibreRenderer, createMaplibreRenderer } from './renderers/maplibreRenderer';
+
+// Available renderers
+const RENDERERS = {
+    google: {
+        load: loadGoogleRenderer,
+        create: createGoogleRenderer
+    },
+    maplibre: {
+        load: loadMaplibreRenderer,
+        create: createMaplibreRenderer
+    }
+};
+
+const DEFAULT_RENDERER = 'google';
+
+// Renderers that have finished loading
+const loadedRenderers = new Set();
+
+/**
+ * Get the configured renderer name
+ * @returns {string} - Renderer name from VITE_MAP_RENDERER (defaults to 'google')
+ */
+export const getMapRendererName = () => {
+    return (import.meta.env.VITE_MAP_RENDERER || DEFAULT_RENDERER).toLowerCase();
+};
+
+/**
+ * Get the configured renderer definition
+ * Throws if the configured renderer is unknown
+ * @returns {Object} - Renderer definition
+ */
+const getRendererDefinition = () => {
+    const name = getMapRendererName();
+    const definition = RENDERERS[name];
+
+    if (!definition) {
+        throw new Error(
+            `Unknown map renderer "${name}". ` +
+            `Set VITE_MAP_RENDERER to one of: ${Object.keys(RENDERERS).join(', ')}.`
+        );
+    }
+
+    return definition;
+};
+
+/**
+ * Load the configured renderer's library
+ * @returns {Promise<void>}
+ */
+export const loadMapRenderer = async () => {
+    await getRendererDefinition().load();
+    loadedRenderers.add(getMapRendererName());
+};
+
+/**
+ * Check if the configured renderer is loaded
+ * @returns {boolean} - True if loaded
+ */
+export const isMapRendererLoaded = () => {
+    return loadedRenderers.has(getMapRendererName());
+};
+
+/**
+ * Create a map with the configured renderer
+ * @param {HTMLElement} container - DOM element to render map into
+ * @param {Object} options - { center, zoom, onClick, onViewportChange }
+ * @returns {Object} - Map adapter
+ */
+export const createRendererMap = (container, options = {}) => {
+    return getRendererDefinition().create(container, options);
+};
+
+export default {
+    getMapRendererName,
+    loadMapRenderer,
+    isMapRendererLoaded,
+    createRendererMap
+};
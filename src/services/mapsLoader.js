@@ -170,6 +170,36 @@ export const createMarker = (options) => {
     return new google.maps.Marker(options);
 };
 
+/**
+ * Create a polygon
+ * @param {Object} options - Polygon options
+ * @returns {google.maps.Polygon} - Polygon instance
+ */
+export const createPolygon = (options) => {
+    const google = getGoogleMapsApi();
+    return new google.maps.Polygon(options);
+};
+
+/**
+ * Create a polyline
+ * @param {Object} options - Polyline options
+ * @returns {google.maps.Polyline} - Polyline instance
+ */
+export const createPolyline = (options) => {
+    const google = getGoogleMapsApi();
+    return new google.maps.Polyline(options);
+};
+
+/**
+ * Create a custom overlay
+ * Set onAdd, draw and onRemove on it before adding it to a map
+ * @returns {google.maps.OverlayView} - Overlay instance
+ */
+export const createOverlayView = () => {
+    const google = getGoogleMapsApi();
+    return new google.maps.OverlayView();
+};
+
 /**
  * Create bounds object
  * @returns {google.maps.LatLngBounds} - Bounds instance
@@ -179,6 +209,60 @@ export const createBounds = () => {
     return new google.maps.LatLngBounds();
 };
 
+/**
+ * Convert a Geocoder result into address parts and display formats
+ * @param {google.maps.GeocoderResult} result - Geocoder result
+ * @returns {Object} - Address information
+ */
+const parseGeocoderResult = (result) => {
+    // Extract address parts
+    let street = '';
+    let area = '';
+    let city = '';
+    let state = '';
+    let country = '';
+    let postalCode = '';
+
+    result.address_components.forEach(component => {
+        const types = component.types;
+        if (types.includes('street_number')) {
+            street = component.long_name + ' ';
+        }
+        if (types.includes('route')) {
+            street += component.long_name;
+        }
+        if (types.includes('sublocality_level_1') || types.includes('sublocality')) {
+            area = component.long_name;
+        }
+        if (types.includes('locality')) {
+            city = component.long_name;
+        }
+        if (types.includes('administrative_area_level_1')) {
+            state = component.short_name;
+        }
+        if (types.includes('country')) {
+            country = component.long_name;
+        }
+        if (types.includes('postal_code')) {
+            postalCode = component.long_name;
+        }
+    });
+
+    return {
+        formatted: result.formatted_address,
+        street: street.trim(),
+        area,
+        city,
+        state,
+        country,
+        postalCode,
+        // Short display format
+        short: area || city || street || result.formatted_address.split(',')[0],
+        // Medium display format
+        medium: area ? `${area}, ${city}` : city || result.formatted_address.split(',').slice(0, 2).join(',')
+    };
+};
+
 /**
  * Reverse geocode coordinates to get address
  * @param {Object} location - { lat, lng }
@@ -191,55 +275,36 @@ export const reverseGeocode = async (location) => {
     return new Promise((resolve, reject) => {
         geocoder.geocode({ location }, (results, status) => {
             if (status === 'OK' && results[0]) {
-                const result = results[0];
-                const addressComponents = result.address_components;
-
-                // Extract address parts
-                let street = '';
-                let area = '';
-                let city = '';
-                let state = '';
-                let country = '';
-                let postalCode = '';
+                resolve(parseGeocoderResult(results[0]));
+            } else {
+                reject(new Error('Geocoding failed: ' + status));
+            }
+        });
+    });
+};
 
-                addressComponents.forEach(component => {
-                    const types = component.types;
-                    if (types.includes('street_number')) {
-                        street = component.long_name + ' ';
-                    }
-                    if (types.includes('route')) {
-                        street += component.long_name;
-                    }
-                    if (types.includes('sublocality_level_1') || types.includes('sublocality')) {
-                        area = component.long_name;
-                    }
-                    if (types.includes('locality')) {
-                        city = component.long_name;
-                    }
-                    if (types.includes('administrative_area_level_1')) {
-                        state = component.short_name;
-                    }
-                    if (types.includes('country')) {
-                        country = component.long_name;
-                    }
-                    if (types.includes('postal_code')) {
-                        postalCode = component.long_name;
-                    }
-                });
+/**
+ * Geocode an address to coordinates
+ * Resolves an empty array when nothing matches
+ * @param {string} query - Address or place name
+ * @returns {Promise<Array>} - Matches: { location: { lat, lng }, address }
+ */
+export const geocodeAddress = async (query) => {
+    const google = getGoogleMapsApi();
+    const geocoder = new google.maps.Geocoder();
 
-                resolve({
-                    formatted: result.formatted_address,
-                    street: street.trim(),
-                    area,
-                    city,
-                    state,
-                    country,
-                    postalCode,
-                    // Short display format
-                    short: area || city || street || result.formatted_address.split(',')[0],
-                    // Medium display format
-                    medium: area ? `${area}, ${city}` : city || result.formatted_address.split(',').slice(0, 2).join(',')
-                });
+    return new Promise((resolve, reject) => {
+        geocoder.geocode({ address: query }, (results, status) => {
+            if (status === 'OK') {
+                resolve(results.map(result => ({
+                    location: {
+                        lat: result.geometry.location.lat(),
+                        lng: result.geometry.location.lng()
+                    },
+                    address: parseGeocoderResult(result)
+                })));
+            } else if (status === 'ZERO_RESULTS') {
+                resolve([]);
             } else {
                 reject(new Error('Geocoding failed: ' + status));
             }
@@ -254,6 +319,10 @@ export default {
     createMap,
     createInfoWindow,
     createMarker,
+    createPolygon,
+    createPolyline,
+    createOverlayView,
     createBounds,
-    reverseGeocode
+    reverseGeocode,
+    geocodeAddress
 };
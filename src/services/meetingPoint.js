@@ -0,0 +1,197 @@
+/**
+ * Meeting Point Service
+ * Where a group should meet, and how fair a place is for everyone in it
+ *
+ * The midpoint is the geographic center of the participants. The fairest
+ * point is a minimax: times from every participant to the midpoint and to
+ * points on MEETING.BEARINGS rays around it are looked up, and the sample
+ * whose slowest participant arrives soonest wins (ties go to the lowest
+ * total). Lookups go through the request scheduler. When the router can't
+ * route the mode, or its requests fail, straight-line estimates pick the
+ * point instead.
+ *
+ * Participants are { id, name, location, address }. Meeting points are
+ * { location, method, estimated }.
+ */
+
+import { getRouter, isEstimatedRouting } from './routingProvider';
+import { scheduleRequest } from './requestScheduler';
+import { calculateDistance, estimateTravelDuration, getDestinationPoint, getMidpoint } from '../utils/distance';
+import { MEETING, MEETING_POINTS } from '../utils/constants';
+
+/**
+ * Create a unique ID
+ * @returns {string} - ID
+ */
+const createId = () => {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Create a participant
+ * @param {Object} fields - { name, location, address }
+ * @param {number} position - Position in the group, for the default name
+ * @returns {Object} - Participant
+ */
+export const createParticipant = ({ name = '', location, address = null }, position = 0) => {
+    return {
+        id: createId(),
+        name: name.trim() || `Person ${position + 1}`,
+        location: { lat: location.lat, lng: location.lng },
+        address
+    };
+};
+
+/**
+ * Get the letter that marks a participant in the group list and on the map
+ * @param {number} index - Position in the group
+ * @returns {string} - 'A', 'B', ...
+ */
+export const getParticipantLabel = (index) => {
+    return String.fromCharCode(65 + index);
+};
+
+/**
+ * Get the points sampled for the fairest meeting point
+ * @param {Object} midpoint - { lat, lng }
+ * @param {number} spread - Distance in meters from the midpoint to the furthest participant
+ * @returns {Array} - Candidate points { lat, lng }, the midpoint first
+ */
+const getCandidates = (midpoint, spread) => {
+    const bearings = Array.from({ length: MEETING.BEARINGS }, (_, index) => index * 360 / MEETING.BEARINGS);
+
+    return [
+        midpoint,
+        ...bearings.flatMap(bearing => MEETING.RINGS.map(
+            share => getDestinationPoint(midpoint, bearing, share * spread)
+        ))
+    ];
+};
+
+/**
+ * Pick the candidate whose longest travel time is shortest
+ * @param {Array} candidates - Candidate points
+ * @param {Array<Array>} durations - Seconds from each participant to each candidate; null when unreachable
+ * @returns {Object} - The chosen point
+ */
+const pickFairest = (candidates, durations) => {
+    let best = { index: 0, max: Infinity, total: Infinity };
+
+    candidates.forEach((_, index) => {
+        const times = durations.map(row => row[index] ?? Infinity);
+        const max = Math.max(...times);
+        const total = times.reduce((sum, time) => sum + time, 0);
+
+        if (max < best.max || (max === best.max && total < best.total)) {
+            best = { index, max, total };
+        }
+    });
+
+    return candidates[best.index];
+};
+
+/**
+ * Estimate travel times from straight-line distances
+ * @param {Array} origins - Participant locations
+ * @param {Array} candidates - Candidate points
+ * @param {string} mode - Travel mode
+ * @returns {Array<Array>} - Seconds from each origin to each candidate
+ */
+const estimateDurations = (origins, candidates, mode) => {
+    return origins.map(origin => candidates.map(
+        candidate => estimateTravelDuration(calculateDistance(origin, candidate), mode)
+    ));
+};
+
+/**
+ * Look up travel times from each participant to every candidate
+ * @param {Object} router - Router from getRouter
+ * @param {Array} origins - Participant locations
+ * @param {Array} candidates - Candidate points
+ * @param {string} mode - Travel mode
+ * @returns {Promise<Array<Array>>} - Seconds from each origin to each candidate
+ */
+const lookupDurations = (router, origins, candidates, mode) => {
+    return Promise.all(origins.map(async (origin) => {
+        const requests = [];
+        for (let start = 0; start < candidates.length; start += router.maxDestinations) {
+            const chunk = candidates.slice(start, start + router.maxDestinations);
+            requests.push(scheduleRequest(() => router.getTravelTimes(origin, chunk, mode)));
+        }
+        const results = (await Promise.all(requests)).flat();
+        return candidates.map((_, index) => results[index]?.duration ?? null);
+    }));
+};
+
+/**
+ * Find where a group should meet
+ * @param {Array} locations - Participant locations { lat, lng }
+ * @param {string} method - Method from MEETING_POINTS
+ * @param {string} mode - Travel mode from TRAVEL_MODES
+ * @returns {Promise<Object>} - Meeting point
+ */
+export const getMeetingPoint = async (locations, method, mode) => {
+    const midpoint = getMidpoint(locations);
+    const spread = Math.max(...locations.map(location => calculateDistance(midpoint, location)));
+
+    if (method !== MEETING_POINTS.FAIREST || spread < MEETING.MIN_SPREAD) {
+        return { location: midpoint, method, estimated: false };
+    }
+
+    const candidates = getCandidates(midpoint, spread);
+    const estimate = () => ({
+        location: pickFairest(candidates, estimateDurations(locations, candidates, mode)),
+        method,
+        estimated: true
+    });
+
+    let router;
+    try {
+        router = await getRouter();
+    } catch (err) {
+        console.warn('Routing unavailable, using an estimated meeting point:', err);
+        return estimate();
+    }
+
+    if (!router.modes.includes(mode)) {
+        return estimate();
+    }
+
+    try {
+        const durations = await lookupDurations(router, locations, candidates, mode);
+        return { location: pickFairest(candidates, durations), method, estimated: isEstimatedRouting() };
+    } catch (err) {
+        console.warn('Failed to find the fairest meeting point, using an estimate:', err);
+        return estimate();
+    }
+};
+
+/**
+ * Rate how fair a place is from everyone's travel times
+ * cost is the longest time plus the spread (standard deviation) weighted by
+ * MEETING.SPREAD_WEIGHT: lower is fairer
+ * @param {Array} durations - Seconds from each participant; null when there is no route
+ * @returns {Object} - { max, mean, spread, cost } in seconds (null, and cost Infinity, when someone can't get there)
+ */
+export const getFairness = (durations) => {
+    if (durations.length === 0 || durations.some(duration => duration === null)) {
+        return { max: null, mean: null, spread: null, cost: Infinity };
+    }
+
+    const max = Math.max(...durations);
+    const mean = durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+    const variance = durations.reduce((sum, duration) => sum + (duration - mean) ** 2, 0) / durations.length;
+    const spread = Math.sqrt(variance);
+
+    return { max, mean, spread, cost: max + MEETING.SPREAD_WEIGHT * spread };
+};
+
+export default {
+    createParticipant,
+    getParticipantLabel,
+    getMeetingPoint,
+    getFairness
+};
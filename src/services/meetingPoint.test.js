@@ -0,0 +1,130 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { getRouter } from './routingProvider';
+import { getMeetingPoint, getFairness, getParticipantLabel } from './meetingPoint';
+import { calculateDistance, getDestinationPoint, getMidpoint } from '../utils/distance';
+import { MEETING, MEETING_POINTS, TRAVEL_MODES } from '../utils/constants';
+
+vi.mock('./routingProvider', () => ({
+    getRouter: vi.fn(),
+    isEstimatedRouting: () => false
+}));
+vi.mock('./requestScheduler', () => ({ scheduleRequest: (fetcher) => fetcher() }));
+
+const WALKING = TRAVEL_MODES.WALKING;
+const CANDIDATE_COUNT = 1 + MEETING.BEARINGS * MEETING.RINGS.length;
+
+const alice = { lat: 40.7128, lng: -74.006 };
+const bob = getDestinationPoint(alice, 90, 4000);
+
+/**
+ * Router stand-in timing trips by distance, with a speed for each origin
+ * @param {Function} secondsPerMeter - (origin, destination) → seconds per meter, or null for no route
+ */
+const createRouter = (secondsPerMeter = () => 1, maxDestinations = 25) => ({
+    modes: [WALKING],
+    maxDestinations,
+    getTravelTimes: vi.fn(async (origin, destinations) => destinations.map(destination => {
+        const pace = secondsPerMeter(origin, destination);
+        return pace === null ? null : { duration: calculateDistance(origin, destination) * pace };
+    }))
+});
+
+describe('getMeetingPoint', () => {
+    beforeEach(() => {
+        getRouter.mockReset();
+    });
+
+    it('meets at the midpoint without looking up times', async () => {
+        const point = await getMeetingPoint([alice, bob], MEETING_POINTS.MIDPOINT, WALKING);
+
+        expect(point).toEqual({ location: getMidpoint([alice, bob]), method: MEETING_POINTS.MIDPOINT, estimated: false });
+        expect(getRouter).not.toHaveBeenCalled();
+    });
+
+    it('meets at the midpoint when the group is already close together', async () => {
+        const nextDoor = getDestinationPoint(alice, 0, MEETING.MIN_SPREAD);
+
+        const point = await getMeetingPoint([alice, nextDoor], MEETING_POINTS.FAIREST, WALKING);
+
+        expect(point.location).toEqual(getMidpoint([alice, nextDoor]));
+        expect(getRouter).not.toHaveBeenCalled();
+    });
+
+    it('moves the fairest point towards the slowest participant', async () => {
+        // Bob is three times slower, so meeting halfway leaves him travelling longest
+        getRouter.mockResolvedValue(createRouter(origin => (origin === bob ? 3 : 1)));
+
+        const point = await getMeetingPoint([alice, bob], MEETING_POINTS.FAIREST, WALKING);
+
+        expect(point.estimated).toBe(false);
+        expect(calculateDistance(point.location, bob)).toBeLessThan(calculateDistance(point.location, alice));
+    });
+
+    it('never picks a point someone has no route to', async () => {
+        const midpoint = getMidpoint([alice, bob]);
+        const isMidpoint = (point) => calculateDistance(point, midpoint) < 1;
+        getRouter.mockResolvedValue(createRouter((origin, destination) => (
+            origin === alice && isMidpoint(destination) ? null : 1
+        )));
+
+        const point = await getMeetingPoint([alice, bob], MEETING_POINTS.FAIREST, WALKING);
+
+        expect(isMidpoint(point.location)).toBe(false);
+    });
+
+    it('splits each participant\'s lookups into requests the router accepts', async () => {
+        const router = createRouter(() => 1, 10);
+        getRouter.mockResolvedValue(router);
+
+        await getMeetingPoint([alice, bob], MEETING_POINTS.FAIREST, WALKING);
+
+        const requests = Math.ceil(CANDIDATE_COUNT / 10);
+        expect(router.getTravelTimes).toHaveBeenCalledTimes(2 * requests);
+        router.getTravelTimes.mock.calls.forEach(([, destinations]) => {
+            expect(destinations.length).toBeLessThanOrEqual(10);
+        });
+    });
+
+    it('estimates the fairest point for modes the router can\'t route', async () => {
+        const router = createRouter();
+        getRouter.mockResolvedValue(router);
+
+        const point = await getMeetingPoint([alice, bob], MEETING_POINTS.FAIREST, TRAVEL_MODES.TRANSIT);
+
+        // Halfway is fairest when both travel at the same speed
+        expect(point).toEqual({ location: getMidpoint([alice, bob]), method: MEETING_POINTS.FAIREST, estimated: true });
+        expect(router.getTravelTimes).not.toHaveBeenCalled();
+    });
+
+    it('estimates the fairest point when routing fails', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const router = createRouter();
+        router.getTravelTimes.mockRejectedValue(new Error('Router down'));
+        getRouter.mockResolvedValue(router);
+
+        const point = await getMeetingPoint([alice, bob], MEETING_POINTS.FAIREST, WALKING);
+
+        expect(point.estimated).toBe(true);
+        expect(point.location).toEqual(getMidpoint([alice, bob]));
+        expect(warn).toHaveBeenCalledTimes(1);
+        warn.mockRestore();
+    });
+});
+
+describe('getFairness', () => {
+    it('costs the longest time plus the spread', () => {
+        expect(getFairness([600, 600])).toEqual({ max: 600, mean: 600, spread: 0, cost: 600 });
+        expect(getFairness([300, 900])).toEqual({ max: 900, mean: 600, spread: 300, cost: 900 + MEETING.SPREAD_WEIGHT * 300 });
+    });
+
+    it('ranks a place someone can\'t reach last', () => {
+        expect(getFairness([300, null])).toEqual({ max: null, mean: null, spread: null, cost: Infinity });
+        expect(getFairness([]).cost).toBe(Infinity);
+    });
+});
+
+describe('getParticipantLabel', () => {
+    it('letters participants in order', () => {
+        expect([0, 1, 7].map(getParticipantLabel)).toEqual(['A', 'B', 'H']);
+    });
+});
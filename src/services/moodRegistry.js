@@ -0,0 +1,760 @@
+/**
+ * Mood Registry Service
+ * The single list of moods PlacePulse searches by: the built-in moods plus the
+ * user's own, persisted in localStorage and exportable as JSON
+ *
+ * Mood records:
+ *   { id, label, icon, color, description, types, keywords, preferredPrice,
+ *     prioritizeRating, quickPick, builtIn, edited }
+ * id is the lowercase name searched for ("quick bite"); types are Google place
+ * types; preferredPrice lists price levels 0-4, or is null for no preference.
+ *
+ * Editing a built-in mood stores the edited copy under the same id; deleting
+ * one hides it until the moods are reset. Searches, query parsing and scoring
+ * read moods synchronously, which is why they live in localStorage rather
+ * than IndexedDB.
+ */
+
+const STORAGE_KEY = 'placepulse-moods';
+
+export const EXPORT_FORMAT = 'placepulse-moods';
+const EXPORT_VERSION = 1;
+
+export const DEFAULT_ICON = '✨';
+export const DEFAULT_COLOR = '#6366f1';
+
+const MAX_LABEL_LENGTH = 30;
+const MAX_KEYWORDS = 10;
+
+// Built-in moods; quick picks are offered as one-tap buttons under the search bar
+const BUILT_IN_MOODS = [
+    // Work & Productivity
+    {
+        id: 'work',
+        label: 'Work',
+        icon: '💼',
+        color: '#3b82f6',
+        types: ['cafe', 'library'],
+        keywords: ['coworking', 'workspace', 'study cafe', 'wifi cafe', 'coffee shop work'],
+        description: 'Places to work or study',
+        preferredPrice: [1, 2],
+        prioritizeRating: true,
+        quickPick: true
+    },
+    {
+        id: 'study',
+        label: 'Study',
+        icon: '📚',
+        color: '#0ea5e9',
+        types: ['library', 'cafe'],
+        keywords: ['study', 'quiet', 'library', 'reading room'],
+        description: 'Quiet places to focus',
+        preferredPrice: [0, 1],
+        prioritizeRating: false,
+        quickPick: false
+    },
+    {
+        id: 'meeting',
+        label: 'Meeting',
+        icon: '🤝',
+        color: '#64748b',
+        types: ['cafe', 'restaurant'],
+        keywords: ['business', 'meeting', 'conference cafe', 'professional'],
+        description: 'Places for business meetings',
+        preferredPrice: [2, 3],
+        prioritizeRating: true,
+        quickPick: false
+    },
+
+    // Social & Dating
+    {
+        id: 'date',
+        label: 'Date Night',
+        icon: '💕',
+        color: '#ec4899',
+        types: ['restaurant', 'bar', 'cafe'],
+        keywords: ['romantic', 'dinner', 'lounge', 'cocktail', 'candlelit', 'intimate', 'wine bar', 'rooftop'],
+        description: 'Romantic spots for dates',
+        preferredPrice: [2, 3, 4],
+        prioritizeRating: true,
+        quickPick: true
+    },
+    {
+        id: 'drinks',
+        label: 'Drinks',
+        icon: '🍻',
+        color: '#eab308',
+        types: ['bar', 'night_club', 'cafe'],
+        keywords: ['pub', 'cocktail', 'wine bar', 'brewery', 'beer', 'happy hour', 'sports bar'],
+        description: 'Places for drinks',
+        preferredPrice: [2, 3],
+        prioritizeRating: true,
+        quickPick: true
+    },
+    {
+        id: 'nightlife',
+        label: 'Nightlife',
+        icon: '🪩',
+        color: '#7c3aed',
+        types: ['night_club', 'bar'],
+        keywords: ['club', 'dance', 'nightlife', 'dj', 'party', 'lounge'],
+        description: 'Night entertainment venues',
+        preferredPrice: [2, 3, 4],
+        prioritizeRating: false,
+        quickPick: false
+    },
+
+    // Food & Dining
+    {
+        id: 'quick bite',
+        label: 'Quick Bite',
+        icon: '🍔',
+        color: '#f97316',
+        types: ['restaurant', 'meal_takeaway', 'bakery', 'cafe'],
+        keywords: ['fast food', 'quick', 'takeaway', 'grab and go', 'snack', 'sandwich', 'burger', 'pizza'],
+        description: 'Fast and convenient food',
+        preferredPrice: [1, 2],
+        prioritizeRating: false,
+        quickPick: true
+    },
+    {
+        id: 'breakfast',
+        label: 'Breakfast',
+        icon: '🥞',
+        color: '#f59e0b',
+        types: ['cafe', 'bakery', 'restaurant'],
+        keywords: ['breakfast', 'brunch', 'pancakes', 'eggs', 'morning', 'diner'],
+        description: 'Morning meals',
+        preferredPrice: [1, 2],
+        prioritizeRating: true,
+        quickPick: false
+    },
+    {
+        id: 'brunch',
+        label: 'Brunch',
+        icon: '🍳',
+        color: '#fb923c',
+        types: ['restaurant', 'cafe'],
+        keywords: ['brunch', 'breakfast', 'mimosa', 'sunday brunch', 'eggs benedict'],
+        description: 'Brunch spots',
+        preferredPrice: [2, 3],
+        prioritizeRating: true,
+        quickPick: false
+    },
+    {
+        id: 'lunch',
+        label: 'Lunch',
+        icon: '🥗',
+        color: '#84cc16',
+        types: ['restaurant', 'cafe', 'meal_takeaway'],
+        keywords: ['lunch', 'midday', 'lunch special', 'salad', 'soup'],
+        description: 'Lunch options',
+        preferredPrice: [1, 2, 3],
+        prioritizeRating: true,
+        quickPick: false
+    },
+    {
+        id: 'dinner',
+        label: 'Dinner',
+        icon: '🍽️',
+        color: '#b45309',
+        types: ['restaurant'],
+        keywords: ['dinner', 'fine dining', 'evening', 'gourmet', 'steakhouse', 'seafood'],
+        description: 'Dinner restaurants',
+        preferredPrice: [2, 3, 4],
+        prioritizeRating: true,
+        quickPick: false
+    },
+    {
+        id: 'coffee',
+        label: 'Coffee',
+        icon: '☕',
+        color: '#78716c',
+        types: ['cafe'],
+        keywords: ['coffee', 'espresso', 'latte', 'cappuccino', 'coffee shop', 'specialty coffee', 'barista'],
+        description: 'Coffee shops',
+        preferredPrice: [1, 2],
+        prioritizeRating: true,
+        quickPick: true
+    },
+    {
+        id: 'dessert',
+        label: 'Dessert',
+        icon: '🍰',
+        color: '#f472b6',
+        types: ['bakery', 'cafe'],
+        keywords: ['dessert', 'ice cream', 'cake', 'pastry', 'sweet', 'gelato', 'cupcake', 'chocolate'],
+        description: 'Sweet treats',
+        preferredPrice: [1, 2],
+        prioritizeRating: true,
+        quickPick: false
+    },
+
+    // Budget & Value
+    {
+        id: 'budget',
+        label: 'Budget',
+        icon: '💰',
+        color: '#22c55e',
+        types: ['restaurant', 'cafe', 'meal_takeaway'],
+        keywords: ['cheap', 'affordable', 'budget', 'value', 'deals', 'happy hour', 'lunch special'],
+        description: 'Budget-friendly options',
+        preferredPrice: [0, 1],
+        prioritizeRating: false,
+        quickPick: true
+    },
+    {
+        id: 'fancy',
+        label: 'Fancy',
+        icon: '🥂',
+        color: '#a16207',
+        types: ['restaurant', 'bar'],
+        keywords: ['upscale', 'fine dining', 'luxury', 'gourmet', 'michelin', 'elegant', 'exclusive'],
+        description: 'Upscale experiences',
+        preferredPrice: [3, 4],
+        prioritizeRating: true,
+        quickPick: false
+    },
+
+    // Relaxation & Leisure
+    {
+        id: 'chill',
+        label: 'Chill',
+        icon: '😌',
+        color: '#8b5cf6',
+        types: ['cafe', 'park', 'bar'],
+        keywords: ['relax', 'chill', 'cozy', 'lounge', 'quiet', 'peaceful', 'laid back'],
+        description: 'Relaxed atmosphere',
+        preferredPrice: [1, 2],
+        prioritizeRating: true,
+        quickPick: true
+    },
+    {
+        id: 'spa',
+        label: 'Spa',
+        icon: '💆',
+        color: '#14b8a6',
+        types: ['spa', 'beauty_salon'],
+        keywords: ['massage', 'wellness', 'relaxation', 'facial', 'sauna', 'day spa'],
+        description: 'Spa and wellness',
+        preferredPrice: [2, 3, 4],
+        prioritizeRating: true,
+        quickPick: false
+    },
+
+    // Family & Kids
+    {
+        id: 'family',
+        label: 'Family',
+        icon: '👨‍👩‍👧‍👦',
+        color: '#06b6d4',
+        types: ['restaurant', 'park', 'amusement_park', 'zoo', 'aquarium'],
+        keywords: ['family friendly', 'kids', 'children', 'family restaurant', 'playground', 'kid menu'],
+        description: 'Family-friendly places',
+        preferredPrice: [1, 2],
+        prioritizeRating: true,
+        quickPick: true
+    },
+    {
+        id: 'kids',
+        label: 'Kids',
+        icon: '🧸',
+        color: '#0891b2',
+        types: ['park', 'amusement_park', 'zoo', 'aquarium'],
+        keywords: ['playground', 'kids', 'family', 'children', 'play area', 'arcade'],
+        description: 'Kid-friendly activities',
+        preferredPrice: [1, 2],
+        prioritizeRating: true,
+        quickPick: false
+    },
+
+    // Outdoor & Nature
+    {
+        id: 'outdoors',
+        label: 'Outdoors',
+        icon: '🌲',
+        color: '#22c55e',
+        types: ['park', 'campground', 'natural_feature'],
+        keywords: ['outdoor', 'nature', 'hiking', 'trail', 'garden', 'scenic', 'walking path'],
+        description: 'Outdoor activities',
+        preferredPrice: [0, 1],
+        prioritizeRating: false,
+        quickPick: true
+    },
+    {
+        id: 'nature',
+        label: 'Nature',
+        icon: '🌿',
+        color: '#16a34a',
+        types: ['park', 'campground'],
+        keywords: ['nature', 'garden', 'botanical', 'wildlife', 'scenic', 'green space'],
+        description: 'Natural spaces',
+        preferredPrice: [0, 1],
+        prioritizeRating: false,
+        quickPick: false
+    },
+    {
+        id: 'picnic',
+        label: 'Picnic',
+        icon: '🧺',
+        color: '#65a30d',
+        types: ['park'],
+        keywords: ['picnic', 'garden', 'outdoor', 'lawn', 'green space', 'public park'],
+        description: 'Picnic spots',
+        preferredPrice: [0],
+        prioritizeRating: false,
+        quickPick: false
+    },
+
+    // Health & Fitness
+    {
+        id: 'fitness',
+        label: 'Fitness',
+        icon: '🏋️',
+        color: '#ef4444',
+        types: ['gym', 'park'],
+        keywords: ['fitness', 'workout', 'exercise', 'training', 'crossfit', 'gym near me'],
+        description: 'Fitness facilities',
+        preferredPrice: [1, 2, 3],
+        prioritizeRating: true,
+        quickPick: true
+    },
+    {
+        id: 'gym',
+        label: 'Gym',
+        icon: '💪',
+        color: '#dc2626',
+        types: ['gym'],
+        keywords: ['gym', 'fitness center', 'workout', 'health club', '24 hour gym'],
+        description: 'Gyms and fitness centers',
+        preferredPrice: [1, 2, 3],
+        prioritizeRating: true,
+        quickPick: false
+    },
+    {
+        id: 'yoga',
+        label: 'Yoga',
+        icon: '🧘',
+        color: '#a78bfa',
+        types: ['gym', 'spa'],
+        keywords: ['yoga', 'pilates', 'meditation', 'yoga studio', 'wellness'],
+        description: 'Yoga and wellness studios',
+        preferredPrice: [2, 3],
+        prioritizeRating: true,
+        quickPick: false
+    },
+
+    // Entertainment & Culture
+    {
+        id: 'entertainment',
+        label: 'Entertainment',
+        icon: '🎭',
+        color: '#a855f7',
+        types: ['movie_theater', 'bowling_alley', 'amusement_park', 'casino'],
+        keywords: ['entertainment', 'fun', 'games', 'arcade', 'bowling', 'escape room', 'karaoke'],
+        description: 'Entertainment venues',
+        preferredPrice: [2, 3],
+        prioritizeRating: true,
+        quickPick: true
+    },
+    {
+        id: 'movies',
+        label: 'Movies',
+        icon: '🎬',
+        color: '#6366f1',
+        types: ['movie_theater'],
+        keywords: ['cinema', 'movie', 'film', 'theater', 'imax', 'movie theatre'],
+        description: 'Movie theaters',
+        preferredPrice: [2],
+        prioritizeRating: true,
+        quickPick: false
+    },
+    {
+        id: 'culture',
+        label: 'Culture',
+        icon: '🏛️',
+        color: '#9333ea',
+        types: ['museum', 'art_gallery', 'library'],
+        keywords: ['museum', 'art', 'culture', 'history', 'exhibition', 'gallery'],
+        description: 'Cultural attractions',
+        preferredPrice: [1, 2],
+        prioritizeRating: true,
+        quickPick: false
+    },
+    {
+        id: 'art',
+        label: 'Art',
+        icon: '🎨',
+        color: '#db2777',
+        types: ['art_gallery', 'museum'],
+        keywords: ['art', 'gallery', 'exhibition', 'contemporary art', 'art museum'],
+        description: 'Art venues',
+        preferredPrice: [1, 2],
+        prioritizeRating: true,
+        quickPick: false
+    },
+    {
+        id: 'music',
+        label: 'Music',
+        icon: '🎵',
+        color: '#c026d3',
+        types: ['bar', 'night_club'],
+        keywords: ['live music', 'concert', 'jazz', 'music venue', 'live band', 'open mic'],
+        description: 'Live music venues',
+        preferredPrice: [2, 3],
+        prioritizeRating: true,
+        quickPick: false
+    },
+
+    // Shopping
+    {
+        id: 'shopping',
+        label: 'Shopping',
+        icon: '🛒',
+        color: '#f43f5e',
+        types: ['shopping_mall', 'department_store', 'clothing_store'],
+        keywords: ['shopping', 'mall', 'retail', 'boutique', 'shopping center', 'stores'],
+        description: 'Shopping destinations',
+        preferredPrice: [1, 2, 3],
+        prioritizeRating: false,
+        quickPick: true
+    },
+    {
+        id: 'groceries',
+        label: 'Groceries',
+        icon: '🥦',
+        color: '#15803d',
+        types: ['supermarket', 'grocery_or_supermarket'],
+        keywords: ['grocery', 'supermarket', 'food store', 'organic', 'market'],
+        description: 'Grocery stores',
+        preferredPrice: [1, 2],
+        prioritizeRating: false,
+        quickPick: false
+    },
+
+    // Services & Utilities
+    {
+        id: 'gas',
+        label: 'Gas',
+        icon: '⛽',
+        color: '#475569',
+        types: ['gas_station'],
+        keywords: ['gas', 'fuel', 'petrol', 'gas station', 'fuel station'],
+        description: 'Gas stations',
+        preferredPrice: [1],
+        prioritizeRating: false,
+        quickPick: false
+    },
+    {
+        id: 'atm',
+        label: 'ATM',
+        icon: '🏧',
+        color: '#0f766e',
+        types: ['atm', 'bank'],
+        keywords: ['atm', 'bank', 'cash', 'withdrawal'],
+        description: 'ATMs and banks',
+        preferredPrice: [0],
+        prioritizeRating: false,
+        quickPick: false
+    },
+    {
+        id: 'pharmacy',
+        label: 'Pharmacy',
+        icon: '💊',
+        color: '#e11d48',
+        types: ['pharmacy', 'drugstore'],
+        keywords: ['pharmacy', 'drugstore', 'medicine', 'prescription'],
+        description: 'Pharmacies',
+        preferredPrice: [1, 2],
+        prioritizeRating: false,
+        quickPick: false
+    }
+];
+
+// Fallback when localStorage is unavailable (e.g. private mode)
+let memoryState = { moods: [], hidden: [] };
+let moods = null;
+const listeners = new Set();
+
+/**
+ * Normalize a mood name the way searches are matched
+ * @param {string} name - Name as typed
+ * @returns {string} - Lowercase name with single spaces; hyphens and the
+ *   "+" / "*" used by blended searches are dropped
+ */
+export const normalizeMoodName = (name) => {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/[-+*]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+/**
+ * Check if localStorage is available
+ * @returns {boolean} - False outside the browser, where moods only live in memory
+ */
+const hasStorage = () => {
+    return typeof localStorage !== 'undefined';
+};
+
+/**
+ * Read the user's moods and hidden built-in moods
+ * @returns {Object} - { moods, hidden }
+ */
+const readState = () => {
+    if (!hasStorage()) return memoryState;
+
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored) {
+            return {
+                moods: Array.isArray(stored.moods) ? stored.moods : [],
+                hidden: Array.isArray(stored.hidden) ? stored.hidden : []
+            };
+        }
+    } catch (err) {
+        console.warn('Failed to read moods:', err);
+    }
+    return memoryState;
+};
+
+/**
+ * Persist the user's moods and notify listeners
+ * @param {Object} state - { moods, hidden }
+ */
+const writeState = (state) => {
+    memoryState = state;
+    if (hasStorage()) {
+        try {
+            if (state.moods.length === 0 && state.hidden.length === 0) {
+                localStorage.removeItem(STORAGE_KEY);
+            } else {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+            }
+        } catch (err) {
+            console.warn('Failed to save moods:', err);
+        }
+    }
+
+    moods = null;
+    const current = getMoods();
+    listeners.forEach(listener => listener(current));
+};
+
+/**
+ * Get every mood: built-in moods in table order (edited ones replaced by the
+ * user's copy, deleted ones left out), then the user's own in creation order
+ * @returns {Array} - Mood records
+ */
+export const getMoods = () => {
+    if (moods) return moods;
+
+    const state = readState();
+    const userMoods = new Map(state.moods.map(mood => [mood.id, mood]));
+    const builtInIds = new Set(BUILT_IN_MOODS.map(mood => mood.id));
+
+    moods = [
+        ...BUILT_IN_MOODS
+            .filter(mood => !state.hidden.includes(mood.id))
+            .map(mood => (userMoods.has(mood.id)
+                ? { ...userMoods.get(mood.id), builtIn: true, edited: true }
+                : { ...mood, builtIn: true, edited: false })),
+        ...state.moods
+            .filter(mood => !builtInIds.has(mood.id))
+            .map(mood => ({ ...mood, builtIn: false, edited: false }))
+    ];
+    return moods;
+};
+
+/**
+ * Get the moods offered as quick picks
+ * @returns {Array} - Mood records
+ */
+export const getQuickPicks = () => getMoods().filter(mood => mood.quickPick);
+
+/**
+ * Find a mood by name
+ * @param {string} name - Mood name, in any case
+ * @returns {Object|null} - Mood record
+ */
+export const findMood = (name) => {
+    const id = normalizeMoodName(name);
+    return getMoods().find(mood => mood.id === id) || null;
+};
+
+/**
+ * Get the place types used by the built-in moods, for choosing a mood's types
+ * @returns {Array} - Sorted place types
+ */
+export const getKnownPlaceTypes = () => {
+    return [...new Set(BUILT_IN_MOODS.flatMap(mood => mood.types))].sort();
+};
+
+/**
+ * Check and clean mood fields
+ * @param {Object} fields - { label, icon, color, description, types, keywords,
+ *   preferredPrice, prioritizeRating, quickPick }
+ * @param {string|null} id - Mood being edited or replaced, or null for a new mood
+ * @returns {Object} - Mood record
+ * @throws {Error} - With a message for the user when the fields are invalid
+ */
+export const createMoodRecord = (fields, id = null) => {
+    const label = String(fields.label || '').trim().slice(0, MAX_LABEL_LENGTH);
+    if (!label) {
+        throw new Error('Give the mood a name.');
+    }
+
+    // Built-in moods keep their id so searches for them keep working
+    const moodId = BUILT_IN_MOODS.some(mood => mood.id === id) ? id : normalizeMoodName(label);
+    if (!moodId) {
+        throw new Error('The name needs at least one letter or number.');
+    }
+    if (moodId !== id && findMood(moodId)) {
+        throw new Error(`There is already a mood called "${label}".`);
+    }
+
+    const types = [...new Set((fields.types || []).map(type => String(type).trim()).filter(type => /^[a-z_]+$/.test(type)))];
+    const keywords = [...new Set((fields.keywords || []).map(keyword => String(keyword).toLowerCase().trim()).filter(Boolean))]
+        .slice(0, MAX_KEYWORDS);
+    if (types.length === 0 && keywords.length === 0) {
+        throw new Error('Add at least one place type or keyword to search for.');
+    }
+
+    const prices = [...new Set((fields.preferredPrice || []).map(Number))]
+        .filter(level => Number.isInteger(level) && level >= 0 && level <= 4)
+        .sort((a, b) => a - b);
+
+    return {
+        id: moodId,
+        label,
+        icon: Array.from(String(fields.icon || '').trim()).slice(0, 8).join('') || DEFAULT_ICON,
+        color: /^#[0-9a-f]{6}$/i.test(fields.color) ? fields.color : DEFAULT_COLOR,
+        description: String(fields.description || '').trim() || label,
+        types,
+        keywords,
+        preferredPrice: prices.length > 0 ? prices : null,
+        prioritizeRating: Boolean(fields.prioritizeRating),
+        quickPick: Boolean(fields.quickPick)
+    };
+};
+
+/**
+ * Create or update a mood
+ * @param {Object} fields - Mood fields (see createMoodRecord)
+ * @param {string|null} id - Mood being edited, or null for a new mood
+ * @returns {Object} - Saved mood record
+ * @throws {Error} - When the fields are invalid
+ */
+export const saveMood = (fields, id = null) => {
+    const record = createMoodRecord(fields, id);
+    const state = readState();
+
+    writeState({
+        moods: [...state.moods.filter(mood => mood.id !== id && mood.id !== record.id), record],
+        hidden: state.hidden
+    });
+    return findMood(record.id);
+};
+
+/**
+ * Delete a mood; built-in moods are hidden until the moods are reset
+ * @param {string} id - Mood ID
+ */
+export const deleteMood = (id) => {
+    const state = readState();
+    const isBuiltIn = BUILT_IN_MOODS.some(mood => mood.id === id);
+
+    writeState({
+        moods: state.moods.filter(mood => mood.id !== id),
+        hidden: isBuiltIn && !state.hidden.includes(id) ? [...state.hidden, id] : state.hidden
+    });
+};
+
+/**
+ * Drop the user's moods and edits, restoring the built-in moods
+ */
+export const resetMoods = () => {
+    writeState({ moods: [], hidden: [] });
+};
+
+/**
+ * Serialize the moods the user created or edited to JSON
+ * @returns {string} - JSON text
+ */
+export const exportMoodsJson = () => {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        moods: getMoods()
+            .filter(mood => !mood.builtIn || mood.edited)
+            .map(({ builtIn, edited, ...mood }) => mood)
+    }, null, 2);
+};
+
+/**
+ * Import moods from a JSON export, replacing moods with the same name
+ * @param {string} text - File contents
+ * @returns {number} - Number of moods imported
+ * @throws {Error} - When the file is not a moods export or a mood is invalid
+ */
+export const importMoodsJson = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error('This file is not valid JSON.');
+    }
+
+    if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.moods)) {
+        throw new Error('Unrecognized file. Import a PlacePulse moods export.');
+    }
+
+    const state = readState();
+    const parsed = data.moods.map(fields => {
+        try {
+            // Imported moods replace existing ones of the same name
+            return createMoodRecord(fields, normalizeMoodName(fields.id || fields.label));
+        } catch (err) {
+            throw new Error(`"${fields.label || fields.id || 'Unnamed mood'}": ${err.message}`);
+        }
+    });
+    // A mood listed twice keeps its last version
+    const records = [...new Map(parsed.map(record => [record.id, record])).values()];
+    const importedIds = new Set(records.map(record => record.id));
+
+    writeState({
+        moods: [...state.moods.filter(mood => !importedIds.has(mood.id)), ...records],
+        hidden: state.hidden.filter(id => !importedIds.has(id))
+    });
+    return records.length;
+};
+
+/**
+ * Subscribe to mood changes
+ * @param {Function} listener - Called with every mood after a change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeMoods = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+export default {
+    EXPORT_FORMAT,
+    DEFAULT_ICON,
+    DEFAULT_COLOR,
+    normalizeMoodName,
+    getMoods,
+    getQuickPicks,
+    findMood,
+    getKnownPlaceTypes,
+    createMoodRecord,
+    saveMood,
+    deleteMood,
+    resetMoods,
+    exportMoodsJson,
+    importMoodsJson,
+    subscribeMoods
+};
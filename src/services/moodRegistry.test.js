@@ -0,0 +1,164 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// Moods are cached per module, so every test gets a fresh copy
+let registry;
+
+const createStorage = (entries = {}) => {
+    const values = new Map(Object.entries(entries));
+    return {
+        getItem: (key) => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: (key) => values.delete(key)
+    };
+};
+
+const exportOf = (moods) => JSON.stringify({ format: 'placepulse-moods', version: 1, moods });
+
+beforeEach(async () => {
+    vi.resetModules();
+    registry = await import('./moodRegistry');
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+describe('mood storage', () => {
+    it('keeps moods in memory without localStorage, quietly', () => {
+        const warn = vi.spyOn(console, 'warn');
+
+        registry.saveMood({ label: 'Board Games', types: ['cafe'] });
+
+        expect(registry.findMood('board games')).toMatchObject({ label: 'Board Games', builtIn: false });
+        expect(warn).not.toHaveBeenCalled();
+    });
+
+    it('persists moods to localStorage and reads them back', async () => {
+        const storage = createStorage();
+        vi.stubGlobal('localStorage', storage);
+
+        registry.saveMood({ label: 'Board Games', types: ['cafe'] });
+        vi.resetModules();
+        const reloaded = await import('./moodRegistry');
+
+        expect(JSON.parse(storage.getItem('placepulse-moods')).moods).toHaveLength(1);
+        expect(reloaded.findMood('Board Games')).not.toBeNull();
+    });
+
+    it('falls back to the built-in moods when the stored moods are unreadable', () => {
+        vi.stubGlobal('localStorage', createStorage({ 'placepulse-moods': '{not json' }));
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(registry.getMoods().every(mood => mood.builtIn)).toBe(true);
+        expect(warn).toHaveBeenCalledTimes(1);
+    });
+
+    it('hides deleted built-in moods until the moods are reset', () => {
+        registry.deleteMood('work');
+        expect(registry.findMood('work')).toBeNull();
+
+        registry.resetMoods();
+        expect(registry.findMood('work')).toMatchObject({ builtIn: true, edited: false });
+    });
+});
+
+describe('createMoodRecord', () => {
+    it('cleans up the fields', () => {
+        const record = registry.createMoodRecord({
+            label: '  Late-Night Ramen  ',
+            types: ['restaurant', 'restaurant', 'Not A Type', 'meal_takeaway'],
+            keywords: ['Ramen', 'ramen ', '', ...Array.from({ length: 12 }, (_, index) => `noodles ${index}`)],
+            preferredPrice: [2, '1', 7, 1.5, 2],
+            color: 'red',
+            icon: ''
+        });
+
+        expect(record).toMatchObject({
+            id: 'late night ramen',
+            label: 'Late-Night Ramen',
+            description: 'Late-Night Ramen',
+            types: ['restaurant', 'meal_takeaway'],
+            preferredPrice: [1, 2],
+            color: registry.DEFAULT_COLOR,
+            icon: registry.DEFAULT_ICON,
+            prioritizeRating: false,
+            quickPick: false
+        });
+        expect(record.keywords).toHaveLength(10);
+        expect(record.keywords[0]).toBe('ramen');
+    });
+
+    it('has no price preference when no valid level is given', () => {
+        expect(registry.createMoodRecord({ label: 'Parks', types: ['park'], preferredPrice: [9] }).preferredPrice).toBeNull();
+    });
+
+    it('rejects moods without a name or anything to search for', () => {
+        expect(() => registry.createMoodRecord({ label: '   ', types: ['cafe'] })).toThrow('Give the mood a name.');
+        expect(() => registry.createMoodRecord({ label: '+-*', types: ['cafe'] })).toThrow('at least one letter or number');
+        expect(() => registry.createMoodRecord({ label: 'Empty', types: ['Bad Type'], keywords: [' '] })).toThrow('at least one place type or keyword');
+    });
+
+    it('rejects a name already taken, but not by the mood being edited', () => {
+        registry.saveMood({ label: 'Board Games', types: ['cafe'] });
+
+        expect(() => registry.createMoodRecord({ label: 'drinks', types: ['bar'] })).toThrow('There is already a mood called "drinks".');
+        expect(() => registry.createMoodRecord({ label: 'Board-games', types: ['bar'] })).toThrow('already a mood');
+        expect(registry.createMoodRecord({ label: 'Board games', types: ['bar'] }, 'board games').id).toBe('board games');
+    });
+
+    it('keeps the id of a renamed built-in mood', () => {
+        expect(registry.createMoodRecord({ label: 'Office', types: ['cafe'] }, 'work').id).toBe('work');
+    });
+});
+
+describe('mood import', () => {
+    it('round-trips the user\'s own and edited moods', async () => {
+        registry.saveMood({ label: 'Board Games', types: ['cafe'], keywords: ['board games'] });
+        registry.saveMood({ ...registry.findMood('work'), label: 'Office' }, 'work');
+        const json = registry.exportMoodsJson();
+
+        vi.resetModules();
+        const fresh = await import('./moodRegistry');
+
+        expect(fresh.importMoodsJson(json)).toBe(2);
+        expect(fresh.findMood('board games')).toMatchObject({ keywords: ['board games'], builtIn: false });
+        expect(fresh.findMood('work')).toMatchObject({ label: 'Office', builtIn: true, edited: true });
+    });
+
+    it('keeps the last version of a mood listed twice', () => {
+        const count = registry.importMoodsJson(exportOf([
+            { label: 'Board Games', types: ['cafe'] },
+            { label: 'board games', types: ['bar'] }
+        ]));
+
+        expect(count).toBe(1);
+        expect(registry.findMood('board games').types).toEqual(['bar']);
+    });
+
+    it('brings back a hidden built-in mood it replaces', () => {
+        registry.deleteMood('work');
+
+        registry.importMoodsJson(exportOf([{ id: 'work', label: 'Work', types: ['library'] }]));
+
+        expect(registry.findMood('work')).toMatchObject({ types: ['library'], edited: true });
+    });
+
+    it('rejects files that are not mood exports', () => {
+        expect(() => registry.importMoodsJson('{')).toThrow('This file is not valid JSON.');
+        expect(() => registry.importMoodsJson('{"format":"other","moods":[]}')).toThrow('Unrecognized file');
+        expect(() => registry.importMoodsJson('null')).toThrow('Unrecognized file');
+    });
+
+    it('imports nothing when one mood is invalid, and names it', () => {
+        const before = registry.getMoods();
+        const json = exportOf([
+            { label: 'Board Games', types: ['cafe'] },
+            { label: 'Nothing', types: [], keywords: [] }
+        ]);
+
+        expect(() => registry.importMoodsJson(json)).toThrow('"Nothing": Add at least one place type or keyword');
+        expect(registry.getMoods()).toBe(before);
+        expect(registry.findMood('board games')).toBeNull();
+    });
+});
@@ -1,39 +1,66 @@
 /**
- * Google Places API Service
- * Handles all interactions with Google Places API
+ * Places API Service
+ * Provider-agnostic place search, details and formatting helpers
  */
 
-import { getGoogleMapsApi } from './mapsLoader';
+import { createPlacesProvider, getProviderPhotoUrl } from './placesProvider';
 import { calculateDistance } from '../utils/distance';
-
-// Cache for place details to reduce API calls
-const detailsCache = new Map();
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+import { getOpeningStatus } from '../utils/openingHours';
+import { cachedRequest, clearCacheKind } from './searchCache';
+import { scheduleRequest } from './requestScheduler';
 
 /**
- * Create a PlacesService instance
+ * Create a places service for the configured provider
  * @param {google.maps.Map} map - Map instance (optional)
- * @returns {google.maps.places.PlacesService} - Places service
+ * @returns {Object} - Places provider instance
  */
 export const createPlacesService = (map = null) => {
-    const google = getGoogleMapsApi();
-
-    if (map) {
-        return new google.maps.places.PlacesService(map);
-    }
+    return createPlacesProvider({ map });
+};
 
-    // Create a dummy div for PlacesService when no map is available
-    const dummyDiv = document.createElement('div');
-    return new google.maps.places.PlacesService(dummyDiv);
+/**
+ * Add distance from the search location to each place
+ * @param {Array} places - Array of place results
+ * @param {Object} location - Search location { lat, lng }
+ * @returns {Array} - Places with distance property
+ */
+const withDistance = (places, location) => {
+    return places.map(place => ({
+        ...place,
+        distance: calculateDistance(location, {
+            lat: place.geometry.location.lat(),
+            lng: place.geometry.location.lng()
+        })
+    }));
 };
 
 /**
- * Search for nearby places
- * @param {google.maps.places.PlacesService} service - Places service instance
- * @param {Object} options - Search options
- * @returns {Promise<Array>} - Array of place results
+ * Add distance to the places of a search page
+ * @param {Object} page - { places, nextPageToken }
+ * @param {Object} location - Search location { lat, lng }
+ * @returns {Object} - Page with distances
+ */
+const withDistancePage = (page, location) => ({
+    ...page,
+    places: withDistance(page.places, location)
+});
+
+/**
+ * Add distance to a cached response, including its background refresh
+ * @param {Object} response - { value, revalidated } from cachedRequest
+ * @param {Object} location - Search location { lat, lng }
+ * @returns {Object} - { places, nextPageToken, revalidated }
  */
-export const searchNearbyPlaces = (service, options) => {
+const withDistanceResponse = ({ value, revalidated }, location) => ({
+    ...withDistancePage(value, location),
+    revalidated: revalidated && revalidated.then(fresh => (fresh ? withDistancePage(fresh, location) : null))
+});
+
+/**
+ * Run a cached nearby search
+ * @returns {Promise<Object>} - { places, nextPageToken, revalidated }
+ */
+const requestNearbyPlaces = async (service, options) => {
     const {
         location,
         radius = 2000,
@@ -42,167 +69,185 @@ export const searchNearbyPlaces = (service, options) => {
         keyword = null
     } = options;
 
-    return new Promise((resolve, reject) => {
-        const google = getGoogleMapsApi();
+    // Use 'type' for single type or pick first from 'types' array
+    const searchType = type || types[0] || null;
 
-        const request = {
-            location: new google.maps.LatLng(location.lat, location.lng),
-            radius,
-            // Use 'type' for single type or pick first from 'types' array
-            ...(type ? { type } : types.length > 0 ? { type: types[0] } : {}),
-            ...(keyword ? { keyword } : {})
-        };
+    const response = await cachedRequest(
+        'nearby',
+        { query: `${searchType || ''}|${keyword || ''}`, location, radius },
+        () => scheduleRequest(() => service.nearbySearch({ location, radius, type: searchType, keyword }))
+    );
 
-        service.nearbySearch(request, (results, status) => {
-            if (status === google.maps.places.PlacesServiceStatus.OK) {
-                // Add distance to each result
-                const placesWithDistance = results.map(place => ({
-                    ...place,
-                    distance: calculateDistance(location, {
-                        lat: place.geometry.location.lat(),
-                        lng: place.geometry.location.lng()
-                    })
-                }));
-                resolve(placesWithDistance);
-            } else if (status === google.maps.places.PlacesServiceStatus.ZERO_RESULTS) {
-                resolve([]);
-            } else {
-                reject(new Error(`Places search failed: ${status}`));
-            }
-        });
-    });
+    return withDistanceResponse(response, location);
 };
 
 /**
- * Search for places using text query
- * @param {google.maps.places.PlacesService} service - Places service instance
- * @param {Object} options - Search options
- * @returns {Promise<Array>} - Array of place results
+ * Run a cached text search
+ * @returns {Promise<Object>} - { places, nextPageToken, revalidated }
  */
-export const textSearchPlaces = (service, options) => {
+const requestTextSearch = async (service, options) => {
     const {
         query,
         location,
         radius = 2000
     } = options;
 
-    return new Promise((resolve, reject) => {
-        const google = getGoogleMapsApi();
+    const response = await cachedRequest(
+        'text',
+        { query, location, radius },
+        () => scheduleRequest(() => service.textSearch({ query, location, radius }))
+    );
 
-        const request = {
-            query,
-            location: new google.maps.LatLng(location.lat, location.lng),
-            radius
-        };
+    return withDistanceResponse(response, location);
+};
 
-        service.textSearch(request, (results, status) => {
-            if (status === google.maps.places.PlacesServiceStatus.OK) {
-                const placesWithDistance = results.map(place => ({
-                    ...place,
-                    distance: calculateDistance(location, {
-                        lat: place.geometry.location.lat(),
-                        lng: place.geometry.location.lng()
-                    })
-                }));
-                resolve(placesWithDistance);
-            } else if (status === google.maps.places.PlacesServiceStatus.ZERO_RESULTS) {
-                resolve([]);
-            } else {
-                reject(new Error(`Text search failed: ${status}`));
-            }
-        });
-    });
+/**
+ * Search for nearby places
+ * Results may come from the search cache; pass onRevalidate to receive the
+ * fresh page when a stale entry has been refreshed.
+ * @param {Object} service - Places provider instance
+ * @param {Object} options - Search options
+ * @returns {Promise<Object>} - { places, nextPageToken } (see searchNextPages)
+ */
+export const searchNearbyPlaces = async (service, options) => {
+    const { revalidated, ...page } = await requestNearbyPlaces(service, options);
+    if (revalidated && options.onRevalidate) {
+        revalidated.then(fresh => fresh && options.onRevalidate(fresh));
+    }
+    return page;
+};
+
+/**
+ * Search for places using text query
+ * Results may come from the search cache (see searchNearbyPlaces)
+ * @param {Object} service - Places provider instance
+ * @param {Object} options - Search options
+ * @returns {Promise<Object>} - { places, nextPageToken }
+ */
+export const textSearchPlaces = async (service, options) => {
+    const { revalidated, ...page } = await requestTextSearch(service, options);
+    if (revalidated && options.onRevalidate) {
+        revalidated.then(fresh => fresh && options.onRevalidate(fresh));
+    }
+    return page;
 };
 
 /**
  * Get detailed information about a place
- * @param {google.maps.places.PlacesService} service - Places service instance
- * @param {string} placeId - Google Place ID
+ * @param {Object} service - Places provider instance
+ * @param {string} placeId - Place ID
  * @returns {Promise<Object>} - Place details
  */
-export const getPlaceDetails = (service, placeId) => {
-    // Check cache first
-    const cached = detailsCache.get(placeId);
-    if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-        return Promise.resolve(cached.data);
-    }
+export const getPlaceDetails = async (service, placeId) => {
+    // Stale details are shown while the cache refreshes them for next time
+    const { value } = await cachedRequest('details', { placeId }, () =>
+        scheduleRequest(() => service.getDetails(placeId))
+    );
+    return value;
+};
 
-    return new Promise((resolve, reject) => {
-        const google = getGoogleMapsApi();
-
-        const request = {
-            placeId,
-            fields: [
-                'place_id',
-                'name',
-                'formatted_address',
-                'formatted_phone_number',
-                'geometry',
-                'opening_hours',
-                'photos',
-                'price_level',
-                'rating',
-                'reviews',
-                'types',
-                'url',
-                'website',
-                'user_ratings_total'
-            ]
-        };
+/**
+ * Combine result lists, keeping the first occurrence of each place
+ * @param {Array} lists - Arrays of places
+ * @returns {Array} - Deduplicated places
+ */
+const combineResults = (lists) => {
+    const allResults = new Map(); // Use Map to deduplicate by place_id
 
-        service.getDetails(request, (result, status) => {
-            if (status === google.maps.places.PlacesServiceStatus.OK) {
-                // Cache the result
-                detailsCache.set(placeId, {
-                    data: result,
-                    timestamp: Date.now()
-                });
-                resolve(result);
-            } else {
-                reject(new Error(`Place details request failed: ${status}`));
-            }
-        });
+    lists.flat().forEach(place => {
+        if (!allResults.has(place.place_id)) {
+            allResults.set(place.place_id, place);
+        }
     });
+
+    return Array.from(allResults.values());
 };
 
+/**
+ * Combine search pages into one result set
+ * @param {Array} pages - Pages ({ places, nextPageToken })
+ * @returns {Object} - { places, nextPageTokens } with deduplicated places
+ */
+const combinePages = (pages) => ({
+    places: combineResults(pages.map(page => page.places)),
+    nextPageTokens: pages.map(page => page.nextPageToken).filter(Boolean)
+});
+
 /**
  * Search for multiple place types and combine results
- * @param {google.maps.places.PlacesService} service - Places service instance
+ * When some of the searches were served stale from the cache, onRevalidate
+ * (if given) is called with a promise of the combined fresh results.
+ * Individual failures are skipped; if every search fails the first error is thrown.
+ * @param {Object} service - Places provider instance
  * @param {Object} options - Search options with types array
- * @returns {Promise<Array>} - Combined and deduplicated results
+ * @returns {Promise<Object>} - { places, nextPageTokens } with deduplicated places
+ *   and a token for every search that has more pages
  */
 export const searchMultipleTypes = async (service, options) => {
-    const { types, keywords = [], location, radius } = options;
-    const allResults = new Map(); // Use Map to deduplicate by place_id
+    const { types, keywords = [], location, radius, onRevalidate } = options;
+    const failed = (error) => ({ places: [], nextPageToken: null, revalidated: null, error });
 
     // Search by types
-    const typePromises = types.map(type =>
-        searchNearbyPlaces(service, { location, radius, type })
+    const typeRequests = types.map(type =>
+        requestNearbyPlaces(service, { location, radius, type })
             .catch(err => {
                 console.warn(`Search for type "${type}" failed:`, err);
-                return [];
+                return failed(err);
             })
     );
 
     // Search by keywords
-    const keywordPromises = keywords.map(keyword =>
-        textSearchPlaces(service, { query: keyword, location, radius })
+    const keywordRequests = keywords.map(keyword =>
+        requestTextSearch(service, { query: keyword, location, radius })
             .catch(err => {
                 console.warn(`Search for keyword "${keyword}" failed:`, err);
-                return [];
+                return failed(err);
             })
     );
 
-    const results = await Promise.all([...typePromises, ...keywordPromises]);
+    const responses = await Promise.all([...typeRequests, ...keywordRequests]);
 
-    // Combine and deduplicate results
-    results.flat().forEach(place => {
-        if (!allResults.has(place.place_id)) {
-            allResults.set(place.place_id, place);
-        }
-    });
+    // Surface the error (e.g. an exhausted budget) instead of showing no results
+    if (responses.length > 0 && responses.every(response => response.error)) {
+        throw responses[0].error;
+    }
 
-    return Array.from(allResults.values());
+    if (onRevalidate && responses.some(response => response.revalidated)) {
+        onRevalidate(
+            Promise.all(responses.map(({ revalidated, ...page }) =>
+                revalidated ? revalidated.then(fresh => fresh || page) : page
+            )).then(combinePages)
+        );
+    }
+
+    return combinePages(responses);
+};
+
+/**
+ * Fetch the next page of several searches and combine the results
+ * Pages aren't cached. Failed pages are skipped (and their searches end);
+ * if every page fails the first error is thrown.
+ * @param {Object} service - Places provider instance
+ * @param {Object} options - { pageTokens, location } where location is the original search location
+ * @returns {Promise<Object>} - { places, nextPageTokens }
+ */
+export const searchNextPages = async (service, options) => {
+    const { pageTokens, location } = options;
+
+    const responses = await Promise.all(pageTokens.map(pageToken =>
+        scheduleRequest(() => service.nextPage(pageToken))
+            .then(page => withDistancePage(page, location))
+            .catch(err => {
+                console.warn('Loading the next page failed:', err);
+                return { places: [], nextPageToken: null, error: err };
+            })
+    ));
+
+    if (responses.length > 0 && responses.every(response => response.error)) {
+        throw responses[0].error;
+    }
+
+    return combinePages(responses);
 };
 
 /**
@@ -212,10 +257,10 @@ export const searchMultipleTypes = async (service, options) => {
  * @returns {string|null} - Photo URL or null
  */
 export const getPhotoUrl = (photo, maxWidth = 400) => {
-    if (!photo || !photo.getUrl) {
+    if (!photo) {
         return null;
     }
-    return photo.getUrl({ maxWidth });
+    return getProviderPhotoUrl(photo, maxWidth);
 };
 
 /**
@@ -226,7 +271,8 @@ export const getPhotoUrl = (photo, maxWidth = 400) => {
  */
 export const getPlacePhotoUrl = (place, maxWidth = 400) => {
     if (!place.photos || place.photos.length === 0) {
-        return null;
+        // Places restored from storage keep a resolved photo URL instead
+        return place.photo_url || null;
     }
     return getPhotoUrl(place.photos[0], maxWidth);
 };
@@ -234,18 +280,25 @@ export const getPlacePhotoUrl = (place, maxWidth = 400) => {
 /**
  * Format opening hours for display
  * @param {Object} openingHours - Opening hours object
+ * @param {Date} date - Date to evaluate the hours at (defaults to now)
  * @returns {Object} - Formatted opening hours data
  */
-export const formatOpeningHours = (openingHours) => {
+export const formatOpeningHours = (openingHours, date = new Date()) => {
     if (!openingHours) {
-        return { isOpen: null, status: 'Hours not available', periods: [] };
+        return { isOpen: null, status: 'Hours not available', detail: null, isHoliday: false, periods: [] };
     }
 
-    const isOpen = openingHours.open_now;
-    const status = isOpen ? 'Open now' : 'Closed';
     const periods = openingHours.weekday_text || [];
 
-    return { isOpen, status, periods };
+    // Without periods only the provider's open_now flag is available
+    if (!openingHours.periods?.length) {
+        const isOpen = openingHours.open_now ?? null;
+        const status = isOpen === null ? 'Hours not available' : isOpen ? 'Open now' : 'Closed';
+        return { isOpen, status, detail: null, isHoliday: false, periods };
+    }
+
+    const { isOpen, label, detail, isHoliday } = getOpeningStatus(openingHours, date);
+    return { isOpen, status: label, detail, isHoliday, periods };
 };
 
 /**
@@ -298,28 +351,19 @@ export const getPlaceTypeLabel = (types) => {
 };
 
 /**
- * Clear the details cache
+ * Clear cached place details
  */
 export const clearDetailsCache = () => {
-    detailsCache.clear();
-};
-
-/**
- * Create an AutocompleteService instance
- * @returns {google.maps.places.AutocompleteService} - Autocomplete service
- */
-export const createAutocompleteService = () => {
-    const google = getGoogleMapsApi();
-    return new google.maps.places.AutocompleteService();
+    clearCacheKind('details');
 };
 
 /**
  * Get place predictions (autocomplete suggestions)
- * @param {google.maps.places.AutocompleteService} service - Autocomplete service
+ * @param {Object} service - Places provider instance
  * @param {Object} options - Search options
  * @returns {Promise<Array>} - Array of predictions
  */
-export const getPlacePredictions = (service, options) => {
+export const getPlacePredictions = async (service, options) => {
     const {
         input,
         location,
@@ -327,46 +371,21 @@ export const getPlacePredictions = (service, options) => {
         types = ['establishment']
     } = options;
 
-    return new Promise((resolve, reject) => {
-        if (!input || input.trim().length < 2) {
-            resolve([]);
-            return;
-        }
-
-        const google = getGoogleMapsApi();
-
-        const request = {
-            input: input.trim(),
-            types,
-            ...(location ? {
-                location: new google.maps.LatLng(location.lat, location.lng),
-                radius
-            } : {})
-        };
+    if (!input || input.trim().length < 2) {
+        return [];
+    }
 
-        service.getPlacePredictions(request, (predictions, status) => {
-            if (status === google.maps.places.PlacesServiceStatus.OK && predictions) {
-                resolve(predictions.map(p => ({
-                    placeId: p.place_id,
-                    description: p.description,
-                    mainText: p.structured_formatting?.main_text || p.description,
-                    secondaryText: p.structured_formatting?.secondary_text || '',
-                    types: p.types || []
-                })));
-            } else if (status === google.maps.places.PlacesServiceStatus.ZERO_RESULTS) {
-                resolve([]);
-            } else {
-                // Don't reject on errors, just return empty
-                console.warn('Autocomplete error:', status);
-                resolve([]);
-            }
-        });
-    });
+    return scheduleRequest(() => service.getPredictions({
+        input: input.trim(),
+        location,
+        radius,
+        types
+    }));
 };
 
 /**
  * Get place details by place ID and add to results
- * @param {google.maps.places.PlacesService} service - Places service
+ * @param {Object} service - Places provider instance
  * @param {string} placeId - Place ID
  * @param {Object} userLocation - User's location for distance calculation
  * @returns {Promise<Object>} - Place with full details
@@ -393,12 +412,12 @@ export default {
     textSearchPlaces,
     getPlaceDetails,
     searchMultipleTypes,
+    searchNextPages,
     getPhotoUrl,
     getPlacePhotoUrl,
     formatOpeningHours,
     getPlaceTypeLabel,
     clearDetailsCache,
-    createAutocompleteService,
     getPlacePredictions,
     getPlaceByIdWithDetails
 };
@@ -0,0 +1,120 @@
+/**
+ * Places Provider Registry
+ * Selects the backend used for place search, details, autocomplete and photos
+ *
+ * Every provider implements the same interface and returns places in the
+ * Google Places result shape (place_id, name, types, geometry.location.lat()/lng(),
+ * rating, user_ratings_total, price_level, opening_hours, photos, vicinity):
+ *
+ *   nearbySearch({ location, radius, type, keyword }) → Promise<{ places, nextPageToken }>
+ *   textSearch({ query, location, radius })            → Promise<{ places, nextPageToken }>
+ *   nextPage(pageToken)                                → Promise<{ places, nextPageToken }>
+ *   getDetails(placeId)                                → Promise<Object>
+ *   getPredictions({ input, location, radius, types }) → Promise<Array>
+ *   getPhotoUrl(photo, maxWidth)                       → string|null
+ *
+ * nextPageToken is null on the last page. Tokens are only valid for the current
+ * session; unknown tokens reject with INVALID_REQUEST.
+ *
+ * Failed requests reject with an Error whose `status` uses the Google
+ * PlacesServiceStatus names (e.g. OVER_QUERY_LIMIT, UNKNOWN_ERROR) so callers can
+ * decide whether to retry. Metered providers count against the request budgets.
+ */
+
+import { loadGoogleProvider, createGoogleProvider, getGooglePhotoUrl } from './providers/googleProvider';
+import { loadLocalProvider, createLocalProvider, getLocalPhotoUrl } from './providers/localProvider';
+import { loadOverpassProvider, createOverpassProvider, getOverpassPhotoUrl } from './providers/overpassProvider';
+
+// Available providers
+const PROVIDERS = {
+    google: {
+        load: loadGoogleProvider,
+        create: createGoogleProvider,
+        getPhotoUrl: getGooglePhotoUrl,
+        metered: true
+    },
+    local: {
+        load: loadLocalProvider,
+        create: createLocalProvider,
+        getPhotoUrl: getLocalPhotoUrl,
+        metered: false
+    },
+    osm: {
+        load: loadOverpassProvider,
+        create: createOverpassProvider,
+        getPhotoUrl: getOverpassPhotoUrl,
+        metered: true
+    }
+};
+
+const DEFAULT_PROVIDER = 'google';
+
+/**
+ * Get the configured provider name
+ * @returns {string} - Provider name from VITE_PLACES_PROVIDER (defaults to 'google')
+ */
+export const getPlacesProviderName = () => {
+    return (import.meta.env.VITE_PLACES_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+};
+
+/**
+ * Get the configured provider definition
+ * Throws if the configured provider is unknown
+ * @returns {Object} - Provider definition
+ */
+const getProviderDefinition = () => {
+    const name = getPlacesProviderName();
+    const definition = PROVIDERS[name];
+
+    if (!definition) {
+        throw new Error(
+            `Unknown places provider "${name}". ` +
+            `Set VITE_PLACES_PROVIDER to one of: ${Object.keys(PROVIDERS).join(', ')}.`
+        );
+    }
+
+    return definition;
+};
+
+/**
+ * Load whatever the configured provider needs before it can be used
+ * @returns {Promise<void>}
+ */
+export const loadPlacesProvider = async () => {
+    await getProviderDefinition().load();
+};
+
+/**
+ * Create an instance of the configured provider
+ * @param {Object} options - Provider options (e.g. { map })
+ * @returns {Object} - Places provider
+ */
+export const createPlacesProvider = (options = {}) => {
+    return getProviderDefinition().create(options);
+};
+
+/**
+ * Check whether the configured provider's requests count against the budgets
+ * @returns {boolean} - True for providers backed by a shared quota
+ */
+export const isMeteredProvider = () => {
+    return getProviderDefinition().metered;
+};
+
+/**
+ * Resolve a photo URL using the configured provider
+ * @param {Object} photo - Photo object from a place result
+ * @param {number} maxWidth - Maximum width of the image
+ * @returns {string|null} - Photo URL or null
+ */
+export const getProviderPhotoUrl = (photo, maxWidth) => {
+    return getProviderDefinition().getPhotoUrl(photo, maxWidth);
+};
+
+export default {
+    getPlacesProviderName,
+    loadPlacesProvider,
+    createPlacesProvider,
+    isMeteredProvider,
+    getProviderPhotoUrl
+};
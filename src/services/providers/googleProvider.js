@@ -0,0 +1,219 @@
+/**
+ * Google Places Provider
+ * Places provider backed by the Google Maps JavaScript API
+ */
+
+import { loadGoogleMapsApi, getGoogleMapsApi } from '../mapsLoader';
+
+// Fields requested for place details
+const DETAIL_FIELDS = [
+    'place_id',
+    'name',
+    'formatted_address',
+    'formatted_phone_number',
+    'geometry',
+    'opening_hours',
+    'photos',
+    'price_level',
+    'rating',
+    'reviews',
+    'types',
+    'url',
+    'website',
+    'user_ratings_total'
+];
+
+/**
+ * Create an error for a failed Places request
+ * @param {string} message - What failed
+ * @param {string} status - PlacesServiceStatus value
+ * @returns {Error} - Error with a `status` property
+ */
+const createRequestError = (message, status) => {
+    const error = new Error(`${message}: ${status}`);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Load the Google Maps API required by this provider
+ * @returns {Promise<google>} - Google Maps API object
+ */
+export const loadGoogleProvider = () => {
+    return loadGoogleMapsApi();
+};
+
+/**
+ * Get photo URL for a Google place photo
+ * @param {Object} photo - Photo object from place result
+ * @param {number} maxWidth - Maximum width of the image
+ * @returns {string|null} - Photo URL or null
+ */
+export const getGooglePhotoUrl = (photo, maxWidth = 400) => {
+    if (!photo || !photo.getUrl) {
+        return null;
+    }
+    return photo.getUrl({ maxWidth });
+};
+
+/**
+ * Create a Google-backed places provider
+ * @param {Object} options - Provider options
+ * @param {google.maps.Map} options.map - Map instance used for attributions (optional)
+ * @returns {Object} - Places provider
+ */
+export const createGoogleProvider = ({ map = null } = {}) => {
+    const google = getGoogleMapsApi();
+    const { PlacesServiceStatus } = google.maps.places;
+
+    // PlacesService needs a Google map or a container element to render attributions
+    const placesService = new google.maps.places.PlacesService(
+        map instanceof google.maps.Map ? map : document.createElement('div')
+    );
+    let autocompleteService = null;
+
+    const getAutocompleteService = () => {
+        if (!autocompleteService) {
+            autocompleteService = new google.maps.places.AutocompleteService();
+        }
+        return autocompleteService;
+    };
+
+    const toLatLng = (location) => new google.maps.LatLng(location.lat, location.lng);
+
+    // Next-page requests by token. Google's pagination objects only live for
+    // this session and each one continues once, so tokens are spent on use.
+    const pages = new Map();
+    let pageCount = 0;
+
+    /**
+     * Run a paged search
+     * Google calls the same callback again for every further page, so the
+     * callback resolves whichever page request is pending.
+     */
+    const runSearch = (method, request, label) => {
+        return new Promise((resolve, reject) => {
+            let pending = { resolve, reject };
+
+            placesService[method](request, (results, status, pagination) => {
+                if (status === PlacesServiceStatus.OK) {
+                    let nextPageToken = null;
+                    if (pagination?.hasNextPage) {
+                        pageCount += 1;
+                        nextPageToken = `google-page-${pageCount}`;
+                        pages.set(nextPageToken, (next) => {
+                            pending = next;
+                            pagination.nextPage();
+                        });
+                    }
+                    pending.resolve({ places: results, nextPageToken });
+                } else if (status === PlacesServiceStatus.ZERO_RESULTS) {
+                    pending.resolve({ places: [], nextPageToken: null });
+                } else {
+                    pending.reject(createRequestError(`${label} failed`, status));
+                }
+            });
+        });
+    };
+
+    /**
+     * Nearby search around a location
+     */
+    const nearbySearch = ({ location, radius = 2000, type = null, keyword = null }) => {
+        const request = {
+            location: toLatLng(location),
+            radius,
+            ...(type ? { type } : {}),
+            ...(keyword ? { keyword } : {})
+        };
+
+        return runSearch('nearbySearch', request, 'Places search');
+    };
+
+    /**
+     * Free-text search biased to a location
+     */
+    const textSearch = ({ query, location, radius = 2000 }) => {
+        const request = {
+            query,
+            location: toLatLng(location),
+            radius
+        };
+
+        return runSearch('textSearch', request, 'Text search');
+    };
+
+    /**
+     * Next page of a nearby or text search
+     */
+    const nextPage = (pageToken) => {
+        return new Promise((resolve, reject) => {
+            const requestPage = pages.get(pageToken);
+            if (!requestPage) {
+                reject(createRequestError('Next page request failed', 'INVALID_REQUEST'));
+                return;
+            }
+
+            pages.delete(pageToken);
+            requestPage({ resolve, reject });
+        });
+    };
+
+    /**
+     * Full details for a single place
+     */
+    const getDetails = (placeId) => {
+        return new Promise((resolve, reject) => {
+            placesService.getDetails({ placeId, fields: DETAIL_FIELDS }, (result, status) => {
+                if (status === PlacesServiceStatus.OK) {
+                    resolve(result);
+                } else {
+                    reject(createRequestError('Place details request failed', status));
+                }
+            });
+        });
+    };
+
+    /**
+     * Autocomplete predictions for partial input
+     */
+    const getPredictions = ({ input, location = null, radius = 5000, types = ['establishment'] }) => {
+        return new Promise((resolve) => {
+            const request = {
+                input,
+                types,
+                ...(location ? { location: toLatLng(location), radius } : {})
+            };
+
+            getAutocompleteService().getPlacePredictions(request, (predictions, status) => {
+                if (status === PlacesServiceStatus.OK && predictions) {
+                    resolve(predictions.map(p => ({
+                        placeId: p.place_id,
+                        description: p.description,
+                        mainText: p.structured_formatting?.main_text || p.description,
+                        secondaryText: p.structured_formatting?.secondary_text || '',
+                        types: p.types || []
+                    })));
+                } else if (status === PlacesServiceStatus.ZERO_RESULTS) {
+                    resolve([]);
+                } else {
+                    // Don't reject on errors, just return empty
+                    console.warn('Autocomplete error:', status);
+                    resolve([]);
+                }
+            });
+        });
+    };
+
+    return {
+        name: 'google',
+        nearbySearch,
+        textSearch,
+        nextPage,
+        getDetails,
+        getPredictions,
+        getPhotoUrl: getGooglePhotoUrl
+    };
+};
+
+export default createGoogleProvider;
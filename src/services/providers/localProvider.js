@@ -0,0 +1,212 @@
+/**
+ * Local Places Provider
+ * Offline provider that serves deterministic places from a JSON fixture
+ *
+ * Fixture coordinates are stored relative to the fixture's `center` and are
+ * re-anchored on every search location, so the same set of places shows up
+ * around wherever the app is being run. Each place remembers the location it
+ * was last found around, so details match the result they were opened from.
+ */
+
+import fixtureData from './fixtures/places.json';
+import { calculateDistance } from '../../utils/distance';
+import { isOpenAt } from '../../utils/openingHours';
+
+// Small enough that paging shows up with the fixture set (Google pages hold 20)
+const PAGE_SIZE = 5;
+
+/**
+ * Resolve immediately - the local provider has nothing to load
+ * @returns {Promise<void>}
+ */
+export const loadLocalProvider = () => Promise.resolve();
+
+/**
+ * Get photo URL for a fixture photo
+ * @param {Object} photo - Photo object ({ url })
+ * @returns {string|null} - Photo URL or null
+ */
+export const getLocalPhotoUrl = (photo) => {
+    return photo?.url || null;
+};
+
+/**
+ * Create a LatLng-like object matching the Google Maps API shape
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object} - Object with lat() and lng() accessors
+ */
+const createLatLng = (lat, lng) => ({
+    lat: () => lat,
+    lng: () => lng,
+    toJSON: () => ({ lat, lng })
+});
+
+/**
+ * Build a lowercase haystack used for text and keyword matching
+ * @param {Object} place - Fixture place
+ * @returns {string} - Searchable text
+ */
+const getSearchText = (place) => [
+    place.name,
+    place.vicinity,
+    ...(place.types || []).map(type => type.replace(/_/g, ' ')),
+    ...(place.keywords || [])
+].join(' ').toLowerCase();
+
+/**
+ * Check if a fixture place matches a free-text query
+ * @param {Object} place - Fixture place
+ * @param {string} query - Query text
+ * @returns {boolean} - True if every meaningful word matches
+ */
+const matchesQuery = (place, query) => {
+    const text = getSearchText(place);
+    const normalizedQuery = query.toLowerCase().trim();
+
+    if (text.includes(normalizedQuery)) {
+        return true;
+    }
+
+    const words = normalizedQuery.split(/\s+/).filter(word => word.length > 2);
+    return words.length > 0 && words.every(word => text.includes(word));
+};
+
+/**
+ * Create a fixture-backed places provider
+ * @param {Object} options - Provider options
+ * @param {Object} options.fixtures - Fixture data ({ center, places })
+ * @param {Function} options.now - Clock used to compute open_now
+ * @param {number} options.pageSize - Results per page
+ * @returns {Object} - Places provider
+ */
+export const createLocalProvider = ({ fixtures = fixtureData, now = () => new Date(), pageSize = PAGE_SIZE } = {}) => {
+    const { center, places: fixturePlaces } = fixtures;
+
+    // Remaining results by next-page token, deleted once the page is read
+    const pages = new Map();
+    let pageCount = 0;
+
+    // Search location each place was last found around, by place ID
+    const anchors = new Map();
+
+    /**
+     * Convert a fixture entry into a Google-shaped place around an anchor
+     */
+    const hydratePlace = (place, anchor) => {
+        anchors.set(place.place_id, anchor);
+
+        const lat = anchor.lat + (place.location.lat - center.lat);
+        const lng = anchor.lng + (place.location.lng - center.lng);
+        const openingHours = place.opening_hours
+            ? {
+                ...place.opening_hours,
+                open_now: isOpenAt(place.opening_hours.periods || [], now(), {
+                    holidayPeriods: place.opening_hours.holiday_periods
+                })
+            }
+            : undefined;
+
+        return {
+            ...place,
+            geometry: { location: createLatLng(lat, lng) },
+            opening_hours: openingHours,
+            photos: place.photos || []
+        };
+    };
+
+    const withinRadius = (place, location, radius) => {
+        const position = {
+            lat: place.geometry.location.lat(),
+            lng: place.geometry.location.lng()
+        };
+        return calculateDistance(location, position) <= radius;
+    };
+
+    /**
+     * Split results into the first page and a token for the rest
+     */
+    const toPage = (results) => {
+        let nextPageToken = null;
+        if (results.length > pageSize) {
+            pageCount += 1;
+            nextPageToken = `local-page-${pageCount}`;
+            pages.set(nextPageToken, results.slice(pageSize));
+        }
+        return { places: results.slice(0, pageSize), nextPageToken };
+    };
+
+    /**
+     * Nearby search around a location
+     */
+    const nearbySearch = async ({ location, radius = 2000, type = null, keyword = null }) => {
+        return toPage(fixturePlaces
+            .filter(place => !type || place.types.includes(type))
+            .filter(place => !keyword || matchesQuery(place, keyword))
+            .map(place => hydratePlace(place, location))
+            .filter(place => withinRadius(place, location, radius)));
+    };
+
+    /**
+     * Free-text search biased to a location
+     */
+    const textSearch = async ({ query, location, radius = 2000 }) => {
+        return toPage(fixturePlaces
+            .filter(place => matchesQuery(place, query))
+            .map(place => hydratePlace(place, location))
+            .filter(place => withinRadius(place, location, radius)));
+    };
+
+    /**
+     * Next page of a nearby or text search
+     */
+    const nextPage = async (pageToken) => {
+        const remaining = pages.get(pageToken);
+        if (!remaining) {
+            throw new Error('Next page request failed: INVALID_REQUEST');
+        }
+        pages.delete(pageToken);
+        return toPage(remaining);
+    };
+
+    /**
+     * Full details for a single place
+     */
+    const getDetails = async (placeId) => {
+        const place = fixturePlaces.find(p => p.place_id === placeId);
+        if (!place) {
+            throw new Error('Place details request failed: NOT_FOUND');
+        }
+        // Places not found by a search yet sit around the fixture's center
+        return hydratePlace(place, anchors.get(placeId) || center);
+    };
+
+    /**
+     * Autocomplete predictions for partial input
+     */
+    const getPredictions = async ({ input }) => {
+        const normalizedInput = input.toLowerCase();
+
+        return fixturePlaces
+            .filter(place => place.name.toLowerCase().includes(normalizedInput))
+            .map(place => ({
+                placeId: place.place_id,
+                description: `${place.name}, ${place.vicinity}`,
+                mainText: place.name,
+                secondaryText: place.vicinity || '',
+                types: place.types
+            }));
+    };
+
+    return {
+        name: 'local',
+        nearbySearch,
+        textSearch,
+        nextPage,
+        getDetails,
+        getPredictions,
+        getPhotoUrl: getLocalPhotoUrl
+    };
+};
+
+export default createLocalProvider;
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { createLocalProvider } from './localProvider';
+import fixtures from './fixtures/places.json';
+
+const CENTER = fixtures.center;
+const ELSEWHERE = { lat: 51.5074, lng: -0.1278 };
+const NOON_MONDAY = new Date(2026, 0, 5, 12, 0);
+
+const createProvider = () => createLocalProvider({ now: () => NOON_MONDAY });
+
+const toLatLng = (place) => ({
+    lat: place.geometry.location.lat(),
+    lng: place.geometry.location.lng()
+});
+
+describe('local provider', () => {
+    it('finds places by type around the search location', async () => {
+        const provider = createProvider();
+        const { places } = await provider.nearbySearch({ location: CENTER, radius: 5000, type: 'cafe' });
+
+        expect(places.length).toBeGreaterThan(0);
+        expect(places.every(place => place.types.includes('cafe'))).toBe(true);
+    });
+
+    it('matches text searches against names and keywords', async () => {
+        const provider = createProvider();
+        const { places } = await provider.textSearch({ query: 'espresso', location: CENTER, radius: 5000 });
+
+        expect(places.map(place => place.place_id)).toContain('local-grindstone-coffee-roasters');
+    });
+
+    it('moves the fixtures to wherever the search is', async () => {
+        const provider = createProvider();
+        const { places } = await provider.textSearch({ query: 'Grindstone', location: ELSEWHERE, radius: 5000 });
+
+        const fixture = fixtures.places.find(place => place.place_id === 'local-grindstone-coffee-roasters');
+        expect(toLatLng(places[0]).lat).toBeCloseTo(ELSEWHERE.lat + (fixture.location.lat - CENTER.lat), 6);
+        expect(toLatLng(places[0]).lng).toBeCloseTo(ELSEWHERE.lng + (fixture.location.lng - CENTER.lng), 6);
+    });
+
+    it('returns details where the place was found, not where the last search was', async () => {
+        const provider = createProvider();
+        const { places } = await provider.textSearch({ query: 'Grindstone', location: ELSEWHERE, radius: 5000 });
+        await provider.nearbySearch({ location: CENTER, radius: 5000, type: 'bar' });
+
+        const details = await provider.getDetails('local-grindstone-coffee-roasters');
+        expect(toLatLng(details)).toEqual(toLatLng(places[0]));
+    });
+
+    it('places details of unsearched places around the fixture center', async () => {
+        const provider = createProvider();
+        const details = await provider.getDetails('local-grindstone-coffee-roasters');
+
+        const fixture = fixtures.places.find(place => place.place_id === 'local-grindstone-coffee-roasters');
+        expect(toLatLng(details)).toEqual(fixture.location);
+        expect(details.opening_hours.open_now).toBe(true);
+    });
+
+    it('rejects details of unknown places', async () => {
+        await expect(createProvider().getDetails('local-missing')).rejects.toThrow('NOT_FOUND');
+    });
+
+    it('pages through results', async () => {
+        const provider = createLocalProvider({ pageSize: 3 });
+        const all = fixtures.places.filter(place => place.types.includes('food'));
+
+        const first = await provider.nearbySearch({ location: CENTER, radius: 50000, type: 'food' });
+        expect(first.places).toHaveLength(3);
+        expect(first.nextPageToken).toBeTruthy();
+
+        const seen = [...first.places];
+        let token = first.nextPageToken;
+        while (token) {
+            const page = await provider.nextPage(token);
+            seen.push(...page.places);
+            token = page.nextPageToken;
+        }
+
+        expect(seen.map(place => place.place_id).sort()).toEqual(all.map(place => place.place_id).sort());
+    });
+
+    it('spends page tokens once their page is read', async () => {
+        const provider = createLocalProvider({ pageSize: 3 });
+        const { nextPageToken } = await provider.nearbySearch({ location: CENTER, radius: 50000, type: 'food' });
+
+        await provider.nextPage(nextPageToken);
+        await expect(provider.nextPage(nextPageToken)).rejects.toThrow('INVALID_REQUEST');
+    });
+
+    it('rejects unknown page tokens', async () => {
+        await expect(createProvider().nextPage('local-page-404')).rejects.toThrow('INVALID_REQUEST');
+    });
+});
@@ -0,0 +1,385 @@
+/**
+ * OpenStreetMap Places Provider
+ * Places provider backed by an Overpass-compatible API endpoint
+ *
+ * OSM elements are normalized into the Google Places result shape so the rest
+ * of the app (PlaceCard, filterSort, Map) works unchanged. OSM has no ratings,
+ * review counts or price levels, so those fields are left undefined.
+ */
+
+import { parseOsmSchedule, isOpenAt, formatWeekdayText } from '../../utils/openingHours';
+
+const DEFAULT_ENDPOINT = 'https://overpass-api.de/api/interpreter';
+const QUERY_TIMEOUT = 25; // seconds, passed to Overpass
+const MAX_RESULTS = 60;
+const MAX_PREDICTIONS = 5;
+const MIN_TERM_LENGTH = 3; // Shorter words ("a", "to") match too many names
+
+// Google place type → OSM tag filters
+const TYPE_TAGS = {
+    cafe: [['amenity', 'cafe']],
+    restaurant: [['amenity', 'restaurant']],
+    bar: [['amenity', 'bar'], ['amenity', 'pub']],
+    night_club: [['amenity', 'nightclub']],
+    bakery: [['shop', 'bakery'], ['amenity', 'ice_cream']],
+    meal_takeaway: [['amenity', 'fast_food']],
+    library: [['amenity', 'library']],
+    park: [['leisure', 'park'], ['leisure', 'garden']],
+    gym: [['leisure', 'fitness_centre'], ['leisure', 'sports_centre']],
+    spa: [['leisure', 'spa'], ['shop', 'massage']],
+    beauty_salon: [['shop', 'beauty'], ['shop', 'hairdresser']],
+    museum: [['tourism', 'museum']],
+    art_gallery: [['tourism', 'gallery'], ['shop', 'art']],
+    movie_theater: [['amenity', 'cinema']],
+    bowling_alley: [['leisure', 'bowling_alley']],
+    amusement_park: [['tourism', 'theme_park'], ['leisure', 'amusement_arcade']],
+    zoo: [['tourism', 'zoo']],
+    aquarium: [['tourism', 'aquarium']],
+    casino: [['amenity', 'casino']],
+    campground: [['tourism', 'camp_site']],
+    natural_feature: [['natural', 'beach'], ['natural', 'peak'], ['leisure', 'nature_reserve']],
+    shopping_mall: [['shop', 'mall']],
+    department_store: [['shop', 'department_store']],
+    clothing_store: [['shop', 'clothes']],
+    supermarket: [['shop', 'supermarket']],
+    grocery_or_supermarket: [['shop', 'supermarket'], ['shop', 'greengrocer'], ['shop', 'convenience']],
+    gas_station: [['amenity', 'fuel']],
+    atm: [['amenity', 'atm']],
+    bank: [['amenity', 'bank']],
+    pharmacy: [['amenity', 'pharmacy']],
+    drugstore: [['shop', 'chemist']],
+    hotel: [['tourism', 'hotel']]
+};
+
+/**
+ * Get the configured Overpass endpoint
+ * @returns {string} - Endpoint URL from VITE_OVERPASS_URL or the public instance
+ */
+const getEndpoint = () => {
+    return import.meta.env.VITE_OVERPASS_URL || DEFAULT_ENDPOINT;
+};
+
+/**
+ * Resolve immediately - the Overpass provider has nothing to load
+ * @returns {Promise<void>}
+ */
+export const loadOverpassProvider = () => Promise.resolve();
+
+/**
+ * Get photo URL for an OSM photo (from the `image` tag)
+ * @param {Object} photo - Photo object ({ url })
+ * @returns {string|null} - Photo URL or null
+ */
+export const getOverpassPhotoUrl = (photo) => {
+    return photo?.url || null;
+};
+
+/**
+ * Escape a string for use inside an Overpass QL quoted regex
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeRegex = (value) => {
+    return value
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/"/g, '\\"');
+};
+
+/**
+ * Split search text into the words matched against names and tags
+ * Multi-word mood keywords ("quiet cafe", "study spot") rarely appear whole in
+ * a name, so each word is matched on its own
+ * @param {string} text - Search text
+ * @returns {Array} - Lowercase terms; the whole text if no word is long enough
+ */
+const getSearchTerms = (text) => {
+    const normalized = text.toLowerCase().trim();
+    const terms = normalized.split(/\s+/).filter(term => term.length >= MIN_TERM_LENGTH);
+    return terms.length > 0 ? [...new Set(terms)] : [normalized];
+};
+
+/**
+ * Get the OSM tag filters a search term names, e.g. "cafe" → amenity=cafe
+ * Terms match Google types ("gym") and OSM tag values, singular or plural ("parks")
+ * @param {Array} terms - Search terms
+ * @returns {Array} - Unique [key, value] pairs
+ */
+const getTermTags = (terms) => {
+    const singular = terms.map(term => term.replace(/s$/, ''));
+    const tags = Object.entries(TYPE_TAGS).flatMap(([type, tagFilters]) => {
+        if (terms.includes(type) || singular.includes(type)) return tagFilters;
+        return tagFilters.filter(([, value]) => terms.includes(value) || singular.includes(value));
+    });
+    return [...new Map(tags.map(tag => [tag.join('='), tag])).values()];
+};
+
+/**
+ * Create an error for a failed request
+ * @param {string} message - Error message
+ * @param {string} status - PlacesServiceStatus-style status
+ * @returns {Error} - Error with a `status` property
+ */
+const createRequestError = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Build an Overpass QL query
+ * @param {Array} filters - Tag filter strings, one statement per filter
+ * @param {string} area - Area clause, e.g. '(around:2000,40.7,-74.0)'
+ * @param {number} limit - Maximum number of elements
+ * @returns {string} - Overpass QL
+ */
+const buildQuery = (filters, area, limit = MAX_RESULTS) => {
+    const statements = filters.map(filter => `  nwr${filter}${area};`).join('\n');
+    return `[out:json][timeout:${QUERY_TIMEOUT}];\n(\n${statements}\n);\nout center tags ${limit};`;
+};
+
+/**
+ * Get the Google place types matching an element's OSM tags
+ * @param {Object} tags - OSM tags
+ * @returns {Array} - Place types
+ */
+const getTypesForTags = (tags) => {
+    const types = Object.entries(TYPE_TAGS)
+        .filter(([, tagFilters]) => tagFilters.some(([key, value]) => tags[key] === value))
+        .map(([type]) => type);
+
+    // Cafes, restaurants and takeaways are food, like in Google results
+    if (types.some(type => ['cafe', 'restaurant', 'bakery', 'meal_takeaway'].includes(type))) {
+        types.push('food');
+    }
+
+    return [...types, 'point_of_interest', 'establishment'];
+};
+
+/**
+ * Build address strings from OSM addr:* tags
+ * @param {Object} tags - OSM tags
+ * @returns {Object} - { vicinity, formatted }
+ */
+const getAddress = (tags) => {
+    const street = [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' ');
+    const city = tags['addr:city'] || '';
+    const locality = [city, tags['addr:postcode']].filter(Boolean).join(' ');
+
+    return {
+        vicinity: [street, city].filter(Boolean).join(', ') || undefined,
+        formatted: [street, locality].filter(Boolean).join(', ') || undefined
+    };
+};
+
+/**
+ * Normalize OSM opening_hours into the Google opening_hours shape
+ * @param {string} value - OSM opening_hours tag
+ * @returns {Object|undefined} - { open_now, periods, holiday_periods, weekday_text }
+ */
+const getOpeningHours = (value) => {
+    const schedule = parseOsmSchedule(value);
+    if (!schedule) {
+        return undefined;
+    }
+
+    const { periods, holidayPeriods } = schedule;
+
+    return {
+        open_now: isOpenAt(periods, new Date(), { holidayPeriods }),
+        periods,
+        ...(holidayPeriods ? { holiday_periods: holidayPeriods } : {}),
+        weekday_text: formatWeekdayText(periods)
+    };
+};
+
+/**
+ * Convert an Overpass element into a Google-shaped place
+ * @param {Object} element - Overpass element
+ * @returns {Object|null} - Place or null if it has no name or position
+ */
+export const normalizeOsmElement = (element) => {
+    const tags = element.tags || {};
+    const lat = element.lat ?? element.center?.lat;
+    const lng = element.lon ?? element.center?.lon;
+
+    if (!tags.name || lat === undefined || lng === undefined) {
+        return null;
+    }
+
+    const address = getAddress(tags);
+
+    return {
+        place_id: `osm-${element.type}-${element.id}`,
+        name: tags.name,
+        types: getTypesForTags(tags),
+        geometry: {
+            location: {
+                lat: () => lat,
+                lng: () => lng,
+                toJSON: () => ({ lat, lng })
+            }
+        },
+        vicinity: address.vicinity,
+        formatted_address: address.formatted,
+        formatted_phone_number: tags.phone || tags['contact:phone'],
+        website: tags.website || tags['contact:website'],
+        url: `https://www.openstreetmap.org/${element.type}/${element.id}`,
+        opening_hours: getOpeningHours(tags.opening_hours),
+        photos: tags.image?.startsWith('http') ? [{ url: tags.image }] : [],
+        cuisine: tags.cuisine
+    };
+};
+
+/**
+ * Create an Overpass-backed places provider
+ * @param {Object} options - Provider options
+ * @param {string} options.endpoint - Overpass endpoint URL
+ * @param {Function} options.fetch - Fetch implementation
+ * @returns {Object} - Places provider
+ */
+export const createOverpassProvider = ({ endpoint = getEndpoint(), fetch: fetchFn = (...args) => window.fetch(...args) } = {}) => {
+    // Places seen in search results, so details don't need another round-trip
+    const knownPlaces = new Map();
+
+    /**
+     * Run an Overpass query and return normalized places
+     */
+    const runQuery = async (query, label) => {
+        const response = await fetchFn(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: `data=${encodeURIComponent(query)}`
+        });
+
+        if (!response.ok) {
+            // Overpass answers 429 when rate limited and 504 when overloaded
+            let status = 'INVALID_REQUEST';
+            if (response.status === 429) {
+                status = 'OVER_QUERY_LIMIT';
+            } else if (response.status >= 500) {
+                status = 'UNKNOWN_ERROR';
+            }
+            throw createRequestError(`${label} failed: ${response.status}`, status);
+        }
+
+        const data = await response.json();
+        const places = (data.elements || [])
+            .map(normalizeOsmElement)
+            .filter(Boolean);
+
+        places.forEach(place => knownPlaces.set(place.place_id, place));
+        return places;
+    };
+
+    const around = (location, radius) => `(around:${Math.round(radius)},${location.lat},${location.lng})`;
+
+    const nameFilter = (text) => `["name"~"${escapeRegex(text.trim())}",i]`;
+
+    // Any of the terms, as a regex alternation
+    const termsPattern = (terms) => terms.map(escapeRegex).join('|');
+
+    /**
+     * Nearby search around a location
+     */
+    const nearbySearch = async ({ location, radius = 2000, type = null, keyword = null }) => {
+        const tagFilters = type ? TYPE_TAGS[type] : null;
+
+        // Unknown Google types have no OSM equivalent
+        if (type && !tagFilters) {
+            return { places: [], nextPageToken: null };
+        }
+
+        const keywordFilter = keyword ? `["name"~"${termsPattern(getSearchTerms(keyword))}",i]` : '';
+        const filters = tagFilters
+            ? tagFilters.map(([key, value]) => `["${key}"="${value}"]${keywordFilter}`)
+            : [keywordFilter || '["amenity"]'];
+
+        const places = await runQuery(buildQuery(filters, around(location, radius)), 'Places search');
+        return { places, nextPageToken: null };
+    };
+
+    /**
+     * Free-text search biased to a location
+     * Matches each word of the query against names and cuisines, and words
+     * naming a kind of place ("cafe", "park") against its tags
+     */
+    const textSearch = async ({ query, location, radius = 2000 }) => {
+        const terms = getSearchTerms(query);
+        const pattern = termsPattern(terms);
+        const filters = [
+            `["name"~"${pattern}",i]`,
+            `["cuisine"~"${pattern}",i]`,
+            ...getTermTags(terms).map(([key, value]) => `["${key}"="${value}"]`)
+        ];
+
+        const places = await runQuery(buildQuery(filters, around(location, radius)), 'Text search');
+        return { places, nextPageToken: null };
+    };
+
+    /**
+     * Overpass returns every match in one response, so there are no further pages
+     */
+    const nextPage = async () => {
+        throw createRequestError('Next page request failed: INVALID_REQUEST', 'INVALID_REQUEST');
+    };
+
+    /**
+     * Full details for a single place
+     */
+    const getDetails = async (placeId) => {
+        if (knownPlaces.has(placeId)) {
+            return knownPlaces.get(placeId);
+        }
+
+        const match = /^osm-(node|way|relation)-(\d+)$/.exec(placeId);
+        if (!match) {
+            throw createRequestError('Place details request failed: INVALID_REQUEST', 'INVALID_REQUEST');
+        }
+
+        const query = `[out:json][timeout:${QUERY_TIMEOUT}];\n${match[1]}(${match[2]});\nout center tags;`;
+        const [place] = await runQuery(query, 'Place details request');
+
+        if (!place) {
+            throw createRequestError('Place details request failed: NOT_FOUND', 'NOT_FOUND');
+        }
+        return place;
+    };
+
+    /**
+     * Autocomplete predictions for partial input
+     */
+    const getPredictions = async ({ input, location = null, radius = 5000 }) => {
+        if (!location) {
+            return [];
+        }
+
+        try {
+            const query = buildQuery([nameFilter(input)], around(location, radius), MAX_PREDICTIONS);
+            const places = await runQuery(query, 'Autocomplete');
+
+            return places.map(place => ({
+                placeId: place.place_id,
+                description: [place.name, place.vicinity].filter(Boolean).join(', '),
+                mainText: place.name,
+                secondaryText: place.vicinity || '',
+                types: place.types
+            }));
+        } catch (err) {
+            // Don't reject on errors, just return empty
+            console.warn('Autocomplete error:', err);
+            return [];
+        }
+    };
+
+    return {
+        name: 'osm',
+        nearbySearch,
+        textSearch,
+        nextPage,
+        getDetails,
+        getPredictions,
+        getPhotoUrl: getOverpassPhotoUrl
+    };
+};
+
+export default createOverpassProvider;
@@ -0,0 +1,149 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createOverpassProvider } from './overpassProvider';
+import { calculateDistance } from '../../utils/distance';
+import fixtures from './fixtures/overpass.json';
+
+const CENTER = { lat: 40.7128, lng: -74.0060 };
+
+const STATEMENT = /^\s*nwr((?:\[[^\]]*\])*)\(around:(\d+),([-\d.]+),([-\d.]+)\);/gm;
+const FILTER = /\["([^"]+)"(?:(=|~)"((?:[^"\\]|\\.)*)"(,i)?)?\]/g;
+
+/**
+ * Stand-in for an Overpass endpoint: evaluates the subset of Overpass QL the
+ * provider writes (tag filters within a radius, lookups by ID, result limits)
+ * against the fixture elements
+ */
+const createStandIn = ({ elements = fixtures.elements, status = 200 } = {}) => {
+    const queries = [];
+
+    const fetch = vi.fn(async (url, { body }) => {
+        const query = decodeURIComponent(body.replace(/^data=/, ''));
+        queries.push(query);
+
+        if (status !== 200) {
+            return { ok: false, status, json: async () => ({}) };
+        }
+
+        const matchesFilters = (element, filters) => [...filters.matchAll(FILTER)].every(([, key, op, value, flags]) => {
+            const tag = element.tags?.[key];
+            if (!op) return tag !== undefined;
+            if (op === '=') return tag === value;
+            return tag !== undefined && new RegExp(value.replace(/\\"/g, '"'), flags ? 'i' : '').test(tag);
+        });
+
+        let matches;
+        const lookup = /^(node|way|relation)\((\d+)\);/m.exec(query);
+        if (lookup) {
+            matches = elements.filter(element => element.type === lookup[1] && element.id === Number(lookup[2]));
+        } else {
+            const found = new Map();
+            for (const [, filters, radius, lat, lng] of query.matchAll(STATEMENT)) {
+                elements
+                    .filter(element => matchesFilters(element, filters))
+                    .filter(element => calculateDistance(
+                        { lat: Number(lat), lng: Number(lng) },
+                        { lat: element.lat ?? element.center.lat, lng: element.lon ?? element.center.lon }
+                    ) <= Number(radius))
+                    .forEach(element => found.set(`${element.type}/${element.id}`, element));
+            }
+            matches = [...found.values()];
+        }
+
+        const limit = /out center tags (\d+);/.exec(query);
+        return {
+            ok: true,
+            status: 200,
+            json: async () => ({ elements: limit ? matches.slice(0, Number(limit[1])) : matches })
+        };
+    });
+
+    return { fetch, queries };
+};
+
+const names = (places) => places.map(place => place.name).sort();
+
+describe('overpass provider', () => {
+    it('finds places of a type within the radius', async () => {
+        const standIn = createStandIn();
+        const provider = createOverpassProvider({ endpoint: 'http://overpass.test/api', fetch: standIn.fetch });
+
+        const { places, nextPageToken } = await provider.nearbySearch({ location: CENTER, radius: 2000, type: 'cafe' });
+
+        expect(names(places)).toEqual(['Daily Grind']);
+        expect(nextPageToken).toBeNull();
+        expect(standIn.fetch).toHaveBeenCalledWith('http://overpass.test/api', expect.objectContaining({ method: 'POST' }));
+    });
+
+    it('normalizes elements into the Google place shape', async () => {
+        const standIn = createStandIn();
+        const provider = createOverpassProvider({ fetch: standIn.fetch });
+
+        const { places } = await provider.nearbySearch({ location: CENTER, radius: 2000, type: 'park' });
+        const [park] = places;
+
+        expect(park.place_id).toBe('osm-way-2001');
+        expect(park.types).toContain('park');
+        expect(park.geometry.location.lat()).toBe(40.7155);
+        expect(park.geometry.location.lng()).toBe(-74.0031);
+    });
+
+    it('matches multi-word mood keywords word by word', async () => {
+        const standIn = createStandIn();
+        const provider = createOverpassProvider({ fetch: standIn.fetch });
+
+        const { places } = await provider.textSearch({ query: 'quiet cafe', location: CENTER, radius: 2000 });
+
+        // "Quiet" in a name, and "cafe" as a kind of place
+        expect(names(places)).toEqual(['Daily Grind', 'Quiet Corner Reading Room']);
+    });
+
+    it('matches cuisines and plural kinds of places', async () => {
+        const standIn = createStandIn();
+        const provider = createOverpassProvider({ fetch: standIn.fetch });
+
+        expect(names((await provider.textSearch({ query: 'sushi', location: CENTER })).places)).toEqual(['Nori House']);
+        expect(names((await provider.textSearch({ query: 'parks', location: CENTER })).places)).toEqual(['Harbor Green']);
+    });
+
+    it('serves details of searched places without another request', async () => {
+        const standIn = createStandIn();
+        const provider = createOverpassProvider({ fetch: standIn.fetch });
+
+        await provider.nearbySearch({ location: CENTER, radius: 2000, type: 'cafe' });
+        const details = await provider.getDetails('osm-node-1001');
+
+        expect(standIn.fetch).toHaveBeenCalledTimes(1);
+        expect(details.website).toBe('https://dailygrind.example');
+        expect(details.formatted_address).toBe('12 Water Street, New York');
+        expect(details.opening_hours.weekday_text).toHaveLength(7);
+    });
+
+    it('looks up details of other places by element ID', async () => {
+        const standIn = createStandIn();
+        const provider = createOverpassProvider({ fetch: standIn.fetch });
+
+        const details = await provider.getDetails('osm-node-1003');
+
+        expect(details.name).toBe('Nori House');
+        expect(standIn.queries[0]).toContain('node(1003);');
+        await expect(provider.getDetails('osm-node-9999')).rejects.toThrow('NOT_FOUND');
+        await expect(provider.getDetails('local-cafe')).rejects.toThrow('INVALID_REQUEST');
+    });
+
+    it('returns every match in one page', async () => {
+        const standIn = createStandIn();
+        const provider = createOverpassProvider({ fetch: standIn.fetch });
+
+        const { nextPageToken } = await provider.textSearch({ query: 'cafe', location: CENTER });
+
+        expect(nextPageToken).toBeNull();
+        await expect(provider.nextPage('osm-page-1')).rejects.toThrow('INVALID_REQUEST');
+    });
+
+    it('reports rate limiting so requests can be retried', async () => {
+        const provider = createOverpassProvider({ fetch: createStandIn({ status: 429 }).fetch });
+
+        await expect(provider.nearbySearch({ location: CENTER, type: 'cafe' }))
+            .rejects.toMatchObject({ status: 'OVER_QUERY_LIMIT' });
+    });
+});
@@ -0,0 +1,271 @@
+/**
+ * Ranking Profiles Service
+ * How much each factor counts towards Best Match sorting: built-in profiles
+ * ("Balanced", "Close by", ...) plus the user's own, and the profile in use,
+ * persisted in localStorage
+ *
+ * Profile records:
+ *   { id, label, icon, weights: { mood, rating, popularity, distance, open },
+ *     builtIn, edited }
+ * Each weight is the most points its factor adds to a place's score (see
+ * getMatchBreakdown in utils/filterSort.js). Popularity may be negative, which
+ * favors places fewer people have reviewed.
+ *
+ * Editing a built-in profile stores the edited copy under the same id;
+ * deleting one restores its weights. Sorting reads the weights synchronously,
+ * which is why they live in localStorage rather than IndexedDB.
+ */
+
+import { RANKING } from '../utils/constants';
+
+const STORAGE_KEY = 'placepulse-ranking';
+
+export const DEFAULT_ICON = '🎚️';
+export const DEFAULT_PROFILE_ID = 'balanced';
+
+const MAX_LABEL_LENGTH = 30;
+
+// Factors a profile weighs, in display order
+export const RANKING_FACTORS = [
+    { id: 'mood', label: 'Mood fit', description: 'How well the place suits your search', min: 0 },
+    { id: 'rating', label: 'Rating', description: 'Star rating', min: 0 },
+    {
+        id: 'popularity',
+        label: 'Popularity',
+        description: 'Number of reviews; below zero favors lesser-known places',
+        min: -RANKING.MAX_WEIGHT
+    },
+    { id: 'distance', label: 'Distance', description: 'Closer places score higher', min: 0 },
+    { id: 'open', label: 'Open now', description: 'Places open right now', min: 0 }
+];
+
+// Built-in profiles; "balanced" is the original Best Match ranking
+const BUILT_IN_PROFILES = [
+    {
+        id: DEFAULT_PROFILE_ID,
+        label: 'Balanced',
+        icon: '⚖️',
+        weights: { mood: 30, rating: 25, popularity: 15, distance: 20, open: 10 }
+    },
+    {
+        id: 'nearby',
+        label: 'I care about distance',
+        icon: '📍',
+        weights: { mood: 20, rating: 10, popularity: 5, distance: 50, open: 15 }
+    },
+    {
+        id: 'quality',
+        label: 'I care about quality',
+        icon: '⭐',
+        weights: { mood: 25, rating: 45, popularity: 25, distance: 5, open: 5 }
+    },
+    {
+        id: 'gems',
+        label: 'Hidden gems',
+        icon: '💎',
+        weights: { mood: 30, rating: 40, popularity: -20, distance: 10, open: 5 }
+    }
+];
+
+// Fallback when localStorage is unavailable (e.g. private mode)
+let memoryState = { profiles: [], activeId: DEFAULT_PROFILE_ID };
+let profiles = null;
+const listeners = new Set();
+
+/**
+ * Create a unique ID
+ * @returns {string} - ID
+ */
+const createId = () => {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Check if localStorage is available
+ * @returns {boolean} - False outside the browser, where profiles only live in memory
+ */
+const hasStorage = () => {
+    return typeof localStorage !== 'undefined';
+};
+
+/**
+ * Read the user's profiles and the profile in use
+ * @returns {Object} - { profiles, activeId }
+ */
+const readState = () => {
+    if (!hasStorage()) return memoryState;
+
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored) {
+            return {
+                profiles: Array.isArray(stored.profiles) ? stored.profiles : [],
+                activeId: typeof stored.activeId === 'string' ? stored.activeId : DEFAULT_PROFILE_ID
+            };
+        }
+    } catch (err) {
+        console.warn('Failed to read ranking profiles:', err);
+    }
+    return memoryState;
+};
+
+/**
+ * Persist the user's profiles and notify listeners
+ * @param {Object} state - { profiles, activeId }
+ */
+const writeState = (state) => {
+    memoryState = state;
+    if (hasStorage()) {
+        try {
+            if (state.profiles.length === 0 && state.activeId === DEFAULT_PROFILE_ID) {
+                localStorage.removeItem(STORAGE_KEY);
+            } else {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+            }
+        } catch (err) {
+            console.warn('Failed to save ranking profiles:', err);
+        }
+    }
+
+    profiles = null;
+    listeners.forEach(listener => listener());
+};
+
+/**
+ * Check and clean profile weights
+ * @param {Object} weights - Weight per factor id
+ * @returns {Object} - Weight per factor, rounded and within its slider's range
+ */
+const cleanWeights = (weights = {}) => {
+    return Object.fromEntries(RANKING_FACTORS.map(factor => {
+        const weight = Math.round(Number(weights[factor.id]));
+        return [factor.id, Number.isFinite(weight) ? Math.max(factor.min, Math.min(weight, RANKING.MAX_WEIGHT)) : 0];
+    }));
+};
+
+/**
+ * Get every profile: built-in profiles (edited ones replaced by the user's
+ * copy), then the user's own in creation order
+ * @returns {Array} - Profile records
+ */
+export const getProfiles = () => {
+    if (profiles) return profiles;
+
+    const state = readState();
+    const userProfiles = new Map(state.profiles.map(profile => [profile.id, profile]));
+    const builtInIds = new Set(BUILT_IN_PROFILES.map(profile => profile.id));
+
+    profiles = [
+        ...BUILT_IN_PROFILES.map(profile => (userProfiles.has(profile.id)
+            ? { ...profile, weights: cleanWeights(userProfiles.get(profile.id).weights), builtIn: true, edited: true }
+            : { ...profile, builtIn: true, edited: false })),
+        ...state.profiles
+            .filter(profile => !builtInIds.has(profile.id))
+            .map(profile => ({ ...profile, weights: cleanWeights(profile.weights), builtIn: false, edited: false }))
+    ];
+    return profiles;
+};
+
+/**
+ * Get the profile Best Match sorting uses
+ * @returns {Object} - Profile record; "Balanced" if the chosen one was deleted
+ */
+export const getActiveProfile = () => {
+    const { activeId } = readState();
+    const all = getProfiles();
+    return all.find(profile => profile.id === activeId) || all[0];
+};
+
+/**
+ * Get the weights Best Match sorting uses
+ * @returns {Object} - Weight per factor id
+ */
+export const getRankingWeights = () => getActiveProfile().weights;
+
+/**
+ * Choose the profile Best Match sorting uses
+ * @param {string} id - Profile ID
+ */
+export const setActiveProfile = (id) => {
+    const state = readState();
+    if (state.activeId === id || !getProfiles().some(profile => profile.id === id)) return;
+
+    writeState({ ...state, activeId: id });
+};
+
+/**
+ * Create or update a profile
+ * @param {Object} fields - { label, icon, weights }
+ * @param {string|null} id - Profile being edited, or null for a new profile
+ * @returns {Object} - Saved profile record
+ * @throws {Error} - With a message for the user when the fields are invalid
+ */
+export const saveProfile = (fields, id = null) => {
+    const existing = id ? getProfiles().find(profile => profile.id === id) : null;
+    const label = existing?.builtIn
+        ? existing.label
+        : String(fields.label || '').trim().slice(0, MAX_LABEL_LENGTH);
+    if (!label) {
+        throw new Error('Give the profile a name.');
+    }
+    const duplicate = getProfiles().find(profile => profile.id !== id && profile.label.toLowerCase() === label.toLowerCase());
+    if (duplicate) {
+        throw new Error(`There is already a profile called "${duplicate.label}".`);
+    }
+
+    const record = {
+        id: existing?.id || createId(),
+        label,
+        icon: existing?.builtIn
+            ? existing.icon
+            : Array.from(String(fields.icon || '').trim()).slice(0, 8).join('') || DEFAULT_ICON,
+        weights: cleanWeights(fields.weights)
+    };
+
+    const state = readState();
+    writeState({
+        profiles: [...state.profiles.filter(profile => profile.id !== record.id), record],
+        activeId: record.id
+    });
+    return getProfiles().find(profile => profile.id === record.id);
+};
+
+/**
+ * Delete a profile; built-in profiles get their original weights back
+ * @param {string} id - Profile ID
+ */
+export const deleteProfile = (id) => {
+    const state = readState();
+    const isBuiltIn = BUILT_IN_PROFILES.some(profile => profile.id === id);
+
+    writeState({
+        profiles: state.profiles.filter(profile => profile.id !== id),
+        activeId: state.activeId === id && !isBuiltIn ? DEFAULT_PROFILE_ID : state.activeId
+    });
+};
+
+/**
+ * Subscribe to profile changes, including which one is in use
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeProfiles = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+export default {
+    DEFAULT_ICON,
+    DEFAULT_PROFILE_ID,
+    RANKING_FACTORS,
+    getProfiles,
+    getActiveProfile,
+    getRankingWeights,
+    setActiveProfile,
+    saveProfile,
+    deleteProfile,
+    subscribeProfiles
+};
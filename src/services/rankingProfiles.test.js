@@ -0,0 +1,94 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// Profiles are cached per module, so every test gets a fresh copy
+let ranking;
+
+const BALANCED = { mood: 30, rating: 25, popularity: 15, distance: 20, open: 10 };
+
+const createStorage = (entries = {}) => {
+    const values = new Map(Object.entries(entries));
+    return {
+        getItem: (key) => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: (key) => values.delete(key)
+    };
+};
+
+beforeEach(async () => {
+    vi.resetModules();
+    ranking = await import('./rankingProfiles');
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+describe('ranking profiles', () => {
+    it('ranks with "Balanced" by default, without localStorage and quietly', () => {
+        const warn = vi.spyOn(console, 'warn');
+
+        expect(ranking.getActiveProfile().id).toBe(ranking.DEFAULT_PROFILE_ID);
+        expect(ranking.getRankingWeights()).toEqual(BALANCED);
+
+        ranking.saveProfile({ label: 'Mine', weights: BALANCED });
+        expect(ranking.getActiveProfile().label).toBe('Mine');
+        expect(warn).not.toHaveBeenCalled();
+    });
+
+    it('rounds weights and keeps them within their sliders', () => {
+        const profile = ranking.saveProfile({
+            label: 'Extreme',
+            weights: { mood: 80, rating: 'lots', popularity: -70, distance: -5.4, open: 12.6 }
+        });
+
+        expect(profile.weights).toEqual({ mood: 50, rating: 0, popularity: -50, distance: 0, open: 13 });
+    });
+
+    it('cleans weights read back from storage', () => {
+        const stored = { profiles: [{ id: 'x', label: 'Stored', icon: '🧪', weights: { mood: 500 } }], activeId: 'x' };
+        vi.stubGlobal('localStorage', createStorage({ 'placepulse-ranking': JSON.stringify(stored) }));
+
+        expect(ranking.getRankingWeights()).toEqual({ mood: 50, rating: 0, popularity: 0, distance: 0, open: 0 });
+    });
+
+    it('rejects profiles without a name or with a name already taken', () => {
+        expect(() => ranking.saveProfile({ label: '  ', weights: BALANCED })).toThrow('Give the profile a name.');
+        expect(() => ranking.saveProfile({ label: 'hidden GEMS', weights: BALANCED })).toThrow('There is already a profile called "Hidden gems".');
+    });
+
+    it('keeps the name and icon of an edited built-in profile, and restores it on delete', () => {
+        const edited = ranking.saveProfile({ label: 'Renamed', icon: '🚀', weights: { ...BALANCED, open: 0 } }, 'quality');
+
+        expect(edited).toMatchObject({ id: 'quality', label: 'I care about quality', icon: '⭐', edited: true });
+        expect(edited.weights.open).toBe(0);
+
+        ranking.deleteProfile('quality');
+        expect(ranking.getActiveProfile()).toMatchObject({ id: 'quality', edited: false });
+        expect(ranking.getRankingWeights().open).toBe(5);
+    });
+
+    it('goes back to "Balanced" when the profile in use is deleted', () => {
+        const mine = ranking.saveProfile({ label: 'Mine', weights: BALANCED });
+
+        ranking.deleteProfile(mine.id);
+
+        expect(ranking.getActiveProfile().id).toBe(ranking.DEFAULT_PROFILE_ID);
+        expect(ranking.getProfiles().some(profile => profile.id === mine.id)).toBe(false);
+    });
+
+    it('tells subscribers about changes, but not about choosing an unknown profile', () => {
+        const listener = vi.fn();
+        const unsubscribe = ranking.subscribeProfiles(listener);
+
+        ranking.setActiveProfile('nearby');
+        ranking.setActiveProfile('nearby');
+        ranking.setActiveProfile('missing');
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(ranking.getActiveProfile().id).toBe('nearby');
+
+        unsubscribe();
+        ranking.setActiveProfile('gems');
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,496 @@
+/**
+ * Google Map Renderer
+ * Map renderer backed by the Google Maps JavaScript API
+ */
+
+import {
+    loadGoogleMapsApi,
+    getGoogleMapsApi,
+    createMap,
+    createMarker,
+    createPolygon,
+    createPolyline,
+    createInfoWindow,
+    createOverlayView,
+    createBounds
+} from '../mapsLoader';
+import { getParticipantLabel } from '../meetingPoint';
+import { MARKER_COLORS, getInfoWindowContent } from './markerContent';
+import { getWorldSize, toMarkerPoints, getMarkerItems, getClusterSize } from './markerClusters';
+import { drawHeatmap } from './heatmapCanvas';
+import { HEATMAP } from '../../utils/constants';
+
+/**
+ * Load the Google Maps API required by this renderer
+ * @returns {Promise<google>} - Google Maps API object
+ */
+export const loadGoogleRenderer = () => {
+    return loadGoogleMapsApi();
+};
+
+/**
+ * Create a Google map and wrap it in the renderer interface
+ * Place markers are clustered and culled to the view (see markerClusters),
+ * redrawn whenever the map settles, and diffed by key so only markers that
+ * changed are created, moved or restyled
+ * @param {HTMLElement} container - DOM element to render map into
+ * @param {Object} options - { center, zoom, onClick, onViewportChange }
+ * @returns {Object} - Map adapter
+ */
+export const createGoogleRenderer = (container, { center, zoom, onClick = null, onViewportChange = null } = {}) => {
+    const google = getGoogleMapsApi();
+    const map = createMap(container, { center, zoom });
+
+    // Drawn place markers and cluster bubbles by item key: { marker, item, style }
+    const markers = new Map();
+    let points = [];
+    let selectedId = null;
+    let onPlaceClick = null;
+    let userMarker = null;
+    let areaPolygon = null;
+    let routeLine = null;
+    let groupMarkers = [];
+    let heatmap = null;
+    let infoWindow = null;
+    let savedIds = new Set();
+
+    // Whether the map is being moved by the app (adapter calls) or the user
+    let movedByApp = false;
+    let movedByUser = false;
+
+    if (onClick) {
+        map.addListener('click', (event) => {
+            onClick({
+                lat: event.latLng.lat(),
+                lng: event.latLng.lng()
+            });
+        });
+    }
+
+    const getViewBounds = () => {
+        const bounds = map.getBounds();
+        if (!bounds) return null;
+
+        const northEast = bounds.getNorthEast();
+        const southWest = bounds.getSouthWest();
+        return {
+            north: northEast.lat(),
+            south: southWest.lat(),
+            east: northEast.lng(),
+            west: southWest.lng()
+        };
+    };
+
+    // Report moves made by the user once the map settles
+    if (onViewportChange) {
+        map.addListener('dragstart', () => {
+            movedByUser = true;
+        });
+        map.addListener('zoom_changed', () => {
+            if (!movedByApp) movedByUser = true;
+        });
+        map.addListener('idle', () => {
+            if (movedByUser) {
+                onViewportChange({
+                    center: { lat: map.getCenter().lat(), lng: map.getCenter().lng() },
+                    bounds: getViewBounds()
+                });
+            }
+            movedByUser = false;
+            movedByApp = false;
+        });
+    }
+
+    /**
+     * Heatmap overlay: a canvas covering the view (plus the heat radius),
+     * redrawn when the map settles. Google's own HeatmapLayer is deprecated.
+     */
+    const createHeatmap = (points) => {
+        const overlay = createOverlayView();
+        const canvas = document.createElement('canvas');
+        canvas.style.position = 'absolute';
+        canvas.style.pointerEvents = 'none';
+        canvas.style.opacity = String(HEATMAP.OPACITY);
+
+        overlay.onAdd = () => {
+            overlay.getPanes().overlayLayer.appendChild(canvas);
+        };
+        overlay.onRemove = () => {
+            canvas.remove();
+        };
+        overlay.draw = () => {
+            const projection = overlay.getProjection();
+            const bounds = map.getBounds();
+            if (!projection || !bounds) return;
+
+            const toPixel = (location) => projection.fromLatLngToDivPixel(new google.maps.LatLng(location.lat, location.lng));
+            const corner = toPixel({ lat: bounds.getNorthEast().lat(), lng: bounds.getSouthWest().lng() });
+            const left = corner.x - HEATMAP.RADIUS;
+            const top = corner.y - HEATMAP.RADIUS;
+
+            canvas.style.left = `${left}px`;
+            canvas.style.top = `${top}px`;
+            canvas.width = map.getDiv().clientWidth + HEATMAP.RADIUS * 2;
+            canvas.height = map.getDiv().clientHeight + HEATMAP.RADIUS * 2;
+
+            drawHeatmap(canvas, points.map(({ location, weight }) => {
+                const pixel = toPixel(location);
+                return { x: pixel.x - left, y: pixel.y - top, weight };
+            }));
+        };
+
+        overlay.setMap(map);
+        return overlay;
+    };
+
+    // Panning doesn't redraw overlays, so cover the newly shown area
+    map.addListener('idle', () => heatmap?.draw());
+
+    const createGroupMarker = (position, title, text, color) => createMarker({
+        position,
+        map,
+        title,
+        label: {
+            text,
+            color: '#ffffff',
+            fontSize: '11px',
+            fontWeight: 'bold'
+        },
+        icon: {
+            path: google.maps.SymbolPath.CIRCLE,
+            scale: 11,
+            fillColor: color,
+            fillOpacity: 1,
+            strokeColor: MARKER_COLORS.stroke,
+            strokeWeight: 3
+        },
+        zIndex: 1000
+    });
+
+    const getMarkerColor = (placeId, isSelected) => {
+        if (isSelected) return MARKER_COLORS.selected;
+        return savedIds.has(placeId) ? MARKER_COLORS.saved : MARKER_COLORS.place;
+    };
+
+    const getPlaceIcon = (placeId, isSelected) => ({
+        path: google.maps.SymbolPath.CIRCLE,
+        scale: isSelected ? 18 : 14,
+        fillColor: getMarkerColor(placeId, isSelected),
+        fillOpacity: 1,
+        strokeColor: MARKER_COLORS.stroke,
+        strokeWeight: 2
+    });
+
+    const getClusterIcon = (count) => ({
+        path: google.maps.SymbolPath.CIRCLE,
+        scale: getClusterSize(count) / 2,
+        fillColor: MARKER_COLORS.cluster,
+        fillOpacity: 0.9,
+        strokeColor: MARKER_COLORS.stroke,
+        strokeWeight: 3
+    });
+
+    const getPlaceStyle = (placeId) => {
+        if (placeId === selectedId) return 'selected';
+        return savedIds.has(placeId) ? 'saved' : 'place';
+    };
+
+    const getLabel = (text) => ({
+        text,
+        color: '#ffffff',
+        fontSize: '12px',
+        fontWeight: 'bold'
+    });
+
+    const showInfoWindow = (place) => {
+        const entry = markers.get(`place:${place.place_id}`);
+        if (!entry) return;
+
+        // Close existing info window
+        if (infoWindow) {
+            infoWindow.close();
+        }
+
+        infoWindow = createInfoWindow(getInfoWindowContent(place));
+        infoWindow.open(map, entry.marker);
+    };
+
+    const createItemMarker = (item) => {
+        if (item.type === 'cluster') {
+            const marker = createMarker({
+                position: item.location,
+                map,
+                title: `${item.count} places`,
+                label: getLabel(String(item.count)),
+                icon: getClusterIcon(item.count),
+                zIndex: 500
+            });
+
+            // Zoom in until the bubble splits up
+            marker.addListener('click', () => {
+                const { bounds } = markers.get(item.key).item;
+                const googleBounds = createBounds();
+                googleBounds.extend({ lat: bounds.north, lng: bounds.east });
+                googleBounds.extend({ lat: bounds.south, lng: bounds.west });
+                map.fitBounds(googleBounds, 60);
+            });
+            return marker;
+        }
+
+        const placeId = item.place.place_id;
+        const isSelected = placeId === selectedId;
+        const marker = createMarker({
+            position: item.location,
+            map,
+            title: item.place.name,
+            label: getLabel(String(item.index + 1)),
+            icon: getPlaceIcon(placeId, isSelected),
+            zIndex: isSelected ? 999 : item.index
+        });
+
+        // Add click listener; the place is looked up so it's always the latest
+        marker.addListener('click', () => {
+            const { place } = markers.get(item.key).item;
+            onPlaceClick?.(place);
+            showInfoWindow(place);
+        });
+        return marker;
+    };
+
+    const updateItemMarker = (entry, item) => {
+        const { marker, item: previous } = entry;
+
+        if (previous.location.lat !== item.location.lat || previous.location.lng !== item.location.lng) {
+            marker.setPosition(item.location);
+        }
+
+        if (item.type === 'cluster') {
+            if (previous.count !== item.count) {
+                marker.setLabel(getLabel(String(item.count)));
+                marker.setIcon(getClusterIcon(item.count));
+            }
+            return;
+        }
+
+        const placeId = item.place.place_id;
+        if (previous.index !== item.index) {
+            marker.setLabel(getLabel(String(item.index + 1)));
+        }
+        if (previous.place.name !== item.place.name) {
+            marker.setTitle(item.place.name);
+        }
+
+        const style = getPlaceStyle(placeId);
+        if (style !== entry.style || previous.index !== item.index) {
+            marker.setIcon(getPlaceIcon(placeId, style === 'selected'));
+            marker.setZIndex(style === 'selected' ? 999 : item.index);
+        }
+        entry.style = style;
+    };
+
+    /**
+     * Draw the place markers and cluster bubbles for the current view,
+     * keeping every marker that is still needed
+     */
+    const renderMarkers = () => {
+        const items = getMarkerItems(points, {
+            worldSize: getWorldSize(map.getZoom()),
+            bounds: getViewBounds(),
+            selectedId
+        });
+        const keys = new Set(items.map(item => item.key));
+
+        markers.forEach((entry, key) => {
+            if (!keys.has(key)) {
+                entry.marker.setMap(null);
+                markers.delete(key);
+            }
+        });
+
+        items.forEach(item => {
+            const entry = markers.get(item.key);
+            if (entry) {
+                updateItemMarker(entry, item);
+                entry.item = item;
+            } else {
+                markers.set(item.key, {
+                    marker: createItemMarker(item),
+                    item,
+                    style: item.type === 'place' ? getPlaceStyle(item.place.place_id) : null
+                });
+            }
+        });
+    };
+
+    // Clusters and culling depend on the view
+    map.addListener('idle', renderMarkers);
+
+    const clearMarkers = () => {
+        markers.forEach(entry => entry.marker.setMap(null));
+        markers.clear();
+        points = [];
+
+        if (infoWindow) {
+            infoWindow.close();
+        }
+    };
+
+    const setMarkerOptions = ({ selectedPlaceId, savedPlaceIds, onMarkerClick }) => {
+        if (selectedPlaceId !== undefined) selectedId = selectedPlaceId;
+        if (savedPlaceIds) savedIds = savedPlaceIds;
+        if (onMarkerClick) onPlaceClick = onMarkerClick;
+    };
+
+    /**
+     * Add numbered place markers, continuing from startIndex
+     */
+    const addPlaceMarkers = (places, { startIndex = points.length, ...options } = {}) => {
+        setMarkerOptions(options);
+        points = [...points.slice(0, startIndex), ...toMarkerPoints(places, startIndex)];
+        renderMarkers();
+    };
+
+    return {
+        renderer: 'google',
+        native: map,
+
+        setCenter: (location, animate = true) => {
+            movedByApp = true;
+            if (animate) {
+                map.panTo(location);
+            } else {
+                map.setCenter(location);
+            }
+        },
+
+        setZoom: (level) => {
+            movedByApp = true;
+            map.setZoom(level);
+        },
+
+        fitBounds: (bounds, padding = 50) => {
+            movedByApp = true;
+            const googleBounds = createBounds();
+            googleBounds.extend({ lat: bounds.north, lng: bounds.east });
+            googleBounds.extend({ lat: bounds.south, lng: bounds.west });
+            map.fitBounds(googleBounds, padding);
+        },
+
+        setUserMarker: (location) => {
+            // Remove existing user marker
+            if (userMarker) {
+                userMarker.setMap(null);
+            }
+
+            userMarker = createMarker({
+                position: location,
+                map,
+                icon: {
+                    path: google.maps.SymbolPath.CIRCLE,
+                    scale: 10,
+                    fillColor: MARKER_COLORS.user,
+                    fillOpacity: 1,
+                    strokeColor: MARKER_COLORS.stroke,
+                    strokeWeight: 3
+                },
+                title: 'Your location',
+                zIndex: 1000
+            });
+        },
+
+        setArea: (polygon) => {
+            if (areaPolygon) {
+                areaPolygon.setMap(null);
+                areaPolygon = null;
+            }
+            if (!polygon) return;
+
+            // Not clickable, so clicks (e.g. dropping a pin) reach the map
+            areaPolygon = createPolygon({
+                paths: polygon,
+                map,
+                clickable: false,
+                fillColor: MARKER_COLORS.area,
+                fillOpacity: 0.12,
+                strokeColor: MARKER_COLORS.area,
+                strokeOpacity: 0.8,
+                strokeWeight: 2
+            });
+        },
+
+        setRoute: (path) => {
+            if (routeLine) {
+                routeLine.setMap(null);
+                routeLine = null;
+            }
+            if (!path) return;
+
+            routeLine = createPolyline({
+                path,
+                map,
+                clickable: false,
+                strokeColor: MARKER_COLORS.route,
+                strokeOpacity: 0.85,
+                strokeWeight: 5
+            });
+        },
+
+        setParticipantMarkers: (participants, meetingPoint = null) => {
+            groupMarkers.forEach(marker => marker.setMap(null));
+
+            groupMarkers = participants.map((participant, index) => createGroupMarker(
+                participant.location,
+                participant.name,
+                getParticipantLabel(index),
+                MARKER_COLORS.participant
+            ));
+            if (meetingPoint) {
+                groupMarkers.push(createGroupMarker(meetingPoint, 'Meeting point', '★', MARKER_COLORS.meeting));
+            }
+        },
+
+        setHeatmap: (points) => {
+            if (heatmap) {
+                heatmap.setMap(null);
+                heatmap = null;
+            }
+            if (!points || points.length === 0) return;
+
+            heatmap = createHeatmap(points);
+        },
+
+        setPlaceMarkers: (places, options = {}) => {
+            savedIds = options.savedPlaceIds || new Set();
+            addPlaceMarkers(places, { selectedPlaceId: null, ...options, startIndex: 0 });
+        },
+
+        addPlaceMarkers,
+
+        setSavedMarkers: (savedPlaceIds) => {
+            savedIds = savedPlaceIds || new Set();
+            renderMarkers();
+        },
+
+        highlightMarker: (placeId) => {
+            // Restyles the previous and new selection only; a clustered or
+            // culled place gets its own marker
+            selectedId = placeId;
+            renderMarkers();
+
+            const entry = markers.get(`place:${placeId}`);
+            if (!entry) return;
+
+            entry.marker.setAnimation(google.maps.Animation.BOUNCE);
+
+            // Stop bounce after a moment
+            setTimeout(() => {
+                entry.marker.setAnimation(null);
+            }, 1500);
+        },
+
+        showInfoWindow,
+        clearMarkers
+    };
+};
+
+export default createGoogleRenderer;
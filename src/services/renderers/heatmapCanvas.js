@@ -0,0 +1,75 @@
+/**
+ * Heatmap Canvas
+ * Draws weighted points as a heatmap on a canvas, for renderers without a
+ * heatmap layer of their own
+ *
+ * Each point adds a radial fade to the canvas' alpha channel, so overlapping
+ * points build up density; the density is then colored with HEATMAP_GRADIENT.
+ */
+
+import { HEATMAP } from '../../utils/constants';
+import { HEATMAP_GRADIENT } from './markerContent';
+
+// RGBA color for each density 0-255, built on first use
+let palette = null;
+
+/**
+ * Get the density palette
+ * @returns {Uint8ClampedArray} - 256 RGBA colors
+ */
+const getPalette = () => {
+    if (palette) return palette;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 1;
+
+    const context = canvas.getContext('2d');
+    const gradient = context.createLinearGradient(0, 0, 256, 0);
+    HEATMAP_GRADIENT.forEach(([stop, color]) => gradient.addColorStop(stop, color));
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, 256, 1);
+
+    palette = context.getImageData(0, 0, 256, 1).data;
+    return palette;
+};
+
+/**
+ * Draw a heatmap
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on, already sized
+ * @param {Array} points - Points { x, y, weight } in canvas pixels, weights 0-1
+ * @param {number} radius - Pixels each point spreads over
+ */
+export const drawHeatmap = (canvas, points, radius = HEATMAP.RADIUS) => {
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    if (points.length === 0 || canvas.width === 0 || canvas.height === 0) return;
+
+    points.forEach(({ x, y, weight }) => {
+        const gradient = context.createRadialGradient(x, y, 0, x, y, radius);
+        gradient.addColorStop(0, `rgba(0, 0, 0, ${weight})`);
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        context.fillStyle = gradient;
+        context.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+    });
+
+    const image = context.getImageData(0, 0, canvas.width, canvas.height);
+    const { data } = image;
+    const colors = getPalette();
+
+    for (let i = 0; i < data.length; i += 4) {
+        const offset = data[i + 3] * 4;
+        if (offset === 0) continue;
+
+        data[i] = colors[offset];
+        data[i + 1] = colors[offset + 1];
+        data[i + 2] = colors[offset + 2];
+        data[i + 3] = colors[offset + 3];
+    }
+
+    context.putImageData(image, 0, 0);
+};
+
+export default {
+    drawHeatmap
+};
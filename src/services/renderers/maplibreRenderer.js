@@ -0,0 +1,498 @@
+/**
+ * MapLibre Map Renderer
+ * Vector-tile map renderer backed by MapLibre GL
+ *
+ * Points at any MapLibre style URL (VITE_MAP_STYLE_URL), so deployments can
+ * use a self-hosted tile server instead of the Google Maps JavaScript API.
+ * The MapLibre library is loaded on demand so Google deployments don't ship it.
+ */
+
+import { getPlaceLatLng } from '../../utils/distance';
+import { getParticipantLabel } from '../meetingPoint';
+import { MARKER_COLORS, HEATMAP_GRADIENT, getInfoWindowContent } from './markerContent';
+import { getWorldSize, toMarkerPoints, getMarkerItems, getClusterSize } from './markerClusters';
+import { HEATMAP } from '../../utils/constants';
+
+const DEFAULT_STYLE_URL = 'https://tiles.openfreemap.org/styles/liberty';
+const BOUNCE_DURATION = 1500;
+const TILE_SIZE = 512;
+const MAX_ZOOM = 17;
+const AREA_SOURCE = 'placepulse-area';
+const ROUTE_SOURCE = 'placepulse-route';
+const HEATMAP_SOURCE = 'placepulse-heatmap';
+
+// Loaded MapLibre module (singleton)
+let maplibreInstance = null;
+let loadPromise = null;
+
+/**
+ * Get the configured style URL
+ * @returns {string} - Style URL from VITE_MAP_STYLE_URL or the default style
+ */
+const getStyleUrl = () => {
+    return import.meta.env.VITE_MAP_STYLE_URL || DEFAULT_STYLE_URL;
+};
+
+/**
+ * Load MapLibre GL and its stylesheet
+ * Returns cached module if already loaded
+ * @returns {Promise<Object>} - MapLibre module
+ */
+export const loadMaplibreRenderer = async () => {
+    if (maplibreInstance) {
+        return maplibreInstance;
+    }
+
+    if (loadPromise) {
+        return loadPromise;
+    }
+
+    loadPromise = (async () => {
+        try {
+            const [module] = await Promise.all([
+                import('maplibre-gl'),
+                import('maplibre-gl/dist/maplibre-gl.css')
+            ]);
+            maplibreInstance = module.default || module;
+            return maplibreInstance;
+        } catch (error) {
+            loadPromise = null;
+            console.error('Failed to load MapLibre:', error);
+            throw new Error('Failed to load the map renderer. Please check your connection and try again.');
+        }
+    })();
+
+    return loadPromise;
+};
+
+/**
+ * Convert { lat, lng } to a MapLibre [lng, lat] pair
+ * @param {Object} location - Location {lat, lng}
+ * @returns {Array} - [lng, lat]
+ */
+const toLngLat = (location) => [location.lng, location.lat];
+
+/**
+ * Create a MapLibre map and wrap it in the renderer interface
+ * Place markers are clustered and culled to the view (see markerClusters),
+ * redrawn after every move, and diffed by key so only markers that changed
+ * are created, moved or restyled
+ * @param {HTMLElement} container - DOM element to render map into
+ * @param {Object} options - { center, zoom, onClick, onViewportChange }
+ * @returns {Object} - Map adapter
+ */
+export const createMaplibreRenderer = (container, { center, zoom, onClick = null, onViewportChange = null } = {}) => {
+    if (!maplibreInstance) {
+        throw new Error('MapLibre not loaded. Call loadMaplibreRenderer() first.');
+    }
+
+    const maplibregl = maplibreInstance;
+    const map = new maplibregl.Map({
+        container,
+        style: getStyleUrl(),
+        center: toLngLat(center),
+        zoom
+    });
+
+    map.addControl(new maplibregl.NavigationControl({ showCompass: false }), 'bottom-right');
+    map.addControl(new maplibregl.FullscreenControl(), 'top-right');
+
+    // Drawn place markers and cluster bubbles by item key: { marker, item }
+    const markers = new Map();
+    let points = [];
+    let selectedId = null;
+    let savedIds = new Set();
+    let onPlaceClick = null;
+    let userMarker = null;
+    let groupMarkers = [];
+    let popup = null;
+
+    // Heatmap, area outline and route line, drawn as layers once the style has loaded
+    let heatmap = null;
+    let area = null;
+    let route = null;
+    let isStyleReady = false;
+
+    const toFeature = (geometry, properties = {}) => ({ type: 'Feature', properties, geometry });
+
+    /**
+     * Set a GeoJSON overlay's features, adding its source and layers on first use
+     */
+    const setOverlay = (sourceId, features, layers) => {
+        const data = { type: 'FeatureCollection', features };
+
+        const source = map.getSource(sourceId);
+        if (source) {
+            source.setData(data);
+            return;
+        }
+
+        map.addSource(sourceId, { type: 'geojson', data });
+        layers.forEach(layer => map.addLayer({ ...layer, source: sourceId }));
+    };
+
+    const drawHeatmap = () => {
+        setOverlay(
+            HEATMAP_SOURCE,
+            (heatmap || []).map(({ location, weight }) => toFeature(
+                { type: 'Point', coordinates: toLngLat(location) },
+                { weight }
+            )),
+            [
+                {
+                    id: `${HEATMAP_SOURCE}-heat`,
+                    type: 'heatmap',
+                    paint: {
+                        'heatmap-weight': ['get', 'weight'],
+                        'heatmap-radius': HEATMAP.RADIUS,
+                        'heatmap-opacity': HEATMAP.OPACITY,
+                        'heatmap-color': ['interpolate', ['linear'], ['heatmap-density'], ...HEATMAP_GRADIENT.flat()]
+                    }
+                }
+            ]
+        );
+    };
+
+    const drawArea = () => {
+        setOverlay(
+            AREA_SOURCE,
+            area ? [toFeature({ type: 'Polygon', coordinates: [[...area.map(toLngLat), toLngLat(area[0])]] })] : [],
+            [
+                {
+                    id: `${AREA_SOURCE}-fill`,
+                    type: 'fill',
+                    paint: { 'fill-color': MARKER_COLORS.area, 'fill-opacity': 0.12 }
+                },
+                {
+                    id: `${AREA_SOURCE}-outline`,
+                    type: 'line',
+                    paint: { 'line-color': MARKER_COLORS.area, 'line-opacity': 0.8, 'line-width': 2 }
+                }
+            ]
+        );
+    };
+
+    const drawRoute = () => {
+        setOverlay(
+            ROUTE_SOURCE,
+            route ? [toFeature({ type: 'LineString', coordinates: route.map(toLngLat) })] : [],
+            [
+                {
+                    id: `${ROUTE_SOURCE}-line`,
+                    type: 'line',
+                    layout: { 'line-join': 'round', 'line-cap': 'round' },
+                    paint: { 'line-color': MARKER_COLORS.route, 'line-opacity': 0.85, 'line-width': 5 }
+                }
+            ]
+        );
+    };
+
+    map.on('load', () => {
+        isStyleReady = true;
+        drawHeatmap();
+        drawArea();
+        drawRoute();
+    });
+
+    if (onClick) {
+        map.on('click', (event) => {
+            onClick({
+                lat: event.lngLat.lat,
+                lng: event.lngLat.lng
+            });
+        });
+    }
+
+    // Report moves made by the user (they carry the originating DOM event)
+    if (onViewportChange) {
+        map.on('moveend', (event) => {
+            if (!event.originalEvent) return;
+
+            const bounds = map.getBounds();
+            const { lat, lng } = map.getCenter();
+            onViewportChange({
+                center: { lat, lng },
+                bounds: {
+                    north: bounds.getNorth(),
+                    south: bounds.getSouth(),
+                    east: bounds.getEast(),
+                    west: bounds.getWest()
+                }
+            });
+        });
+    }
+
+    // MapLibre positions the outer element with a transform, so styling and
+    // animation go on an inner body element
+    const createMarkerElement = (className, text = '') => {
+        const element = document.createElement('div');
+        element.className = className;
+
+        const body = document.createElement('div');
+        body.className = 'maplibre-marker__body';
+        body.textContent = text;
+        element.appendChild(body);
+
+        return element;
+    };
+
+    const createGroupMarker = (location, title, className, text) => {
+        const element = createMarkerElement(`maplibre-marker ${className}`, text);
+        element.title = title;
+        return new maplibregl.Marker({ element })
+            .setLngLat(toLngLat(location))
+            .addTo(map);
+    };
+
+    const showInfoWindow = (place) => {
+        // Close existing popup
+        if (popup) {
+            popup.remove();
+        }
+
+        popup = new maplibregl.Popup({ offset: 18, closeButton: true })
+            .setLngLat(toLngLat(getPlaceLatLng(place)))
+            .setHTML(getInfoWindowContent(place))
+            .addTo(map);
+    };
+
+    const setPlaceState = (element, placeId) => {
+        const isSelected = placeId === selectedId;
+        element.classList.toggle('is-selected', isSelected);
+        element.classList.toggle('is-saved', savedIds.has(placeId));
+        element.style.zIndex = isSelected ? '999' : '';
+    };
+
+    const setClusterSize = (element, count) => {
+        const size = `${getClusterSize(count)}px`;
+        element.firstChild.style.width = size;
+        element.firstChild.style.height = size;
+    };
+
+    const createItemMarker = (item) => {
+        let element;
+
+        if (item.type === 'cluster') {
+            element = createMarkerElement('maplibre-marker maplibre-marker--cluster', String(item.count));
+            element.title = `${item.count} places`;
+            setClusterSize(element, item.count);
+
+            // Zoom in until the bubble splits up
+            element.addEventListener('click', (event) => {
+                event.stopPropagation();
+                const { bounds } = markers.get(item.key).item;
+                map.fitBounds(
+                    [[bounds.west, bounds.south], [bounds.east, bounds.north]],
+                    { padding: 60, maxZoom: MAX_ZOOM }
+                );
+            });
+        } else {
+            element = createMarkerElement('maplibre-marker maplibre-marker--place', String(item.index + 1));
+            element.title = item.place.name;
+            setPlaceState(element, item.place.place_id);
+
+            // Keep marker clicks from reaching the map click handler; the
+            // place is looked up so it's always the latest
+            element.addEventListener('click', (event) => {
+                event.stopPropagation();
+                const { place } = markers.get(item.key).item;
+                onPlaceClick?.(place);
+                showInfoWindow(place);
+            });
+        }
+
+        return new maplibregl.Marker({ element })
+            .setLngLat(toLngLat(item.location))
+            .addTo(map);
+    };
+
+    const updateItemMarker = ({ marker, item: previous }, item) => {
+        const element = marker.getElement();
+
+        if (previous.location.lat !== item.location.lat || previous.location.lng !== item.location.lng) {
+            marker.setLngLat(toLngLat(item.location));
+        }
+
+        if (item.type === 'cluster') {
+            if (previous.count !== item.count) {
+                element.firstChild.textContent = String(item.count);
+                element.title = `${item.count} places`;
+                setClusterSize(element, item.count);
+            }
+            return;
+        }
+
+        if (previous.index !== item.index) {
+            element.firstChild.textContent = String(item.index + 1);
+        }
+        element.title = item.place.name;
+        setPlaceState(element, item.place.place_id);
+    };
+
+    /**
+     * Draw the place markers and cluster bubbles for the current view,
+     * keeping every marker that is still needed
+     */
+    const renderMarkers = () => {
+        const bounds = map.getBounds();
+        const items = getMarkerItems(points, {
+            worldSize: getWorldSize(map.getZoom(), TILE_SIZE),
+            bounds: {
+                north: bounds.getNorth(),
+                south: bounds.getSouth(),
+                east: bounds.getEast(),
+                west: bounds.getWest()
+            },
+            selectedId
+        });
+        const keys = new Set(items.map(item => item.key));
+
+        markers.forEach((entry, key) => {
+            if (!keys.has(key)) {
+                entry.marker.remove();
+                markers.delete(key);
+            }
+        });
+
+        items.forEach(item => {
+            const entry = markers.get(item.key);
+            if (entry) {
+                updateItemMarker(entry, item);
+                entry.item = item;
+            } else {
+                markers.set(item.key, { marker: createItemMarker(item), item });
+            }
+        });
+    };
+
+    // Clusters and culling depend on the view
+    map.on('moveend', renderMarkers);
+
+    const clearMarkers = () => {
+        markers.forEach(entry => entry.marker.remove());
+        markers.clear();
+        points = [];
+
+        if (popup) {
+            popup.remove();
+            popup = null;
+        }
+    };
+
+    const setMarkerOptions = ({ selectedPlaceId, savedPlaceIds, onMarkerClick }) => {
+        if (selectedPlaceId !== undefined) selectedId = selectedPlaceId;
+        if (savedPlaceIds) savedIds = savedPlaceIds;
+        if (onMarkerClick) onPlaceClick = onMarkerClick;
+    };
+
+    /**
+     * Add numbered place markers, continuing from startIndex
+     */
+    const addPlaceMarkers = (places, { startIndex = points.length, ...options } = {}) => {
+        setMarkerOptions(options);
+        points = [...points.slice(0, startIndex), ...toMarkerPoints(places, startIndex)];
+        renderMarkers();
+    };
+
+    return {
+        renderer: 'maplibre',
+        native: map,
+
+        setCenter: (location, animate = true) => {
+            if (animate) {
+                map.easeTo({ center: toLngLat(location) });
+            } else {
+                map.jumpTo({ center: toLngLat(location) });
+            }
+        },
+
+        setZoom: (level) => map.zoomTo(level),
+
+        fitBounds: (bounds, padding = 50) => {
+            map.fitBounds(
+                [[bounds.west, bounds.south], [bounds.east, bounds.north]],
+                { padding, maxZoom: MAX_ZOOM }
+            );
+        },
+
+        setUserMarker: (location) => {
+            if (userMarker) {
+                userMarker.remove();
+            }
+
+            const element = createMarkerElement('maplibre-marker maplibre-marker--user');
+            element.title = 'Your location';
+            userMarker = new maplibregl.Marker({ element })
+                .setLngLat(toLngLat(location))
+                .addTo(map);
+        },
+
+        setHeatmap: (points) => {
+            heatmap = points;
+            if (isStyleReady) {
+                drawHeatmap();
+            }
+        },
+
+        setArea: (polygon) => {
+            area = polygon;
+            if (isStyleReady) {
+                drawArea();
+            }
+        },
+
+        setRoute: (path) => {
+            route = path;
+            if (isStyleReady) {
+                drawRoute();
+            }
+        },
+
+        setParticipantMarkers: (participants, meetingPoint = null) => {
+            groupMarkers.forEach(marker => marker.remove());
+
+            groupMarkers = participants.map((participant, index) => createGroupMarker(
+                participant.location,
+                participant.name,
+                'maplibre-marker--participant',
+                getParticipantLabel(index)
+            ));
+            if (meetingPoint) {
+                groupMarkers.push(createGroupMarker(meetingPoint, 'Meeting point', 'maplibre-marker--meeting', '★'));
+            }
+        },
+
+        setPlaceMarkers: (places, options = {}) => {
+            savedIds = options.savedPlaceIds || new Set();
+            addPlaceMarkers(places, { selectedPlaceId: null, ...options, startIndex: 0 });
+        },
+
+        addPlaceMarkers,
+
+        setSavedMarkers: (savedPlaceIds) => {
+            savedIds = savedPlaceIds || new Set();
+            renderMarkers();
+        },
+
+        highlightMarker: (placeId) => {
+            // A clustered or culled place gets its own marker
+            selectedId = placeId;
+            renderMarkers();
+
+            // Bounce for a moment, like the Google marker animation
+            const entry = markers.get(`place:${placeId}`);
+            if (!entry) return;
+
+            const element = entry.marker.getElement();
+            element.classList.add('is-bouncing');
+            setTimeout(() => {
+                element.classList.remove('is-bouncing');
+            }, BOUNCE_DURATION);
+        },
+
+        showInfoWindow,
+        clearMarkers
+    };
+};
+
+export default createMaplibreRenderer;
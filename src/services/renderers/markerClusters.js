@@ -0,0 +1,179 @@
+/**
+ * Marker Clusters
+ * Which place markers and cluster bubbles to draw for the current view,
+ * shared by all map renderers
+ *
+ * Places are grouped on a grid of MARKER_CLUSTERS.GRID_SIZE screen pixels at
+ * the current zoom: cells holding MIN_SIZE or more places become one bubble
+ * with their count, at their average position. From MAX_ZOOM in, every place
+ * gets its own marker, and the selected place always does. Only items within
+ * the view (plus VIEWPORT_PADDING) are returned, so large result sets only
+ * ever draw what's near the screen.
+ *
+ * Items are keyed, so renderers can diff them against the markers they have
+ * and only create, move or restyle what changed:
+ *   { key: 'place:<place_id>', type: 'place', place, index, location }
+ *   { key: 'cluster:<cell>', type: 'cluster', count, location, bounds }
+ */
+
+import { getPlaceLatLng } from '../../utils/distance';
+import { MARKER_CLUSTERS } from '../../utils/constants';
+
+// Google's tile size; MapLibre renderers pass their own
+const TILE_SIZE = 256;
+
+/**
+ * Get the width of the whole world in pixels at a zoom level
+ * @param {number} zoom - Zoom level
+ * @param {number} tileSize - Tile size of the renderer in pixels
+ * @returns {number} - World size in pixels
+ */
+export const getWorldSize = (zoom, tileSize = TILE_SIZE) => {
+    return tileSize * 2 ** zoom;
+};
+
+/**
+ * Project a location to world pixel coordinates (Web Mercator)
+ * @param {Object} location - { lat, lng }
+ * @param {number} worldSize - World size in pixels
+ * @returns {Object} - { x, y }
+ */
+const project = (location, worldSize) => {
+    const sin = Math.min(Math.max(Math.sin(location.lat * Math.PI / 180), -0.9999), 0.9999);
+    return {
+        x: (location.lng + 180) / 360 * worldSize,
+        y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * worldSize
+    };
+};
+
+/**
+ * Grow bounds by VIEWPORT_PADDING of their size on every side
+ * @param {Object} bounds - { north, south, east, west }
+ * @returns {Object} - Padded bounds
+ */
+const padBounds = (bounds) => {
+    const east = bounds.east < bounds.west ? bounds.east + 360 : bounds.east;
+    const latPadding = (bounds.north - bounds.south) * MARKER_CLUSTERS.VIEWPORT_PADDING;
+    const lngPadding = (east - bounds.west) * MARKER_CLUSTERS.VIEWPORT_PADDING;
+
+    // Views close to the whole world keep every marker
+    if (east - bounds.west + 2 * lngPadding >= 360) {
+        return { ...bounds, north: bounds.north + latPadding, south: bounds.south - latPadding, west: -180, east: 180 };
+    }
+
+    const wrap = (lng) => ((lng + 540) % 360) - 180;
+    return {
+        north: bounds.north + latPadding,
+        south: bounds.south - latPadding,
+        east: wrap(east + lngPadding),
+        west: wrap(bounds.west - lngPadding)
+    };
+};
+
+/**
+ * Check whether a location is within bounds
+ * Bounds crossing the antimeridian have east < west
+ * @param {Object} location - { lat, lng }
+ * @param {Object} bounds - { north, south, east, west }
+ * @returns {boolean} - True if inside
+ */
+const isInBounds = (location, bounds) => {
+    if (location.lat < bounds.south || location.lat > bounds.north) {
+        return false;
+    }
+    return bounds.east >= bounds.west
+        ? location.lng >= bounds.west && location.lng <= bounds.east
+        : location.lng >= bounds.west || location.lng <= bounds.east;
+};
+
+/**
+ * Build the clusterable points for places
+ * @param {Array} places - Place objects
+ * @param {number} startIndex - Marker number of the first place, minus one
+ * @returns {Array} - Points { place, index, location }
+ */
+export const toMarkerPoints = (places, startIndex = 0) => {
+    return places.map((place, offset) => ({
+        place,
+        index: startIndex + offset,
+        location: getPlaceLatLng(place)
+    }));
+};
+
+/**
+ * Get the place markers and cluster bubbles to draw
+ * @param {Array} points - Points from toMarkerPoints
+ * @param {Object} view - { worldSize, bounds, selectedId }; without bounds nothing is culled
+ * @returns {Array} - Marker items
+ */
+export const getMarkerItems = (points, { worldSize, bounds = null, selectedId = null }) => {
+    const toPlaceItem = (point) => ({ key: `place:${point.place.place_id}`, type: 'place', ...point });
+    let items;
+
+    if (worldSize >= getWorldSize(MARKER_CLUSTERS.MAX_ZOOM)) {
+        items = points.map(toPlaceItem);
+    } else {
+        const cells = new Map();
+        items = [];
+
+        points.forEach(point => {
+            if (point.place.place_id === selectedId) {
+                items.push(toPlaceItem(point));
+                return;
+            }
+
+            const { x, y } = project(point.location, worldSize);
+            const cell = `${Math.floor(x / MARKER_CLUSTERS.GRID_SIZE)},${Math.floor(y / MARKER_CLUSTERS.GRID_SIZE)}`;
+            if (!cells.has(cell)) cells.set(cell, []);
+            cells.get(cell).push(point);
+        });
+
+        cells.forEach((members, cell) => {
+            if (members.length < MARKER_CLUSTERS.MIN_SIZE) {
+                items.push(...members.map(toPlaceItem));
+                return;
+            }
+
+            const lats = members.map(member => member.location.lat);
+            const lngs = members.map(member => member.location.lng);
+            items.push({
+                key: `cluster:${cell}`,
+                type: 'cluster',
+                count: members.length,
+                location: {
+                    lat: lats.reduce((sum, lat) => sum + lat, 0) / members.length,
+                    lng: lngs.reduce((sum, lng) => sum + lng, 0) / members.length
+                },
+                bounds: {
+                    north: Math.max(...lats),
+                    south: Math.min(...lats),
+                    east: Math.max(...lngs),
+                    west: Math.min(...lngs)
+                }
+            });
+        });
+    }
+
+    if (!bounds) return items;
+
+    const view = padBounds(bounds);
+    return items.filter(item => (
+        isInBounds(item.location, view) || (item.type === 'place' && item.place.place_id === selectedId)
+    ));
+};
+
+/**
+ * Get the diameter of a cluster bubble
+ * @param {number} count - Places in the cluster
+ * @returns {number} - Diameter in pixels
+ */
+export const getClusterSize = (count) => {
+    return Math.round(Math.min(56, 30 + Math.log2(count) * 5));
+};
+
+export default {
+    getWorldSize,
+    toMarkerPoints,
+    getMarkerItems,
+    getClusterSize
+};
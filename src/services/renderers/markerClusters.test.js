@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { getWorldSize, toMarkerPoints, getMarkerItems, getClusterSize } from './markerClusters';
+import { MARKER_CLUSTERS } from '../../utils/constants';
+
+const CITY_ZOOM = getWorldSize(10);
+const STREET_ZOOM = getWorldSize(MARKER_CLUSTERS.MAX_ZOOM);
+
+const createPlace = (id, lat, lng) => ({ place_id: id, geometry: { location: { lat, lng } } });
+
+// Three places a few meters apart, well inside one grid cell at city zoom
+const block = [
+    createPlace('a', 10.0001, 0.0001),
+    createPlace('b', 10.0002, 0.0002),
+    createPlace('c', 10.0003, 0.0003)
+];
+
+const keys = (items) => items.map(item => item.key).sort();
+
+describe('toMarkerPoints', () => {
+    it('numbers places from the start index and reads Google locations', () => {
+        const google = { place_id: 'g', geometry: { location: { lat: () => 1, lng: () => 2 } } };
+
+        const points = toMarkerPoints([block[0], google], 20);
+
+        expect(points.map(point => point.index)).toEqual([20, 21]);
+        expect(points[1].location).toEqual({ lat: 1, lng: 2 });
+    });
+});
+
+describe('getMarkerItems', () => {
+    it('groups places close together on screen into one bubble at their average position', () => {
+        const items = getMarkerItems(toMarkerPoints(block), { worldSize: CITY_ZOOM });
+
+        expect(items).toHaveLength(1);
+        expect(items[0]).toMatchObject({ type: 'cluster', count: 3 });
+        expect(items[0].key).toMatch(/^cluster:\d+,\d+$/);
+        expect(items[0].location.lat).toBeCloseTo(10.0002, 8);
+        expect(items[0].location.lng).toBeCloseTo(0.0002, 8);
+        expect(items[0].bounds).toEqual({ north: 10.0003, south: 10.0001, east: 0.0003, west: 0.0001 });
+    });
+
+    it('keeps cells with fewer than MIN_SIZE places as markers', () => {
+        const items = getMarkerItems(toMarkerPoints(block.slice(0, MARKER_CLUSTERS.MIN_SIZE - 1)), { worldSize: CITY_ZOOM });
+
+        expect(keys(items)).toEqual(['place:a', 'place:b']);
+    });
+
+    it('gives every place its own marker from MAX_ZOOM in', () => {
+        const items = getMarkerItems(toMarkerPoints(block), { worldSize: STREET_ZOOM });
+
+        expect(keys(items)).toEqual(['place:a', 'place:b', 'place:c']);
+        expect(items.map(item => item.index)).toEqual([0, 1, 2]);
+    });
+
+    it('takes the selected place out of its cluster', () => {
+        const items = getMarkerItems(toMarkerPoints(block), { worldSize: CITY_ZOOM, selectedId: 'b' });
+
+        // The two left behind are too few for a bubble
+        expect(keys(items)).toEqual(['place:a', 'place:b', 'place:c']);
+    });
+
+    it('culls items outside the padded view but keeps the selected place', () => {
+        const far = createPlace('far', 50, 50);
+        const bounds = { north: 10.01, south: 9.99, east: 0.01, west: -0.01 };
+
+        const items = getMarkerItems(toMarkerPoints([...block, far]), { worldSize: STREET_ZOOM, bounds });
+        expect(keys(items)).toEqual(['place:a', 'place:b', 'place:c']);
+
+        const selected = getMarkerItems(toMarkerPoints([...block, far]), { worldSize: STREET_ZOOM, bounds, selectedId: 'far' });
+        expect(keys(selected)).toContain('place:far');
+    });
+
+    it('keeps items within VIEWPORT_PADDING of the view', () => {
+        // The view is 1° wide, so a quarter of a degree beyond the edge is still kept
+        const bounds = { north: 1, south: 0, east: 1, west: 0 };
+        const points = toMarkerPoints([createPlace('near', 0.5, 1.2), createPlace('beyond', 0.5, 1.3)]);
+
+        expect(keys(getMarkerItems(points, { worldSize: STREET_ZOOM, bounds }))).toEqual(['place:near']);
+    });
+
+    it('keeps items on both sides of a view across the antimeridian', () => {
+        const bounds = { north: -15, south: -20, east: -178, west: 178 };
+        const points = toMarkerPoints([
+            createPlace('west', -17, 179),
+            createPlace('east', -17, -179),
+            createPlace('greenwich', -17, 0)
+        ]);
+
+        expect(keys(getMarkerItems(points, { worldSize: STREET_ZOOM, bounds }))).toEqual(['place:east', 'place:west']);
+    });
+
+    it('keeps every longitude when the padded view wraps the whole world', () => {
+        const bounds = { north: 60, south: -60, east: 170, west: -170 };
+        const points = toMarkerPoints([createPlace('pacific', 0, 179), createPlace('atlantic', 0, -30)]);
+
+        expect(keys(getMarkerItems(points, { worldSize: STREET_ZOOM, bounds }))).toEqual(['place:atlantic', 'place:pacific']);
+    });
+});
+
+describe('getClusterSize', () => {
+    it('grows with the count and stops at 56 pixels', () => {
+        expect(getClusterSize(3)).toBe(38);
+        expect(getClusterSize(8)).toBe(45);
+        expect(getClusterSize(100000)).toBe(56);
+    });
+});
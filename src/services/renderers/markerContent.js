@@ -0,0 +1,59 @@
+/**
+ * Marker Content
+ * Marker colors and info window markup shared by all map renderers
+ */
+
+// Marker colors (match the legend in Map.css)
+export const MARKER_COLORS = {
+    user: '#4285F4',
+    place: '#ef4444',
+    cluster: '#b91c1c',
+    selected: '#6366f1',
+    saved: '#ec4899',
+    area: '#6366f1',
+    route: '#2563eb',
+    participant: '#f59e0b',
+    meeting: '#10b981',
+    stroke: '#ffffff'
+};
+
+// Heatmap colors by density, [stop (0-1), color] (match .legend-heatmap in Map.css)
+export const HEATMAP_GRADIENT = [
+    [0, 'rgba(99, 102, 241, 0)'],
+    [0.2, '#6366f1'],
+    [0.45, '#22c55e'],
+    [0.7, '#eab308'],
+    [1, '#ef4444']
+];
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+};
+
+/**
+ * Build the info window HTML for a place
+ * @param {Object} place - Place object
+ * @returns {string} - HTML content
+ */
+export const getInfoWindowContent = (place) => `
+      <div style="padding: 8px; max-width: 200px;">
+        <h3 style="margin: 0 0 4px; font-size: 14px; font-weight: 600;">${escapeHtml(place.name)}</h3>
+        ${place.rating ? `<p style="margin: 0 0 4px; font-size: 12px; color: #666;">⭐ ${place.rating} (${place.user_ratings_total || 0} reviews)</p>` : ''}
+        ${place.vicinity ? `<p style="margin: 0; font-size: 11px; color: #888;">${escapeHtml(place.vicinity)}</p>` : ''}
+      </div>
+    `;
+
+export default {
+    MARKER_COLORS,
+    HEATMAP_GRADIENT,
+    getInfoWindowContent
+};
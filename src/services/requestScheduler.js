@@ -0,0 +1,219 @@
+/**
+ * Request Scheduler Service
+ * Runs places provider calls with bounded concurrency, retries with backoff
+ * and per-session / per-day call budgets
+ *
+ * At most MAX_CONCURRENT calls run at once; the rest wait in a FIFO queue.
+ * Calls failing with OVER_QUERY_LIMIT or UNKNOWN_ERROR are retried up to
+ * MAX_RETRIES times with exponential backoff. For metered providers every
+ * attempt counts against the session and daily budgets (REQUEST_LIMITS in
+ * constants); once either is used up, calls are rejected with status
+ * BUDGET_EXCEEDED. The daily count is kept in localStorage so it is shared by
+ * all tabs on this device.
+ */
+
+import { isMeteredProvider } from './placesProvider';
+import { REQUEST_LIMITS } from '../utils/constants';
+
+const RETRYABLE_STATUSES = ['OVER_QUERY_LIMIT', 'UNKNOWN_ERROR'];
+const DAILY_USAGE_KEY = 'placepulse-request-usage';
+
+const queue = [];
+let active = 0;
+let waitingRetries = 0;
+let sessionUsed = 0;
+let retries = 0;
+let throttled = 0;
+let rejected = 0;
+const listeners = new Set();
+
+/**
+ * Get today's date as YYYY-MM-DD in local time
+ * @returns {string} - Date key
+ */
+const getToday = () => {
+    const now = new Date();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${now.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Read today's call count
+ * @returns {number} - Calls made today on this device
+ */
+const readDailyUsage = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(DAILY_USAGE_KEY));
+        return stored?.date === getToday() ? stored.count : 0;
+    } catch (err) {
+        return 0;
+    }
+};
+
+// Fallback when localStorage is unavailable (e.g. private mode)
+let memoryDailyUsage = { date: getToday(), count: 0 };
+
+/**
+ * Count one call against the budgets
+ */
+const countCall = () => {
+    sessionUsed += 1;
+
+    const today = getToday();
+    try {
+        localStorage.setItem(DAILY_USAGE_KEY, JSON.stringify({ date: today, count: readDailyUsage() + 1 }));
+    } catch (err) {
+        memoryDailyUsage = {
+            date: today,
+            count: (memoryDailyUsage.date === today ? memoryDailyUsage.count : 0) + 1
+        };
+    }
+};
+
+/**
+ * Get today's usage, from localStorage or the in-memory fallback
+ * @returns {number} - Calls made today
+ */
+const getDailyUsed = () => {
+    const stored = readDailyUsage();
+    return memoryDailyUsage.date === getToday() ? Math.max(stored, memoryDailyUsage.count) : stored;
+};
+
+/**
+ * Build the error for an exhausted budget, if any
+ * @returns {Error|null} - Error with status BUDGET_EXCEEDED, or null
+ */
+const getBudgetError = () => {
+    let message = null;
+
+    if (getDailyUsed() >= REQUEST_LIMITS.DAILY_BUDGET) {
+        message = `Daily request budget reached (${REQUEST_LIMITS.DAILY_BUDGET} calls). Cached searches still work; new ones will be available tomorrow.`;
+    } else if (sessionUsed >= REQUEST_LIMITS.SESSION_BUDGET) {
+        message = `Request budget for this session reached (${REQUEST_LIMITS.SESSION_BUDGET} calls). Cached searches still work; reload the page to continue.`;
+    }
+
+    if (!message) return null;
+
+    const error = new Error(message);
+    error.status = 'BUDGET_EXCEEDED';
+    return error;
+};
+
+/**
+ * Get scheduler statistics
+ * @returns {Object} - { metered, active, queued, retrying, session, daily, retries, throttled, rejected }
+ */
+export const getRequestStats = () => ({
+    metered: isMeteredProvider(),
+    active,
+    queued: queue.length,
+    retrying: waitingRetries,
+    session: { used: sessionUsed, limit: REQUEST_LIMITS.SESSION_BUDGET },
+    daily: { used: getDailyUsed(), limit: REQUEST_LIMITS.DAILY_BUDGET },
+    retries,
+    throttled,
+    rejected
+});
+
+/**
+ * Notify stats listeners
+ */
+const emitStats = () => {
+    const stats = getRequestStats();
+    listeners.forEach(listener => listener(stats));
+};
+
+/**
+ * Subscribe to scheduler statistics
+ * @param {Function} listener - Called with new stats whenever a call starts, ends or retries
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeRequestStats = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Get the backoff delay before a retry
+ * @param {number} attempt - Retry number (1-based)
+ * @returns {number} - Delay in ms, with ±25% jitter
+ */
+const getRetryDelay = (attempt) => {
+    const delay = REQUEST_LIMITS.RETRY_BASE_DELAY * 2 ** (attempt - 1);
+    return Math.round(delay * (0.75 + Math.random() * 0.5));
+};
+
+/**
+ * Start queued jobs while there are free slots
+ */
+const drainQueue = () => {
+    while (active < REQUEST_LIMITS.MAX_CONCURRENT && queue.length > 0) {
+        const job = queue.shift();
+        active += 1;
+        runJob(job).finally(() => {
+            active -= 1;
+            drainQueue();
+        });
+    }
+    emitStats();
+};
+
+/**
+ * Run one attempt of a job, re-queueing it after a delay if it can be retried
+ * @param {Object} job - { fetcher, resolve, reject, attempt }
+ */
+const runJob = async (job) => {
+    const metered = isMeteredProvider();
+
+    if (metered) {
+        const budgetError = getBudgetError();
+        if (budgetError) {
+            rejected += 1;
+            job.reject(budgetError);
+            return;
+        }
+        countCall();
+    }
+
+    try {
+        job.resolve(await job.fetcher());
+    } catch (err) {
+        if (err?.status === 'OVER_QUERY_LIMIT') {
+            throttled += 1;
+        }
+
+        if (!RETRYABLE_STATUSES.includes(err?.status) || job.attempt >= REQUEST_LIMITS.MAX_RETRIES) {
+            job.reject(err);
+            return;
+        }
+
+        job.attempt += 1;
+        retries += 1;
+        waitingRetries += 1;
+        setTimeout(() => {
+            waitingRetries -= 1;
+            // Retries go ahead of new requests
+            queue.unshift(job);
+            drainQueue();
+        }, getRetryDelay(job.attempt));
+    }
+};
+
+/**
+ * Schedule a provider call
+ * @param {Function} fetcher - Performs the call and returns a promise
+ * @returns {Promise<*>} - Result of the call
+ */
+export const scheduleRequest = (fetcher) => {
+    return new Promise((resolve, reject) => {
+        queue.push({ fetcher, resolve, reject, attempt: 0 });
+        drainQueue();
+    });
+};
+
+export default {
+    scheduleRequest,
+    getRequestStats,
+    subscribeRequestStats
+};
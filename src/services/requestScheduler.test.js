@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../utils/constants', async (importOriginal) => ({
+    ...(await importOriginal()),
+    REQUEST_LIMITS: {
+        MAX_CONCURRENT: 2,
+        MAX_RETRIES: 2,
+        RETRY_BASE_DELAY: 100,
+        SESSION_BUDGET: 3,
+        DAILY_BUDGET: 100,
+        WARN_THRESHOLD: 0.8
+    }
+}));
+
+// Scheduler state is per module, so every test gets a fresh copy
+let scheduleRequest;
+let getRequestStats;
+
+const createError = (status) => Object.assign(new Error(status), { status });
+
+const deferred = () => {
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    return { promise, resolve };
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+beforeEach(async () => {
+    vi.resetModules();
+    ({ scheduleRequest, getRequestStats } = await import('./requestScheduler'));
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllEnvs();
+});
+
+describe('request scheduler', () => {
+    it('runs at most MAX_CONCURRENT calls at once, in order', async () => {
+        const calls = [deferred(), deferred(), deferred()];
+        const started = [];
+        const results = calls.map((call, index) => scheduleRequest(() => {
+            started.push(index);
+            return call.promise;
+        }));
+
+        await flush();
+        expect(started).toEqual([0, 1]);
+        expect(getRequestStats()).toMatchObject({ active: 2, queued: 1 });
+
+        calls[1].resolve('second');
+        await flush();
+        expect(started).toEqual([0, 1, 2]);
+
+        calls[0].resolve('first');
+        calls[2].resolve('third');
+        await expect(Promise.all(results)).resolves.toEqual(['first', 'second', 'third']);
+    });
+
+    it('retries throttled calls with backoff', async () => {
+        vi.useFakeTimers();
+        const fetcher = vi.fn()
+            .mockRejectedValueOnce(createError('OVER_QUERY_LIMIT'))
+            .mockResolvedValueOnce('ok');
+
+        const result = scheduleRequest(fetcher);
+        await vi.advanceTimersByTimeAsync(0);
+        expect(fetcher).toHaveBeenCalledTimes(1);
+        expect(getRequestStats()).toMatchObject({ retrying: 1, throttled: 1 });
+
+        // First retry waits 100 ms ±25%
+        await vi.advanceTimersByTimeAsync(70);
+        expect(fetcher).toHaveBeenCalledTimes(1);
+        await vi.advanceTimersByTimeAsync(60);
+
+        await expect(result).resolves.toBe('ok');
+        expect(getRequestStats()).toMatchObject({ retries: 1, retrying: 0, session: { used: 2 } });
+    });
+
+    it('gives up after MAX_RETRIES retries', async () => {
+        vi.useFakeTimers();
+        const fetcher = vi.fn().mockRejectedValue(createError('UNKNOWN_ERROR'));
+
+        const result = scheduleRequest(fetcher);
+        const settled = expect(result).rejects.toMatchObject({ status: 'UNKNOWN_ERROR' });
+        await vi.runAllTimersAsync();
+
+        await settled;
+        expect(fetcher).toHaveBeenCalledTimes(3);
+    });
+
+    it('does not retry other failures', async () => {
+        const fetcher = vi.fn().mockRejectedValue(createError('REQUEST_DENIED'));
+
+        await expect(scheduleRequest(fetcher)).rejects.toMatchObject({ status: 'REQUEST_DENIED' });
+        expect(fetcher).toHaveBeenCalledTimes(1);
+        expect(getRequestStats().retries).toBe(0);
+    });
+
+    it('rejects the rest of a batch once the budget runs out partway', async () => {
+        const fetcher = vi.fn().mockResolvedValue('ok');
+
+        const results = await Promise.allSettled([1, 2, 3, 4, 5].map(() => scheduleRequest(fetcher)));
+
+        expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled', 'fulfilled', 'rejected', 'rejected']);
+        expect(results[3].reason.status).toBe('BUDGET_EXCEEDED');
+        expect(fetcher).toHaveBeenCalledTimes(3);
+        expect(getRequestStats()).toMatchObject({ rejected: 2, session: { used: 3, limit: 3 } });
+    });
+
+    it('counts retries against the budget', async () => {
+        vi.useFakeTimers();
+        const failing = vi.fn().mockRejectedValue(createError('OVER_QUERY_LIMIT'));
+        const other = vi.fn().mockResolvedValue('ok');
+
+        const retried = scheduleRequest(failing);
+        const settled = expect(retried).rejects.toMatchObject({ status: 'BUDGET_EXCEEDED' });
+        await vi.advanceTimersByTimeAsync(0);
+        await Promise.all([scheduleRequest(other), scheduleRequest(other)]);
+        await vi.runAllTimersAsync();
+
+        await settled;
+        expect(failing).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves unmetered providers without a budget', async () => {
+        vi.stubEnv('VITE_PLACES_PROVIDER', 'local');
+        const fetcher = vi.fn().mockResolvedValue('ok');
+
+        await Promise.all([1, 2, 3, 4, 5].map(() => scheduleRequest(fetcher)));
+
+        expect(fetcher).toHaveBeenCalledTimes(5);
+        expect(getRequestStats()).toMatchObject({ metered: false, rejected: 0, session: { used: 0 } });
+    });
+});
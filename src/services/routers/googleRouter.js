@@ -0,0 +1,141 @@
+/**
+ * Google Router
+ * Travel times from the Google Maps Distance Matrix service and routes from
+ * the Directions service
+ */
+
+import { loadGoogleMapsApi, getGoogleMapsApi } from '../mapsLoader';
+
+// Distance Matrix allows 25 destinations per request
+const MAX_DESTINATIONS = 25;
+
+/**
+ * Create an error for a failed Distance Matrix or Directions request
+ * @param {string} status - DistanceMatrixStatus or DirectionsStatus value
+ * @param {string} request - What was requested, for the message
+ * @returns {Error} - Error with a `status` property
+ */
+const createRequestError = (status, request = 'Travel time') => {
+    const error = new Error(`${request} request failed: ${status}`);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Convert Directions instructions (HTML) to plain text
+ * @param {string} html - Instructions, e.g. 'Turn <b>left</b><div>...</div>'
+ * @returns {string} - Plain text
+ */
+const toPlainText = (html) => {
+    // Block elements carry separate sentences
+    const spaced = (html || '').replace(/<div/g, '. <div');
+    const text = new DOMParser().parseFromString(spaced, 'text/html').body.textContent;
+    return text.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Describe a Directions step
+ * @param {google.maps.DirectionsStep} step - Step
+ * @returns {Object} - { instruction, distance, duration }
+ */
+const toRouteStep = (step) => {
+    let instruction = toPlainText(step.instructions);
+
+    // Name the line and stops for transit rides
+    if (step.transit) {
+        const { line, num_stops: stops } = step.transit;
+        const lineName = line?.short_name || line?.name;
+        instruction += ` (${[lineName, stops && `${stops} stops`].filter(Boolean).join(', ')})`;
+    }
+
+    return {
+        instruction,
+        distance: step.distance?.value ?? 0,
+        duration: step.duration?.value ?? 0
+    };
+};
+
+/**
+ * Load the Google Maps API required by this router
+ * @returns {Promise<google>} - Google Maps API object
+ */
+export const loadGoogleRouter = () => {
+    return loadGoogleMapsApi();
+};
+
+/**
+ * Create a Distance Matrix-backed router
+ * @returns {Object} - Router
+ */
+export const createGoogleRouter = () => {
+    const google = getGoogleMapsApi();
+    const service = new google.maps.DistanceMatrixService();
+    const directionsService = new google.maps.DirectionsService();
+
+    const TRAVEL_MODES = {
+        walking: google.maps.TravelMode.WALKING,
+        driving: google.maps.TravelMode.DRIVING,
+        bicycling: google.maps.TravelMode.BICYCLING,
+        transit: google.maps.TravelMode.TRANSIT
+    };
+
+    return {
+        modes: Object.keys(TRAVEL_MODES),
+        maxDestinations: MAX_DESTINATIONS,
+
+        /**
+         * Travel times from one origin to several destinations
+         */
+        getTravelTimes(origin, destinations, mode) {
+            return new Promise((resolve, reject) => {
+                service.getDistanceMatrix({
+                    origins: [origin],
+                    destinations,
+                    travelMode: TRAVEL_MODES[mode]
+                }, (response, status) => {
+                    if (status !== 'OK') {
+                        reject(createRequestError(status));
+                        return;
+                    }
+
+                    resolve(response.rows[0].elements.map(element => (element.status === 'OK'
+                        ? { duration: element.duration.value, distance: element.distance.value }
+                        : null)));
+                });
+            });
+        },
+
+        /**
+         * Route from an origin to a destination
+         */
+        getRoute(origin, destination, mode) {
+            return new Promise((resolve, reject) => {
+                directionsService.route({
+                    origin,
+                    destination,
+                    travelMode: TRAVEL_MODES[mode]
+                }, (response, status) => {
+                    if (status === 'ZERO_RESULTS' || status === 'NOT_FOUND') {
+                        resolve(null);
+                        return;
+                    }
+                    if (status !== 'OK') {
+                        reject(createRequestError(status, 'Directions'));
+                        return;
+                    }
+
+                    const route = response.routes[0];
+                    const leg = route.legs[0];
+                    resolve({
+                        duration: leg.duration?.value ?? 0,
+                        distance: leg.distance?.value ?? 0,
+                        path: route.overview_path.map(point => ({ lat: point.lat(), lng: point.lng() })),
+                        steps: leg.steps.map(toRouteStep)
+                    });
+                });
+            });
+        }
+    };
+};
+
+export default createGoogleRouter;
@@ -0,0 +1,89 @@
+/**
+ * Local Router
+ * Offline stand-in for a routing service, used with the local places provider
+ *
+ * Travel times are straight-line distance lengthened by a detour factor at the
+ * estimate speeds from constants, so results are always marked as estimates.
+ * Routes are the straight line itself.
+ */
+
+import { calculateDistance, estimateTravelDuration, formatDistance } from '../../utils/distance';
+import { TRAVEL_MODES } from '../../utils/constants';
+
+// Streets are rarely straight lines
+const DETOUR_FACTOR = 1.3;
+
+const COMPASS_POINTS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+/**
+ * Get the compass direction from one point to another
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {string} - e.g. 'northeast'
+ */
+const getCompassDirection = (from, to) => {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const lat1 = toRadians(from.lat);
+    const lat2 = toRadians(to.lat);
+    const deltaLng = toRadians(to.lng - from.lng);
+
+    const bearing = Math.atan2(
+        Math.sin(deltaLng) * Math.cos(lat2),
+        Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(deltaLng)
+    ) * 180 / Math.PI;
+
+    return COMPASS_POINTS[Math.round((bearing + 360) / 45) % 8];
+};
+
+/**
+ * Nothing to load
+ * @returns {Promise<void>}
+ */
+export const loadLocalRouter = () => Promise.resolve();
+
+/**
+ * Create a local router
+ * @param {Object} options - Router options
+ * @param {number} options.detourFactor - Route length relative to the straight line
+ * @returns {Object} - Router
+ */
+export const createLocalRouter = ({ detourFactor = DETOUR_FACTOR } = {}) => {
+    return {
+        modes: Object.values(TRAVEL_MODES),
+        maxDestinations: Infinity,
+
+        /**
+         * Travel times from one origin to several destinations
+         */
+        getTravelTimes(origin, destinations, mode) {
+            return Promise.resolve(destinations.map(destination => {
+                const distance = Math.round(calculateDistance(origin, destination) * detourFactor);
+                return { duration: estimateTravelDuration(distance, mode), distance };
+            }));
+        },
+
+        /**
+         * Straight-line route from an origin to a destination
+         */
+        getRoute(origin, destination, mode) {
+            const distance = Math.round(calculateDistance(origin, destination) * detourFactor);
+            const duration = estimateTravelDuration(distance, mode);
+
+            return Promise.resolve({
+                duration,
+                distance,
+                path: [origin, destination],
+                steps: [
+                    {
+                        instruction: `Head ${getCompassDirection(origin, destination)} for about ${formatDistance(distance)}`,
+                        distance,
+                        duration
+                    },
+                    { instruction: 'Arrive at your destination', distance: 0, duration: 0 }
+                ]
+            });
+        }
+    };
+};
+
+export default createLocalRouter;
@@ -0,0 +1,182 @@
+/**
+ * OSRM Router
+ * Travel times and routes from an OSRM-compatible API (e.g. a local osrm-routed)
+ *
+ * Requests go to {endpoint}/table/v1/{profile}/{coordinates} for travel times
+ * and {endpoint}/route/v1/{profile}/{coordinates} for routes. OSRM serves one
+ * profile per server, so the endpoint may contain a {profile} placeholder to
+ * reach a different server per mode (e.g. http://localhost:5000/{profile}).
+ * OSRM has no public transit routing.
+ */
+
+const DEFAULT_ENDPOINT = 'http://localhost:5000';
+const MAX_DESTINATIONS = 100;
+
+// Travel mode → OSRM profile
+const PROFILES = {
+    walking: 'foot',
+    driving: 'driving',
+    bicycling: 'bike'
+};
+
+// Maneuver type → instruction verb (others read "Continue")
+const MANEUVER_VERBS = {
+    turn: 'Turn',
+    'end of road': 'Turn',
+    fork: 'Keep',
+    merge: 'Merge'
+};
+
+/**
+ * Get the configured OSRM endpoint
+ * @returns {string} - Endpoint URL from VITE_OSRM_URL or a local server
+ */
+const getEndpoint = () => {
+    return import.meta.env.VITE_OSRM_URL || DEFAULT_ENDPOINT;
+};
+
+/**
+ * Create an error for a failed request
+ * @param {string} message - Error message
+ * @param {string} status - PlacesServiceStatus-style status
+ * @returns {Error} - Error with a `status` property
+ */
+const createRequestError = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Describe an OSRM route step in words
+ * @param {Object} step - RouteStep with maneuver { type, modifier, exit } and road name
+ * @returns {string} - Instruction, e.g. "Turn left onto Main Street"
+ */
+const describeStep = ({ maneuver, name }) => {
+    const { type, modifier, exit } = maneuver;
+    const onto = name ? ` onto ${name}` : '';
+
+    if (type === 'depart') {
+        return `Head out${name ? ` on ${name}` : ''}`;
+    }
+    if (type === 'arrive') {
+        return 'Arrive at your destination';
+    }
+    if (type === 'roundabout' || type === 'rotary') {
+        return exit ? `At the roundabout, take exit ${exit}${onto}` : `Enter the roundabout${onto}`;
+    }
+    if (type === 'on ramp' || type === 'off ramp') {
+        return `Take the ${type === 'on ramp' ? 'ramp' : 'exit'}${onto}`;
+    }
+    if (modifier === 'uturn') {
+        return `Make a U-turn${onto}`;
+    }
+
+    const verb = MANEUVER_VERBS[type];
+    if (verb && modifier && modifier !== 'straight') {
+        return `${verb} ${modifier}${onto}`;
+    }
+    return `Continue${onto}`;
+};
+
+/**
+ * Nothing to load; requests are plain HTTP
+ * @returns {Promise<void>}
+ */
+export const loadOsrmRouter = () => Promise.resolve();
+
+/**
+ * Create an OSRM-backed router
+ * @param {Object} options - Router options
+ * @param {string} options.endpoint - OSRM endpoint URL
+ * @param {Function} options.fetch - Fetch implementation
+ * @returns {Object} - Router
+ */
+export const createOsrmRouter = ({ endpoint = getEndpoint(), fetch: fetchFn = (...args) => window.fetch(...args) } = {}) => {
+    /**
+     * Request an OSRM service and check the response
+     * @param {string} service - 'table' or 'route'
+     * @param {string} mode - Travel mode
+     * @param {Array} points - { lat, lng } coordinates
+     * @param {string} query - Query string
+     * @returns {Promise<Object>} - Response data
+     */
+    const request = async (service, mode, points, query) => {
+        const profile = PROFILES[mode];
+        const base = endpoint.includes('{profile}')
+            ? endpoint.replace('{profile}', profile)
+            : endpoint;
+        // OSRM takes lng,lat pairs
+        const coordinates = points
+            .map(point => `${point.lng},${point.lat}`)
+            .join(';');
+        const url = `${base.replace(/\/$/, '')}/${service}/v1/${profile}/${coordinates}?${query}`;
+        const label = service === 'table' ? 'Travel time' : 'Directions';
+
+        const response = await fetchFn(url);
+
+        if (!response.ok) {
+            let status = 'INVALID_REQUEST';
+            if (response.status === 429) {
+                status = 'OVER_QUERY_LIMIT';
+            } else if (response.status >= 500) {
+                status = 'UNKNOWN_ERROR';
+            }
+            throw createRequestError(`${label} request failed: ${response.status}`, status);
+        }
+
+        const data = await response.json();
+        if (data.code !== 'Ok' && data.code !== 'NoRoute') {
+            throw createRequestError(`${label} request failed: ${data.code}`, 'INVALID_REQUEST');
+        }
+        return data;
+    };
+
+    return {
+        modes: Object.keys(PROFILES),
+        maxDestinations: MAX_DESTINATIONS,
+
+        /**
+         * Travel times from one origin to several destinations
+         */
+        async getTravelTimes(origin, destinations, mode) {
+            // The origin is the first coordinate
+            const data = await request('table', mode, [origin, ...destinations], 'sources=0&annotations=duration,distance');
+            if (data.code === 'NoRoute') {
+                return destinations.map(() => null);
+            }
+
+            // Row 0 holds times from the origin; column 0 is the origin itself
+            return destinations.map((_, index) => {
+                const duration = data.durations[0][index + 1];
+                return duration === null
+                    ? null
+                    : { duration: Math.round(duration), distance: Math.round(data.distances?.[0][index + 1] ?? 0) };
+            });
+        },
+
+        /**
+         * Route from an origin to a destination
+         */
+        async getRoute(origin, destination, mode) {
+            const data = await request('route', mode, [origin, destination], 'overview=full&geometries=geojson&steps=true');
+            const route = data.routes?.[0];
+            if (data.code === 'NoRoute' || !route) {
+                return null;
+            }
+
+            return {
+                duration: Math.round(route.duration),
+                distance: Math.round(route.distance),
+                path: route.geometry.coordinates.map(([lng, lat]) => ({ lat, lng })),
+                steps: route.legs[0].steps.map(step => ({
+                    instruction: describeStep(step),
+                    distance: Math.round(step.distance),
+                    duration: Math.round(step.duration)
+                }))
+            };
+        }
+    };
+};
+
+export default createOsrmRouter;
@@ -0,0 +1,116 @@
+/**
+ * Routing Provider Registry
+ * Selects the backend used for travel times and directions
+ *
+ * Every router implements the same interface:
+ *
+ *   modes                                        → travel modes it can route
+ *   maxDestinations                              → destinations per request
+ *   getTravelTimes(origin, destinations, mode)   → Promise<Array<{ duration, distance } | null>>
+ *   getRoute(origin, destination, mode)          → Promise<{ duration, distance, path, steps } | null>
+ *
+ * Durations are in seconds and distances in meters, in destination order;
+ * null means there is no route. Route paths are { lat, lng } points and steps
+ * { instruction, distance, duration }. Failed requests reject with an Error
+ * whose `status` uses the Google status names, like the places providers.
+ *
+ * VITE_ROUTING_PROVIDER picks the router; by default it follows the places
+ * provider (google → google, osm → osrm, local → local).
+ */
+
+import { loadGoogleRouter, createGoogleRouter } from './routers/googleRouter';
+import { loadOsrmRouter, createOsrmRouter } from './routers/osrmRouter';
+import { loadLocalRouter, createLocalRouter } from './routers/localRouter';
+import { getPlacesProviderName } from './placesProvider';
+
+// Available routers
+const ROUTERS = {
+    google: {
+        load: loadGoogleRouter,
+        create: createGoogleRouter,
+        estimated: false
+    },
+    osrm: {
+        load: loadOsrmRouter,
+        create: createOsrmRouter,
+        estimated: false
+    },
+    local: {
+        load: loadLocalRouter,
+        create: createLocalRouter,
+        estimated: true
+    }
+};
+
+// Router used with each places provider when VITE_ROUTING_PROVIDER is unset
+const DEFAULT_ROUTERS = {
+    google: 'google',
+    osm: 'osrm',
+    local: 'local'
+};
+
+// Router instance, created on first use
+let routerPromise = null;
+
+/**
+ * Get the configured router name
+ * @returns {string} - Router name from VITE_ROUTING_PROVIDER, or the places provider's default
+ */
+export const getRoutingProviderName = () => {
+    const configured = import.meta.env.VITE_ROUTING_PROVIDER;
+    return (configured || DEFAULT_ROUTERS[getPlacesProviderName()] || 'local').toLowerCase();
+};
+
+/**
+ * Get the configured router definition
+ * Throws if the configured router is unknown
+ * @returns {Object} - Router definition
+ */
+const getRouterDefinition = () => {
+    const name = getRoutingProviderName();
+    const definition = ROUTERS[name];
+
+    if (!definition) {
+        throw new Error(
+            `Unknown routing provider "${name}". ` +
+            `Set VITE_ROUTING_PROVIDER to one of: ${Object.keys(ROUTERS).join(', ')}.`
+        );
+    }
+
+    return definition;
+};
+
+/**
+ * Get the configured router, loading it on first use
+ * @returns {Promise<Object>} - Router
+ */
+export const getRouter = () => {
+    if (!routerPromise) {
+        routerPromise = Promise.resolve()
+            .then(async () => {
+                const definition = getRouterDefinition();
+                await definition.load();
+                return definition.create();
+            })
+            .catch(err => {
+                // Allow another attempt (e.g. after the Maps API failed to load)
+                routerPromise = null;
+                throw err;
+            });
+    }
+    return routerPromise;
+};
+
+/**
+ * Check whether the configured router only estimates travel times
+ * @returns {boolean} - True for the offline stand-in
+ */
+export const isEstimatedRouting = () => {
+    return getRouterDefinition().estimated;
+};
+
+export default {
+    getRoutingProviderName,
+    getRouter,
+    isEstimatedRouting
+};
@@ -0,0 +1,174 @@
+/**
+ * Saved Locations Service
+ * Named search anchors ("Home", "Office", ...) persisted in IndexedDB, the
+ * anchor currently searched from, and address lookup for choosing new ones
+ *
+ * Saved location records:
+ *   { id, name, icon, location: { lat, lng }, address, position, createdAt }
+ * address is the geocoder's address object (see mapsLoader) or null.
+ *
+ * The active anchor is kept in localStorage so a chosen location survives
+ * reloads; null means searches use the device's live GPS position.
+ */
+
+import { STORES, getAllRecords, putRecord, deleteRecord } from './database';
+import { loadGoogleMapsApi, isGoogleMapsLoaded, geocodeAddress, reverseGeocode } from './mapsLoader';
+
+const ACTIVE_ANCHOR_KEY = 'placepulse-location-anchor';
+
+export const DEFAULT_ICON = '📌';
+
+// Quick names offered when saving a location
+export const LOCATION_PRESETS = [
+    { name: 'Home', icon: '🏠' },
+    { name: 'Office', icon: '🏢' }
+];
+
+// "lat, lng" typed into the address field
+const COORDINATES_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+/**
+ * Create a unique ID
+ * @returns {string} - ID
+ */
+const createId = () => {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Check that a value is a usable { lat, lng }
+ * @param {*} location - Value to check
+ * @returns {boolean} - True if valid
+ */
+const isValidLocation = (location) => {
+    return Number.isFinite(location?.lat) && Number.isFinite(location?.lng) &&
+        Math.abs(location.lat) <= 90 && Math.abs(location.lng) <= 180;
+};
+
+/**
+ * Get all saved locations in display order
+ * @returns {Promise<Array>} - Saved location records
+ */
+export const getSavedLocations = async () => {
+    const records = await getAllRecords(STORES.SAVED_LOCATIONS);
+    return records.sort((a, b) => a.position - b.position);
+};
+
+/**
+ * Create a saved location record
+ * @param {Object} fields - { name, icon, location, address }
+ * @param {number} position - Position in the saved locations list
+ * @returns {Object} - Saved location record
+ */
+export const createSavedLocation = ({ name, icon, location, address = null }, position = 0) => {
+    const trimmedName = name.trim();
+    const preset = LOCATION_PRESETS.find(p => p.name.toLowerCase() === trimmedName.toLowerCase());
+
+    return {
+        id: createId(),
+        name: preset?.name || trimmedName,
+        icon: icon || preset?.icon || DEFAULT_ICON,
+        location: { lat: location.lat, lng: location.lng },
+        address,
+        position,
+        createdAt: new Date().toISOString()
+    };
+};
+
+/**
+ * Save (or update) a saved location record
+ * @param {Object} record - Saved location record
+ * @returns {Promise<Object>} - The stored record
+ */
+export const putSavedLocation = async (record) => {
+    await putRecord(STORES.SAVED_LOCATIONS, record);
+    return record;
+};
+
+/**
+ * Delete a saved location
+ * @param {string} id - Saved location ID
+ * @returns {Promise<void>}
+ */
+export const deleteSavedLocation = (id) => {
+    return deleteRecord(STORES.SAVED_LOCATIONS, id);
+};
+
+/**
+ * Get the anchor searches were last made from
+ * @returns {Object|null} - { id, name, icon, location, address }, or null for live GPS
+ */
+export const getActiveAnchor = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(ACTIVE_ANCHOR_KEY));
+        return stored && isValidLocation(stored.location) ? stored : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Remember the anchor searches are made from
+ * @param {Object|null} anchor - Anchor, or null for live GPS
+ */
+export const setActiveAnchor = (anchor) => {
+    try {
+        if (anchor) {
+            localStorage.setItem(ACTIVE_ANCHOR_KEY, JSON.stringify(anchor));
+        } else {
+            localStorage.removeItem(ACTIVE_ANCHOR_KEY);
+        }
+    } catch (err) {
+        console.warn('Failed to save location anchor:', err);
+    }
+};
+
+/**
+ * Look up an address, or parse typed "lat, lng" coordinates
+ * @param {string} query - Address, place name or coordinates
+ * @returns {Promise<Array>} - Matches: { location: { lat, lng }, address }
+ */
+export const searchAddress = async (query) => {
+    const match = query.match(COORDINATES_PATTERN);
+    if (match) {
+        const location = { lat: parseFloat(match[1]), lng: parseFloat(match[2]) };
+        return isValidLocation(location) ? [{ location, address: null }] : [];
+    }
+
+    if (!isGoogleMapsLoaded()) {
+        await loadGoogleMapsApi();
+    }
+    return geocodeAddress(query);
+};
+
+/**
+ * Get the address for a location, e.g. a dropped pin
+ * @param {Object} location - { lat, lng }
+ * @returns {Promise<Object|null>} - Address information, or null if unavailable
+ */
+export const describeLocation = async (location) => {
+    try {
+        if (!isGoogleMapsLoaded()) {
+            await loadGoogleMapsApi();
+        }
+        return await reverseGeocode(location);
+    } catch (err) {
+        console.warn('Reverse geocoding failed:', err);
+        return null;
+    }
+};
+
+export default {
+    LOCATION_PRESETS,
+    getSavedLocations,
+    createSavedLocation,
+    putSavedLocation,
+    deleteSavedLocation,
+    getActiveAnchor,
+    setActiveAnchor,
+    searchAddress,
+    describeLocation
+};
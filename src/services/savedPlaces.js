@@ -0,0 +1,59 @@
+/**
+ * Saved Places Service
+ * Persists bookmarked places in IndexedDB
+ *
+ * Each record stores a snapshot of the place (so saved places show up without
+ * a new search), the date it was saved and a personal note:
+ *   { place_id, place, savedAt, note }
+ */
+
+import { STORES, getAllRecords, putRecord, deleteRecord } from './database';
+import { toPlaceSnapshot } from '../utils/placeSnapshot';
+
+/**
+ * Get all saved place records, newest first
+ * @returns {Promise<Array>} - Saved place records
+ */
+export const getSavedPlaces = async () => {
+    const records = await getAllRecords(STORES.SAVED_PLACES);
+    return records.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+};
+
+/**
+ * Create a saved place record
+ * @param {Object} place - Place object
+ * @param {string} note - Personal note
+ * @returns {Object} - Saved place record
+ */
+export const createSavedPlace = (place, note = '') => ({
+    place_id: place.place_id,
+    place: toPlaceSnapshot(place),
+    savedAt: new Date().toISOString(),
+    note
+});
+
+/**
+ * Save (or update) a place record
+ * @param {Object} record - Saved place record
+ * @returns {Promise<Object>} - The stored record
+ */
+export const putSavedPlace = async (record) => {
+    await putRecord(STORES.SAVED_PLACES, record);
+    return record;
+};
+
+/**
+ * Remove a saved place
+ * @param {string} placeId - Place ID
+ * @returns {Promise<void>}
+ */
+export const removeSavedPlace = (placeId) => {
+    return deleteRecord(STORES.SAVED_PLACES, placeId);
+};
+
+export default {
+    getSavedPlaces,
+    createSavedPlace,
+    putSavedPlace,
+    removeSavedPlace
+};
@@ -0,0 +1,405 @@
+/**
+ * Search Cache Service
+ * Persistent, size-bounded cache for places provider requests with
+ * stale-while-revalidate
+ *
+ * Entries are keyed by provider, request kind, query, rounded location and
+ * radius (or place ID for details, router, mode, origin and place ID for
+ * travel times, or router, mode, minutes and origin for isochrones). Each kind
+ * has a TTL (see CACHE in constants): fresh entries are returned as-is, stale
+ * entries are returned immediately while a fresh copy is fetched in the
+ * background, and entries past their max age are dropped. Once the entry
+ * count passes MAX_ENTRIES the least recently used entries are evicted.
+ *
+ * Entries live in memory and are written through to IndexedDB as place
+ * snapshots (travel times and isochrones as plain data), so the cache
+ * survives reloads. Without IndexedDB it works for the current session only.
+ */
+
+import { STORES, isDatabaseSupported, getAllRecords, putRecord, deleteRecord, clearStore } from './database';
+import { getPlacesProviderName } from './placesProvider';
+import { toPlaceSnapshot, fromPlaceSnapshot } from '../utils/placeSnapshot';
+import { CACHE } from '../utils/constants';
+
+export const CACHE_KINDS = Object.keys(CACHE.TTL);
+
+// key -> { key, kind, storedAt, accessedAt, data, value }
+// `data` is the stored (serialized) form, `value` the live objects once restored
+const entries = new Map();
+let loadPromise = null;
+
+// Requests currently in flight, so identical requests share one call
+const inflight = new Map();
+
+// Kinds whose values are plain data rather than places
+const DATA_KINDS = ['travel', 'isochrone'];
+
+const createStats = () => ({
+    kinds: Object.fromEntries(CACHE_KINDS.map(kind => [kind, { hits: 0, stale: 0, misses: 0 }])),
+    revalidations: 0,
+    evictions: 0,
+    errors: 0
+});
+
+let stats = createStats();
+const listeners = new Set();
+
+/**
+ * Check whether the cache debug panel is enabled
+ * @returns {boolean} - True when VITE_CACHE_DEBUG is "true"
+ */
+export const isCacheDebugEnabled = () => {
+    return import.meta.env.VITE_CACHE_DEBUG === 'true';
+};
+
+/**
+ * Notify stats listeners
+ */
+const emitStats = () => {
+    const snapshot = getCacheStats();
+    listeners.forEach(listener => listener(snapshot));
+};
+
+/**
+ * Count a cache event
+ * @param {string} kind - Request kind
+ * @param {string} event - 'hits', 'stale' or 'misses'
+ */
+const recordStat = (kind, event) => {
+    stats.kinds[kind][event] += 1;
+    emitStats();
+};
+
+/**
+ * Build the cache key for a request
+ * @param {string} kind - Request kind ('nearby', 'text', 'details', 'travel' or 'isochrone')
+ * @param {Object} params - { query, location, radius }, { placeId },
+ *   { router, mode, location, placeId } for travel times from location, or
+ *   { router, mode, minutes, location } for isochrones around location
+ * @returns {string} - Cache key
+ */
+export const createCacheKey = (kind, params) => {
+    const provider = getPlacesProviderName();
+
+    if (kind === 'details') {
+        return `${provider}:details:${params.placeId}`;
+    }
+
+    const { query = '', location, radius } = params;
+    const lat = location.lat.toFixed(CACHE.LOCATION_PRECISION);
+    const lng = location.lng.toFixed(CACHE.LOCATION_PRECISION);
+
+    if (kind === 'travel') {
+        return `${provider}:travel:${params.router}:${params.mode}:${lat},${lng}:${params.placeId}`;
+    }
+
+    if (kind === 'isochrone') {
+        return `${provider}:isochrone:${params.router}:${params.mode}:${params.minutes}:${lat},${lng}`;
+    }
+
+    return `${provider}:${kind}:${query.toLowerCase().trim()}:${lat},${lng}:${radius}`;
+};
+
+/**
+ * Serialize a place for storage, keeping open_now (entries are short-lived)
+ * @param {Object} place - Place object
+ * @returns {Object} - Snapshot
+ */
+const serializePlace = (place) => {
+    const snapshot = toPlaceSnapshot(place);
+    const openNow = place.opening_hours?.open_now;
+    return openNow !== undefined ? { ...snapshot, open_now: openNow } : snapshot;
+};
+
+/**
+ * Restore a place from storage
+ * @param {Object} snapshot - Stored snapshot
+ * @returns {Object} - Place object
+ */
+const restorePlace = ({ open_now: openNow, ...snapshot }) => {
+    const place = fromPlaceSnapshot(snapshot);
+    if (openNow !== undefined) {
+        place.opening_hours = { ...place.opening_hours, open_now: openNow };
+    }
+    return place;
+};
+
+/**
+ * Serialize a cached value: a search page ({ places, nextPageToken }), a place,
+ * or plain data for DATA_KINDS
+ * Next-page tokens only live for the current session, so they are not stored
+ * @param {string} kind - Request kind
+ * @param {Object} value - Cached value
+ * @returns {Object} - Stored form
+ */
+const serialize = (kind, value) => {
+    if (DATA_KINDS.includes(kind)) return value;
+    return Array.isArray(value.places)
+        ? { places: value.places.map(serializePlace), nextPageToken: null }
+        : serializePlace(value);
+};
+
+/**
+ * Drop the next-page token from a search page before caching it
+ * Tokens are spent by the first next-page request, so cache hits start without one
+ * @param {string} kind - Request kind
+ * @param {Object} value - Fetched value
+ * @returns {Object} - Value to keep in memory
+ */
+const withoutPageToken = (kind, value) => {
+    if (DATA_KINDS.includes(kind) || !Array.isArray(value.places) || !value.nextPageToken) return value;
+    return { ...value, nextPageToken: null };
+};
+
+/**
+ * Restore a cached value from its stored form
+ * @param {string} kind - Request kind
+ * @param {Object|Array} data - Stored form (plain arrays are pages from older versions)
+ * @returns {Object} - Search page, place or plain data
+ */
+const restore = (kind, data) => {
+    if (DATA_KINDS.includes(kind)) return data;
+    if (Array.isArray(data)) {
+        return { places: data.map(restorePlace), nextPageToken: null };
+    }
+    return Array.isArray(data.places)
+        ? { ...data, places: data.places.map(restorePlace) }
+        : restorePlace(data);
+};
+
+/**
+ * Check whether an entry is past its max age
+ * @param {Object} entry - Cache entry
+ * @param {number} now - Current time
+ * @returns {boolean} - True if expired
+ */
+const isExpired = (entry, now) => now - entry.storedAt > CACHE.MAX_AGE[entry.kind];
+
+/**
+ * Delete a persisted entry (best effort)
+ * @param {string} key - Cache key
+ */
+const deletePersistedEntry = (key) => {
+    if (!isDatabaseSupported()) return;
+
+    deleteRecord(STORES.SEARCH_CACHE, key).catch(err => {
+        console.warn('Failed to delete search cache entry:', err);
+    });
+};
+
+/**
+ * Load persisted entries into memory (once), dropping expired ones
+ * @returns {Promise<void>}
+ */
+const loadEntries = () => {
+    if (loadPromise) return loadPromise;
+
+    if (!isDatabaseSupported()) {
+        loadPromise = Promise.resolve();
+        return loadPromise;
+    }
+
+    loadPromise = getAllRecords(STORES.SEARCH_CACHE)
+        .then(records => {
+            const now = Date.now();
+            records.forEach(record => {
+                if (!CACHE_KINDS.includes(record.kind) || isExpired(record, now)) {
+                    deletePersistedEntry(record.key);
+                } else if (!entries.has(record.key)) {
+                    entries.set(record.key, { ...record, accessedAt: record.storedAt, value: null });
+                }
+            });
+            emitStats();
+        })
+        .catch(err => {
+            console.warn('Search cache unavailable, caching for this session only:', err);
+        });
+
+    return loadPromise;
+};
+
+/**
+ * Evict least recently used entries past MAX_ENTRIES
+ */
+const evictEntries = () => {
+    const excess = entries.size - CACHE.MAX_ENTRIES;
+    if (excess <= 0) return;
+
+    [...entries.values()]
+        .sort((a, b) => a.accessedAt - b.accessedAt)
+        .slice(0, excess)
+        .forEach(entry => {
+            entries.delete(entry.key);
+            stats.evictions += 1;
+            deletePersistedEntry(entry.key);
+        });
+};
+
+/**
+ * Fetch a value and store it
+ * @param {string} kind - Request kind
+ * @param {string} key - Cache key
+ * @param {Function} fetcher - Performs the request
+ * @returns {Promise<*>} - Fetched value
+ */
+const fetchAndStore = (kind, key, fetcher) => {
+    if (inflight.has(key)) {
+        return inflight.get(key);
+    }
+
+    const request = Promise.resolve()
+        .then(fetcher)
+        .then(value => {
+            if (value === null || value === undefined) return value;
+
+            const now = Date.now();
+            let data;
+            try {
+                data = serialize(kind, value);
+            } catch (err) {
+                // Unserializable results are returned but not cached
+                console.warn('Search cache could not store a result:', err);
+                stats.errors += 1;
+                return value;
+            }
+
+            const entry = { key, kind, storedAt: now, accessedAt: now, data, value: withoutPageToken(kind, value) };
+            entries.set(key, entry);
+            evictEntries();
+            emitStats();
+
+            if (isDatabaseSupported()) {
+                putRecord(STORES.SEARCH_CACHE, { key, kind, storedAt: now, data }).catch(err => {
+                    console.warn('Failed to persist search cache entry:', err);
+                    stats.errors += 1;
+                    emitStats();
+                });
+            }
+
+            return value;
+        })
+        .finally(() => {
+            inflight.delete(key);
+        });
+
+    inflight.set(key, request);
+    return request;
+};
+
+/**
+ * Run a request through the cache
+ * @param {string} kind - Request kind ('nearby', 'text', 'details' or 'travel')
+ * @param {Object} params - Key parameters (see createCacheKey)
+ * @param {Function} fetcher - Performs the request, resolves with a page ({ places, nextPageToken }),
+ *   a place for details or { duration, distance } for travel
+ * @returns {Promise<Object>} - { value, stale, revalidated } where revalidated is
+ *   null, or for stale entries a promise of the fresh value (null if the refresh failed)
+ */
+export const cachedRequest = async (kind, params, fetcher) => {
+    await loadEntries();
+
+    const key = createCacheKey(kind, params);
+    const entry = entries.get(key);
+    const now = Date.now();
+
+    if (!entry || isExpired(entry, now)) {
+        if (entry) entries.delete(key);
+        recordStat(kind, 'misses');
+        const value = await fetchAndStore(kind, key, fetcher);
+        return { value, stale: false, revalidated: null };
+    }
+
+    entry.accessedAt = now;
+    if (!entry.value) {
+        entry.value = restore(entry.kind, entry.data);
+    }
+
+    if (now - entry.storedAt < CACHE.TTL[kind]) {
+        recordStat(kind, 'hits');
+        return { value: entry.value, stale: false, revalidated: null };
+    }
+
+    stats.revalidations += 1;
+    recordStat(kind, 'stale');
+    const revalidated = fetchAndStore(kind, key, fetcher).catch(err => {
+        console.warn('Background refresh failed, keeping cached results:', err);
+        stats.errors += 1;
+        emitStats();
+        return null;
+    });
+
+    return { value: entry.value, stale: true, revalidated };
+};
+
+/**
+ * Get cache statistics
+ * @returns {Object} - { kinds: { [kind]: { hits, stale, misses } }, revalidations, evictions, errors, entries, maxEntries }
+ */
+export const getCacheStats = () => ({
+    kinds: Object.fromEntries(Object.entries(stats.kinds).map(([kind, counts]) => [kind, { ...counts }])),
+    revalidations: stats.revalidations,
+    evictions: stats.evictions,
+    errors: stats.errors,
+    entries: entries.size,
+    maxEntries: CACHE.MAX_ENTRIES
+});
+
+/**
+ * Subscribe to cache statistics
+ * @param {Function} listener - Called with new stats after every cache event
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeCacheStats = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Reset hit/miss counters
+ */
+export const resetCacheStats = () => {
+    stats = createStats();
+    emitStats();
+};
+
+/**
+ * Remove all cached entries
+ * @returns {Promise<void>}
+ */
+export const clearSearchCache = async () => {
+    entries.clear();
+    emitStats();
+    if (!isDatabaseSupported()) return;
+
+    try {
+        await clearStore(STORES.SEARCH_CACHE);
+    } catch (err) {
+        console.warn('Failed to clear search cache:', err);
+    }
+};
+
+/**
+ * Remove cached entries of one request kind
+ * @param {string} kind - Request kind ('nearby', 'text', 'details' or 'travel')
+ */
+export const clearCacheKind = (kind) => {
+    entries.forEach(entry => {
+        if (entry.kind === kind) {
+            entries.delete(entry.key);
+            deletePersistedEntry(entry.key);
+        }
+    });
+    emitStats();
+};
+
+export default {
+    CACHE_KINDS,
+    isCacheDebugEnabled,
+    createCacheKey,
+    cachedRequest,
+    getCacheStats,
+    subscribeCacheStats,
+    resetCacheStats,
+    clearSearchCache,
+    clearCacheKind
+};
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { cachedRequest } from './searchCache';
+import { createLocalProvider } from './providers/localProvider';
+import fixtures from './providers/fixtures/places.json';
+
+const CENTER = fixtures.center;
+
+describe('search cache', () => {
+    it('keeps the page token for the fetching caller only', async () => {
+        const provider = createLocalProvider({ pageSize: 3 });
+        const params = { query: 'food', location: CENTER, radius: 50000 };
+        const fetcher = () => provider.nearbySearch({ location: CENTER, radius: 50000, type: 'food' });
+
+        const fetched = await cachedRequest('nearby', params, fetcher);
+        expect(fetched.value.nextPageToken).toBeTruthy();
+
+        const cached = await cachedRequest('nearby', params, fetcher);
+        expect(cached.value.places.map(place => place.place_id))
+            .toEqual(fetched.value.places.map(place => place.place_id));
+        expect(cached.value.nextPageToken).toBeNull();
+    });
+});
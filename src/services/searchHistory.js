@@ -0,0 +1,99 @@
+/**
+ * Search History Service
+ * Persists past searches in IndexedDB
+ *
+ * History entries:
+ *   { id, query, mood: { description, types, keywords }, location: { lat, lng },
+ *     locationLabel, searchedAt, resultCount }
+ * Repeating a search at (roughly) the same location replaces the older entry.
+ */
+
+import { STORES, getAllRecords, putRecord, deleteRecord, clearStore } from './database';
+import { getQueryMapping } from '../utils/queryParser';
+
+// ~100 m; searches closer than this count as the same location
+const LOCATION_PRECISION = 3;
+
+/**
+ * Get the ID for a search, shared by repeats of the same query and location
+ * @param {string} query - Search query
+ * @param {Object} location - { lat, lng }
+ * @returns {string} - Entry ID
+ */
+const getEntryId = (query, location) => {
+    const normalizedQuery = query.toLowerCase().trim().replace(/\s+/g, ' ');
+    return `${normalizedQuery}@${location.lat.toFixed(LOCATION_PRECISION)},${location.lng.toFixed(LOCATION_PRECISION)}`;
+};
+
+/**
+ * Format a location as a label
+ * @param {Object} location - { lat, lng }
+ * @returns {string} - "lat, lng"
+ */
+export const formatLocationLabel = (location) => {
+    return `${location.lat.toFixed(4)}, ${location.lng.toFixed(4)}`;
+};
+
+/**
+ * Get all history entries, newest first
+ * @returns {Promise<Array>} - History entries
+ */
+export const getSearchHistory = async () => {
+    const entries = await getAllRecords(STORES.SEARCH_HISTORY);
+    return entries.sort((a, b) => b.searchedAt.localeCompare(a.searchedAt));
+};
+
+/**
+ * Create a history entry
+ * @param {Object} search - { query, location, locationLabel, resultCount }
+ * @returns {Object} - History entry
+ */
+export const createHistoryEntry = ({ query, location, locationLabel = null, resultCount = 0 }) => {
+    const { description, types, keywords } = getQueryMapping(query);
+
+    return {
+        id: getEntryId(query, location),
+        query: query.trim(),
+        mood: { description, types, keywords },
+        location: { lat: location.lat, lng: location.lng },
+        locationLabel: locationLabel || formatLocationLabel(location),
+        searchedAt: new Date().toISOString(),
+        resultCount
+    };
+};
+
+/**
+ * Save (or update) a history entry
+ * @param {Object} entry - History entry
+ * @returns {Promise<Object>} - The stored entry
+ */
+export const putHistoryEntry = async (entry) => {
+    await putRecord(STORES.SEARCH_HISTORY, entry);
+    return entry;
+};
+
+/**
+ * Delete a history entry
+ * @param {string} id - Entry ID
+ * @returns {Promise<void>}
+ */
+export const deleteHistoryEntry = (id) => {
+    return deleteRecord(STORES.SEARCH_HISTORY, id);
+};
+
+/**
+ * Delete all history entries
+ * @returns {Promise<void>}
+ */
+export const clearSearchHistory = () => {
+    return clearStore(STORES.SEARCH_HISTORY);
+};
+
+export default {
+    formatLocationLabel,
+    getSearchHistory,
+    createHistoryEntry,
+    putHistoryEntry,
+    deleteHistoryEntry,
+    clearSearchHistory
+};
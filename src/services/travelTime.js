@@ -0,0 +1,135 @@
+/**
+ * Travel Time Service
+ * Routed travel times from an origin to result places, for each travel mode
+ *
+ * Lookups go through the search cache (one entry per place, mode and origin)
+ * and the request scheduler. Cache misses made in the same tick are batched
+ * into as few router requests as the router's maxDestinations allows.
+ *
+ * Results are { mode, duration, distance, estimated }: duration in seconds
+ * (null when there is no route) and distance in meters. When the router can't
+ * route a mode, or its requests fail, straight-line estimates are returned
+ * with estimated: true.
+ */
+
+import { getRouter, getRoutingProviderName, isEstimatedRouting } from './routingProvider';
+import { cachedRequest } from './searchCache';
+import { scheduleRequest } from './requestScheduler';
+import { calculateDistance, estimateTravelDuration, getPlaceLatLng } from '../utils/distance';
+
+// Lookups waiting to be sent: `${mode}|${lat},${lng}` → { origin, mode, items }
+const pendingBatches = new Map();
+
+/**
+ * Send one batch of lookups, split by the router's destination limit
+ * @param {string} key - Batch key
+ */
+const flushBatch = async (key) => {
+    const { origin, mode, items } = pendingBatches.get(key);
+    pendingBatches.delete(key);
+
+    let router;
+    try {
+        router = await getRouter();
+    } catch (err) {
+        items.forEach(item => item.reject(err));
+        return;
+    }
+
+    for (let start = 0; start < items.length; start += router.maxDestinations) {
+        const chunk = items.slice(start, start + router.maxDestinations);
+
+        scheduleRequest(() => router.getTravelTimes(origin, chunk.map(item => item.destination), mode))
+            .then(results => {
+                chunk.forEach((item, index) => {
+                    item.resolve(results[index] || { duration: null, distance: null });
+                });
+            })
+            .catch(err => {
+                chunk.forEach(item => item.reject(err));
+            });
+    }
+};
+
+/**
+ * Queue a lookup to be sent with others for the same origin and mode
+ * @param {Object} origin - { lat, lng }
+ * @param {string} mode - Travel mode
+ * @param {Object} destination - { lat, lng }
+ * @returns {Promise<Object>} - { duration, distance }
+ */
+const queueLookup = (origin, mode, destination) => {
+    return new Promise((resolve, reject) => {
+        const key = `${mode}|${origin.lat},${origin.lng}`;
+
+        if (!pendingBatches.has(key)) {
+            pendingBatches.set(key, { origin, mode, items: [] });
+            setTimeout(() => flushBatch(key), 0);
+        }
+        pendingBatches.get(key).items.push({ destination, resolve, reject });
+    });
+};
+
+/**
+ * Estimate the travel time to a place from straight-line distance
+ * @param {Object} place - Place object
+ * @param {Object} origin - { lat, lng }
+ * @param {string} mode - Travel mode
+ * @returns {Object} - { mode, duration, distance, estimated: true }
+ */
+const estimateTravelTime = (place, origin, mode) => {
+    const distance = Math.round(calculateDistance(origin, getPlaceLatLng(place)));
+    return { mode, duration: estimateTravelDuration(distance, mode), distance, estimated: true };
+};
+
+/**
+ * Get travel times from an origin to places
+ * @param {Array} places - Place objects
+ * @param {Object} origin - { lat, lng }
+ * @param {string} mode - Travel mode from TRAVEL_MODES
+ * @returns {Promise<Object>} - Travel times by place_id
+ */
+export const getTravelTimes = async (places, origin, mode) => {
+    const estimateAll = () => Object.fromEntries(
+        places.map(place => [place.place_id, estimateTravelTime(place, origin, mode)])
+    );
+
+    let router;
+    try {
+        router = await getRouter();
+    } catch (err) {
+        console.warn('Routing unavailable, using estimated travel times:', err);
+        return estimateAll();
+    }
+
+    if (!router.modes.includes(mode)) {
+        return estimateAll();
+    }
+
+    const routerName = getRoutingProviderName();
+    const estimated = isEstimatedRouting();
+    const results = await Promise.allSettled(places.map(place => cachedRequest(
+        'travel',
+        { router: routerName, mode, location: origin, placeId: place.place_id },
+        () => queueLookup(origin, mode, getPlaceLatLng(place))
+    )));
+
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+        console.warn('Some travel times failed, using estimates:', failure.reason);
+    }
+
+    return Object.fromEntries(places.map((place, index) => {
+        const result = results[index];
+        if (result.status === 'rejected') {
+            return [place.place_id, estimateTravelTime(place, origin, mode)];
+        }
+
+        const { duration, distance } = result.value.value;
+        return [place.place_id, { mode, duration, distance, estimated }];
+    }));
+};
+
+export default {
+    getTravelTimes
+};
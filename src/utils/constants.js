@@ -11,6 +11,26 @@ export const MAP_CONFIG = {
     MARKER_ZOOM: 15
 };
 
+// Place marker clustering and culling (see services/renderers/markerClusters.js)
+export const MARKER_CLUSTERS = {
+    GRID_SIZE: 60,          // Pixels; places this close together on screen can share a bubble
+    MIN_SIZE: 3,            // Fewest places shown as a bubble
+    MAX_ZOOM: 17,           // Google zoom level from which every place has its own marker
+    VIEWPORT_PADDING: 0.25  // Share of the view beyond each edge that markers are kept for
+};
+
+// Map heatmap of where the best matches are (see utils/heatmap.js)
+export const HEATMAP_WEIGHTS = {
+    MOOD: 'mood',    // Relevance to the searched mood (rating when there is none)
+    RATING: 'rating'
+};
+
+export const HEATMAP = {
+    RADIUS: 40,      // Pixels each place spreads over
+    MIN_WEIGHT: 0.1, // Weight of the weakest place, so every result shows faintly
+    OPACITY: 0.65
+};
+
 // Search radius options (in meters)
 export const SEARCH_RADIUS = {
     NEAR: 1000,      // 1 km
@@ -19,6 +39,38 @@ export const SEARCH_RADIUS = {
     VERY_FAR: 10000  // 10 km
 };
 
+// "Search this area" after the map is moved
+export const SEARCH_AREA = {
+    MIN_RADIUS: 250,
+    MAX_RADIUS: 50000,        // Google Places nearby search limit
+    MIN_CHANGE: 0.25,         // Share of the search radius the view must move or resize by
+    SAME_LOCATION: 100        // Searches closer than this (m) to the user count as around the user
+};
+
+// Compound search parsing (see utils/queryParser.js)
+export const QUERY_PARSER = {
+    LATE_HOUR: 22,       // "open late" means open at this hour
+    EVENING_HOUR: 20,    // "tonight"
+    NEARBY_DISTANCE: 1000,
+    WALKING_MINUTES: 15  // "walking distance"
+};
+
+// Blended searches ("work + coffee")
+export const MOOD_BLEND = {
+    MAX_MOODS: 3,
+    MAX_WEIGHT: 3,
+    KEYWORDS_PER_WEIGHT: 2, // Keyword searches each mood adds per point of weight
+    MULTI_MATCH_BONUS: 10   // Relevance added for each mood matched beyond the first
+};
+
+// Best Match ranking profiles (see services/rankingProfiles.js)
+export const RANKING = {
+    MAX_WEIGHT: 50,          // Most points a factor can add (or, for popularity, take away)
+    WEIGHT_STEP: 5,
+    FULL_POPULARITY: 500,    // Reviews at which popularity counts fully
+    FULL_DISTANCE: 10000     // Meters at which distance stops counting
+};
+
 // Price level labels
 export const PRICE_LEVELS = {
     0: 'Free',
@@ -42,7 +94,64 @@ export const SORT_OPTIONS = {
     HIGHEST_RATED: 'highest_rated',
     BEST_MATCH: 'best_match',
     PRICE_LOW: 'price_low',
-    PRICE_HIGH: 'price_high'
+    PRICE_HIGH: 'price_high',
+    SHORTEST_TRAVEL: 'shortest_travel',
+    FAIREST: 'fairest' // Group searches: most even travel times for every participant
+};
+
+// Travel modes for travel times and directions (see services/travelTime.js)
+export const TRAVEL_MODES = {
+    WALKING: 'walking',
+    DRIVING: 'driving',
+    BICYCLING: 'bicycling',
+    TRANSIT: 'transit'
+};
+
+export const TRAVEL = {
+    MAX_MINUTES_OPTIONS: [5, 10, 15, 20, 30, 45, 60],
+    // Straight-line estimates when no routed time is available (meters per minute)
+    SPEEDS: {
+        walking: 83,    // ~5 km/h
+        driving: 500,   // ~30 km/h in the city
+        bicycling: 250, // ~15 km/h
+        transit: 250    // ~15 km/h including stops
+    },
+    TRANSIT_WAIT: 5     // minutes added to transit estimates
+};
+
+// In-app directions (see services/directions.js)
+export const DIRECTIONS = {
+    REROUTE_DISTANCE: 50 // Meters the user can stray from the route before it is recalculated
+};
+
+// Multi-stop itineraries (see services/itinerary.js)
+export const ITINERARY = {
+    MAX_STOPS: 10,                            // Ordering looks up a travel time between every pair of stops
+    DWELL_OPTIONS: [15, 30, 45, 60, 90, 120], // Minutes to spend at a stop
+    DEFAULT_DWELL: 45,
+    START_STEP: 15                            // New plans start at the next quarter hour
+};
+
+// Where a group search is centered (see services/meetingPoint.js)
+export const MEETING_POINTS = {
+    MIDPOINT: 'midpoint', // Geographic center of the participants
+    FAIREST: 'fairest'    // Point whose longest travel time is shortest
+};
+
+export const MEETING = {
+    MIN_PARTICIPANTS: 2,
+    MAX_PARTICIPANTS: 8,      // Finding the fairest point looks up times from every participant
+    BEARINGS: 8,              // Directions sampled around the midpoint for the fairest point
+    RINGS: [0.2, 0.4, 0.6],   // Sample distances along each direction, as shares of the group's spread
+    MIN_SPREAD: 100,          // Groups within this (m) of their midpoint meet there
+    SPREAD_WEIGHT: 1          // Weight of the spread of travel times against the longest one in the fairness ranking
+};
+
+// Reachable area tracing (see services/isochrone.js)
+export const ISOCHRONE = {
+    BEARINGS: 16,                   // Directions sampled around the origin
+    RINGS: [0.2, 0.4, 0.6, 0.8, 1], // Sample distances along each direction, as shares of the reach
+    REACH: 1.5                      // Furthest sample, as a multiple of the straight-line estimate
 };
 
 // Filter defaults
@@ -50,15 +159,63 @@ export const DEFAULT_FILTERS = {
     minRating: 0,
     maxDistance: SEARCH_RADIUS.FAR,
     openNow: false,
-    priceLevel: null
+    openAt: null, // 'YYYY-MM-DDTHH:mm' local time, from the "Open at" picker
+    priceLevel: null,
+    travelMode: TRAVEL_MODES.WALKING, // Mode for travel times, their sort and filter
+    maxTravelMinutes: null,
+    isochrone: false // Limit results to the area reachable in maxTravelMinutes instead of maxDistance
 };
 
+// Public holidays for places with holiday hours (OSM "PH" rules)
+// 'MM-DD' repeats every year, 'YYYY-MM-DD' applies to a single date
+export const PUBLIC_HOLIDAYS = [
+    '01-01', // New Year's Day
+    '07-04', // Independence Day
+    '11-11', // Veterans Day
+    '12-25'  // Christmas Day
+];
+
 // UI Constants
 export const UI = {
     DEBOUNCE_DELAY: 300,
     ANIMATION_DURATION: 200,
-    MAX_RESULTS: 20,
-    PLACES_PER_PAGE: 10
+    PLACES_PER_PAGE: 10,
+    MAX_HISTORY_ENTRIES: 50,
+    RECENT_SEARCHES: 5
+};
+
+// Search result cache (see services/searchCache.js)
+// Entries are fresh for TTL, then served stale (and refreshed in the background) until MAX_AGE
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+export const CACHE = {
+    MAX_ENTRIES: 1000, // travel times take one entry per place and mode
+    LOCATION_PRECISION: 3, // decimal places of lat/lng in cache keys (~100 m)
+    TTL: {
+        nearby: 15 * MINUTE,
+        text: 15 * MINUTE,
+        details: 24 * HOUR,
+        travel: HOUR,
+        isochrone: HOUR
+    },
+    MAX_AGE: {
+        nearby: 24 * HOUR,
+        text: 24 * HOUR,
+        details: 7 * 24 * HOUR,
+        travel: 24 * HOUR,
+        isochrone: 24 * HOUR
+    }
+};
+
+// Places API request scheduling (see services/requestScheduler.js)
+export const REQUEST_LIMITS = {
+    MAX_CONCURRENT: 4,
+    MAX_RETRIES: 3,
+    RETRY_BASE_DELAY: 1000, // doubles on every retry
+    SESSION_BUDGET: 500,    // calls per page load
+    DAILY_BUDGET: 2000,     // calls per calendar day, across sessions on this device
+    WARN_THRESHOLD: 0.8     // share of a budget at which the quota indicator turns amber
 };
 
 // Category icons mapping
@@ -82,19 +239,3 @@ export const CATEGORY_ICONS = {
     atm: '🏧',
     default: '📍'
 };
-
-// Mood suggestions for search - Enhanced quick picks
-export const MOOD_SUGGESTIONS = [
-    { label: 'Work', icon: '💼', value: 'work', color: '#3b82f6', gradient: 'linear-gradient(135deg, #3b82f6 0%, #1d4ed8 100%)' },
-    { label: 'Date Night', icon: '💕', value: 'date', color: '#ec4899', gradient: 'linear-gradient(135deg, #ec4899 0%, #be185d 100%)' },
-    { label: 'Quick Bite', icon: '🍔', value: 'quick bite', color: '#f97316', gradient: 'linear-gradient(135deg, #f97316 0%, #ea580c 100%)' },
-    { label: 'Budget', icon: '💰', value: 'budget', color: '#22c55e', gradient: 'linear-gradient(135deg, #22c55e 0%, #16a34a 100%)' },
-    { label: 'Chill', icon: '😌', value: 'chill', color: '#8b5cf6', gradient: 'linear-gradient(135deg, #8b5cf6 0%, #7c3aed 100%)' },
-    { label: 'Family', icon: '👨‍👩‍👧‍👦', value: 'family', color: '#06b6d4', gradient: 'linear-gradient(135deg, #06b6d4 0%, #0891b2 100%)' },
-    { label: 'Drinks', icon: '🍻', value: 'drinks', color: '#eab308', gradient: 'linear-gradient(135deg, #eab308 0%, #ca8a04 100%)' },
-    { label: 'Coffee', icon: '☕', value: 'coffee', color: '#78716c', gradient: 'linear-gradient(135deg, #78716c 0%, #57534e 100%)' },
-    { label: 'Outdoors', icon: '🌲', value: 'outdoors', color: '#22c55e', gradient: 'linear-gradient(135deg, #22c55e 0%, #15803d 100%)' },
-    { label: 'Shopping', icon: '🛒', value: 'shopping', color: '#f43f5e', gradient: 'linear-gradient(135deg, #f43f5e 0%, #e11d48 100%)' },
-    { label: 'Fitness', icon: '🏋️', value: 'fitness', color: '#ef4444', gradient: 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)' },
-    { label: 'Entertainment', icon: '🎭', value: 'entertainment', color: '#a855f7', gradient: 'linear-gradient(135deg, #a855f7 0%, #9333ea 100%)' }
-];
@@ -3,6 +3,8 @@
  * Uses Haversine formula for accurate Earth-surface distance calculation
  */
 
+import { SEARCH_AREA, TRAVEL, TRAVEL_MODES } from './constants';
+
 // Earth's radius in different units
 const EARTH_RADIUS = {
     km: 6371,
@@ -19,6 +21,23 @@ const toRadians = (degrees) => {
     return degrees * (Math.PI / 180);
 };
 
+/**
+ * Get the coordinates of a place
+ * Handles Google LatLng objects (lat()/lng() accessors) and plain { lat, lng } values
+ * @param {Object} place - Place object
+ * @returns {Object} - Location {lat, lng}
+ */
+export const getPlaceLatLng = (place) => {
+    const location = place.geometry?.location;
+    if (location) {
+        return {
+            lat: typeof location.lat === 'function' ? location.lat() : location.lat,
+            lng: typeof location.lng === 'function' ? location.lng() : location.lng
+        };
+    }
+    return { lat: place.lat, lng: place.lng };
+};
+
 /**
  * Calculate distance between two points using Haversine formula
  * @param {Object} point1 - First point {lat, lng}
@@ -59,31 +78,45 @@ export const formatDistance = (distanceInMeters) => {
     }
 };
 
+// Suffix for travel times in each mode
+const TRAVEL_SUFFIXES = {
+    [TRAVEL_MODES.WALKING]: 'walk',
+    [TRAVEL_MODES.DRIVING]: 'drive',
+    [TRAVEL_MODES.BICYCLING]: 'by bike',
+    [TRAVEL_MODES.TRANSIT]: 'by transit'
+};
+
 /**
- * Get walking time estimate
- * Average walking speed: ~5 km/h = ~83 meters/minute
- * @param {number} distanceInMeters - Distance in meters
- * @returns {string} - Estimated walking time
+ * Format a number of minutes as a travel time
+ * @param {number} minutes - Whole minutes
+ * @param {string} suffix - e.g. 'walk'
+ * @returns {string} - e.g. "12 min walk", "1 hr 5 min walk"
  */
-export const getWalkingTime = (distanceInMeters) => {
-    const minutes = Math.round(distanceInMeters / 83);
-
+const formatMinutes = (minutes, suffix) => {
     if (minutes < 1) {
-        return '< 1 min walk';
-    } else if (minutes === 1) {
-        return '1 min walk';
+        return `< 1 min ${suffix}`;
     } else if (minutes < 60) {
-        return `${minutes} min walk`;
+        return `${minutes} min ${suffix}`;
     } else {
         const hours = Math.floor(minutes / 60);
         const remainingMins = minutes % 60;
         if (remainingMins === 0) {
-            return `${hours} hr walk`;
+            return `${hours} hr ${suffix}`;
         }
-        return `${hours} hr ${remainingMins} min walk`;
+        return `${hours} hr ${remainingMins} min ${suffix}`;
     }
 };
 
+/**
+ * Get walking time estimate
+ * Average walking speed: ~5 km/h = ~83 meters/minute
+ * @param {number} distanceInMeters - Distance in meters
+ * @returns {string} - Estimated walking time
+ */
+export const getWalkingTime = (distanceInMeters) => {
+    return formatMinutes(Math.round(distanceInMeters / TRAVEL.SPEEDS.walking), 'walk');
+};
+
 /**
  * Get driving time estimate
  * Average city driving speed: ~30 km/h = ~500 meters/minute
@@ -91,22 +124,48 @@ export const getWalkingTime = (distanceInMeters) => {
  * @returns {string} - Estimated driving time
  */
 export const getDrivingTime = (distanceInMeters) => {
-    const minutes = Math.round(distanceInMeters / 500);
+    return formatMinutes(Math.round(distanceInMeters / TRAVEL.SPEEDS.driving), 'drive');
+};
 
-    if (minutes < 1) {
-        return '< 1 min drive';
-    } else if (minutes === 1) {
-        return '1 min drive';
-    } else if (minutes < 60) {
-        return `${minutes} min drive`;
-    } else {
-        const hours = Math.floor(minutes / 60);
-        const remainingMins = minutes % 60;
-        if (remainingMins === 0) {
-            return `${hours} hr drive`;
-        }
-        return `${hours} hr ${remainingMins} min drive`;
+/**
+ * Estimate a travel time from straight-line distance
+ * Used when no routed time is available
+ * @param {number} distanceInMeters - Distance in meters
+ * @param {string} mode - Travel mode from TRAVEL_MODES
+ * @returns {number} - Estimated duration in seconds
+ */
+export const estimateTravelDuration = (distanceInMeters, mode) => {
+    const minutes = distanceInMeters / TRAVEL.SPEEDS[mode] +
+        (mode === TRAVEL_MODES.TRANSIT ? TRAVEL.TRANSIT_WAIT : 0);
+    return Math.round(minutes * 60);
+};
+
+/**
+ * Estimate how far a travel time reaches in straight-line distance
+ * The inverse of estimateTravelDuration
+ * @param {number} durationInSeconds - Travel time in seconds
+ * @param {string} mode - Travel mode from TRAVEL_MODES
+ * @returns {number} - Estimated distance in meters
+ */
+export const estimateTravelDistance = (durationInSeconds, mode) => {
+    const minutes = durationInSeconds / 60 -
+        (mode === TRAVEL_MODES.TRANSIT ? TRAVEL.TRANSIT_WAIT : 0);
+    return Math.max(0, minutes * TRAVEL.SPEEDS[mode]);
+};
+
+/**
+ * Format a travel duration
+ * @param {number|null} durationInSeconds - Duration, or null when there is no route
+ * @param {string} mode - Travel mode from TRAVEL_MODES
+ * @param {boolean} estimated - Prefix with "~" for straight-line estimates
+ * @returns {string} - e.g. "12 min walk", "~25 min by transit", "No route"
+ */
+export const formatTravelTime = (durationInSeconds, mode, estimated = false) => {
+    if (durationInSeconds === null || durationInSeconds === undefined) {
+        return 'No route';
     }
+    const formatted = formatMinutes(Math.round(durationInSeconds / 60), TRAVEL_SUFFIXES[mode]);
+    return estimated ? `~${formatted}` : formatted;
 };
 
 /**
@@ -144,6 +203,115 @@ export const isWithinRadius = (place, center, radiusInMeters) => {
     return distance <= radiusInMeters;
 };
 
+/**
+ * Check if a place is inside a polygon, e.g. a reachable area
+ * Polygon counterpart of isWithinRadius (ray casting on lat/lng)
+ * @param {Object} place - Place object with location
+ * @param {Array} polygon - Ring of { lat, lng } points
+ * @returns {boolean} - True if place is inside the polygon
+ */
+export const isWithinPolygon = (place, polygon) => {
+    const { lat, lng } = getPlaceLatLng(place);
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        const crosses = (a.lat > lat) !== (b.lat > lat) &&
+            lng < (b.lng - a.lng) * (lat - a.lat) / (b.lat - a.lat) + a.lng;
+        if (crosses) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+};
+
+/**
+ * Get the distance from a point to the nearest part of a path
+ * Uses a flat projection around the point, which is accurate at route scale
+ * @param {Object} point - Point {lat, lng}
+ * @param {Array} path - Path of { lat, lng } points
+ * @returns {number} - Distance in meters (Infinity for an empty path)
+ */
+export const getDistanceToPath = (point, path) => {
+    const metersPerLat = EARTH_RADIUS.meters * Math.PI / 180;
+    const metersPerLng = metersPerLat * Math.cos(toRadians(point.lat));
+    const project = (location) => ({
+        x: (location.lng - point.lng) * metersPerLng,
+        y: (location.lat - point.lat) * metersPerLat
+    });
+
+    let nearest = Infinity;
+    path.forEach((location, index) => {
+        const a = project(location);
+        const b = project(path[index + 1] || location);
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+
+        // Closest point on segment a-b to the point (the projection origin)
+        const t = lengthSquared > 0 ? Math.min(1, Math.max(0, -(a.x * dx + a.y * dy) / lengthSquared)) : 0;
+        nearest = Math.min(nearest, Math.hypot(a.x + t * dx, a.y + t * dy));
+    });
+
+    return nearest;
+};
+
+/**
+ * Get the point a distance away from an origin in a direction
+ * @param {Object} origin - Start point {lat, lng}
+ * @param {number} bearing - Direction in degrees clockwise from north
+ * @param {number} distanceInMeters - Distance in meters
+ * @returns {Object} - Location {lat, lng}
+ */
+export const getDestinationPoint = (origin, bearing, distanceInMeters) => {
+    const angular = distanceInMeters / EARTH_RADIUS.meters;
+    const theta = toRadians(bearing);
+    const lat1 = toRadians(origin.lat);
+    const lng1 = toRadians(origin.lng);
+
+    const lat2 = Math.asin(
+        Math.sin(lat1) * Math.cos(angular) +
+        Math.cos(lat1) * Math.sin(angular) * Math.cos(theta)
+    );
+    const lng2 = lng1 + Math.atan2(
+        Math.sin(theta) * Math.sin(angular) * Math.cos(lat1),
+        Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+    );
+
+    return {
+        lat: lat2 * 180 / Math.PI,
+        lng: ((lng2 * 180 / Math.PI) + 540) % 360 - 180
+    };
+};
+
+/**
+ * Get the geographic midpoint of points
+ * Averages the points on the sphere, so groups spread across the antimeridian
+ * meet between them rather than on the far side of the world
+ * @param {Array} points - Points {lat, lng}
+ * @returns {Object} - Location {lat, lng}
+ */
+export const getMidpoint = (points) => {
+    let x = 0;
+    let y = 0;
+    let z = 0;
+
+    points.forEach(point => {
+        const lat = toRadians(point.lat);
+        const lng = toRadians(point.lng);
+        x += Math.cos(lat) * Math.cos(lng);
+        y += Math.cos(lat) * Math.sin(lng);
+        z += Math.sin(lat);
+    });
+
+    return {
+        lat: Math.atan2(z, Math.hypot(x, y)) * 180 / Math.PI,
+        lng: Math.atan2(y, x) * 180 / Math.PI
+    };
+};
+
 /**
  * Get bounds that contain all places
  * @param {Array} places - Array of place objects
@@ -181,3 +349,30 @@ export const getBoundsForPlaces = (places, center) => {
         west: west - lngPadding
     };
 };
+
+/**
+ * Get the search circle for the visible map area
+ * The radius reaches the nearest edge, so the circle fits inside the view
+ * @param {Object} bounds - Map bounds { north, south, east, west }
+ * @returns {Object} - { center: { lat, lng }, radius } with radius in meters (rounded to 50 m)
+ */
+export const getSearchAreaForBounds = (bounds) => {
+    // Bounds crossing the antimeridian have east < west
+    const east = bounds.east < bounds.west ? bounds.east + 360 : bounds.east;
+    let centerLng = (bounds.west + east) / 2;
+    if (centerLng > 180) centerLng -= 360;
+
+    const center = {
+        lat: (bounds.north + bounds.south) / 2,
+        lng: centerLng
+    };
+
+    const halfHeight = calculateDistance(center, { lat: bounds.north, lng: center.lng });
+    const halfWidth = calculateDistance(center, { lat: center.lat, lng: bounds.east });
+    const radius = Math.round(Math.min(halfHeight, halfWidth) / 50) * 50;
+
+    return {
+        center,
+        radius: Math.min(SEARCH_AREA.MAX_RADIUS, Math.max(SEARCH_AREA.MIN_RADIUS, radius))
+    };
+};
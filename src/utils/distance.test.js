@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { isWithinPolygon, getDistanceToPath, getDestinationPoint, calculateDistance, getMidpoint } from './distance';
+
+const at = (lat, lng) => ({ geometry: { location: { lat: () => lat, lng: () => lng } } });
+
+describe('isWithinPolygon', () => {
+    // An L shape: the square from (0,0) to (2,2) without its top-right quarter
+    const lShape = [
+        { lat: 0, lng: 0 },
+        { lat: 0, lng: 2 },
+        { lat: 1, lng: 2 },
+        { lat: 1, lng: 1 },
+        { lat: 2, lng: 1 },
+        { lat: 2, lng: 0 }
+    ];
+
+    it('finds places inside a concave polygon', () => {
+        expect(isWithinPolygon(at(0.5, 1.5), lShape)).toBe(true);
+        expect(isWithinPolygon(at(1.5, 0.5), lShape)).toBe(true);
+    });
+
+    it('leaves out places in the notch and outside', () => {
+        expect(isWithinPolygon(at(1.5, 1.5), lShape)).toBe(false);
+        expect(isWithinPolygon(at(-0.5, 0.5), lShape)).toBe(false);
+        expect(isWithinPolygon(at(0.5, 2.5), lShape)).toBe(false);
+    });
+
+    it('reads plain { lat, lng } places too', () => {
+        expect(isWithinPolygon({ geometry: { location: { lat: 0.5, lng: 0.5 } } }, lShape)).toBe(true);
+        expect(isWithinPolygon({ lat: 1.5, lng: 1.5 }, lShape)).toBe(false);
+    });
+
+    it('follows a traced ring of points around an origin', () => {
+        const origin = { lat: 51.5074, lng: -0.1278 };
+        const ring = Array.from({ length: 16 }, (_, index) => getDestinationPoint(origin, index * 22.5, 1000));
+
+        expect(isWithinPolygon(at(origin.lat, origin.lng), ring)).toBe(true);
+        const inside = getDestinationPoint(origin, 45, 900);
+        const outside = getDestinationPoint(origin, 45, 1100);
+        expect(isWithinPolygon(at(inside.lat, inside.lng), ring)).toBe(true);
+        expect(isWithinPolygon(at(outside.lat, outside.lng), ring)).toBe(false);
+    });
+
+    it('has nothing inside an empty polygon', () => {
+        expect(isWithinPolygon(at(0, 0), [])).toBe(false);
+    });
+});
+
+describe('getDistanceToPath', () => {
+    const origin = { lat: 40.7128, lng: -74.006 };
+    const east = getDestinationPoint(origin, 90, 1000);
+    const northEast = getDestinationPoint(east, 0, 1000);
+
+    it('measures to the nearest point along a segment, not just its ends', () => {
+        const beside = getDestinationPoint(getDestinationPoint(origin, 90, 500), 0, 30);
+
+        expect(getDistanceToPath(beside, [origin, east])).toBeCloseTo(30, 0);
+    });
+
+    it('measures to the end of a segment when the point lies past it', () => {
+        const beyond = getDestinationPoint(origin, 270, 200);
+
+        expect(getDistanceToPath(beyond, [origin, east])).toBeCloseTo(200, 0);
+    });
+
+    it('picks the nearest leg of a path with a turn', () => {
+        const nearSecondLeg = getDestinationPoint(getDestinationPoint(east, 0, 600), 90, 40);
+
+        expect(getDistanceToPath(nearSecondLeg, [origin, east, northEast])).toBeCloseTo(40, 0);
+    });
+
+    it('handles single points and repeated points', () => {
+        const point = getDestinationPoint(origin, 45, 100);
+
+        expect(getDistanceToPath(point, [origin])).toBeCloseTo(calculateDistance(point, origin), 0);
+        expect(getDistanceToPath(point, [origin, origin])).toBeCloseTo(calculateDistance(point, origin), 0);
+    });
+
+    it('is infinitely far from an empty path', () => {
+        expect(getDistanceToPath(origin, [])).toBe(Infinity);
+    });
+});
+
+describe('getMidpoint', () => {
+    it('meets halfway between two points', () => {
+        const midpoint = getMidpoint([{ lat: 0, lng: 10 }, { lat: 0, lng: 20 }]);
+
+        expect(midpoint.lat).toBeCloseTo(0, 6);
+        expect(midpoint.lng).toBeCloseTo(15, 6);
+    });
+
+    it('meets across the antimeridian, not on the far side of the world', () => {
+        const midpoint = getMidpoint([{ lat: -17, lng: 179 }, { lat: -17, lng: -179 }]);
+
+        expect(Math.abs(midpoint.lng)).toBeCloseTo(180, 6);
+        expect(midpoint.lat).toBeCloseTo(-17, 2);
+    });
+
+    it('follows the great circle, so the midpoint of points on a parallel lies poleward of it', () => {
+        const west = { lat: 60, lng: -30 };
+        const east = { lat: 60, lng: 30 };
+        const midpoint = getMidpoint([west, east]);
+
+        expect(midpoint.lng).toBeCloseTo(0, 6);
+        expect(midpoint.lat).toBeGreaterThan(60);
+        expect(calculateDistance(midpoint, west)).toBeCloseTo(calculateDistance(midpoint, east), 6);
+    });
+
+    it('keeps a single point where it is', () => {
+        const midpoint = getMidpoint([{ lat: 51.5074, lng: -0.1278 }]);
+
+        expect(midpoint.lat).toBeCloseTo(51.5074, 6);
+        expect(midpoint.lng).toBeCloseTo(-0.1278, 6);
+    });
+});
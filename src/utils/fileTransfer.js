@@ -0,0 +1,57 @@
+/**
+ * File Transfer Utilities
+ * Browser helpers for downloading generated files and reading uploaded ones
+ */
+
+/**
+ * Download text as a file
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type
+ */
+export const downloadTextFile = (filename, content, mimeType = 'application/json') => {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Read a File as text
+ * @param {File} file - File from an <input type="file">
+ * @returns {Promise<string>} - File contents
+ */
+export const readTextFile = (file) => {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error(`Could not read ${file.name}.`));
+        reader.readAsText(file);
+    });
+};
+
+/**
+ * Turn a title into a safe file name
+ * @param {string} title - Title text
+ * @returns {string} - Slug (e.g. 'client-lunch-spots')
+ */
+export const toFileSlug = (title) => {
+    return (title || 'export')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'export';
+};
+
+export default {
+    downloadTextFile,
+    readTextFile,
+    toFileSlug
+};
@@ -3,11 +3,32 @@
  * Comprehensive filtering and sorting utilities for place results
  */
 
-import { SORT_OPTIONS, RATING_THRESHOLDS } from './constants';
-import { calculateRelevanceScore } from './moodMapping';
+import { SORT_OPTIONS, RATING_THRESHOLDS, DEFAULT_FILTERS, RANKING, PRICE_LEVELS } from './constants';
+import { getRelevanceBreakdown } from './moodMapping';
+import { isPlaceOpenAt, formatDayAndTime } from './openingHours';
+import { estimateTravelDuration, formatTravelTime, formatDistance, isWithinPolygon } from './distance';
+import { getRankingWeights } from '../services/rankingProfiles';
+
+/**
+ * Get the travel time to a place in a mode
+ * Uses the routed time (place.travelTime) when there is one for the mode,
+ * otherwise a straight-line estimate from the user's distance
+ * @param {Object} place - Place object
+ * @param {string} mode - Travel mode from TRAVEL_MODES
+ * @returns {number|null|undefined} - Seconds; null when there is no route, undefined when unknown
+ */
+export const getTravelDuration = (place, mode) => {
+    if (place.travelTime?.mode === mode) {
+        return place.travelTime.duration;
+    }
+    const distance = place.userDistance ?? place.distance;
+    return distance !== undefined ? estimateTravelDuration(distance, mode) : undefined;
+};
 
 /**
  * Filter places based on multiple criteria
+ * An `area` polygon (the reachable area in isochrone mode) replaces the
+ * distance and travel time limits
  * @param {Array} places - Array of place objects
  * @param {Object} filters - Filter criteria
  * @returns {Array} - Filtered array of places
@@ -17,7 +38,11 @@ export const filterPlaces = (places, filters = {}) => {
         minRating = 0,
         maxDistance = Infinity,
         openNow = false,
+        openAt = null,
         priceLevel = null,
+        travelMode = DEFAULT_FILTERS.travelMode,
+        maxTravelMinutes = null,
+        area = null,
         types = null,
         searchQuery = ''
     } = filters;
@@ -28,13 +53,31 @@ export const filterPlaces = (places, filters = {}) => {
             return false;
         }
 
+        // Area filter
+        if (area && !isWithinPolygon(place, area)) {
+            return false;
+        }
+
         // Distance filter
-        if (place.distance && place.distance > maxDistance) {
+        if (!area && place.distance && place.distance > maxDistance) {
+            return false;
+        }
+
+        // Travel time filter (places without a route are dropped, unknown times kept)
+        if (!area && maxTravelMinutes) {
+            const duration = getTravelDuration(place, travelMode);
+            if (duration === null || duration > maxTravelMinutes * 60) {
+                return false;
+            }
+        }
+
+        // Open now filter (places with unknown hours are kept)
+        if (openNow && isPlaceOpenAt(place) === false) {
             return false;
         }
 
-        // Open now filter
-        if (openNow && place.opening_hours && !place.opening_hours.open_now) {
+        // Open at filter
+        if (openAt && isPlaceOpenAt(place, new Date(openAt)) === false) {
             return false;
         }
 
@@ -77,15 +120,42 @@ export const filterPlaces = (places, filters = {}) => {
  * @param {Array} places - Array of place objects
  * @param {string} sortBy - Sort option from SORT_OPTIONS
  * @param {Object} moodMapping - Optional mood mapping for relevance scoring
+ * @param {string} travelMode - Travel mode for the shortest travel time sort
+ * @param {Object} weights - Best Match weights (see services/rankingProfiles.js); the active profile's by default
  * @returns {Array} - Sorted array of places
  */
-export const sortPlaces = (places, sortBy = SORT_OPTIONS.BEST_MATCH, moodMapping = null) => {
+export const sortPlaces = (
+    places,
+    sortBy = SORT_OPTIONS.BEST_MATCH,
+    moodMapping = null,
+    travelMode = DEFAULT_FILTERS.travelMode,
+    weights = getRankingWeights()
+) => {
     const sortedPlaces = [...places];
 
     switch (sortBy) {
         case SORT_OPTIONS.NEAREST:
             return sortedPlaces.sort((a, b) => (a.distance || 0) - (b.distance || 0));
 
+        case SORT_OPTIONS.SHORTEST_TRAVEL:
+            // Places without a route (or a known time) go last
+            return sortedPlaces.sort((a, b) => {
+                const durationA = getTravelDuration(a, travelMode) ?? Infinity;
+                const durationB = getTravelDuration(b, travelMode) ?? Infinity;
+                if (durationA === durationB) return 0;
+                return durationA - durationB;
+            });
+
+        case SORT_OPTIONS.FAIREST:
+            // Group searches: lowest longest-plus-spread travel time first (see services/meetingPoint.js);
+            // places someone can't reach (or whose times haven't loaded) go last
+            return sortedPlaces.sort((a, b) => {
+                const costA = a.groupTravel?.cost ?? Infinity;
+                const costB = b.groupTravel?.cost ?? Infinity;
+                if (costA === costB) return 0;
+                return costA - costB;
+            });
+
         case SORT_OPTIONS.HIGHEST_RATED:
             return sortedPlaces.sort((a, b) => {
                 // Sort by rating first, then by number of reviews
@@ -109,53 +179,89 @@ export const sortPlaces = (places, sortBy = SORT_OPTIONS.BEST_MATCH, moodMapping
             });
 
         case SORT_OPTIONS.BEST_MATCH:
-        default:
-            // Complex scoring based on multiple factors
-            return sortedPlaces.sort((a, b) => {
-                const scoreA = calculatePlaceScore(a, moodMapping);
-                const scoreB = calculatePlaceScore(b, moodMapping);
-                return scoreB - scoreA;
-            });
+        default: {
+            // Complex scoring based on multiple factors, weighted by the ranking profile
+            const scores = new Map(sortedPlaces.map(place => [place, calculatePlaceScore(place, moodMapping, weights)]));
+            return sortedPlaces.sort((a, b) => scores.get(b) - scores.get(a));
+        }
     }
 };
 
 /**
- * Calculate overall score for a place (for best match sorting)
+ * Break down the best match score of a place
+ * Each factor scores from 0 to 1 and is multiplied by its weight
  * @param {Object} place - Place object
  * @param {Object} moodMapping - Optional mood mapping
- * @returns {number} - Calculated score
+ * @param {Object} weights - Most points per factor; the active ranking profile's by default
+ * @returns {Object} - { score, factors: [{ id, label, points, detail, factors? }] }
  */
-const calculatePlaceScore = (place, moodMapping = null) => {
-    let score = 0;
+export const getMatchBreakdown = (place, moodMapping = null, weights = getRankingWeights()) => {
+    const factors = [];
 
-    // Mood relevance (if mood mapping provided)
+    // Mood relevance (if mood mapping provided), with its own factors nested
     if (moodMapping) {
-        score += calculateRelevanceScore(place, moodMapping) * 0.3;
+        const relevance = getRelevanceBreakdown(place, moodMapping);
+        factors.push({
+            id: 'relevance',
+            label: 'Mood fit',
+            points: (relevance.score / 100) * weights.mood,
+            detail: `${relevance.score}/100 for ${moodMapping.description || 'this search'}`,
+            factors: relevance.factors
+        });
     }
 
-    // Rating component (0-25 points)
-    if (place.rating) {
-        score += (place.rating / 5) * 25;
-    }
+    // Rating component
+    factors.push({
+        id: 'rating',
+        label: 'Rating',
+        points: place.rating ? (place.rating / 5) * weights.rating : 0,
+        detail: place.rating ? `Rated ${place.rating} of 5` : 'No rating yet'
+    });
 
-    // Popularity component based on review count (0-15 points)
-    if (place.user_ratings_total) {
-        const popularityScore = Math.min(place.user_ratings_total / 500, 1) * 15;
-        score += popularityScore;
-    }
+    // Popularity component based on review count (a negative weight favors lesser-known places)
+    factors.push({
+        id: 'popularity',
+        label: 'Popularity',
+        points: place.user_ratings_total
+            ? Math.min(place.user_ratings_total / RANKING.FULL_POPULARITY, 1) * weights.popularity
+            : 0,
+        detail: place.user_ratings_total
+            ? `${place.user_ratings_total.toLocaleString()} reviews${place.user_ratings_total >= RANKING.FULL_POPULARITY ? ` (counts fully from ${RANKING.FULL_POPULARITY})` : ''}`
+            : 'No reviews yet'
+    });
 
-    // Distance penalty (closer is better, 0-20 points)
-    if (place.distance) {
-        const distanceScore = Math.max(0, 20 - (place.distance / 500));
-        score += distanceScore;
-    }
+    // Distance (closer is better, nothing from FULL_DISTANCE away)
+    factors.push({
+        id: 'distance',
+        label: 'Distance',
+        points: place.distance ? Math.max(0, 1 - (place.distance / RANKING.FULL_DISTANCE)) * weights.distance : 0,
+        detail: place.distance ? `${formatDistance(place.distance)} away` : 'Distance unknown'
+    });
 
-    // Open now bonus (10 points)
-    if (place.opening_hours?.open_now) {
-        score += 10;
-    }
+    // Open now bonus
+    const isOpen = isPlaceOpenAt(place);
+    factors.push({
+        id: 'open',
+        label: 'Open now',
+        points: isOpen ? weights.open : 0,
+        detail: isOpen ? 'Open now' : (isOpen === false ? 'Closed now' : 'Hours unknown')
+    });
+
+    return {
+        score: factors.reduce((sum, factor) => sum + factor.points, 0),
+        factors
+    };
+};
 
-    return score;
+/**
+ * Calculate overall score for a place (for best match sorting)
+ * @param {Object} place - Place object
+ * @param {Object} moodMapping - Optional mood mapping
+ * @param {Object} weights - Ranking profile weights
+ * @returns {number} - Calculated score
+ */
+const calculatePlaceScore = (place, moodMapping, weights) => {
+    return getMatchBreakdown(place, moodMapping, weights).score;
 };
 
 /**
@@ -164,11 +270,12 @@ const calculatePlaceScore = (place, moodMapping = null) => {
  * @param {Object} filters - Filter criteria
  * @param {string} sortBy - Sort option
  * @param {Object} moodMapping - Optional mood mapping
+ * @param {Object} weights - Optional Best Match weights; the active ranking profile's by default
  * @returns {Array} - Filtered and sorted array
  */
-export const filterAndSortPlaces = (places, filters, sortBy, moodMapping = null) => {
+export const filterAndSortPlaces = (places, filters, sortBy, moodMapping = null, weights) => {
     const filtered = filterPlaces(places, filters);
-    return sortPlaces(filtered, sortBy, moodMapping);
+    return sortPlaces(filtered, sortBy, moodMapping, filters?.travelMode, weights);
 };
 
 /**
@@ -183,21 +290,32 @@ export const getFilterSummary = (filters) => {
         parts.push(`${filters.minRating}+ stars`);
     }
 
-    if (filters.maxDistance && filters.maxDistance < Infinity) {
+    const isAreaFilter = filters.isochrone && filters.maxTravelMinutes;
+
+    if (!isAreaFilter && filters.maxDistance && filters.maxDistance < Infinity) {
         const km = filters.maxDistance / 1000;
         parts.push(`within ${km}km`);
     }
 
+    if (isAreaFilter) {
+        parts.push(`in the ${formatTravelTime(filters.maxTravelMinutes * 60, filters.travelMode)} area`);
+    } else if (filters.maxTravelMinutes) {
+        parts.push(`within ${formatTravelTime(filters.maxTravelMinutes * 60, filters.travelMode)}`);
+    }
+
     if (filters.openNow) {
         parts.push('open now');
     }
 
+    if (filters.openAt) {
+        parts.push(`open ${formatDayAndTime(new Date(filters.openAt))}`);
+    }
+
     if (filters.priceLevel !== null) {
-        const priceLabels = { 1: '$', 2: '$$', 3: '$$$', 4: '$$$$' };
         if (Array.isArray(filters.priceLevel)) {
-            parts.push(filters.priceLevel.map(p => priceLabels[p]).join(', '));
+            parts.push(filters.priceLevel.map(p => PRICE_LEVELS[p]).join(', '));
         } else {
-            parts.push(`up to ${priceLabels[filters.priceLevel]}`);
+            parts.push(`up to ${PRICE_LEVELS[filters.priceLevel]}`);
         }
     }
 
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { sortPlaces } from './filterSort';
+import { SORT_OPTIONS, TRAVEL_MODES } from './constants';
+
+const WALKING = TRAVEL_MODES.WALKING;
+
+const timed = (id, duration) => ({ place_id: id, travelTime: { mode: WALKING, duration } });
+const ids = (places) => places.map(place => place.place_id);
+
+describe('sortPlaces', () => {
+    it('puts unroutable places last in their original order when sorting by travel time', () => {
+        const places = [timed('no-route-1', null), timed('slow', 900), timed('no-route-2', null), timed('fast', 300)];
+
+        const sorted = sortPlaces(places, SORT_OPTIONS.SHORTEST_TRAVEL, null, WALKING);
+
+        expect(ids(sorted)).toEqual(['fast', 'slow', 'no-route-1', 'no-route-2']);
+    });
+
+    it('keeps a list of only unroutable places as it is', () => {
+        const places = [timed('b', null), { place_id: 'a' }, timed('c', null)];
+
+        expect(ids(sortPlaces(places, SORT_OPTIONS.SHORTEST_TRAVEL, null, WALKING))).toEqual(['b', 'a', 'c']);
+    });
+});
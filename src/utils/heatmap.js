@@ -0,0 +1,56 @@
+/**
+ * Heatmap Utilities
+ * Weighted points for the map's heatmap of where the best places are
+ *
+ * Weights are relative to the places shown: the best place gets 1 and the
+ * weakest HEATMAP.MIN_WEIGHT, so the hottest areas are where the strongest
+ * matches cluster, whatever the range of scores in a search.
+ */
+
+import { getPlaceLatLng } from './distance';
+import { HEATMAP, HEATMAP_WEIGHTS } from './constants';
+
+/**
+ * Get the value a place is weighted by
+ * @param {Object} place - Place object
+ * @param {string} weighting - Weighting from HEATMAP_WEIGHTS
+ * @returns {number|null} - Relevance score or rating; null when the place has neither
+ */
+const getPlaceValue = (place, weighting) => {
+    if (weighting === HEATMAP_WEIGHTS.MOOD && typeof place.relevanceScore === 'number') {
+        return place.relevanceScore;
+    }
+    return place.rating ?? null;
+};
+
+/**
+ * Get the heatmap points for places
+ * @param {Array} places - Places to weight
+ * @param {string} weighting - Weighting from HEATMAP_WEIGHTS
+ * @returns {Array} - Points { location, weight } with weights from HEATMAP.MIN_WEIGHT to 1
+ */
+export const getHeatmapPoints = (places, weighting = HEATMAP_WEIGHTS.MOOD) => {
+    const values = places.map(place => getPlaceValue(place, weighting));
+    const known = values.filter(value => value !== null);
+    const min = Math.min(...known);
+    const max = Math.max(...known);
+
+    return places.map((place, index) => {
+        const value = values[index];
+        let share = 1;
+        if (value === null) {
+            share = 0;
+        } else if (max > min) {
+            share = (value - min) / (max - min);
+        }
+
+        return {
+            location: getPlaceLatLng(place),
+            weight: HEATMAP.MIN_WEIGHT + (1 - HEATMAP.MIN_WEIGHT) * share
+        };
+    });
+};
+
+export default {
+    getHeatmapPoints
+};
@@ -1,279 +1,14 @@
 /**
  * Mood to Place Type Mapping
- * Maps user intents/moods to Google Places API place types
+ * Maps user intents/moods to Google Places API place types, using the moods
+ * in the mood registry (services/moodRegistry)
  * 
  * Reference: https://developers.google.com/maps/documentation/places/web-service/supported_types
  */
 
-// Comprehensive mood → place types mapping
-const moodMappings = {
-    // Work & Productivity
-    work: {
-        types: ['cafe', 'library'],
-        keywords: ['coworking', 'workspace', 'study cafe', 'wifi cafe', 'coffee shop work'],
-        description: 'Places to work or study',
-        preferredPrice: [1, 2],
-        prioritizeRating: true
-    },
-    study: {
-        types: ['library', 'cafe'],
-        keywords: ['study', 'quiet', 'library', 'reading room'],
-        description: 'Quiet places to focus',
-        preferredPrice: [0, 1],
-        prioritizeRating: false
-    },
-    meeting: {
-        types: ['cafe', 'restaurant'],
-        keywords: ['business', 'meeting', 'conference cafe', 'professional'],
-        description: 'Places for business meetings',
-        preferredPrice: [2, 3],
-        prioritizeRating: true
-    },
-
-    // Social & Dating
-    date: {
-        types: ['restaurant', 'bar', 'cafe'],
-        keywords: ['romantic', 'dinner', 'lounge', 'cocktail', 'candlelit', 'intimate', 'wine bar', 'rooftop'],
-        description: 'Romantic spots for dates',
-        preferredPrice: [2, 3, 4],
-        prioritizeRating: true
-    },
-    drinks: {
-        types: ['bar', 'night_club', 'cafe'],
-        keywords: ['pub', 'cocktail', 'wine bar', 'brewery', 'beer', 'happy hour', 'sports bar'],
-        description: 'Places for drinks',
-        preferredPrice: [2, 3],
-        prioritizeRating: true
-    },
-    nightlife: {
-        types: ['night_club', 'bar'],
-        keywords: ['club', 'dance', 'nightlife', 'dj', 'party', 'lounge'],
-        description: 'Night entertainment venues',
-        preferredPrice: [2, 3, 4],
-        prioritizeRating: false
-    },
-
-    // Food & Dining
-    'quick bite': {
-        types: ['restaurant', 'meal_takeaway', 'bakery', 'cafe'],
-        keywords: ['fast food', 'quick', 'takeaway', 'grab and go', 'snack', 'sandwich', 'burger', 'pizza'],
-        description: 'Fast and convenient food',
-        preferredPrice: [1, 2],
-        prioritizeRating: false
-    },
-    breakfast: {
-        types: ['cafe', 'bakery', 'restaurant'],
-        keywords: ['breakfast', 'brunch', 'pancakes', 'eggs', 'morning', 'diner'],
-        description: 'Morning meals',
-        preferredPrice: [1, 2],
-        prioritizeRating: true
-    },
-    brunch: {
-        types: ['restaurant', 'cafe'],
-        keywords: ['brunch', 'breakfast', 'mimosa', 'sunday brunch', 'eggs benedict'],
-        description: 'Brunch spots',
-        preferredPrice: [2, 3],
-        prioritizeRating: true
-    },
-    lunch: {
-        types: ['restaurant', 'cafe', 'meal_takeaway'],
-        keywords: ['lunch', 'midday', 'lunch special', 'salad', 'soup'],
-        description: 'Lunch options',
-        preferredPrice: [1, 2, 3],
-        prioritizeRating: true
-    },
-    dinner: {
-        types: ['restaurant'],
-        keywords: ['dinner', 'fine dining', 'evening', 'gourmet', 'steakhouse', 'seafood'],
-        description: 'Dinner restaurants',
-        preferredPrice: [2, 3, 4],
-        prioritizeRating: true
-    },
-    coffee: {
-        types: ['cafe'],
-        keywords: ['coffee', 'espresso', 'latte', 'cappuccino', 'coffee shop', 'specialty coffee', 'barista'],
-        description: 'Coffee shops',
-        preferredPrice: [1, 2],
-        prioritizeRating: true
-    },
-    dessert: {
-        types: ['bakery', 'cafe'],
-        keywords: ['dessert', 'ice cream', 'cake', 'pastry', 'sweet', 'gelato', 'cupcake', 'chocolate'],
-        description: 'Sweet treats',
-        preferredPrice: [1, 2],
-        prioritizeRating: true
-    },
-
-    // Budget & Value
-    budget: {
-        types: ['restaurant', 'cafe', 'meal_takeaway'],
-        keywords: ['cheap', 'affordable', 'budget', 'value', 'deals', 'happy hour', 'lunch special'],
-        description: 'Budget-friendly options',
-        preferredPrice: [0, 1],
-        prioritizeRating: false
-    },
-    fancy: {
-        types: ['restaurant', 'bar'],
-        keywords: ['upscale', 'fine dining', 'luxury', 'gourmet', 'michelin', 'elegant', 'exclusive'],
-        description: 'Upscale experiences',
-        preferredPrice: [3, 4],
-        prioritizeRating: true
-    },
-
-    // Relaxation & Leisure
-    chill: {
-        types: ['cafe', 'park', 'bar'],
-        keywords: ['relax', 'chill', 'cozy', 'lounge', 'quiet', 'peaceful', 'laid back'],
-        description: 'Relaxed atmosphere',
-        preferredPrice: [1, 2],
-        prioritizeRating: true
-    },
-    spa: {
-        types: ['spa', 'beauty_salon'],
-        keywords: ['massage', 'wellness', 'relaxation', 'facial', 'sauna', 'day spa'],
-        description: 'Spa and wellness',
-        preferredPrice: [2, 3, 4],
-        prioritizeRating: true
-    },
-
-    // Family & Kids
-    family: {
-        types: ['restaurant', 'park', 'amusement_park', 'zoo', 'aquarium'],
-        keywords: ['family friendly', 'kids', 'children', 'family restaurant', 'playground', 'kid menu'],
-        description: 'Family-friendly places',
-        preferredPrice: [1, 2],
-        prioritizeRating: true
-    },
-    kids: {
-        types: ['park', 'amusement_park', 'zoo', 'aquarium'],
-        keywords: ['playground', 'kids', 'family', 'children', 'play area', 'arcade'],
-        description: 'Kid-friendly activities',
-        preferredPrice: [1, 2],
-        prioritizeRating: true
-    },
-
-    // Outdoor & Nature
-    outdoors: {
-        types: ['park', 'campground', 'natural_feature'],
-        keywords: ['outdoor', 'nature', 'hiking', 'trail', 'garden', 'scenic', 'walking path'],
-        description: 'Outdoor activities',
-        preferredPrice: [0, 1],
-        prioritizeRating: false
-    },
-    nature: {
-        types: ['park', 'campground'],
-        keywords: ['nature', 'garden', 'botanical', 'wildlife', 'scenic', 'green space'],
-        description: 'Natural spaces',
-        preferredPrice: [0, 1],
-        prioritizeRating: false
-    },
-    picnic: {
-        types: ['park'],
-        keywords: ['picnic', 'garden', 'outdoor', 'lawn', 'green space', 'public park'],
-        description: 'Picnic spots',
-        preferredPrice: [0],
-        prioritizeRating: false
-    },
-
-    // Health & Fitness
-    fitness: {
-        types: ['gym', 'park'],
-        keywords: ['fitness', 'workout', 'exercise', 'training', 'crossfit', 'gym near me'],
-        description: 'Fitness facilities',
-        preferredPrice: [1, 2, 3],
-        prioritizeRating: true
-    },
-    gym: {
-        types: ['gym'],
-        keywords: ['gym', 'fitness center', 'workout', 'health club', '24 hour gym'],
-        description: 'Gyms and fitness centers',
-        preferredPrice: [1, 2, 3],
-        prioritizeRating: true
-    },
-    yoga: {
-        types: ['gym', 'spa'],
-        keywords: ['yoga', 'pilates', 'meditation', 'yoga studio', 'wellness'],
-        description: 'Yoga and wellness studios',
-        preferredPrice: [2, 3],
-        prioritizeRating: true
-    },
-
-    // Entertainment & Culture
-    entertainment: {
-        types: ['movie_theater', 'bowling_alley', 'amusement_park', 'casino'],
-        keywords: ['entertainment', 'fun', 'games', 'arcade', 'bowling', 'escape room', 'karaoke'],
-        description: 'Entertainment venues',
-        preferredPrice: [2, 3],
-        prioritizeRating: true
-    },
-    movies: {
-        types: ['movie_theater'],
-        keywords: ['cinema', 'movie', 'film', 'theater', 'imax', 'movie theatre'],
-        description: 'Movie theaters',
-        preferredPrice: [2],
-        prioritizeRating: true
-    },
-    culture: {
-        types: ['museum', 'art_gallery', 'library'],
-        keywords: ['museum', 'art', 'culture', 'history', 'exhibition', 'gallery'],
-        description: 'Cultural attractions',
-        preferredPrice: [1, 2],
-        prioritizeRating: true
-    },
-    art: {
-        types: ['art_gallery', 'museum'],
-        keywords: ['art', 'gallery', 'exhibition', 'contemporary art', 'art museum'],
-        description: 'Art venues',
-        preferredPrice: [1, 2],
-        prioritizeRating: true
-    },
-    music: {
-        types: ['bar', 'night_club'],
-        keywords: ['live music', 'concert', 'jazz', 'music venue', 'live band', 'open mic'],
-        description: 'Live music venues',
-        preferredPrice: [2, 3],
-        prioritizeRating: true
-    },
-
-    // Shopping
-    shopping: {
-        types: ['shopping_mall', 'department_store', 'clothing_store'],
-        keywords: ['shopping', 'mall', 'retail', 'boutique', 'shopping center', 'stores'],
-        description: 'Shopping destinations',
-        preferredPrice: [1, 2, 3],
-        prioritizeRating: false
-    },
-    groceries: {
-        types: ['supermarket', 'grocery_or_supermarket'],
-        keywords: ['grocery', 'supermarket', 'food store', 'organic', 'market'],
-        description: 'Grocery stores',
-        preferredPrice: [1, 2],
-        prioritizeRating: false
-    },
-
-    // Services & Utilities
-    gas: {
-        types: ['gas_station'],
-        keywords: ['gas', 'fuel', 'petrol', 'gas station', 'fuel station'],
-        description: 'Gas stations',
-        preferredPrice: [1],
-        prioritizeRating: false
-    },
-    atm: {
-        types: ['atm', 'bank'],
-        keywords: ['atm', 'bank', 'cash', 'withdrawal'],
-        description: 'ATMs and banks',
-        preferredPrice: [0],
-        prioritizeRating: false
-    },
-    pharmacy: {
-        types: ['pharmacy', 'drugstore'],
-        keywords: ['pharmacy', 'drugstore', 'medicine', 'prescription'],
-        description: 'Pharmacies',
-        preferredPrice: [1, 2],
-        prioritizeRating: false
-    }
-};
+import { MOOD_BLEND, PRICE_LEVELS } from './constants';
+import { formatDistance } from './distance';
+import { getMoods, getQuickPicks, findMood } from '../services/moodRegistry';
 
 /**
  * Get place types and keywords for a given mood/intent
@@ -281,38 +16,39 @@ const moodMappings = {
  * @returns {Object} - Mapping object with types, keywords, etc.
  */
 export const getMoodMapping = (mood) => {
+    // Blends ("work + coffee") combine the mappings of their moods
+    if (mood.includes('+')) {
+        const moods = parseMoodBlend(mood);
+        if (moods.length > 1) return getBlendedMapping(moods);
+        if (moods.length === 1) mood = moods[0].mood;
+    }
+
     // Normalize: lowercase, trim, and convert hyphens to spaces
     const normalizedMood = mood.toLowerCase().trim().replace(/-/g, ' ');
+    const moods = getMoods();
 
     // Direct match
-    if (moodMappings[normalizedMood]) {
-        return moodMappings[normalizedMood];
-    }
-
-    // Try with hyphens converted to spaces in keys too
-    const normalizedKeys = Object.keys(moodMappings).map(k => k.replace(/-/g, ' '));
-    const directIndex = normalizedKeys.indexOf(normalizedMood);
-    if (directIndex !== -1) {
-        return Object.values(moodMappings)[directIndex];
+    const directMatch = findMood(normalizedMood);
+    if (directMatch) {
+        return directMatch;
     }
 
     // Partial match - find moods that contain the search term
-    const partialMatch = Object.keys(moodMappings).find(key => {
-        const normalizedKey = key.replace(/-/g, ' ');
-        return normalizedKey.includes(normalizedMood) || normalizedMood.includes(normalizedKey);
-    });
+    const partialMatch = moods.find(entry =>
+        entry.id.includes(normalizedMood) || normalizedMood.includes(entry.id)
+    );
 
     if (partialMatch) {
-        return moodMappings[partialMatch];
+        return partialMatch;
     }
 
     // Keyword match - search in keywords
-    for (const [key, mapping] of Object.entries(moodMappings)) {
-        if (mapping.keywords.some(keyword =>
-            keyword.includes(normalizedMood) || normalizedMood.includes(keyword)
-        )) {
-            return mapping;
-        }
+    const keywordMatch = moods.find(entry => entry.keywords.some(keyword =>
+        keyword.includes(normalizedMood) || normalizedMood.includes(keyword)
+    ));
+
+    if (keywordMatch) {
+        return keywordMatch;
     }
 
     // Default fallback - general search
@@ -330,9 +66,9 @@ export const getMoodMapping = (mood) => {
  * @returns {Array} - Array of mood options
  */
 export const getAllMoods = () => {
-    return Object.keys(moodMappings).map(key => ({
-        value: key,
-        ...moodMappings[key]
+    return getMoods().map(mood => ({
+        value: mood.id,
+        ...mood
     }));
 };
 
@@ -345,23 +81,24 @@ export const getMoodSuggestions = (input) => {
     const normalizedInput = input.toLowerCase().trim();
 
     if (!normalizedInput) {
-        // Return popular moods when no input
-        return ['work', 'date', 'quick bite', 'coffee', 'chill', 'family']
-            .map(key => ({ value: key, ...moodMappings[key] }));
+        // Return the quick picks when no input
+        return getQuickPicks()
+            .slice(0, 6)
+            .map(mood => ({ value: mood.id, ...mood }));
     }
 
     const suggestions = [];
 
-    for (const [key, mapping] of Object.entries(moodMappings)) {
-        // Match by key
-        if (key.includes(normalizedInput)) {
-            suggestions.push({ value: key, ...mapping, matchType: 'name' });
+    for (const mood of getMoods()) {
+        // Match by name
+        if (mood.id.includes(normalizedInput) || mood.label.toLowerCase().includes(normalizedInput)) {
+            suggestions.push({ value: mood.id, ...mood, matchType: 'name' });
             continue;
         }
 
         // Match by keywords
-        if (mapping.keywords.some(kw => kw.includes(normalizedInput))) {
-            suggestions.push({ value: key, ...mapping, matchType: 'keyword' });
+        if (mood.keywords.some(kw => kw.includes(normalizedInput))) {
+            suggestions.push({ value: mood.id, ...mood, matchType: 'keyword' });
         }
     }
 
@@ -372,74 +109,274 @@ export const getMoodSuggestions = (input) => {
 };
 
 /**
- * Calculate relevance score for a place based on mood
+ * Split a blended mood into its moods
+ * Moods are joined with "+" and may carry a weight: "work + coffee*2"
+ * @param {string} mood - Mood as typed
+ * @returns {Array} - { mood, weight } for each distinct mood, at most MOOD_BLEND.MAX_MOODS
+ */
+export const parseMoodBlend = (mood) => {
+    const moods = [];
+
+    mood.split('+').forEach(part => {
+        const match = part.trim().match(/^(.*?)\s*\*\s*(\d+)$/);
+        const name = (match ? match[1] : part).toLowerCase().trim().replace(/-/g, ' ');
+        const weight = match ? Math.min(Math.max(parseInt(match[2], 10), 1), MOOD_BLEND.MAX_WEIGHT) : 1;
+
+        if (name && !moods.some(existing => existing.mood === name)) {
+            moods.push({ mood: name, weight });
+        }
+    });
+
+    return moods.slice(0, MOOD_BLEND.MAX_MOODS);
+};
+
+/**
+ * Join moods into a blended mood
+ * @param {Array} moods - { mood, weight } objects
+ * @returns {string} - Blend such as "work + coffee*2"
+ */
+export const formatMoodBlend = (moods) => {
+    return moods
+        .map(({ mood, weight = 1 }) => (weight > 1 ? `${mood}*${weight}` : mood))
+        .join(' + ');
+};
+
+/**
+ * Combine the mappings of several moods
+ * Types are ranked by the weight of the moods wanting them, heavier moods send
+ * more keyword searches, and prices and rating priority follow at least half
+ * of the total weight.
+ * @param {Array} moods - { mood, weight } objects
+ * @returns {Object} - Mapping object, with `moods` holding { mood, weight, mapping } for scoring
+ */
+export const getBlendedMapping = (moods) => {
+    const parts = moods.map(({ mood, weight = 1 }) => ({ mood, weight, mapping: getMoodMapping(mood) }));
+    const totalWeight = parts.reduce((sum, part) => sum + part.weight, 0);
+    const weightOf = (test) => parts.reduce((sum, part) => sum + (test(part.mapping) ? part.weight : 0), 0);
+
+    const typeWeights = new Map();
+    parts.forEach(({ weight, mapping }) => {
+        mapping.types.forEach(type => typeWeights.set(type, (typeWeights.get(type) || 0) + weight));
+    });
+    const types = [...typeWeights.keys()].sort((a, b) => typeWeights.get(b) - typeWeights.get(a));
+
+    const keywords = [...new Set(parts.flatMap(({ weight, mapping }) =>
+        mapping.keywords.slice(0, weight * MOOD_BLEND.KEYWORDS_PER_WEIGHT)
+    ))];
+
+    const priceLevels = [0, 1, 2, 3, 4].filter(level =>
+        weightOf(mapping => mapping.preferredPrice?.includes(level)) > 0
+    );
+    const sharedPrices = priceLevels.filter(level =>
+        weightOf(mapping => mapping.preferredPrice?.includes(level)) * 2 >= totalWeight
+    );
+
+    return {
+        types,
+        keywords,
+        description: parts.map(({ mood }) => findMood(mood)?.label || mood.charAt(0).toUpperCase() + mood.slice(1)).join(' + '),
+        preferredPrice: sharedPrices.length > 0 ? sharedPrices : priceLevels,
+        prioritizeRating: weightOf(mapping => mapping.prioritizeRating) * 2 >= totalWeight,
+        moods: parts
+    };
+};
+
+/**
+ * Check whether a place suits a single mood
+ * @param {Object} place - Place object
+ * @param {Object} moodMapping - Mapping of one mood
+ * @returns {boolean} - True if a type or keyword of the mood matches
+ */
+const matchesMood = (place, moodMapping) => {
+    if ((place.types || []).some(type => moodMapping.types.includes(type))) {
+        return true;
+    }
+
+    const text = [place.name, ...(place.keywords || [])].join(' ').toLowerCase();
+    return moodMapping.keywords.some(keyword => text.includes(keyword));
+};
+
+/**
+ * Get the moods of a blend that a place matches
+ * @param {Object} place - Place object
+ * @param {Object} moodMapping - Mood mapping object
+ * @returns {Array} - Matched mood names, empty for single moods
+ */
+export const getMatchedMoods = (place, moodMapping) => {
+    if (!moodMapping?.moods) return [];
+
+    return moodMapping.moods
+        .filter(part => matchesMood(place, part.mapping))
+        .map(part => part.mood);
+};
+
+/**
+ * Add up score factors into a 0-100 score
+ * When the total is out of bounds a "Capped" factor takes up the difference,
+ * so the factors always add up to the score
+ * @param {Array} factors - { id, label, points, detail } objects
+ * @returns {Object} - { score, factors }
+ */
+const toBreakdown = (factors) => {
+    const total = factors.reduce((sum, factor) => sum + factor.points, 0);
+    const bounded = Math.max(0, Math.min(total, 100));
+
+    return {
+        score: Math.round(bounded),
+        factors: bounded === total
+            ? factors
+            : [...factors, { id: 'cap', label: 'Capped', points: bounded - total, detail: 'Scores run from 0 to 100' }]
+    };
+};
+
+/**
+ * Format a list of price levels
+ * @param {Array} levels - Price levels 0-4
+ * @returns {string} - e.g. "$ or $$"
+ */
+const formatPrices = (levels) => levels.map(level => PRICE_LEVELS[level]).join(' or ');
+
+/**
+ * Break down the relevance of a place for a blend of moods
+ * The weighted average of each mood's score, plus a bonus for every mood
+ * matched beyond the first
+ * @param {Object} place - Place object
+ * @param {Object} moodMapping - Blended mapping from getBlendedMapping
+ * @returns {Object} - { score, factors }
+ */
+const getBlendedBreakdown = (place, moodMapping) => {
+    const totalWeight = moodMapping.moods.reduce((sum, part) => sum + part.weight, 0);
+
+    const factors = moodMapping.moods.map(({ mood, weight, mapping }) => {
+        // Price preference is the blend's, which also carries price words from the query
+        const moodScore = calculateRelevanceScore(place, { ...mapping, preferredPrice: moodMapping.preferredPrice });
+        return {
+            id: `mood:${mood}`,
+            label: findMood(mood)?.label || mood,
+            points: moodScore * weight / totalWeight,
+            detail: `Fits ${moodScore}/100${weight > 1 ? `, weighted ×${weight}` : ''}`
+        };
+    });
+
+    const matchCount = getMatchedMoods(place, moodMapping).length;
+    factors.push({
+        id: 'blend',
+        label: 'Several moods',
+        points: Math.max(matchCount - 1, 0) * MOOD_BLEND.MULTI_MATCH_BONUS,
+        detail: `Matches ${matchCount} of ${moodMapping.moods.length} moods`
+    });
+
+    return toBreakdown(factors);
+};
+
+/**
+ * Break down the relevance of a place for a mood
  * @param {Object} place - Place object from API
  * @param {Object} moodMapping - Mood mapping object
- * @returns {number} - Relevance score (0-100)
+ * @returns {Object} - { score (0-100), factors: [{ id, label, points, detail }] }
  */
-export const calculateRelevanceScore = (place, moodMapping) => {
-    let score = 40; // Base score
+export const getRelevanceBreakdown = (place, moodMapping) => {
+    if (moodMapping.moods) {
+        return getBlendedBreakdown(place, moodMapping);
+    }
+
+    const factors = [{ id: 'base', label: 'Starting score', points: 40, detail: 'Every result starts here' }];
 
     // Type match bonus - higher weight for primary type match
     const placeTypes = place.types || [];
     const matchingTypes = placeTypes.filter(type =>
         moodMapping.types.includes(type)
     );
+    const hasPrimaryType = matchingTypes.length > 0 && placeTypes.includes(moodMapping.types[0]);
+    factors.push({
+        id: 'type',
+        label: 'Type match',
+        // Primary type (first in moodMapping.types) gets extra bonus, plus each matching type
+        points: (hasPrimaryType ? 20 : 0) + matchingTypes.length * 10,
+        detail: matchingTypes.length > 0
+            ? `${matchingTypes.map(type => type.replace(/_/g, ' ')).join(', ')}${hasPrimaryType ? ' (main type)' : ''}`
+            : 'None of the mood\'s place types'
+    });
 
-    // Primary type (first in moodMapping.types) gets extra bonus
-    if (matchingTypes.length > 0) {
-        const primaryType = moodMapping.types[0];
-        if (placeTypes.includes(primaryType)) {
-            score += 20; // Primary type match
-        }
-        score += matchingTypes.length * 10; // Additional type matches
-    }
-
-    // Price level match - better scoring
+    // Price level match, with a slight penalty for a mismatch if the mood has a price preference
+    const priceFactor = { id: 'price', label: 'Price match', points: 0, detail: 'Price unknown' };
     if (place.price_level !== undefined && moodMapping.preferredPrice) {
-        if (moodMapping.preferredPrice.includes(place.price_level)) {
-            score += 12;
-        } else {
-            // Slight penalty for price mismatch if mood has price preference
-            score -= 5;
-        }
+        const matches = moodMapping.preferredPrice.includes(place.price_level);
+        priceFactor.points = matches ? 12 : -5;
+        priceFactor.detail = matches
+            ? `${PRICE_LEVELS[place.price_level]} is a preferred price`
+            : `${PRICE_LEVELS[place.price_level]} instead of ${formatPrices(moodMapping.preferredPrice)}`;
+    } else if (place.price_level !== undefined) {
+        priceFactor.detail = 'No price preference';
     }
+    factors.push(priceFactor);
 
-    // Rating bonus - more nuanced scoring
+    // Rating bonus - higher weight for moods that prioritize rating
+    const ratingFactor = { id: 'rating', label: 'Rating', points: 0, detail: 'No rating yet' };
     if (place.rating) {
         if (moodMapping.prioritizeRating) {
-            // Higher weight for moods that prioritize rating
-            if (place.rating >= 4.5) score += 20;
-            else if (place.rating >= 4.0) score += 15;
-            else if (place.rating >= 3.5) score += 10;
-            else score += 5;
+            if (place.rating >= 4.5) ratingFactor.points = 20;
+            else if (place.rating >= 4.0) ratingFactor.points = 15;
+            else if (place.rating >= 3.5) ratingFactor.points = 10;
+            else ratingFactor.points = 5;
         } else {
             // Still give some weight to rating
-            score += (place.rating / 5) * 10;
+            ratingFactor.points = (place.rating / 5) * 10;
         }
+        ratingFactor.detail = `Rated ${place.rating}${moodMapping.prioritizeRating ? ', and ratings matter for this mood' : ''}`;
     }
+    factors.push(ratingFactor);
 
     // User ratings count bonus (popularity/trust indicator)
+    const popularityFactor = { id: 'popularity', label: 'Popularity', points: 0, detail: 'No reviews yet' };
     if (place.user_ratings_total) {
-        if (place.user_ratings_total >= 500) score += 12;
-        else if (place.user_ratings_total >= 100) score += 8;
-        else if (place.user_ratings_total >= 50) score += 5;
-        else score += 2;
-    }
-
-    // Open now bonus - more significant
-    if (place.opening_hours?.open_now) {
-        score += 8;
+        if (place.user_ratings_total >= 500) popularityFactor.points = 12;
+        else if (place.user_ratings_total >= 100) popularityFactor.points = 8;
+        else if (place.user_ratings_total >= 50) popularityFactor.points = 5;
+        else popularityFactor.points = 2;
+        popularityFactor.detail = `${place.user_ratings_total.toLocaleString()} reviews`;
     }
+    factors.push(popularityFactor);
+
+    // Open now bonus
+    const openNow = place.opening_hours?.open_now;
+    factors.push({
+        id: 'open',
+        label: 'Open now',
+        points: openNow ? 8 : 0,
+        detail: openNow ? 'Open now' : (openNow === false ? 'Closed now' : 'Hours unknown')
+    });
 
-    // Distance penalty for far places (if distance is available)
+    // Distance penalty for far places, bonus for very close ones
+    const distanceFactor = { id: 'distance', label: 'Distance', points: 0, detail: 'Distance unknown' };
     if (place.distance) {
-        if (place.distance > 3000) score -= 5; // More than 3km
-        else if (place.distance < 500) score += 5; // Very close bonus
+        if (place.distance > 3000) distanceFactor.points = -5;
+        else if (place.distance < 500) distanceFactor.points = 5;
+        distanceFactor.detail = `${formatDistance(place.distance)} away`;
     }
+    factors.push(distanceFactor);
 
-    // Ensure score is within bounds
-    return Math.max(0, Math.min(Math.round(score), 100));
+    return toBreakdown(factors);
+};
+
+/**
+ * Calculate relevance score for a place based on mood
+ * @param {Object} place - Place object from API
+ * @param {Object} moodMapping - Mood mapping object
+ * @returns {number} - Relevance score (0-100)
+ */
+export const calculateRelevanceScore = (place, moodMapping) => {
+    return getRelevanceBreakdown(place, moodMapping).score;
 };
 
-export default moodMappings;
+export default {
+    getMoodMapping,
+    getAllMoods,
+    getMoodSuggestions,
+    parseMoodBlend,
+    formatMoodBlend,
+    getBlendedMapping,
+    getMatchedMoods,
+    getRelevanceBreakdown,
+    calculateRelevanceScore
+};
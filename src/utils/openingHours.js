@@ -0,0 +1,492 @@
+/**
+ * Opening Hours Utilities
+ * Parses OpenStreetMap opening_hours strings and evaluates Google-style periods
+ *
+ * Periods follow the Google Places shape:
+ *   { open: { day, time: 'HHMM' }, close: { day, time: 'HHMM' } }
+ * where day is 0 (Sunday) to 6 (Saturday). A single period with no close
+ * means the place is open 24/7.
+ *
+ * Places may also carry opening_hours.holiday_periods (same shape), which
+ * replace the regular periods on public holidays.
+ */
+
+import { PUBLIC_HOLIDAYS } from './constants';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// OSM weekday abbreviations → JS day index
+const OSM_DAYS = { Su: 0, Mo: 1, Tu: 2, We: 3, Th: 4, Fr: 5, Sa: 6 };
+
+// Week order used for display (Monday first, like Google's weekday_text)
+const DISPLAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// How far ahead to look for the next opening or closing time
+const LOOKAHEAD_DAYS = 7;
+
+// Below this many minutes, changes are shown as a countdown ('Closes in 20 min')
+const COUNTDOWN_MINUTES = 60;
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+/**
+ * Format minutes since midnight as a Google period time ('HHMM')
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} - Time string
+ */
+const toPeriodTime = (minutes) => {
+    const hours = Math.floor(minutes / 60) % 24;
+    const mins = minutes % 60;
+    return `${String(hours).padStart(2, '0')}${String(mins).padStart(2, '0')}`;
+};
+
+/**
+ * Parse a Google period time ('HHMM') to minutes since midnight
+ * @param {string} time - Time string
+ * @returns {number} - Minutes since midnight
+ */
+const fromPeriodTime = (time) => {
+    return parseInt(time.slice(0, 2), 10) * 60 + parseInt(time.slice(2), 10);
+};
+
+/**
+ * Format minutes since midnight for display (e.g. '9:30 AM')
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} - Display time
+ */
+export const formatTimeOfDay = (minutes) => {
+    const normalized = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const hours = Math.floor(normalized / 60);
+    const mins = normalized % 60;
+    const suffix = hours >= 12 ? 'PM' : 'AM';
+    return `${hours % 12 || 12}:${String(mins).padStart(2, '0')} ${suffix}`;
+};
+
+/**
+ * Parse an OSM time ('08:30') to minutes since midnight
+ * @param {string} value - Time string
+ * @returns {number|null} - Minutes or null if invalid
+ */
+const parseOsmTime = (value) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value);
+    if (!match) return null;
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 48 || minutes > 59) return null;
+
+    return hours * 60 + minutes;
+};
+
+/**
+ * Parse an OSM weekday selector ('Mo-Fr,Su', 'Sa,PH') into day indexes
+ * @param {string} selector - Weekday selector
+ * @returns {Object|null} - { days, holiday } or null if invalid
+ */
+const parseOsmDays = (selector) => {
+    const days = [];
+    let holiday = false;
+
+    for (const part of selector.split(',')) {
+        if (part === 'PH') {
+            holiday = true;
+            continue;
+        }
+
+        const [from, to] = part.split('-');
+        if (!(from in OSM_DAYS) || (to !== undefined && !(to in OSM_DAYS))) {
+            return null;
+        }
+
+        if (to === undefined) {
+            days.push(OSM_DAYS[from]);
+            continue;
+        }
+
+        // Ranges may wrap around the week (e.g. 'Sa-Mo')
+        let day = OSM_DAYS[from];
+        days.push(day);
+        while (day !== OSM_DAYS[to]) {
+            day = (day + 1) % 7;
+            days.push(day);
+        }
+    }
+
+    return { days, holiday };
+};
+
+/**
+ * Parse OSM time ranges ('08:00-12:00,13:00-18:00') into [open, close] minute pairs
+ * Closing times past midnight are returned as minutes > 1440
+ * @param {string} selector - Time selector
+ * @returns {Array|null} - Ranges or null if invalid
+ */
+const parseOsmTimeRanges = (selector) => {
+    const ranges = [];
+
+    for (const part of selector.split(',')) {
+        // Open-ended ranges ('18:00+') are treated as open until midnight
+        const openEnded = part.endsWith('+');
+        const [from, to] = (openEnded ? part.slice(0, -1) : part).split('-');
+
+        const open = parseOsmTime(from);
+        let close = openEnded ? MINUTES_PER_DAY : parseOsmTime(to || '');
+        if (open === null || close === null) return null;
+
+        if (close <= open) close += MINUTES_PER_DAY;
+        ranges.push([open, close]);
+    }
+
+    return ranges;
+};
+
+/**
+ * Parse a single OSM rule ('Mo-Fr 08:00-18:00', 'Su off', 'PH 10:00-14:00', '09:00-17:00')
+ * @param {string} rule - Rule text
+ * @returns {Object|null} - { days, holiday, ranges } or null if unsupported
+ */
+const parseOsmRule = (rule) => {
+    const tokens = rule.trim().split(/\s+/);
+    let days = ALL_DAYS;
+    let holiday = false;
+
+    // Leading weekday / holiday selector
+    if (tokens.length > 0 && /^[A-Z][a-zA-Z]/.test(tokens[0])) {
+        const selector = parseOsmDays(tokens[0]);
+        if (!selector) return null;
+        ({ days, holiday } = selector);
+        tokens.shift();
+    }
+
+    // A bare weekday selector ('Mo-Fr') means open all day
+    const timeSelector = tokens.length > 0 ? tokens.join('') : '00:00-24:00';
+    if (timeSelector === 'off' || timeSelector === 'closed') {
+        return { days, holiday, ranges: [] };
+    }
+
+    const ranges = parseOsmTimeRanges(timeSelector === 'open' ? '00:00-24:00' : timeSelector);
+    return ranges ? { days, holiday, ranges } : null;
+};
+
+/**
+ * Convert a per-day schedule into Google-style periods
+ * @param {Array} schedule - Seven arrays of [open, close] minute pairs
+ * @returns {Array} - Opening periods
+ */
+const scheduleToPeriods = (schedule) => {
+    const periods = [];
+
+    schedule.forEach((ranges, day) => {
+        ranges.forEach(([open, close]) => {
+            periods.push({
+                open: { day, time: toPeriodTime(open) },
+                close: {
+                    day: (day + Math.floor(close / MINUTES_PER_DAY)) % 7,
+                    time: toPeriodTime(close)
+                }
+            });
+        });
+    });
+
+    return periods;
+};
+
+/**
+ * Parse an OpenStreetMap opening_hours value into regular and holiday periods
+ * Supports weekday ranges and lists, public holidays ('PH'), multiple time
+ * ranges, overnight spans, open-ended times, 'off' and '24/7'. Later rules
+ * override earlier ones for the days they name, while additional rules
+ * (', We 14:00-18:00') add to them, as in the OSM specification.
+ * @param {string} value - OSM opening_hours string
+ * @returns {Object|null} - { periods, holidayPeriods } or null if the value can't be parsed
+ */
+export const parseOsmSchedule = (value) => {
+    if (!value || typeof value !== 'string') {
+        return null;
+    }
+
+    const normalized = value.trim();
+    if (normalized === '24/7') {
+        return { periods: [{ open: { day: 0, time: '0000' } }], holidayPeriods: null };
+    }
+
+    const schedule = [[], [], [], [], [], [], []];
+    let holidayRanges = null;
+
+    for (const rule of normalized.split(/;|\|\|/).filter(r => r.trim())) {
+        const [first, ...additional] = rule.split(/,\s+(?=[A-Z][a-zA-Z])/);
+
+        const parsedRules = [first, ...additional].map(parseOsmRule);
+        if (parsedRules.some(parsed => !parsed)) return null;
+
+        parsedRules.forEach((parsed, index) => {
+            const isAdditional = index > 0;
+
+            parsed.days.forEach(day => {
+                schedule[day] = isAdditional ? [...schedule[day], ...parsed.ranges] : parsed.ranges;
+            });
+
+            if (parsed.holiday) {
+                holidayRanges = isAdditional && holidayRanges
+                    ? [...holidayRanges, ...parsed.ranges]
+                    : parsed.ranges;
+            }
+        });
+    }
+
+    return {
+        periods: scheduleToPeriods(schedule),
+        holidayPeriods: holidayRanges ? scheduleToPeriods(ALL_DAYS.map(() => holidayRanges)) : null
+    };
+};
+
+/**
+ * Parse an OpenStreetMap opening_hours value into Google-style periods
+ * Holiday rules are ignored; use parseOsmSchedule to get them as well
+ * @param {string} value - OSM opening_hours string
+ * @returns {Array|null} - Opening periods or null if the value can't be parsed
+ */
+export const parseOsmOpeningHours = (value) => {
+    return parseOsmSchedule(value)?.periods || null;
+};
+
+/**
+ * Check whether a set of periods describes a place that is always open
+ * @param {Array} periods - Opening periods
+ * @returns {boolean} - True if open 24/7
+ */
+export const isAlwaysOpen = (periods) => {
+    return periods.length === 1 && !periods[0].close;
+};
+
+/**
+ * Check whether a date is a public holiday
+ * @param {Date} date - Date to check
+ * @param {Array} holidays - 'MM-DD' (every year) or 'YYYY-MM-DD' (one-off) dates
+ * @returns {boolean} - True if the date is a holiday
+ */
+export const isHoliday = (date, holidays = PUBLIC_HOLIDAYS) => {
+    const monthDay = `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    return holidays.includes(monthDay) || holidays.includes(`${date.getFullYear()}-${monthDay}`);
+};
+
+/**
+ * Build the concrete open intervals around a date
+ * Walks calendar days (starting the day before, to catch overnight spans) and
+ * picks holiday periods on holidays. Touching intervals are merged, so a place
+ * open until midnight and again from midnight reads as one stretch.
+ * @param {Array} periods - Opening periods
+ * @param {Date} date - Reference date
+ * @param {Object} options - { holidayPeriods, holidays }
+ * @returns {Array} - Sorted { start, end } Date pairs
+ */
+const getOpenIntervals = (periods, date, { holidayPeriods = null, holidays = PUBLIC_HOLIDAYS } = {}) => {
+    const intervals = [];
+    const year = date.getFullYear();
+    const month = date.getMonth();
+    const dayOfMonth = date.getDate();
+
+    for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+        const dayStart = new Date(year, month, dayOfMonth + offset);
+        const weekday = dayStart.getDay();
+        const dayPeriods = holidayPeriods && isHoliday(dayStart, holidays) ? holidayPeriods : periods;
+
+        dayPeriods
+            .filter(period => period.close && period.open.day === weekday)
+            .forEach(period => {
+                const openMinutes = fromPeriodTime(period.open.time);
+                const closeMinutes = fromPeriodTime(period.close.time);
+                let spanDays = (period.close.day - period.open.day + 7) % 7;
+                if (spanDays === 0 && closeMinutes <= openMinutes) spanDays = 7;
+
+                // Date normalizes minute overflow, which keeps DST days correct
+                intervals.push({
+                    start: new Date(year, month, dayOfMonth + offset, 0, openMinutes),
+                    end: new Date(year, month, dayOfMonth + offset + spanDays, 0, closeMinutes)
+                });
+            });
+    }
+
+    intervals.sort((a, b) => a.start - b.start);
+
+    return intervals.reduce((merged, interval) => {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end) {
+            if (interval.end > last.end) last.end = interval.end;
+        } else {
+            merged.push({ ...interval });
+        }
+        return merged;
+    }, []);
+};
+
+/**
+ * Check whether a place is open at a given date
+ * @param {Array} periods - Opening periods
+ * @param {Date} date - Date to check
+ * @param {Object} options - { holidayPeriods, holidays }
+ * @returns {boolean} - True if open
+ */
+export const isOpenAt = (periods = [], date = new Date(), options = {}) => {
+    if (isAlwaysOpen(periods)) return true;
+
+    return getOpenIntervals(periods, date, options)
+        .some(interval => date >= interval.start && date < interval.end);
+};
+
+/**
+ * Format a date as a short weekday and time (e.g. 'Fri 9:00 PM')
+ * @param {Date} date - Date to format
+ * @returns {string} - Display text
+ */
+export const formatDayAndTime = (date) => {
+    return `${DAY_NAMES[date.getDay()].slice(0, 3)} ${formatTimeOfDay(date.getHours() * 60 + date.getMinutes())}`;
+};
+
+/**
+ * Describe when a closed place opens next, relative to a date
+ * @param {Date} opensAt - Next opening time
+ * @param {Date} date - Reference date
+ * @returns {string} - e.g. 'Opens in 20 min', 'Opens tomorrow at 8:00 AM'
+ */
+const describeOpening = (opensAt, date) => {
+    const minutes = Math.ceil((opensAt - date) / 60000);
+    if (minutes <= COUNTDOWN_MINUTES) {
+        return `Opens in ${minutes} min`;
+    }
+
+    const time = formatTimeOfDay(opensAt.getHours() * 60 + opensAt.getMinutes());
+    const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const days = Math.round((new Date(opensAt.getFullYear(), opensAt.getMonth(), opensAt.getDate()) - dayStart) / 86400000);
+
+    if (days === 0) return `Opens at ${time}`;
+    if (days === 1) return `Opens tomorrow at ${time}`;
+    return `Opens ${DAY_NAMES[opensAt.getDay()]} at ${time}`;
+};
+
+/**
+ * Describe when an open place closes, relative to a date
+ * @param {Date} closesAt - Closing time
+ * @param {Date} date - Reference date
+ * @returns {string} - e.g. 'Closes in 30 min', 'Closes at 2:00 AM'
+ */
+const describeClosing = (closesAt, date) => {
+    const minutes = Math.ceil((closesAt - date) / 60000);
+    if (minutes <= COUNTDOWN_MINUTES) {
+        return `Closes in ${minutes} min`;
+    }
+    return `Closes at ${formatTimeOfDay(closesAt.getHours() * 60 + closesAt.getMinutes())}`;
+};
+
+/**
+ * Evaluate opening hours at a date
+ * @param {Object} openingHours - Place opening_hours ({ periods, holiday_periods, open_now })
+ * @param {Date} date - Date to evaluate (defaults to now)
+ * @param {Object} options - { holidays }
+ * @returns {Object} - { isOpen, alwaysOpen, isHoliday, opensAt, closesAt, summary, detail, label }
+ *   isOpen is null when the hours are unknown
+ */
+export const getOpeningStatus = (openingHours, date = new Date(), { holidays = PUBLIC_HOLIDAYS } = {}) => {
+    const periods = openingHours?.periods;
+    const holidayPeriods = openingHours?.holiday_periods || null;
+    const holiday = Boolean(holidayPeriods) && isHoliday(date, holidays);
+
+    const status = {
+        isOpen: null,
+        alwaysOpen: false,
+        isHoliday: holiday,
+        opensAt: null,
+        closesAt: null,
+        summary: 'Hours not available',
+        detail: null,
+        label: 'Hours not available'
+    };
+
+    if (!periods || periods.length === 0) {
+        return status;
+    }
+
+    const intervals = getOpenIntervals(periods, date, { holidayPeriods, holidays });
+    const current = intervals.find(interval => date >= interval.start && date < interval.end);
+    const next = intervals.find(interval => interval.start > date);
+
+    // Open without a break for the whole lookahead window (e.g. 'Mo-Su 00:00-24:00')
+    if (isAlwaysOpen(periods) || (current && current.end - date >= LOOKAHEAD_DAYS * 86400000)) {
+        return { ...status, isOpen: true, alwaysOpen: true, summary: 'Open 24 hours', label: 'Open 24 hours' };
+    }
+
+    if (current) {
+        status.isOpen = true;
+        status.closesAt = current.end;
+        status.summary = 'Open now';
+        status.detail = describeClosing(current.end, date);
+    } else {
+        status.isOpen = false;
+        status.opensAt = next ? next.start : null;
+        status.summary = 'Closed';
+        status.detail = next ? describeOpening(next.start, date) : null;
+    }
+
+    status.label = status.detail ? `${status.summary} · ${status.detail}` : status.summary;
+    return status;
+};
+
+/**
+ * Check whether a place is open at a date
+ * Uses periods when available; without them only the current open_now flag
+ * can be trusted.
+ * @param {Object} place - Place object
+ * @param {Date|null} date - Date to check (null for now)
+ * @returns {boolean|null} - True/false, or null if unknown
+ */
+export const isPlaceOpenAt = (place, date = null) => {
+    const openingHours = place?.opening_hours;
+    if (!openingHours) return null;
+
+    if (openingHours.periods?.length > 0) {
+        return getOpeningStatus(openingHours, date || new Date()).isOpen;
+    }
+
+    return date === null && typeof openingHours.open_now === 'boolean'
+        ? openingHours.open_now
+        : null;
+};
+
+/**
+ * Build Google-style weekday_text lines from periods
+ * @param {Array} periods - Opening periods
+ * @returns {Array} - Lines like 'Monday: 8:00 AM – 6:00 PM'
+ */
+export const formatWeekdayText = (periods = []) => {
+    if (isAlwaysOpen(periods)) {
+        return DISPLAY_ORDER.map(day => `${DAY_NAMES[day]}: Open 24 hours`);
+    }
+
+    return DISPLAY_ORDER.map(day => {
+        const ranges = periods
+            .filter(period => period.open.day === day)
+            .sort((a, b) => fromPeriodTime(a.open.time) - fromPeriodTime(b.open.time))
+            .map(period => {
+                const open = formatTimeOfDay(fromPeriodTime(period.open.time));
+                const close = formatTimeOfDay(fromPeriodTime(period.close.time));
+                return `${open} – ${close}`;
+            });
+
+        return `${DAY_NAMES[day]}: ${ranges.length > 0 ? ranges.join(', ') : 'Closed'}`;
+    });
+};
+
+export default {
+    parseOsmSchedule,
+    parseOsmOpeningHours,
+    isAlwaysOpen,
+    isHoliday,
+    isOpenAt,
+    getOpeningStatus,
+    isPlaceOpenAt,
+    formatWeekdayText,
+    formatTimeOfDay,
+    formatDayAndTime
+};
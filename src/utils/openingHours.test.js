@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import {
+    parseOsmSchedule,
+    parseOsmOpeningHours,
+    isOpenAt,
+    getOpeningStatus,
+    isPlaceOpenAt,
+    formatWeekdayText
+} from './openingHours';
+
+// January 2026: the 5th is a Monday
+const at = (day, hours, minutes = 0) => new Date(2026, 0, day, hours, minutes);
+const MONDAY = 5;
+const THURSDAY = 8;
+const FRIDAY = 9;
+const SATURDAY = 10;
+const SUNDAY = 11;
+
+const periodsOn = (periods, day) => periods.filter(period => period.open.day === day);
+
+describe('opening hours parsing', () => {
+    it('turns weekday rules into Google-style periods', () => {
+        const periods = parseOsmOpeningHours('Mo-Fr 08:00-18:00; Sa 10:00-14:00');
+
+        expect(periods).toHaveLength(6);
+        expect(periodsOn(periods, 1)).toEqual([{ open: { day: 1, time: '0800' }, close: { day: 1, time: '1800' } }]);
+        expect(periodsOn(periods, 6)).toEqual([{ open: { day: 6, time: '1000' }, close: { day: 6, time: '1400' } }]);
+        expect(periodsOn(periods, 0)).toEqual([]);
+    });
+
+    it('closes overnight spans on the next day, wrapping Saturday into Sunday', () => {
+        const periods = parseOsmOpeningHours('Fr-Sa 18:00-02:00');
+
+        expect(periodsOn(periods, 5)[0].close).toEqual({ day: 6, time: '0200' });
+        expect(periodsOn(periods, 6)[0].close).toEqual({ day: 0, time: '0200' });
+    });
+
+    it('lets later rules replace days and additional rules add to them', () => {
+        const replaced = parseOsmOpeningHours('Mo-Fr 09:00-17:00; We off');
+        expect(periodsOn(replaced, 3)).toEqual([]);
+        expect(periodsOn(replaced, 4)).toHaveLength(1);
+
+        const added = parseOsmOpeningHours('Mo-Fr 09:00-12:00, We 14:00-18:00');
+        expect(periodsOn(added, 3).map(period => period.open.time)).toEqual(['0900', '1400']);
+        expect(periodsOn(added, 2)).toHaveLength(1);
+    });
+
+    it('reads wrapping weekday ranges and open-ended times', () => {
+        const periods = parseOsmOpeningHours('Sa-Mo 18:00+');
+
+        expect(periods.map(period => period.open.day).sort()).toEqual([0, 1, 6]);
+        expect(periodsOn(periods, 6)[0].close).toEqual({ day: 0, time: '0000' });
+    });
+
+    it('keeps public holiday rules apart', () => {
+        const schedule = parseOsmSchedule('Mo-Fr 09:00-17:00; PH 10:00-14:00');
+
+        expect(schedule.periods).toHaveLength(5);
+        expect(schedule.holidayPeriods).toHaveLength(7);
+        expect(schedule.holidayPeriods[0].open.time).toBe('1000');
+    });
+
+    it('rejects values it cannot read', () => {
+        expect(parseOsmSchedule('sunrise-sunset')).toBeNull();
+        expect(parseOsmSchedule('Mo-Xx 09:00-17:00')).toBeNull();
+        expect(parseOsmSchedule('Mo 25:00-26:00; Tu 9-5')).toBeNull();
+        expect(parseOsmSchedule('')).toBeNull();
+    });
+});
+
+describe('opening hours intervals', () => {
+    const overnight = parseOsmOpeningHours('Fr-Sa 18:00-02:00');
+
+    it('stays open past midnight into the next day', () => {
+        expect(isOpenAt(overnight, at(FRIDAY, 23, 30))).toBe(true);
+        expect(isOpenAt(overnight, at(SATURDAY, 1, 59))).toBe(true);
+        expect(isOpenAt(overnight, at(SATURDAY, 2, 0))).toBe(false);
+        expect(isOpenAt(overnight, at(SUNDAY, 1, 0))).toBe(true);
+        expect(isOpenAt(overnight, at(MONDAY, 1, 0))).toBe(false);
+    });
+
+    it('treats 24/7 as always open', () => {
+        const periods = parseOsmOpeningHours('24/7');
+
+        expect(isOpenAt(periods, at(SUNDAY, 3))).toBe(true);
+        expect(getOpeningStatus({ periods }, at(SUNDAY, 3))).toMatchObject({ isOpen: true, alwaysOpen: true, label: 'Open 24 hours' });
+    });
+
+    it('merges intervals that touch at midnight', () => {
+        const periods = parseOsmOpeningHours('Mo 18:00-24:00; Tu 00:00-03:00');
+        const status = getOpeningStatus({ periods }, at(MONDAY, 20));
+
+        expect(status.closesAt).toEqual(at(MONDAY + 1, 3));
+        expect(status.detail).toBe('Closes at 3:00 AM');
+    });
+
+    it('describes the next change relative to the date', () => {
+        const periods = parseOsmOpeningHours('Mo-Fr 09:00-18:00');
+
+        expect(getOpeningStatus({ periods }, at(MONDAY, 17, 40)).label).toBe('Open now · Closes in 20 min');
+        expect(getOpeningStatus({ periods }, at(MONDAY, 8, 30)).label).toBe('Closed · Opens in 30 min');
+        expect(getOpeningStatus({ periods }, at(THURSDAY, 19)).label).toBe('Closed · Opens tomorrow at 9:00 AM');
+        expect(getOpeningStatus({ periods }, at(FRIDAY, 19)).label).toBe('Closed · Opens Monday at 9:00 AM');
+    });
+
+    it('uses holiday periods on public holidays', () => {
+        const { periods, holidayPeriods } = parseOsmSchedule('Mo-Fr 09:00-17:00; PH off');
+        const christmas = new Date(2026, 11, 25, 12);
+
+        expect(isOpenAt(periods, christmas)).toBe(true);
+        expect(isOpenAt(periods, christmas, { holidayPeriods })).toBe(false);
+
+        const status = getOpeningStatus({ periods, holiday_periods: holidayPeriods }, christmas);
+        expect(status.isHoliday).toBe(true);
+        expect(status.isOpen).toBe(false);
+    });
+
+    it('only trusts open_now for the current time', () => {
+        const place = { opening_hours: { open_now: true } };
+
+        expect(isPlaceOpenAt(place)).toBe(true);
+        expect(isPlaceOpenAt(place, at(MONDAY, 12))).toBeNull();
+        expect(isPlaceOpenAt({})).toBeNull();
+        expect(getOpeningStatus(null).isOpen).toBeNull();
+    });
+
+    it('lists the week starting on Monday', () => {
+        const lines = formatWeekdayText(parseOsmOpeningHours('Mo-Fr 09:00-12:00,13:00-17:30'));
+
+        expect(lines[0]).toBe('Monday: 9:00 AM – 12:00 PM, 1:00 PM – 5:30 PM');
+        expect(lines[6]).toBe('Sunday: Closed');
+    });
+});
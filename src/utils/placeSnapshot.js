@@ -0,0 +1,123 @@
+/**
+ * Place Snapshot Utilities
+ * Normalizes place objects and converts them to plain, storable snapshots and back
+ *
+ * Place results carry functions (geometry.location.lat(), photo.getUrl()) that
+ * can't be stored in IndexedDB or serialized to JSON. Snapshots keep the
+ * displayable fields as plain data, and restored places get the accessors back
+ * so the rest of the app can treat them like fresh search results.
+ */
+
+import { getPlaceLatLng } from './distance';
+import { getPlacePhotoUrl } from '../services/placesApi';
+
+// Fields copied as-is into snapshots
+const SNAPSHOT_FIELDS = [
+    'place_id',
+    'name',
+    'types',
+    'rating',
+    'user_ratings_total',
+    'price_level',
+    'vicinity',
+    'formatted_address',
+    'formatted_phone_number',
+    'website',
+    'url',
+    'cuisine'
+];
+
+/**
+ * Create a Google-style LatLng with lat()/lng() accessors
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object} - LatLng-like object
+ */
+const createLatLng = (lat, lng) => ({
+    lat: () => lat,
+    lng: () => lng,
+    toJSON: () => ({ lat, lng })
+});
+
+/**
+ * Normalize a place-like object to the Google PlaceResult shape
+ * Accepts search results, place details, camelCase objects (placeId, address,
+ * userRatingsTotal, priceLevel, openingHours, location) and restored snapshots.
+ * @param {Object} place - Place-like object
+ * @returns {Object} - Place object with geometry.location accessors
+ */
+export const normalizePlace = (place) => {
+    const location = place.geometry?.location || place.location || {};
+    const lat = typeof location.lat === 'function' ? location.lat() : location.lat;
+    const lng = typeof location.lng === 'function' ? location.lng() : location.lng;
+
+    return {
+        ...place,
+        place_id: place.placeId || place.place_id,
+        name: place.name,
+        formatted_address: place.address || place.formatted_address,
+        geometry: {
+            ...place.geometry,
+            location: typeof location.lat === 'function'
+                ? location
+                : createLatLng(lat || 0, lng || 0)
+        },
+        rating: place.rating,
+        user_ratings_total: place.userRatingsTotal ?? place.user_ratings_total,
+        price_level: place.priceLevel ?? place.price_level,
+        types: place.types || [],
+        opening_hours: place.openingHours || place.opening_hours,
+        photos: place.photos || [],
+        distance: place.distance
+    };
+};
+
+/**
+ * Create a plain snapshot of a place
+ * open_now is dropped because it goes stale; periods are kept for evaluation.
+ * @param {Object} place - Place object
+ * @returns {Object} - Serializable snapshot
+ */
+export const toPlaceSnapshot = (place) => {
+    const snapshot = {};
+
+    SNAPSHOT_FIELDS.forEach(field => {
+        if (place[field] !== undefined && place[field] !== null) {
+            snapshot[field] = place[field];
+        }
+    });
+
+    snapshot.location = getPlaceLatLng(place);
+
+    if (place.opening_hours) {
+        const { periods, holiday_periods: holidayPeriods, weekday_text: weekdayText } = place.opening_hours;
+        snapshot.opening_hours = {
+            ...(periods ? { periods } : {}),
+            ...(holidayPeriods ? { holiday_periods: holidayPeriods } : {}),
+            ...(weekdayText ? { weekday_text: weekdayText } : {})
+        };
+    }
+
+    const photoUrl = getPlacePhotoUrl(place, 400);
+    if (photoUrl) {
+        snapshot.photo_url = photoUrl;
+    }
+
+    return snapshot;
+};
+
+/**
+ * Restore a place object from a snapshot
+ * @param {Object} snapshot - Place snapshot
+ * @returns {Object} - Place object in the Google PlaceResult shape
+ */
+export const fromPlaceSnapshot = (snapshot) => {
+    const { location, ...fields } = normalizePlace(snapshot);
+    return fields;
+};
+
+export default {
+    normalizePlace,
+    toPlaceSnapshot,
+    fromPlaceSnapshot
+};
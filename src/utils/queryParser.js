@@ -0,0 +1,380 @@
+/**
+ * Query Parser
+ * Turns compound searches ("cheap sushi open late within 1km") into a mood
+ * plus filter, sort and search radius updates
+ *
+ * Each recognized phrase becomes a chip: { id, kind, label, start, text } plus
+ * what it sets: `filters` (partial DEFAULT_FILTERS), `sortBy`, `radius`
+ * (meters to search) or `price` (preferred price levels). Words left over
+ * once every phrase is removed are the mood, itself a chip of kind 'mood'.
+ * Only the first phrase of each kind counts.
+ *
+ * Queries that are exactly a mood ("budget", "fancy") are searched as that
+ * mood rather than parsed.
+ */
+
+import { getMoodMapping } from './moodMapping';
+import { findMood } from '../services/moodRegistry';
+import { formatDistance, formatTravelTime } from './distance';
+import { formatDayAndTime } from './openingHours';
+import {
+    QUERY_PARSER,
+    RATING_THRESHOLDS,
+    SEARCH_AREA,
+    SEARCH_RADIUS,
+    SORT_OPTIONS,
+    TRAVEL,
+    TRAVEL_MODES
+} from './constants';
+
+// Searches without a mood or price word look for anywhere to go
+const ANYTHING_MAPPING = {
+    types: ['restaurant', 'cafe', 'bar'],
+    keywords: [],
+    description: 'Anywhere nearby',
+    preferredPrice: [1, 2, 3],
+    prioritizeRating: true
+};
+
+// Words that carry no intent once the phrases are removed
+const FILLER_WORDS = new Set([
+    'a', 'an', 'the', 'some', 'any', 'with', 'and', 'or', 'that', 'is', 'are', 'for', 'to', 'in', 'at',
+    'on', 'of', 'near', 'me', 'around', 'here', 'find', 'show', 'want', 'i', 'place', 'places', 'spot',
+    'spots', 'somewhere', 'something', 'good', 'great', 'best', 'nice', 'open', 'by', 'please'
+]);
+
+const UNIT_METERS = { km: 1000, kilometer: 1000, kilometre: 1000, m: 1, meter: 1, metre: 1, mi: 1609, mile: 1609 };
+
+const MODE_WORDS = {
+    walk: TRAVEL_MODES.WALKING,
+    walking: TRAVEL_MODES.WALKING,
+    'on foot': TRAVEL_MODES.WALKING,
+    drive: TRAVEL_MODES.DRIVING,
+    driving: TRAVEL_MODES.DRIVING,
+    car: TRAVEL_MODES.DRIVING,
+    bike: TRAVEL_MODES.BICYCLING,
+    biking: TRAVEL_MODES.BICYCLING,
+    cycling: TRAVEL_MODES.BICYCLING,
+    ride: TRAVEL_MODES.BICYCLING,
+    transit: TRAVEL_MODES.TRANSIT,
+    train: TRAVEL_MODES.TRANSIT,
+    bus: TRAVEL_MODES.TRANSIT,
+    subway: TRAVEL_MODES.TRANSIT
+};
+
+/**
+ * Format a date as an "Open at" filter value
+ * @param {Date} date - Local date and time
+ * @returns {string} - 'YYYY-MM-DDTHH:mm'
+ */
+const toOpenAt = (date) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Get the next time a time of day comes round
+ * @param {Date} now - Reference date
+ * @param {number} hours - Hour of day
+ * @param {number} minutes - Minutes past the hour
+ * @param {boolean} tomorrow - Whether the query said tomorrow
+ * @returns {Date} - Today at that time, or tomorrow if it has passed (or was asked for)
+ */
+const getNextTime = (now, hours, minutes, tomorrow = false) => {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes);
+    if (tomorrow || date < now) {
+        date.setDate(date.getDate() + 1);
+    }
+    return date;
+};
+
+/**
+ * Chip for an opening time
+ * @param {Date} date - When the place should be open
+ * @returns {Object} - Chip fields
+ */
+const openAtChip = (date) => ({
+    label: `Open ${formatDayAndTime(date)}`,
+    filters: { openAt: toOpenAt(date), openNow: false }
+});
+
+/**
+ * Phrase rules, tried in order
+ * Each returns chip fields for a match, or null to leave the phrase alone
+ */
+const RULES = [
+    // Sort
+    {
+        kind: 'sort',
+        pattern: /\b(?:top|best)[- ]rated\b/,
+        parse: () => ({ label: 'Top rated', sortBy: SORT_OPTIONS.HIGHEST_RATED })
+    },
+    {
+        kind: 'sort',
+        pattern: /\b(?:closest|nearest)\b/,
+        parse: () => ({ label: 'Closest first', sortBy: SORT_OPTIONS.NEAREST })
+    },
+    {
+        kind: 'sort',
+        pattern: /\bcheapest\b/,
+        parse: () => ({ label: 'Cheapest first', sortBy: SORT_OPTIONS.PRICE_LOW })
+    },
+
+    // Price
+    {
+        kind: 'price',
+        pattern: /\b(?:cheap(?: eats)?|inexpensive|affordable|budget|low[- ]cost)\b/,
+        parse: () => ({ label: 'Cheap', mood: 'budget', price: [0, 1], filters: { priceLevel: [0, 1] } })
+    },
+    {
+        kind: 'price',
+        pattern: /\b(?:mid[- ]range|moderately priced|moderate)\b/,
+        parse: () => ({ label: 'Mid-range', price: [2], filters: { priceLevel: [2] } })
+    },
+    {
+        kind: 'price',
+        pattern: /\b(?:fancy|upscale|expensive|luxury|fine dining|high[- ]end|posh|classy)\b/,
+        parse: () => ({ label: 'Fancy', mood: 'fancy', price: [3, 4], filters: { priceLevel: [3, 4] } })
+    },
+
+    // Opening times
+    {
+        kind: 'time',
+        pattern: /\bopen (?:right )?now\b/,
+        parse: () => ({ label: 'Open now', filters: { openNow: true, openAt: null } })
+    },
+    {
+        kind: 'time',
+        pattern: /\b(?:open (?:late|till late|until late)|late[- ]night)\b/,
+        parse: (match, now) => {
+            if (now.getHours() >= QUERY_PARSER.LATE_HOUR) {
+                return { label: 'Open late', filters: { openNow: true, openAt: null } };
+            }
+            return { ...openAtChip(getNextTime(now, QUERY_PARSER.LATE_HOUR, 0)), label: 'Open late' };
+        }
+    },
+    {
+        kind: 'time',
+        pattern: /\b(?:open )?(tomorrow )?at (?:(noon)|(\d{1,2})(?::(\d{2}))? ?(am|pm)?)( tomorrow)?\b/,
+        parse: (match, now) => {
+            const [, tomorrowBefore, noon, hourText, minuteText, meridiem, tomorrowAfter] = match;
+            let hours = noon ? 12 : Number(hourText);
+            const minutes = minuteText ? Number(minuteText) : 0;
+
+            // "at 7" is too ambiguous (an address, a count) without am/pm or minutes
+            if (!noon && !meridiem && !minuteText) return null;
+            if (meridiem) {
+                if (hours < 1 || hours > 12) return null;
+                hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+            }
+            if (hours > 23 || minutes > 59) return null;
+
+            return openAtChip(getNextTime(now, hours, minutes, Boolean(tomorrowBefore || tomorrowAfter)));
+        }
+    },
+    {
+        kind: 'time',
+        pattern: /\b(?:open )?(?:tonight|this evening)\b/,
+        parse: (match, now) => {
+            if (now.getHours() >= QUERY_PARSER.EVENING_HOUR) {
+                return { label: 'Open tonight', filters: { openNow: true, openAt: null } };
+            }
+            return { ...openAtChip(getNextTime(now, QUERY_PARSER.EVENING_HOUR, 0)), label: 'Open tonight' };
+        }
+    },
+
+    // Travel time
+    {
+        kind: 'travel',
+        pattern: /\b(?:within |under |less than )?(?:walking distance|walkable)\b/,
+        parse: () => ({
+            label: 'Walking distance',
+            filters: { travelMode: TRAVEL_MODES.WALKING, maxTravelMinutes: QUERY_PARSER.WALKING_MINUTES }
+        })
+    },
+    {
+        kind: 'travel',
+        pattern: /\b(?:within |under |less than |up to )?(\d{1,3}) ?-? ?min(?:ute)?s?(?: (?:by )?(walk|walking|on foot|drive|driving|car|bike|biking|cycling|ride|transit|train|bus|subway))?(?: away)?\b/,
+        parse: (match) => {
+            const minutes = Number(match[1]);
+            if (minutes === 0) return null;
+
+            // Round up to a travel time the filter offers
+            const options = TRAVEL.MAX_MINUTES_OPTIONS;
+            const maxTravelMinutes = options.find(option => option >= minutes) || options[options.length - 1];
+            const travelMode = MODE_WORDS[match[2]];
+
+            return {
+                label: travelMode ? `Under ${formatTravelTime(maxTravelMinutes * 60, travelMode)}` : `Under ${maxTravelMinutes} min`,
+                filters: travelMode ? { travelMode, maxTravelMinutes } : { maxTravelMinutes }
+            };
+        }
+    },
+
+    // Distance
+    {
+        kind: 'distance',
+        pattern: /\b(?:within|under|less than|max(?:imum)?|up to) (\d+(?:\.\d+)?) ?(km|kilometers?|kilometres?|m|meters?|metres?|mi|miles?)\b/,
+        parse: (match) => {
+            const unit = match[2].replace(/s$/, '');
+            const maxDistance = Math.round(Number(match[1]) * UNIT_METERS[unit]);
+            if (maxDistance === 0) return null;
+
+            return {
+                label: `Within ${formatDistance(maxDistance)}`,
+                filters: { maxDistance },
+                radius: Math.min(Math.max(maxDistance, SEARCH_RADIUS.DEFAULT), SEARCH_AREA.MAX_RADIUS)
+            };
+        }
+    },
+    {
+        kind: 'distance',
+        pattern: /\b(?:nearby|close by)\b/,
+        parse: () => ({ label: 'Nearby', filters: { maxDistance: QUERY_PARSER.NEARBY_DISTANCE } })
+    },
+
+    // Rating
+    {
+        kind: 'rating',
+        pattern: /\b(?:rated )?(\d(?:\.\d)?) ?\+? ?(?:stars?|★)(?: ?(?:\+|and up|or more|or better))?|\brated (\d(?:\.\d)?) ?\+?|\b(\d\.\d) ?\+/,
+        parse: (match) => {
+            const rating = Number(match[1] || match[2] || match[3]);
+            if (rating < 1 || rating > 5) return null;
+
+            // The rating filter goes up in halves to 4.5
+            const minRating = Math.min(Math.floor(rating * 2) / 2, 4.5);
+            return { label: `${minRating}+ stars`, filters: { minRating } };
+        }
+    },
+    {
+        kind: 'rating',
+        pattern: /\b(?:highly|well)[- ]rated\b|\bgood reviews\b/,
+        parse: () => ({ label: `${RATING_THRESHOLDS.GOOD}+ stars`, filters: { minRating: RATING_THRESHOLDS.GOOD } })
+    }
+];
+
+/**
+ * Check whether a query is exactly a mood
+ * @param {string} normalized - Lowercased, trimmed query
+ * @returns {boolean} - True if it names a mood
+ */
+const isMoodName = (normalized) => {
+    return findMood(normalized) !== null;
+};
+
+/**
+ * Parse a search query
+ * @param {string} query - Search as typed
+ * @param {Date} now - Reference date for times
+ * @returns {Object} - { query, mood, chips, filters, sortBy, radius, price }
+ */
+export const parseQuery = (query = '', now = new Date()) => {
+    const lower = query.toLowerCase();
+    // Lowercasing can change the length of some characters; chip text then comes from the lowercase query
+    const source = lower.length === query.length ? query : lower;
+    const intent = { query, mood: query.trim(), chips: [], filters: {}, sortBy: null, radius: null, price: null };
+
+    if (!lower.trim() || isMoodName(lower.trim())) {
+        if (intent.mood) {
+            intent.chips.push({ id: 'mood', kind: 'mood', label: intent.mood, start: query.indexOf(intent.mood), text: intent.mood });
+        }
+        return intent;
+    }
+
+    // Phrases are blanked out as they match, keeping positions for the chips.
+    // Only the first phrase of each kind is used; later ones stay in the mood
+    let remaining = lower;
+    const kinds = new Set();
+
+    RULES.forEach(rule => {
+        const pattern = new RegExp(rule.pattern.source, 'g');
+        let match;
+        while (!kinds.has(rule.kind) && (match = pattern.exec(remaining)) !== null) {
+            const fields = rule.parse(match, now);
+            if (!fields) continue;
+
+            const start = match.index;
+            const end = start + match[0].length;
+            remaining = remaining.slice(0, start) + ' '.repeat(end - start) + remaining.slice(end);
+
+            kinds.add(rule.kind);
+            intent.chips.push({ id: rule.kind, kind: rule.kind, start, text: source.slice(start, end).trim(), ...fields });
+        }
+    });
+
+    // What's left is the mood
+    const words = [...remaining.matchAll(/[^\s,.;:!?]+/g)].filter(([word]) => !FILLER_WORDS.has(word));
+    intent.mood = words.map(({ 0: word, index }) => source.slice(index, index + word.length)).join(' ');
+    if (words.length > 0) {
+        intent.chips.push({ id: 'mood', kind: 'mood', label: intent.mood, start: words[0].index, text: intent.mood });
+    }
+    intent.chips.sort((a, b) => a.start - b.start);
+
+    intent.chips.forEach(chip => {
+        if (chip.filters) Object.assign(intent.filters, chip.filters);
+        if (chip.sortBy) intent.sortBy = chip.sortBy;
+        if (chip.radius) intent.radius = chip.radius;
+        if (chip.price) intent.price = chip.price;
+    });
+
+    return intent;
+};
+
+/**
+ * Get the mood mapping to search a query with
+ * The parsed mood picks the mapping (a price word stands in when there is no
+ * mood), and price words set its preferred prices
+ * @param {string} query - Search as typed
+ * @returns {Object} - Mood mapping
+ */
+export const getQueryMapping = (query) => {
+    const intent = parseQuery(query);
+    const priceChip = intent.chips.find(chip => chip.kind === 'price');
+
+    let mapping = ANYTHING_MAPPING;
+    if (intent.mood) {
+        mapping = getMoodMapping(intent.mood);
+    } else if (priceChip?.mood) {
+        mapping = getMoodMapping(priceChip.mood);
+    }
+
+    return intent.price ? { ...mapping, preferredPrice: intent.price } : mapping;
+};
+
+/**
+ * Rebuild a query without one of its chips
+ * @param {Object} intent - Parsed query from parseQuery
+ * @param {string} chipId - Chip to remove
+ * @returns {string} - Query made of the remaining chips, in their original order
+ */
+export const removeQueryChip = (intent, chipId) => {
+    return intent.chips
+        .filter(chip => chip.id !== chipId)
+        .map(chip => chip.text)
+        .join(' ');
+};
+
+/**
+ * Check whether a chip's filters and sort still apply
+ * Chips stop showing once the user changes what they set
+ * @param {Object} chip - Chip from parseQuery
+ * @param {Object} filters - Current filters
+ * @param {string} sortBy - Current sort option
+ * @returns {boolean} - True if the chip is still in effect
+ */
+export const isChipActive = (chip, filters, sortBy) => {
+    if (chip.sortBy && chip.sortBy !== sortBy) return false;
+
+    return Object.entries(chip.filters || {}).every(([key, value]) => (
+        Array.isArray(value)
+            ? Array.isArray(filters[key]) && value.join() === filters[key].join()
+            : filters[key] === value
+    ));
+};
+
+export default {
+    parseQuery,
+    getQueryMapping,
+    removeQueryChip,
+    isChipActive
+};
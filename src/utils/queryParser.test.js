@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuery } from './queryParser';
+import { parseUrlState, buildUrlSearch } from './urlState';
+import { getFilterSummary } from './filterSort';
+import { DEFAULT_FILTERS, SORT_OPTIONS } from './constants';
+
+// Filters after applying a query and reloading its shared link
+const throughUrl = (query) => {
+    const intent = parseQuery(query);
+    const filters = { ...DEFAULT_FILTERS, ...intent.filters };
+    return parseUrlState(buildUrlSearch({ query, filters, sortBy: intent.sortBy })).filters;
+};
+
+describe('query parser', () => {
+    it('keeps price chips through a shared link', () => {
+        expect(throughUrl('cheap sushi').priceLevel).toEqual([0, 1]);
+        expect(throughUrl('mid-range pizza').priceLevel).toEqual([2]);
+        expect(throughUrl('fancy dinner').priceLevel).toEqual([3, 4]);
+    });
+
+    it('summarizes price chips, free places included', () => {
+        expect(getFilterSummary(throughUrl('cheap sushi')).split(' • ')).toContain('Free, $');
+        expect(getFilterSummary(throughUrl('fancy dinner')).split(' • ')).toContain('$$$, $$$$');
+    });
+
+    it('leaves the sort alone for a plain "best"', () => {
+        const intent = parseQuery('best coffee');
+
+        expect(intent.sortBy).toBeNull();
+        expect(intent.mood).toBe('coffee');
+    });
+
+    it('sorts by rating for "top rated" and "best rated"', () => {
+        expect(parseQuery('top rated ramen').sortBy).toBe(SORT_OPTIONS.HIGHEST_RATED);
+        expect(parseQuery('best-rated ramen').sortBy).toBe(SORT_OPTIONS.HIGHEST_RATED);
+    });
+
+    it('uses the first phrase of each kind and leaves the rest in the mood', () => {
+        const intent = parseQuery('sushi within 500m nearby');
+
+        expect(intent.filters.maxDistance).toBe(500);
+        expect(intent.chips.filter(chip => chip.kind === 'distance')).toHaveLength(1);
+        expect(intent.mood).toBe('sushi nearby');
+    });
+});
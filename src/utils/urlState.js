@@ -0,0 +1,221 @@
+/**
+ * URL State Utilities
+ * Encode and decode shareable app state in the query string
+ *
+ * Parameters (defaults are left out to keep links short):
+ *   q       - mood/query of the current search
+ *   ll      - search location as "lat,lng"
+ *   r       - search radius in meters
+ *   rating  - minimum rating filter
+ *   dist    - max distance filter in meters
+ *   open    - "1" for the open now filter
+ *   at      - open at filter ("YYYY-MM-DDTHH:mm")
+ *   price   - price levels as a comma-separated list (e.g. "0,1")
+ *   mode    - travel mode for travel times ("walking", "driving", "transit")
+ *   mins    - max travel time filter in minutes
+ *   area    - "1" to limit results to the area reachable in mins (isochrone mode)
+ *   sort    - sort option
+ *   with    - group search participants as "lat,lng;lat,lng;..."
+ *   meet    - "fairest" to meet where the longest travel time is shortest (group searches)
+ *   place   - selected place ID
+ *   details - "1" when the place details sheet is open
+ */
+
+import { SEARCH_RADIUS, SORT_OPTIONS, DEFAULT_FILTERS, TRAVEL_MODES, MEETING, MEETING_POINTS } from './constants';
+
+const COORDINATE_PRECISION = 5;
+const OPEN_AT_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+/**
+ * Parse a number parameter
+ * @param {string|null} value - Parameter value
+ * @param {number} fallback - Value used when missing or invalid
+ * @returns {number} - Parsed number
+ */
+const parseNumber = (value, fallback) => {
+    if (value === null || value === '') return fallback;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : fallback;
+};
+
+/**
+ * Parse a comma-separated price level parameter
+ * Only whole levels from 0 to 4 are kept
+ * @param {string|null} value - Parameter value
+ * @returns {Array|null} - Sorted price levels, or null when none are valid
+ */
+const parsePriceLevels = (value) => {
+    if (!value) return null;
+
+    const levels = value.split(',')
+        .map(part => (part.trim() === '' ? NaN : Number(part)))
+        .filter(level => Number.isInteger(level) && level >= 0 && level <= 4);
+    const unique = [...new Set(levels)].sort((a, b) => a - b);
+    return unique.length > 0 ? unique : null;
+};
+
+/**
+ * Parse an "lat,lng" parameter
+ * @param {string|null} value - Parameter value
+ * @returns {Object|null} - { lat, lng } or null
+ */
+const parseLatLng = (value) => {
+    if (!value) return null;
+
+    const [lat, lng] = value.split(',').map(Number);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return null;
+    }
+    return { lat, lng };
+};
+
+/**
+ * Format a location as an "lat,lng" parameter
+ * @param {Object|null} location - { lat, lng }
+ * @returns {string} - Parameter value, or '' without a location
+ */
+const formatLatLng = (location) => {
+    if (!location) return '';
+    return `${location.lat.toFixed(COORDINATE_PRECISION)},${location.lng.toFixed(COORDINATE_PRECISION)}`;
+};
+
+/**
+ * Parse a "lat,lng;lat,lng" parameter
+ * Invalid points are skipped; fewer than MEETING.MIN_PARTICIPANTS make no group
+ * @param {string|null} value - Parameter value
+ * @returns {Array} - Locations { lat, lng }
+ */
+const parseParticipants = (value) => {
+    if (!value) return [];
+
+    const locations = value.split(';').map(parseLatLng).filter(Boolean).slice(0, MEETING.MAX_PARTICIPANTS);
+    return locations.length >= MEETING.MIN_PARTICIPANTS ? locations : [];
+};
+
+/**
+ * Read app state from a query string
+ * Unknown or invalid values fall back to the defaults
+ * @param {string} search - Query string (e.g. window.location.search)
+ * @returns {Object} - { query, location, radius, filters, sortBy, participants, meetingMethod, placeId, details }
+ */
+export const parseUrlState = (search) => {
+    const params = new URLSearchParams(search);
+
+    const openAt = params.get('at');
+    const sortBy = params.get('sort');
+    const travelMode = params.get('mode');
+
+    return {
+        query: params.get('q')?.trim() || '',
+        location: parseLatLng(params.get('ll')),
+        radius: parseNumber(params.get('r'), SEARCH_RADIUS.DEFAULT),
+        filters: {
+            minRating: parseNumber(params.get('rating'), DEFAULT_FILTERS.minRating),
+            maxDistance: parseNumber(params.get('dist'), DEFAULT_FILTERS.maxDistance),
+            openNow: params.get('open') === '1',
+            openAt: openAt && OPEN_AT_PATTERN.test(openAt) ? openAt : DEFAULT_FILTERS.openAt,
+            priceLevel: parsePriceLevels(params.get('price')) ?? DEFAULT_FILTERS.priceLevel,
+            travelMode: Object.values(TRAVEL_MODES).includes(travelMode) ? travelMode : DEFAULT_FILTERS.travelMode,
+            maxTravelMinutes: parseNumber(params.get('mins'), DEFAULT_FILTERS.maxTravelMinutes),
+            isochrone: params.get('area') === '1'
+        },
+        sortBy: Object.values(SORT_OPTIONS).includes(sortBy) ? sortBy : SORT_OPTIONS.BEST_MATCH,
+        participants: parseParticipants(params.get('with')),
+        meetingMethod: params.get('meet') === MEETING_POINTS.FAIREST ? MEETING_POINTS.FAIREST : MEETING_POINTS.MIDPOINT,
+        placeId: params.get('place') || null,
+        details: params.get('details') === '1'
+    };
+};
+
+/**
+ * Build a query string from app state
+ * @param {Object} state - { query, location, radius, filters, sortBy, participants, meetingMethod, placeId, details }
+ * @returns {string} - Query string including the leading "?", or '' when everything is default
+ */
+export const buildUrlSearch = (state) => {
+    const { location, radius, filters = DEFAULT_FILTERS, sortBy, participants = [], meetingMethod, placeId, details } = state;
+    const query = state.query?.trim();
+    const params = new URLSearchParams();
+
+    if (query) {
+        params.set('q', query);
+        if (location) {
+            params.set('ll', formatLatLng(location));
+        }
+        if (radius && radius !== SEARCH_RADIUS.DEFAULT) {
+            params.set('r', String(radius));
+        }
+    }
+
+    if (filters.minRating !== DEFAULT_FILTERS.minRating) {
+        params.set('rating', String(filters.minRating));
+    }
+    if (filters.maxDistance !== DEFAULT_FILTERS.maxDistance) {
+        params.set('dist', String(filters.maxDistance));
+    }
+    if (filters.openNow) {
+        params.set('open', '1');
+    }
+    if (filters.openAt) {
+        params.set('at', filters.openAt);
+    }
+    if (filters.priceLevel !== null && filters.priceLevel !== undefined) {
+        params.set('price', [].concat(filters.priceLevel).join(','));
+    }
+    if (filters.travelMode && filters.travelMode !== DEFAULT_FILTERS.travelMode) {
+        params.set('mode', filters.travelMode);
+    }
+    if (filters.maxTravelMinutes) {
+        params.set('mins', String(filters.maxTravelMinutes));
+    }
+    if (filters.isochrone) {
+        params.set('area', '1');
+    }
+    if (sortBy && sortBy !== SORT_OPTIONS.BEST_MATCH) {
+        params.set('sort', sortBy);
+    }
+
+    if (participants.length >= MEETING.MIN_PARTICIPANTS) {
+        params.set('with', participants.map(formatLatLng).join(';'));
+        if (meetingMethod === MEETING_POINTS.FAIREST) {
+            params.set('meet', meetingMethod);
+        }
+    }
+
+    if (placeId) {
+        params.set('place', placeId);
+        if (details) {
+            params.set('details', '1');
+        }
+    }
+
+    const search = params.toString();
+    return search ? `?${search}` : '';
+};
+
+/**
+ * Check whether moving between two states should add a history entry
+ * New searches and opening, closing or switching the details sheet are
+ * navigations; filter, sort and map selection changes replace the current entry.
+ * @param {Object} prev - Previous state
+ * @param {Object} next - Next state
+ * @returns {boolean} - True to push, false to replace
+ */
+export const isNavigation = (prev, next) => {
+    if (!prev) return false;
+
+    const prevDetails = Boolean(prev.placeId && prev.details);
+    const nextDetails = Boolean(next.placeId && next.details);
+
+    return prev.query?.trim() !== next.query?.trim() ||
+        formatLatLng(prev.location) !== formatLatLng(next.location) ||
+        prev.radius !== next.radius ||
+        prevDetails !== nextDetails ||
+        (nextDetails && prev.placeId !== next.placeId);
+};
+
+export default {
+    parseUrlState,
+    buildUrlSearch,
+    isNavigation
+};
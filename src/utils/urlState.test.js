@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { parseUrlState, buildUrlSearch } from './urlState';
+import { DEFAULT_FILTERS } from './constants';
+
+const roundTrip = (filters) => parseUrlState(buildUrlSearch({ query: 'coffee', filters })).filters;
+
+describe('url state', () => {
+    it('writes price levels as a comma-separated list', () => {
+        const search = buildUrlSearch({ query: 'coffee', filters: { ...DEFAULT_FILTERS, priceLevel: [0, 1] } });
+
+        expect(new URLSearchParams(search).get('price')).toBe('0,1');
+    });
+
+    it('keeps price levels through a round trip', () => {
+        expect(roundTrip({ ...DEFAULT_FILTERS, priceLevel: [0, 1] }).priceLevel).toEqual([0, 1]);
+        expect(roundTrip({ ...DEFAULT_FILTERS, priceLevel: [3, 4] }).priceLevel).toEqual([3, 4]);
+        expect(roundTrip({ ...DEFAULT_FILTERS, priceLevel: 2 }).priceLevel).toEqual([2]);
+        expect(roundTrip(DEFAULT_FILTERS).priceLevel).toBeNull();
+    });
+
+    it('only reads whole price levels from 0 to 4', () => {
+        expect(parseUrlState('?price=4,1,x,7,-1,1.5,1').filters.priceLevel).toEqual([1, 4]);
+        expect(parseUrlState('?price=9').filters.priceLevel).toBeNull();
+        expect(parseUrlState('?price=').filters.priceLevel).toBeNull();
+    });
+});